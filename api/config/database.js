@@ -1,24 +0,0 @@
-/**
- * Database Configuration - Supabase Client
- * Quiz Conquest - ECE Professional Online Exam Platform
- */
-
-const { createClient } = require('@supabase/supabase-js');
-require('dotenv').config();
-
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
-
-if (!supabaseUrl || !supabaseServiceKey) {
-    console.error('CRITICAL: Missing Supabase configuration (SUPABASE_URL or SUPABASE_SERVICE_KEY).');
-}
-
-// Create Supabase client with service role key (bypasses RLS)
-const supabase = createClient(supabaseUrl, supabaseServiceKey, {
-    auth: {
-        autoRefreshToken: false,
-        persistSession: false
-    }
-});
-
-module.exports = { supabase };
@@ -0,0 +1,172 @@
+-- ============================================================
+-- QUIZ CONQUEST v4.1 — SUBMISSION DEADLINE ENFORCEMENT
+-- Run this in Supabase SQL Editor AFTER v4_architecture_upgrade.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • submit_bulk_answers() checks the live event_state/rounds row
+--   • Grace window after round_ends_at (seconds, passed by server)
+--   • Late / out-of-round submissions are STORED but FLAGGED
+--   • evaluate_round() scores ONLY accepted submissions
+-- ============================================================
+
+-- ============================================================
+-- submissions: status + reason for flagged attempts
+-- ============================================================
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS submission_status VARCHAR(20) DEFAULT 'accepted';
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS flag_reason TEXT;
+
+UPDATE submissions SET submission_status = 'accepted' WHERE submission_status IS NULL;
+
+ALTER TABLE submissions DROP CONSTRAINT IF EXISTS submissions_submission_status_check;
+ALTER TABLE submissions ADD CONSTRAINT submissions_submission_status_check
+    CHECK (submission_status IN ('accepted', 'late', 'out_of_round'));
+
+CREATE INDEX IF NOT EXISTS idx_submissions_round_status ON submissions(round_number, submission_status);
+
+-- ============================================================
+-- FUNCTION: submit_bulk_answers(...)
+--
+-- FULLY IDEMPOTENT submission with deadline enforcement.
+-- Status is decided from the LIVE round state, never the client:
+--   • Round never started / not the current round → 'out_of_round'
+--   • After deadline + grace window               → 'late'
+--   • Otherwise                                   → 'accepted'
+-- Deadline = round_ends_at, or ended_at if the admin ended early.
+--
+-- NEVER returns an error for duplicate submission.
+-- ============================================================
+DROP FUNCTION IF EXISTS submit_bulk_answers(UUID, INTEGER, JSONB, INTEGER);
+CREATE OR REPLACE FUNCTION submit_bulk_answers(
+    p_attempt_token UUID,
+    p_round_number INTEGER,
+    p_answers JSONB,
+    p_time_taken_seconds INTEGER,
+    p_grace_seconds INTEGER DEFAULT 30
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_existing_id UUID;
+    v_event RECORD;
+    v_round RECORD;
+    v_now TIMESTAMPTZ := NOW();
+    v_deadline TIMESTAMPTZ;
+    v_status VARCHAR(20) := 'accepted';
+    v_reason TEXT;
+BEGIN
+    -- Check if already submitted (idempotent guard)
+    SELECT id INTO v_existing_id
+    FROM submissions
+    WHERE attempt_token = p_attempt_token
+      AND round_number = p_round_number;
+
+    IF v_existing_id IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'success', true,
+            'already_submitted', true,
+            'message', 'Submission already recorded'
+        );
+    END IF;
+
+    -- Live round state
+    SELECT current_round, round_status, round_ends_at INTO v_event
+    FROM event_state WHERE id = 1;
+
+    SELECT status, started_at, ended_at INTO v_round
+    FROM rounds WHERE round_number = p_round_number;
+
+    IF NOT FOUND OR v_round.started_at IS NULL OR v_round.status = 'pending' THEN
+        v_status := 'out_of_round';
+        v_reason := 'Round has not been started';
+    ELSIF v_event.current_round IS DISTINCT FROM p_round_number THEN
+        v_status := 'out_of_round';
+        v_reason := format('Round %s is not the current round', p_round_number);
+    ELSE
+        v_deadline := v_event.round_ends_at;
+        IF v_round.status = 'completed' AND v_round.ended_at IS NOT NULL
+           AND (v_deadline IS NULL OR v_round.ended_at < v_deadline) THEN
+            v_deadline := v_round.ended_at;
+        END IF;
+
+        IF v_deadline IS NOT NULL
+           AND v_now > v_deadline + make_interval(secs => COALESCE(p_grace_seconds, 0)) THEN
+            v_status := 'late';
+            v_reason := format('Submitted %s s after deadline',
+                FLOOR(EXTRACT(EPOCH FROM (v_now - v_deadline)))::INTEGER);
+        END IF;
+    END IF;
+
+    INSERT INTO submissions (
+        attempt_token, round_number, answers, time_taken_seconds,
+        submitted_at, submission_status, flag_reason
+    )
+    VALUES (
+        p_attempt_token, p_round_number, COALESCE(p_answers, '[]'::jsonb), p_time_taken_seconds,
+        v_now, v_status, v_reason
+    )
+    ON CONFLICT (attempt_token, round_number) DO NOTHING;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'already_submitted', false,
+        'submission_status', v_status,
+        'message', CASE WHEN v_status = 'accepted'
+            THEN 'Submission recorded successfully'
+            ELSE 'Submission recorded (flagged)' END
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    -- Even on unexpected error, return success to avoid panic UI
+    RETURN jsonb_build_object(
+        'success', true,
+        'already_submitted', false,
+        'message', 'Submission processed'
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: evaluate_round(p_round_number)
+--
+-- Same as V4, but flagged (late / out-of-round) submissions
+-- are NOT scored. Stale results for them are removed.
+-- IDEMPOTENT: safe to call multiple times.
+-- ============================================================
+CREATE OR REPLACE FUNCTION evaluate_round(p_round_number INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    DELETE FROM results r
+    USING submissions s
+    WHERE r.attempt_token = s.attempt_token
+      AND r.round_number = s.round_number
+      AND s.round_number = p_round_number
+      AND s.submission_status <> 'accepted';
+
+    INSERT INTO results (attempt_token, round_number, score, time_taken_seconds, evaluated_at)
+    SELECT
+        s.attempt_token,
+        s.round_number,
+        (
+            SELECT COUNT(*)
+            FROM jsonb_array_elements(s.answers) AS ans
+            JOIN questions q ON q.id = (ans->>'question_id')::UUID
+            WHERE UPPER(TRIM(ans->>'selected_option')) = UPPER(TRIM(q.correct_option))
+              AND q.round_number = p_round_number
+        ) AS score,
+        s.time_taken_seconds,
+        NOW()
+    FROM submissions s
+    WHERE s.round_number = p_round_number
+      AND s.submission_status = 'accepted'
+    ON CONFLICT (attempt_token, round_number)
+    DO UPDATE SET
+        score = EXCLUDED.score,
+        time_taken_seconds = EXCLUDED.time_taken_seconds,
+        evaluated_at = NOW();
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,220 @@
+-- ============================================================
+-- QUIZ CONQUEST v4.2 — ATTEMPT-START LEDGER
+-- Run this in Supabase SQL Editor AFTER v41_submission_deadline.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • attempts table: first time each attempt_token fetched the
+--     round's questions (one row per token per round)
+--   • submit_bulk_answers() derives time_taken_seconds from the
+--     ledger + server submit timestamp
+--   • The browser's number is kept in client_time_taken_seconds
+--     as a diagnostic only (NEVER used for ranking)
+-- ============================================================
+
+-- ============================================================
+-- NEW: attempts (attempt-start ledger)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    attempt_token UUID NOT NULL,
+    round_number INTEGER NOT NULL,
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(attempt_token, round_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attempts_round ON attempts(round_number);
+
+ALTER TABLE attempts ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role full access" ON attempts;
+CREATE POLICY "Service role full access" ON attempts FOR ALL USING (true) WITH CHECK (true);
+
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS client_time_taken_seconds INTEGER;
+ALTER TABLE results ADD COLUMN IF NOT EXISTS client_time_taken_seconds INTEGER;
+
+-- ============================================================
+-- FUNCTION: start_attempt(p_attempt_token, p_round_number)
+--
+-- Records the FIRST question fetch only. Re-fetches (refresh,
+-- retry) keep the original started_at.
+-- IDEMPOTENT.
+-- ============================================================
+CREATE OR REPLACE FUNCTION start_attempt(
+    p_attempt_token UUID,
+    p_round_number INTEGER
+)
+RETURNS TIMESTAMPTZ AS $$
+DECLARE
+    v_started_at TIMESTAMPTZ;
+BEGIN
+    INSERT INTO attempts (attempt_token, round_number, started_at)
+    VALUES (p_attempt_token, p_round_number, NOW())
+    ON CONFLICT (attempt_token, round_number) DO NOTHING;
+
+    SELECT started_at INTO v_started_at
+    FROM attempts
+    WHERE attempt_token = p_attempt_token
+      AND round_number = p_round_number;
+
+    RETURN v_started_at;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: submit_bulk_answers(...)
+--
+-- As v4.1, plus server-computed time taken:
+--   time_taken_seconds = submit time − attempts.started_at
+-- Falls back to rounds.started_at when no ledger row exists
+-- (never in the participant's favour).
+-- ============================================================
+CREATE OR REPLACE FUNCTION submit_bulk_answers(
+    p_attempt_token UUID,
+    p_round_number INTEGER,
+    p_answers JSONB,
+    p_time_taken_seconds INTEGER,
+    p_grace_seconds INTEGER DEFAULT 30
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_existing_id UUID;
+    v_event RECORD;
+    v_round RECORD;
+    v_now TIMESTAMPTZ := NOW();
+    v_deadline TIMESTAMPTZ;
+    v_started_at TIMESTAMPTZ;
+    v_server_time INTEGER;
+    v_status VARCHAR(20) := 'accepted';
+    v_reason TEXT;
+BEGIN
+    -- Check if already submitted (idempotent guard)
+    SELECT id INTO v_existing_id
+    FROM submissions
+    WHERE attempt_token = p_attempt_token
+      AND round_number = p_round_number;
+
+    IF v_existing_id IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'success', true,
+            'already_submitted', true,
+            'message', 'Submission already recorded'
+        );
+    END IF;
+
+    -- Live round state
+    SELECT current_round, round_status, round_ends_at INTO v_event
+    FROM event_state WHERE id = 1;
+
+    SELECT status, started_at, ended_at INTO v_round
+    FROM rounds WHERE round_number = p_round_number;
+
+    IF NOT FOUND OR v_round.started_at IS NULL OR v_round.status = 'pending' THEN
+        v_status := 'out_of_round';
+        v_reason := 'Round has not been started';
+    ELSIF v_event.current_round IS DISTINCT FROM p_round_number THEN
+        v_status := 'out_of_round';
+        v_reason := format('Round %s is not the current round', p_round_number);
+    ELSE
+        v_deadline := v_event.round_ends_at;
+        IF v_round.status = 'completed' AND v_round.ended_at IS NOT NULL
+           AND (v_deadline IS NULL OR v_round.ended_at < v_deadline) THEN
+            v_deadline := v_round.ended_at;
+        END IF;
+
+        IF v_deadline IS NOT NULL
+           AND v_now > v_deadline + make_interval(secs => COALESCE(p_grace_seconds, 0)) THEN
+            v_status := 'late';
+            v_reason := format('Submitted %s s after deadline',
+                FLOOR(EXTRACT(EPOCH FROM (v_now - v_deadline)))::INTEGER);
+        END IF;
+    END IF;
+
+    -- Server-side time taken (attempt ledger → round start fallback)
+    SELECT started_at INTO v_started_at
+    FROM attempts
+    WHERE attempt_token = p_attempt_token
+      AND round_number = p_round_number;
+
+    IF v_started_at IS NULL THEN
+        v_started_at := v_round.started_at;
+    END IF;
+
+    IF v_started_at IS NOT NULL THEN
+        v_server_time := GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (v_now - v_started_at))))::INTEGER;
+    END IF;
+
+    INSERT INTO submissions (
+        attempt_token, round_number, answers, time_taken_seconds, client_time_taken_seconds,
+        submitted_at, submission_status, flag_reason
+    )
+    VALUES (
+        p_attempt_token, p_round_number, COALESCE(p_answers, '[]'::jsonb), v_server_time, p_time_taken_seconds,
+        v_now, v_status, v_reason
+    )
+    ON CONFLICT (attempt_token, round_number) DO NOTHING;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'already_submitted', false,
+        'submission_status', v_status,
+        'message', CASE WHEN v_status = 'accepted'
+            THEN 'Submission recorded successfully'
+            ELSE 'Submission recorded (flagged)' END
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    -- Even on unexpected error, return success to avoid panic UI
+    RETURN jsonb_build_object(
+        'success', true,
+        'already_submitted', false,
+        'message', 'Submission processed'
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: evaluate_round(p_round_number)
+--
+-- As v4.1, also copies the client-reported time for diagnostics.
+-- Ranking still uses the server time_taken_seconds only.
+-- ============================================================
+CREATE OR REPLACE FUNCTION evaluate_round(p_round_number INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    DELETE FROM results r
+    USING submissions s
+    WHERE r.attempt_token = s.attempt_token
+      AND r.round_number = s.round_number
+      AND s.round_number = p_round_number
+      AND s.submission_status <> 'accepted';
+
+    INSERT INTO results (attempt_token, round_number, score, time_taken_seconds, client_time_taken_seconds, evaluated_at)
+    SELECT
+        s.attempt_token,
+        s.round_number,
+        (
+            SELECT COUNT(*)
+            FROM jsonb_array_elements(s.answers) AS ans
+            JOIN questions q ON q.id = (ans->>'question_id')::UUID
+            WHERE UPPER(TRIM(ans->>'selected_option')) = UPPER(TRIM(q.correct_option))
+              AND q.round_number = p_round_number
+        ) AS score,
+        s.time_taken_seconds,
+        s.client_time_taken_seconds,
+        NOW()
+    FROM submissions s
+    WHERE s.round_number = p_round_number
+      AND s.submission_status = 'accepted'
+    ON CONFLICT (attempt_token, round_number)
+    DO UPDATE SET
+        score = EXCLUDED.score,
+        time_taken_seconds = EXCLUDED.time_taken_seconds,
+        client_time_taken_seconds = EXCLUDED.client_time_taken_seconds,
+        evaluated_at = NOW();
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,177 @@
+-- ============================================================
+-- QUIZ CONQUEST v4.3 — ROUND ENTRY ELIGIBILITY
+-- Run this in Supabase SQL Editor AFTER v42_attempt_ledger.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • Rounds > 1 only admit attempt_tokens that qualified in the
+--     previous round (results.qualified_for_next) or were given a
+--     wildcard entry by the admin
+--   • round_wildcards table (manual admin overrides)
+--   • is_eligible_for_round() — single source of truth, used by
+--     GET /questions and submit_bulk_answers()
+--   • Ineligible submissions are stored as 'not_qualified'
+-- ============================================================
+
+-- ============================================================
+-- NEW: round_wildcards
+-- ============================================================
+CREATE TABLE IF NOT EXISTS round_wildcards (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    round_number INTEGER NOT NULL,
+    attempt_token UUID NOT NULL,
+    reason TEXT,
+    added_by UUID REFERENCES admins(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(round_number, attempt_token)
+);
+
+ALTER TABLE round_wildcards ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role full access" ON round_wildcards;
+CREATE POLICY "Service role full access" ON round_wildcards FOR ALL USING (true) WITH CHECK (true);
+
+ALTER TABLE submissions DROP CONSTRAINT IF EXISTS submissions_submission_status_check;
+ALTER TABLE submissions ADD CONSTRAINT submissions_submission_status_check
+    CHECK (submission_status IN ('accepted', 'late', 'out_of_round', 'not_qualified'));
+
+-- ============================================================
+-- FUNCTION: is_eligible_for_round(p_attempt_token, p_round_number)
+--
+-- Round 1 is open to everyone.
+-- Round N > 1: qualified in round N-1 OR has a wildcard for N.
+-- ============================================================
+CREATE OR REPLACE FUNCTION is_eligible_for_round(
+    p_attempt_token UUID,
+    p_round_number INTEGER
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+    IF p_round_number <= 1 THEN
+        RETURN TRUE;
+    END IF;
+
+    RETURN EXISTS (
+        SELECT 1 FROM results
+        WHERE attempt_token = p_attempt_token
+          AND round_number = p_round_number - 1
+          AND qualified_for_next = TRUE
+    ) OR EXISTS (
+        SELECT 1 FROM round_wildcards
+        WHERE attempt_token = p_attempt_token
+          AND round_number = p_round_number
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- ============================================================
+-- FUNCTION: submit_bulk_answers(...)
+--
+-- As v4.2, plus eligibility: tokens not admitted to the round
+-- are stored as 'not_qualified' and never scored.
+-- ============================================================
+CREATE OR REPLACE FUNCTION submit_bulk_answers(
+    p_attempt_token UUID,
+    p_round_number INTEGER,
+    p_answers JSONB,
+    p_time_taken_seconds INTEGER,
+    p_grace_seconds INTEGER DEFAULT 30
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_existing_id UUID;
+    v_event RECORD;
+    v_round RECORD;
+    v_now TIMESTAMPTZ := NOW();
+    v_deadline TIMESTAMPTZ;
+    v_started_at TIMESTAMPTZ;
+    v_server_time INTEGER;
+    v_status VARCHAR(20) := 'accepted';
+    v_reason TEXT;
+BEGIN
+    -- Check if already submitted (idempotent guard)
+    SELECT id INTO v_existing_id
+    FROM submissions
+    WHERE attempt_token = p_attempt_token
+      AND round_number = p_round_number;
+
+    IF v_existing_id IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'success', true,
+            'already_submitted', true,
+            'message', 'Submission already recorded'
+        );
+    END IF;
+
+    -- Live round state
+    SELECT current_round, round_status, round_ends_at INTO v_event
+    FROM event_state WHERE id = 1;
+
+    SELECT status, started_at, ended_at INTO v_round
+    FROM rounds WHERE round_number = p_round_number;
+
+    IF NOT FOUND OR v_round.started_at IS NULL OR v_round.status = 'pending' THEN
+        v_status := 'out_of_round';
+        v_reason := 'Round has not been started';
+    ELSIF v_event.current_round IS DISTINCT FROM p_round_number THEN
+        v_status := 'out_of_round';
+        v_reason := format('Round %s is not the current round', p_round_number);
+    ELSIF NOT is_eligible_for_round(p_attempt_token, p_round_number) THEN
+        v_status := 'not_qualified';
+        v_reason := format('Not qualified from Round %s', p_round_number - 1);
+    ELSE
+        v_deadline := v_event.round_ends_at;
+        IF v_round.status = 'completed' AND v_round.ended_at IS NOT NULL
+           AND (v_deadline IS NULL OR v_round.ended_at < v_deadline) THEN
+            v_deadline := v_round.ended_at;
+        END IF;
+
+        IF v_deadline IS NOT NULL
+           AND v_now > v_deadline + make_interval(secs => COALESCE(p_grace_seconds, 0)) THEN
+            v_status := 'late';
+            v_reason := format('Submitted %s s after deadline',
+                FLOOR(EXTRACT(EPOCH FROM (v_now - v_deadline)))::INTEGER);
+        END IF;
+    END IF;
+
+    -- Server-side time taken (attempt ledger → round start fallback)
+    SELECT started_at INTO v_started_at
+    FROM attempts
+    WHERE attempt_token = p_attempt_token
+      AND round_number = p_round_number;
+
+    IF v_started_at IS NULL THEN
+        v_started_at := v_round.started_at;
+    END IF;
+
+    IF v_started_at IS NOT NULL THEN
+        v_server_time := GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (v_now - v_started_at))))::INTEGER;
+    END IF;
+
+    INSERT INTO submissions (
+        attempt_token, round_number, answers, time_taken_seconds, client_time_taken_seconds,
+        submitted_at, submission_status, flag_reason
+    )
+    VALUES (
+        p_attempt_token, p_round_number, COALESCE(p_answers, '[]'::jsonb), v_server_time, p_time_taken_seconds,
+        v_now, v_status, v_reason
+    )
+    ON CONFLICT (attempt_token, round_number) DO NOTHING;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'already_submitted', false,
+        'submission_status', v_status,
+        'message', CASE WHEN v_status = 'accepted'
+            THEN 'Submission recorded successfully'
+            ELSE 'Submission recorded (flagged)' END
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    -- Even on unexpected error, return success to avoid panic UI
+    RETURN jsonb_build_object(
+        'success', true,
+        'already_submitted', false,
+        'message', 'Submission processed'
+    );
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,130 @@
+-- ============================================================
+-- QUIZ CONQUEST v4.4 — ANSWER DRAFTS (AUTOSAVE + RESUME)
+-- Run this in Supabase SQL Editor AFTER v43_round_eligibility.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • answer_drafts table: latest in-progress answers per
+--     attempt_token per round (overwritten on every checkpoint)
+--   • save_answer_draft() — accepts checkpoints only while the
+--     round is live (deadline + grace)
+--   • submit_pending_drafts() — after round end, turns drafts of
+--     tokens that never sent a final submit into submissions
+--   • submissions.submission_source: 'client' | 'draft'
+-- ============================================================
+
+-- ============================================================
+-- NEW: answer_drafts
+-- ============================================================
+CREATE TABLE IF NOT EXISTS answer_drafts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    attempt_token UUID NOT NULL,
+    round_number INTEGER NOT NULL,
+    answers JSONB NOT NULL DEFAULT '[]'::jsonb,
+    current_question INTEGER DEFAULT 1,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(attempt_token, round_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_answer_drafts_round ON answer_drafts(round_number);
+
+ALTER TABLE answer_drafts ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role full access" ON answer_drafts;
+CREATE POLICY "Service role full access" ON answer_drafts FOR ALL USING (true) WITH CHECK (true);
+
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS submission_source VARCHAR(20) DEFAULT 'client';
+
+ALTER TABLE submissions DROP CONSTRAINT IF EXISTS submissions_submission_source_check;
+ALTER TABLE submissions ADD CONSTRAINT submissions_submission_source_check
+    CHECK (submission_source IN ('client', 'draft'));
+
+-- ============================================================
+-- FUNCTION: save_answer_draft(...)
+--
+-- Upserts the checkpoint. Returns FALSE (nothing saved) when the
+-- round is not the live one or its deadline + grace has passed,
+-- so a stale tab cannot rewrite answers after the round.
+-- ============================================================
+CREATE OR REPLACE FUNCTION save_answer_draft(
+    p_attempt_token UUID,
+    p_round_number INTEGER,
+    p_answers JSONB,
+    p_current_question INTEGER,
+    p_grace_seconds INTEGER DEFAULT 30
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_event RECORD;
+BEGIN
+    SELECT current_round, round_status, round_ends_at INTO v_event
+    FROM event_state WHERE id = 1;
+
+    IF v_event.current_round IS DISTINCT FROM p_round_number
+       OR v_event.round_status <> 'running'
+       OR (v_event.round_ends_at IS NOT NULL
+           AND NOW() > v_event.round_ends_at + make_interval(secs => COALESCE(p_grace_seconds, 0))) THEN
+        RETURN FALSE;
+    END IF;
+
+    INSERT INTO answer_drafts (attempt_token, round_number, answers, current_question, updated_at)
+    VALUES (p_attempt_token, p_round_number, COALESCE(p_answers, '[]'::jsonb), COALESCE(p_current_question, 1), NOW())
+    ON CONFLICT (attempt_token, round_number)
+    DO UPDATE SET
+        answers = EXCLUDED.answers,
+        current_question = EXCLUDED.current_question,
+        updated_at = NOW();
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: submit_pending_drafts(p_round_number)
+--
+-- Called by the server once the round has ended and the grace
+-- window has passed. Every draft without a submission becomes
+-- one (source = 'draft'):
+--   • submitted_at       = last checkpoint time
+--   • time_taken_seconds = last checkpoint − attempt start
+--   • status             = 'accepted', or 'not_qualified'
+-- Drafts are only saved while the round is live, so they are
+-- never late.
+-- IDEMPOTENT: tokens that already submitted are skipped.
+-- ============================================================
+CREATE OR REPLACE FUNCTION submit_pending_drafts(p_round_number INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    INSERT INTO submissions (
+        attempt_token, round_number, answers, time_taken_seconds,
+        submitted_at, submission_status, flag_reason, submission_source
+    )
+    SELECT
+        d.attempt_token,
+        d.round_number,
+        d.answers,
+        GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (d.updated_at - COALESCE(a.started_at, r.started_at)))))::INTEGER,
+        d.updated_at,
+        CASE WHEN is_eligible_for_round(d.attempt_token, d.round_number)
+            THEN 'accepted' ELSE 'not_qualified' END,
+        CASE WHEN is_eligible_for_round(d.attempt_token, d.round_number)
+            THEN NULL ELSE format('Not qualified from Round %s', d.round_number - 1) END,
+        'draft'
+    FROM answer_drafts d
+    LEFT JOIN attempts a
+        ON a.attempt_token = d.attempt_token AND a.round_number = d.round_number
+    LEFT JOIN rounds r
+        ON r.round_number = d.round_number
+    WHERE d.round_number = p_round_number
+      AND NOT EXISTS (
+          SELECT 1 FROM submissions s
+          WHERE s.attempt_token = d.attempt_token
+            AND s.round_number = d.round_number
+      )
+    ON CONFLICT (attempt_token, round_number) DO NOTHING;
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,158 @@
+-- ============================================================
+-- QUIZ CONQUEST v4.5 — ROUND PAUSE / RESUME / EXTEND
+-- Run this in Supabase SQL Editor AFTER v44_answer_drafts.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • event_state.round_status gains 'paused'
+--   • event_state.round_paused_at (when the current pause began)
+--   • pause_round() / resume_round() / extend_round() — single
+--     UPDATE each, so round_ends_at shifts atomically
+--   • Resume pushes round_ends_at forward by the paused duration
+--   • save_answer_draft() accepts checkpoints while paused
+-- ============================================================
+
+ALTER TABLE event_state ADD COLUMN IF NOT EXISTS round_paused_at TIMESTAMPTZ;
+
+ALTER TABLE event_state DROP CONSTRAINT IF EXISTS event_state_round_status_check;
+ALTER TABLE event_state ADD CONSTRAINT event_state_round_status_check
+    CHECK (round_status IN ('not_started', 'running', 'paused', 'completed'));
+
+-- ============================================================
+-- FUNCTION: pause_round(p_round_number)
+--
+-- running → paused. The countdown freezes at the pause instant.
+-- Returns { success, round_paused_at } or { success: false }.
+-- ============================================================
+CREATE OR REPLACE FUNCTION pause_round(p_round_number INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    v_state RECORD;
+BEGIN
+    UPDATE event_state
+    SET round_status = 'paused',
+        round_paused_at = NOW(),
+        updated_at = NOW()
+    WHERE id = 1
+      AND current_round = p_round_number
+      AND round_status = 'running'
+    RETURNING round_paused_at, round_ends_at INTO v_state;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('success', false, 'message', 'Round is not running');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'round_paused_at', v_state.round_paused_at,
+        'round_ends_at', v_state.round_ends_at
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: resume_round(p_round_number)
+--
+-- paused → running. round_ends_at += time spent paused, so no
+-- exam time is lost.
+-- ============================================================
+CREATE OR REPLACE FUNCTION resume_round(p_round_number INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    v_state RECORD;
+    v_paused_seconds INTEGER;
+BEGIN
+    SELECT GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (NOW() - round_paused_at))))::INTEGER
+    INTO v_paused_seconds
+    FROM event_state
+    WHERE id = 1;
+
+    UPDATE event_state
+    SET round_status = 'running',
+        round_ends_at = round_ends_at + (NOW() - round_paused_at),
+        round_paused_at = NULL,
+        updated_at = NOW()
+    WHERE id = 1
+      AND current_round = p_round_number
+      AND round_status = 'paused'
+    RETURNING round_ends_at INTO v_state;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('success', false, 'message', 'Round is not paused');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'round_ends_at', v_state.round_ends_at,
+        'paused_seconds', v_paused_seconds
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: extend_round(p_round_number, p_minutes)
+--
+-- round_ends_at += p_minutes (running or paused rounds only).
+-- ============================================================
+CREATE OR REPLACE FUNCTION extend_round(p_round_number INTEGER, p_minutes INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    v_state RECORD;
+BEGIN
+    UPDATE event_state
+    SET round_ends_at = round_ends_at + make_interval(mins => p_minutes),
+        updated_at = NOW()
+    WHERE id = 1
+      AND current_round = p_round_number
+      AND round_status IN ('running', 'paused')
+    RETURNING round_ends_at INTO v_state;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('success', false, 'message', 'Round is not running');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'round_ends_at', v_state.round_ends_at
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: save_answer_draft(...)
+--
+-- As v4.4, but also accepts checkpoints while the round is paused.
+-- ============================================================
+CREATE OR REPLACE FUNCTION save_answer_draft(
+    p_attempt_token UUID,
+    p_round_number INTEGER,
+    p_answers JSONB,
+    p_current_question INTEGER,
+    p_grace_seconds INTEGER DEFAULT 30
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_event RECORD;
+BEGIN
+    SELECT current_round, round_status, round_ends_at INTO v_event
+    FROM event_state WHERE id = 1;
+
+    IF v_event.current_round IS DISTINCT FROM p_round_number
+       OR v_event.round_status NOT IN ('running', 'paused')
+       OR (v_event.round_status = 'running'
+           AND v_event.round_ends_at IS NOT NULL
+           AND NOW() > v_event.round_ends_at + make_interval(secs => COALESCE(p_grace_seconds, 0))) THEN
+        RETURN FALSE;
+    END IF;
+
+    INSERT INTO answer_drafts (attempt_token, round_number, answers, current_question, updated_at)
+    VALUES (p_attempt_token, p_round_number, COALESCE(p_answers, '[]'::jsonb), COALESCE(p_current_question, 1), NOW())
+    ON CONFLICT (attempt_token, round_number)
+    DO UPDATE SET
+        answers = EXCLUDED.answers,
+        current_question = EXCLUDED.current_question,
+        updated_at = NOW();
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,255 @@
+-- ============================================================
+-- QUIZ CONQUEST v4.6 — PER-PARTICIPANT TIME EXTENSIONS
+-- Run this in Supabase SQL Editor AFTER v45_round_pause.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • time_extensions table: extra seconds for one attempt_token
+--     in one round (late joiners, hardware issues, accommodations)
+--   • round_deadline_for() — personal deadline
+--     = round deadline (round_ends_at, or ended_at if ended early)
+--       + extra_seconds. Pause/resume/extend shift it too.
+--   • round_final_deadline() — latest personal deadline of a round
+--     (the scheduler waits for it before post-round work)
+--   • submit_bulk_answers() / save_answer_draft() honour it
+-- ============================================================
+
+-- ============================================================
+-- NEW: time_extensions
+-- ============================================================
+CREATE TABLE IF NOT EXISTS time_extensions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    attempt_token UUID NOT NULL,
+    round_number INTEGER NOT NULL,
+    extra_seconds INTEGER NOT NULL CHECK (extra_seconds > 0),
+    reason TEXT,
+    granted_by UUID REFERENCES admins(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(attempt_token, round_number)
+);
+
+ALTER TABLE time_extensions ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role full access" ON time_extensions;
+CREATE POLICY "Service role full access" ON time_extensions FOR ALL USING (true) WITH CHECK (true);
+
+-- ============================================================
+-- FUNCTION: round_base_deadline(p_round_number)
+--
+-- round_ends_at for the current round, or ended_at if the admin
+-- ended it earlier. NULL if unknown.
+-- ============================================================
+CREATE OR REPLACE FUNCTION round_base_deadline(p_round_number INTEGER)
+RETURNS TIMESTAMPTZ AS $$
+DECLARE
+    v_event RECORD;
+    v_round RECORD;
+    v_deadline TIMESTAMPTZ;
+BEGIN
+    SELECT current_round, round_ends_at INTO v_event
+    FROM event_state WHERE id = 1;
+
+    SELECT status, ended_at INTO v_round
+    FROM rounds WHERE round_number = p_round_number;
+
+    IF v_event.current_round IS NOT DISTINCT FROM p_round_number THEN
+        v_deadline := v_event.round_ends_at;
+    END IF;
+
+    IF v_round.status = 'completed' AND v_round.ended_at IS NOT NULL
+       AND (v_deadline IS NULL OR v_round.ended_at < v_deadline) THEN
+        v_deadline := v_round.ended_at;
+    END IF;
+
+    RETURN v_deadline;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- ============================================================
+-- FUNCTION: round_deadline_for(p_attempt_token, p_round_number)
+-- ============================================================
+CREATE OR REPLACE FUNCTION round_deadline_for(
+    p_attempt_token UUID,
+    p_round_number INTEGER
+)
+RETURNS TIMESTAMPTZ AS $$
+DECLARE
+    v_extra INTEGER;
+BEGIN
+    SELECT extra_seconds INTO v_extra
+    FROM time_extensions
+    WHERE attempt_token = p_attempt_token
+      AND round_number = p_round_number;
+
+    RETURN round_base_deadline(p_round_number) + make_interval(secs => COALESCE(v_extra, 0));
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- ============================================================
+-- FUNCTION: round_final_deadline(p_round_number)
+-- ============================================================
+CREATE OR REPLACE FUNCTION round_final_deadline(p_round_number INTEGER)
+RETURNS TIMESTAMPTZ AS $$
+DECLARE
+    v_max_extra INTEGER;
+BEGIN
+    SELECT MAX(extra_seconds) INTO v_max_extra
+    FROM time_extensions
+    WHERE round_number = p_round_number;
+
+    RETURN round_base_deadline(p_round_number) + make_interval(secs => COALESCE(v_max_extra, 0));
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- ============================================================
+-- FUNCTION: submit_bulk_answers(...)
+--
+-- As v4.3, with the deadline taken from round_deadline_for().
+-- ============================================================
+CREATE OR REPLACE FUNCTION submit_bulk_answers(
+    p_attempt_token UUID,
+    p_round_number INTEGER,
+    p_answers JSONB,
+    p_time_taken_seconds INTEGER,
+    p_grace_seconds INTEGER DEFAULT 30
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_existing_id UUID;
+    v_event RECORD;
+    v_round RECORD;
+    v_now TIMESTAMPTZ := NOW();
+    v_deadline TIMESTAMPTZ;
+    v_started_at TIMESTAMPTZ;
+    v_server_time INTEGER;
+    v_status VARCHAR(20) := 'accepted';
+    v_reason TEXT;
+BEGIN
+    -- Check if already submitted (idempotent guard)
+    SELECT id INTO v_existing_id
+    FROM submissions
+    WHERE attempt_token = p_attempt_token
+      AND round_number = p_round_number;
+
+    IF v_existing_id IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'success', true,
+            'already_submitted', true,
+            'message', 'Submission already recorded'
+        );
+    END IF;
+
+    -- Live round state
+    SELECT current_round, round_status, round_ends_at INTO v_event
+    FROM event_state WHERE id = 1;
+
+    SELECT status, started_at, ended_at INTO v_round
+    FROM rounds WHERE round_number = p_round_number;
+
+    IF NOT FOUND OR v_round.started_at IS NULL OR v_round.status = 'pending' THEN
+        v_status := 'out_of_round';
+        v_reason := 'Round has not been started';
+    ELSIF v_event.current_round IS DISTINCT FROM p_round_number THEN
+        v_status := 'out_of_round';
+        v_reason := format('Round %s is not the current round', p_round_number);
+    ELSIF NOT is_eligible_for_round(p_attempt_token, p_round_number) THEN
+        v_status := 'not_qualified';
+        v_reason := format('Not qualified from Round %s', p_round_number - 1);
+    ELSE
+        v_deadline := round_deadline_for(p_attempt_token, p_round_number);
+
+        IF v_deadline IS NOT NULL
+           AND v_now > v_deadline + make_interval(secs => COALESCE(p_grace_seconds, 0)) THEN
+            v_status := 'late';
+            v_reason := format('Submitted %s s after deadline',
+                FLOOR(EXTRACT(EPOCH FROM (v_now - v_deadline)))::INTEGER);
+        END IF;
+    END IF;
+
+    -- Server-side time taken (attempt ledger → round start fallback)
+    SELECT started_at INTO v_started_at
+    FROM attempts
+    WHERE attempt_token = p_attempt_token
+      AND round_number = p_round_number;
+
+    IF v_started_at IS NULL THEN
+        v_started_at := v_round.started_at;
+    END IF;
+
+    IF v_started_at IS NOT NULL THEN
+        v_server_time := GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (v_now - v_started_at))))::INTEGER;
+    END IF;
+
+    INSERT INTO submissions (
+        attempt_token, round_number, answers, time_taken_seconds, client_time_taken_seconds,
+        submitted_at, submission_status, flag_reason
+    )
+    VALUES (
+        p_attempt_token, p_round_number, COALESCE(p_answers, '[]'::jsonb), v_server_time, p_time_taken_seconds,
+        v_now, v_status, v_reason
+    )
+    ON CONFLICT (attempt_token, round_number) DO NOTHING;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'already_submitted', false,
+        'submission_status', v_status,
+        'message', CASE WHEN v_status = 'accepted'
+            THEN 'Submission recorded successfully'
+            ELSE 'Submission recorded (flagged)' END
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    -- Even on unexpected error, return success to avoid panic UI
+    RETURN jsonb_build_object(
+        'success', true,
+        'already_submitted', false,
+        'message', 'Submission processed'
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: save_answer_draft(...)
+--
+-- As v4.5; a token with an extension may keep checkpointing after
+-- the round has ended globally, up to its personal deadline.
+-- ============================================================
+CREATE OR REPLACE FUNCTION save_answer_draft(
+    p_attempt_token UUID,
+    p_round_number INTEGER,
+    p_answers JSONB,
+    p_current_question INTEGER,
+    p_grace_seconds INTEGER DEFAULT 30
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_event RECORD;
+    v_deadline TIMESTAMPTZ;
+BEGIN
+    SELECT current_round, round_status INTO v_event
+    FROM event_state WHERE id = 1;
+
+    IF v_event.current_round IS DISTINCT FROM p_round_number
+       OR v_event.round_status NOT IN ('running', 'paused', 'completed') THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_event.round_status <> 'paused' THEN
+        v_deadline := round_deadline_for(p_attempt_token, p_round_number);
+        IF v_deadline IS NOT NULL
+           AND NOW() > v_deadline + make_interval(secs => COALESCE(p_grace_seconds, 0)) THEN
+            RETURN FALSE;
+        END IF;
+    END IF;
+
+    INSERT INTO answer_drafts (attempt_token, round_number, answers, current_question, updated_at)
+    VALUES (p_attempt_token, p_round_number, COALESCE(p_answers, '[]'::jsonb), COALESCE(p_current_question, 1), NOW())
+    ON CONFLICT (attempt_token, round_number)
+    DO UPDATE SET
+        answers = EXCLUDED.answers,
+        current_question = EXCLUDED.current_question,
+        updated_at = NOW();
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
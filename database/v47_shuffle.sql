@@ -0,0 +1,18 @@
+-- ============================================================
+-- QUIZ CONQUEST v4.7 — PER-TOKEN QUESTION / OPTION SHUFFLE
+-- Run this in Supabase SQL Editor AFTER v46_time_extensions.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • rounds.shuffle_questions — serve questions in a per-token order
+--   • rounds.shuffle_options   — serve options A–D in a per-token order
+--
+-- The order is derived from attempt_token (see
+-- server/services/shuffle.js), so nothing per token is stored.
+-- The server maps displayed labels back to canonical options before
+-- submit_bulk_answers() / save_answer_draft(), so evaluate_round()
+-- is unchanged.
+-- ============================================================
+
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS shuffle_questions BOOLEAN DEFAULT FALSE;
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS shuffle_options BOOLEAN DEFAULT FALSE;
@@ -0,0 +1,221 @@
+-- ============================================================
+-- QUIZ CONQUEST v4.8 — PROCTORING EVENTS + DISQUALIFICATION
+-- Run this in Supabase SQL Editor AFTER v47_shuffle.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • proctoring_events table: timestamped tab switches, focus
+--     losses and fullscreen exits per attempt_token per round
+--     (replaces the unused V3 handle_tab_switch() RPC)
+--   • submissions.submission_type: 'manual' | 'auto_timer' |
+--     'auto_violation' as sent by the client (NULL for drafts)
+--   • submit_bulk_answers() gains p_submission_type
+--   • disqualifications table: one row per disqualified token per
+--     round; rank_round() leaves those tokens unranked, so
+--     shortlist_round() never qualifies them
+-- ============================================================
+
+-- ============================================================
+-- NEW: proctoring_events
+-- ============================================================
+CREATE TABLE IF NOT EXISTS proctoring_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    attempt_token UUID NOT NULL,
+    round_number INTEGER NOT NULL,
+    event_type VARCHAR(30) NOT NULL
+        CHECK (event_type IN ('tab_switch', 'focus_loss', 'fullscreen_exit')),
+    details JSONB,
+    client_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_proctoring_events_round
+    ON proctoring_events(round_number, attempt_token);
+
+ALTER TABLE proctoring_events ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role full access" ON proctoring_events;
+CREATE POLICY "Service role full access" ON proctoring_events FOR ALL USING (true) WITH CHECK (true);
+
+-- ============================================================
+-- NEW: disqualifications
+-- ============================================================
+CREATE TABLE IF NOT EXISTS disqualifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    attempt_token UUID NOT NULL,
+    round_number INTEGER NOT NULL,
+    reason TEXT NOT NULL,
+    disqualified_by UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(attempt_token, round_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_disqualifications_round ON disqualifications(round_number);
+
+ALTER TABLE disqualifications ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role full access" ON disqualifications;
+CREATE POLICY "Service role full access" ON disqualifications FOR ALL USING (true) WITH CHECK (true);
+
+-- ============================================================
+-- submissions.submission_type
+-- ============================================================
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS submission_type VARCHAR(20);
+
+ALTER TABLE submissions DROP CONSTRAINT IF EXISTS submissions_submission_type_check;
+ALTER TABLE submissions ADD CONSTRAINT submissions_submission_type_check
+    CHECK (submission_type IS NULL OR submission_type IN ('manual', 'auto_timer', 'auto_violation'));
+
+-- ============================================================
+-- FUNCTION: submit_bulk_answers(...)
+--
+-- As v4.6, plus p_submission_type stored on the row.
+-- The old 5-argument version is dropped so RPC calls stay
+-- unambiguous.
+-- ============================================================
+DROP FUNCTION IF EXISTS submit_bulk_answers(UUID, INTEGER, JSONB, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION submit_bulk_answers(
+    p_attempt_token UUID,
+    p_round_number INTEGER,
+    p_answers JSONB,
+    p_time_taken_seconds INTEGER,
+    p_grace_seconds INTEGER DEFAULT 30,
+    p_submission_type VARCHAR DEFAULT 'manual'
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_existing_id UUID;
+    v_event RECORD;
+    v_round RECORD;
+    v_now TIMESTAMPTZ := NOW();
+    v_deadline TIMESTAMPTZ;
+    v_started_at TIMESTAMPTZ;
+    v_server_time INTEGER;
+    v_status VARCHAR(20) := 'accepted';
+    v_reason TEXT;
+BEGIN
+    -- Check if already submitted (idempotent guard)
+    SELECT id INTO v_existing_id
+    FROM submissions
+    WHERE attempt_token = p_attempt_token
+      AND round_number = p_round_number;
+
+    IF v_existing_id IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'success', true,
+            'already_submitted', true,
+            'message', 'Submission already recorded'
+        );
+    END IF;
+
+    -- Live round state
+    SELECT current_round, round_status, round_ends_at INTO v_event
+    FROM event_state WHERE id = 1;
+
+    SELECT status, started_at, ended_at INTO v_round
+    FROM rounds WHERE round_number = p_round_number;
+
+    IF NOT FOUND OR v_round.started_at IS NULL OR v_round.status = 'pending' THEN
+        v_status := 'out_of_round';
+        v_reason := 'Round has not been started';
+    ELSIF v_event.current_round IS DISTINCT FROM p_round_number THEN
+        v_status := 'out_of_round';
+        v_reason := format('Round %s is not the current round', p_round_number);
+    ELSIF NOT is_eligible_for_round(p_attempt_token, p_round_number) THEN
+        v_status := 'not_qualified';
+        v_reason := format('Not qualified from Round %s', p_round_number - 1);
+    ELSE
+        v_deadline := round_deadline_for(p_attempt_token, p_round_number);
+
+        IF v_deadline IS NOT NULL
+           AND v_now > v_deadline + make_interval(secs => COALESCE(p_grace_seconds, 0)) THEN
+            v_status := 'late';
+            v_reason := format('Submitted %s s after deadline',
+                FLOOR(EXTRACT(EPOCH FROM (v_now - v_deadline)))::INTEGER);
+        END IF;
+    END IF;
+
+    -- Server-side time taken (attempt ledger → round start fallback)
+    SELECT started_at INTO v_started_at
+    FROM attempts
+    WHERE attempt_token = p_attempt_token
+      AND round_number = p_round_number;
+
+    IF v_started_at IS NULL THEN
+        v_started_at := v_round.started_at;
+    END IF;
+
+    IF v_started_at IS NOT NULL THEN
+        v_server_time := GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (v_now - v_started_at))))::INTEGER;
+    END IF;
+
+    INSERT INTO submissions (
+        attempt_token, round_number, answers, time_taken_seconds, client_time_taken_seconds,
+        submitted_at, submission_status, flag_reason, submission_type
+    )
+    VALUES (
+        p_attempt_token, p_round_number, COALESCE(p_answers, '[]'::jsonb), v_server_time, p_time_taken_seconds,
+        v_now, v_status, v_reason,
+        CASE WHEN p_submission_type IN ('manual', 'auto_timer', 'auto_violation')
+            THEN p_submission_type ELSE 'manual' END
+    )
+    ON CONFLICT (attempt_token, round_number) DO NOTHING;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'already_submitted', false,
+        'submission_status', v_status,
+        'message', CASE WHEN v_status = 'accepted'
+            THEN 'Submission recorded successfully'
+            ELSE 'Submission recorded (flagged)' END
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    -- Even on unexpected error, return success to avoid panic UI
+    RETURN jsonb_build_object(
+        'success', true,
+        'already_submitted', false,
+        'message', 'Submission processed'
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: rank_round(p_round_number)
+--
+-- DETERMINISTIC RANKING:
+--   ORDER BY score DESC, time_taken_seconds ASC, attempt_token ASC
+-- Disqualified tokens keep their score but get no rank, so
+-- shortlist_round() (rank IS NOT NULL) skips them.
+-- ============================================================
+CREATE OR REPLACE FUNCTION rank_round(p_round_number INTEGER)
+RETURNS VOID AS $$
+BEGIN
+    -- Reset all ranks for this round
+    UPDATE results
+    SET rank = NULL, qualified_for_next = FALSE
+    WHERE round_number = p_round_number;
+
+    -- Assign deterministic ranks
+    WITH ranked AS (
+        SELECT
+            res.id,
+            ROW_NUMBER() OVER (
+                ORDER BY
+                    res.score DESC,
+                    res.time_taken_seconds ASC NULLS LAST,
+                    res.attempt_token ASC
+            ) AS new_rank
+        FROM results res
+        WHERE res.round_number = p_round_number
+          AND NOT EXISTS (
+              SELECT 1 FROM disqualifications d
+              WHERE d.attempt_token = res.attempt_token
+                AND d.round_number = res.round_number
+          )
+    )
+    UPDATE results r
+    SET rank = rk.new_rank
+    FROM ranked rk
+    WHERE r.id = rk.id;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,138 @@
+-- ============================================================
+-- QUIZ CONQUEST v4.9 — CONFIGURABLE ROUNDS
+-- Run this in Supabase SQL Editor AFTER v48_proctoring.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • rounds.round_number no longer limited to 1–3 (any N ≥ 1)
+--   • rounds.name — display name ("Prelims", "Final", …);
+--     NULL shows as "Round N"
+--   • questions → rounds FK cascades on renumber / delete
+--   • swap_rounds(a, b) — reorder two not-yet-started rounds
+--   • delete_round(n)   — delete a not-yet-started round and
+--     close the gap (later rounds move down by one)
+--
+-- Rounds stay numbered 1..N without gaps: round N admits the
+-- tokens shortlisted in round N−1 (is_eligible_for_round), so
+-- reorder / delete renumber instead of keeping a separate order.
+-- ============================================================
+
+ALTER TABLE rounds DROP CONSTRAINT IF EXISTS rounds_round_number_check;
+ALTER TABLE rounds ADD CONSTRAINT rounds_round_number_check CHECK (round_number >= 1);
+
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS name VARCHAR(100);
+
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_round_number_fkey;
+ALTER TABLE questions ADD CONSTRAINT questions_round_number_fkey
+    FOREIGN KEY (round_number) REFERENCES rounds(round_number)
+    ON UPDATE CASCADE ON DELETE CASCADE;
+
+-- ============================================================
+-- HELPER: round_is_untouched(p_round_number)
+--
+-- TRUE when the round has never been started and nobody has
+-- fetched its questions or submitted — safe to renumber / delete.
+-- ============================================================
+CREATE OR REPLACE FUNCTION round_is_untouched(p_round_number INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1 FROM rounds
+        WHERE round_number = p_round_number
+          AND status = 'pending'
+          AND started_at IS NULL
+    )
+    AND NOT EXISTS (SELECT 1 FROM attempts WHERE round_number = p_round_number)
+    AND NOT EXISTS (SELECT 1 FROM submissions WHERE round_number = p_round_number);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- ============================================================
+-- FUNCTION: swap_rounds(p_a, p_b)
+--
+-- Swaps the numbers of two untouched rounds. Questions follow
+-- via the FK cascade; wildcards are moved explicitly.
+-- Returns { success, message }.
+-- ============================================================
+CREATE OR REPLACE FUNCTION swap_rounds(p_a INTEGER, p_b INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    v_tmp INTEGER;
+BEGIN
+    IF p_a = p_b THEN
+        RETURN jsonb_build_object('success', false, 'message', 'Rounds must differ');
+    END IF;
+
+    IF NOT round_is_untouched(p_a) OR NOT round_is_untouched(p_b) THEN
+        RETURN jsonb_build_object('success', false,
+            'message', 'Only rounds that have not started can be reordered');
+    END IF;
+
+    -- Park round a on a free number while b moves into its slot
+    SELECT MAX(round_number) + 1 INTO v_tmp FROM rounds;
+
+    UPDATE rounds SET round_number = v_tmp WHERE round_number = p_a;
+    UPDATE round_wildcards SET round_number = v_tmp WHERE round_number = p_a;
+
+    UPDATE rounds SET round_number = p_a WHERE round_number = p_b;
+    UPDATE round_wildcards SET round_number = p_a WHERE round_number = p_b;
+
+    UPDATE rounds SET round_number = p_b WHERE round_number = v_tmp;
+    UPDATE round_wildcards SET round_number = p_b WHERE round_number = v_tmp;
+
+    RETURN jsonb_build_object('success', true,
+        'message', format('Rounds %s and %s swapped', p_a, p_b));
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: delete_round(p_round_number)
+--
+-- Deletes an untouched round (its questions cascade) and moves
+-- every later round down by one. All later rounds must be
+-- untouched too. Returns { success, message }.
+-- ============================================================
+CREATE OR REPLACE FUNCTION delete_round(p_round_number INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    v_later RECORD;
+BEGIN
+    IF NOT round_is_untouched(p_round_number) THEN
+        RETURN jsonb_build_object('success', false,
+            'message', 'Only rounds that have not started can be deleted');
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM rounds
+        WHERE round_number > p_round_number
+          AND NOT round_is_untouched(round_number)
+    ) THEN
+        RETURN jsonb_build_object('success', false,
+            'message', 'A later round has already started');
+    END IF;
+
+    IF (SELECT COUNT(*) FROM rounds) <= 1 THEN
+        RETURN jsonb_build_object('success', false,
+            'message', 'At least one round is required');
+    END IF;
+
+    DELETE FROM round_wildcards WHERE round_number = p_round_number;
+    DELETE FROM time_extensions WHERE round_number = p_round_number;
+    DELETE FROM rounds WHERE round_number = p_round_number;
+
+    -- Close the gap, lowest first so each target number is free
+    FOR v_later IN
+        SELECT round_number FROM rounds
+        WHERE round_number > p_round_number
+        ORDER BY round_number ASC
+    LOOP
+        UPDATE rounds SET round_number = v_later.round_number - 1
+        WHERE round_number = v_later.round_number;
+        UPDATE round_wildcards SET round_number = v_later.round_number - 1
+        WHERE round_number = v_later.round_number;
+    END LOOP;
+
+    RETURN jsonb_build_object('success', true,
+        'message', format('Round %s deleted', p_round_number));
+END;
+$$ LANGUAGE plpgsql;
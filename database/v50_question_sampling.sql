@@ -0,0 +1,94 @@
+-- ============================================================
+-- QUIZ CONQUEST v5.0 — QUESTION POOLS & PER-TOKEN SAMPLING
+-- Run this in Supabase SQL Editor AFTER v49_configurable_rounds.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • rounds.total_questions is now "questions served per
+--     participant" — a round may hold a larger pool
+--   • rounds.sample_stratify_by — NULL (plain random sample),
+--     'topic' or 'difficulty' (each group keeps its share of the
+--     pool in every sample)
+--   • questions.topic / questions.difficulty — optional tags used
+--     for stratified sampling
+--   • attempts.question_ids — the set served to the token, fixed
+--     at its first question fetch (NULL = the whole pool)
+--   • evaluate_round() scores only answers to the token's own set
+--
+-- The sample is drawn in server/services/sampling.js from a hash of
+-- attempt_token, then stored here so later pool edits never change
+-- a paper that is already being answered.
+-- ============================================================
+
+ALTER TABLE rounds DROP CONSTRAINT IF EXISTS rounds_total_questions_check;
+UPDATE rounds SET total_questions = 15 WHERE total_questions IS NULL OR total_questions < 1;
+ALTER TABLE rounds ALTER COLUMN total_questions SET DEFAULT 15;
+ALTER TABLE rounds ALTER COLUMN total_questions SET NOT NULL;
+ALTER TABLE rounds ADD CONSTRAINT rounds_total_questions_check CHECK (total_questions >= 1);
+
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS sample_stratify_by VARCHAR(20);
+ALTER TABLE rounds DROP CONSTRAINT IF EXISTS rounds_sample_stratify_by_check;
+ALTER TABLE rounds ADD CONSTRAINT rounds_sample_stratify_by_check
+    CHECK (sample_stratify_by IS NULL OR sample_stratify_by IN ('topic', 'difficulty'));
+
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS topic VARCHAR(100);
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS difficulty VARCHAR(20);
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_difficulty_check;
+ALTER TABLE questions ADD CONSTRAINT questions_difficulty_check
+    CHECK (difficulty IS NULL OR difficulty IN ('easy', 'medium', 'hard'));
+
+ALTER TABLE attempts ADD COLUMN IF NOT EXISTS question_ids UUID[];
+
+-- ============================================================
+-- FUNCTION: evaluate_round(p_round_number)
+--
+-- As v4.2, but when the token was served a sample
+-- (attempts.question_ids set) only answers to those questions
+-- count — an answer to any other pool question scores nothing.
+-- Each question scores at most once, so the score never exceeds
+-- the size of the token's own set.
+-- ============================================================
+CREATE OR REPLACE FUNCTION evaluate_round(p_round_number INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    DELETE FROM results r
+    USING submissions s
+    WHERE r.attempt_token = s.attempt_token
+      AND r.round_number = s.round_number
+      AND s.round_number = p_round_number
+      AND s.submission_status <> 'accepted';
+
+    INSERT INTO results (attempt_token, round_number, score, time_taken_seconds, client_time_taken_seconds, evaluated_at)
+    SELECT
+        s.attempt_token,
+        s.round_number,
+        (
+            SELECT COUNT(DISTINCT q.id)
+            FROM jsonb_array_elements(s.answers) AS ans
+            JOIN questions q ON q.id = (ans->>'question_id')::UUID
+            WHERE UPPER(TRIM(ans->>'selected_option')) = UPPER(TRIM(q.correct_option))
+              AND q.round_number = p_round_number
+              AND (a.question_ids IS NULL OR q.id = ANY(a.question_ids))
+        ) AS score,
+        s.time_taken_seconds,
+        s.client_time_taken_seconds,
+        NOW()
+    FROM submissions s
+    LEFT JOIN attempts a
+      ON a.attempt_token = s.attempt_token
+     AND a.round_number = s.round_number
+    WHERE s.round_number = p_round_number
+      AND s.submission_status = 'accepted'
+    ON CONFLICT (attempt_token, round_number)
+    DO UPDATE SET
+        score = EXCLUDED.score,
+        time_taken_seconds = EXCLUDED.time_taken_seconds,
+        client_time_taken_seconds = EXCLUDED.client_time_taken_seconds,
+        evaluated_at = NOW();
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
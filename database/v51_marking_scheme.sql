@@ -0,0 +1,122 @@
+-- ============================================================
+-- QUIZ CONQUEST v5.1 — MARKING SCHEMES & QUESTION WEIGHTS
+-- Run this in Supabase SQL Editor AFTER v50_question_sampling.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • rounds.marks_correct / marks_wrong / marks_unanswered —
+--     points per question (e.g. +4 / −1 / 0); defaults keep the
+--     old plain count (1 / 0 / 0)
+--   • questions.weight — multiplier for every mark on the
+--     question (e.g. 2 for a bonus-weighted final question)
+--   • results.score is now NUMERIC(10,2) (may be fractional or
+--     negative); results.correct_count / wrong_count /
+--     unanswered_count keep the breakdown
+--   • evaluate_round() applies the round's scheme to the token's
+--     own question set (v5.0 sample, or the whole pool)
+--
+-- Ranking is unchanged: score DESC, then server time ASC.
+-- ============================================================
+
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS marks_correct NUMERIC(6,2) NOT NULL DEFAULT 1;
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS marks_wrong NUMERIC(6,2) NOT NULL DEFAULT 0;
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS marks_unanswered NUMERIC(6,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS weight NUMERIC(6,2) NOT NULL DEFAULT 1;
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_weight_check;
+ALTER TABLE questions ADD CONSTRAINT questions_weight_check CHECK (weight > 0);
+
+ALTER TABLE results ALTER COLUMN score TYPE NUMERIC(10,2);
+ALTER TABLE results ADD COLUMN IF NOT EXISTS correct_count INTEGER;
+ALTER TABLE results ADD COLUMN IF NOT EXISTS wrong_count INTEGER;
+ALTER TABLE results ADD COLUMN IF NOT EXISTS unanswered_count INTEGER;
+
+-- ============================================================
+-- FUNCTION: evaluate_round(p_round_number)
+--
+-- As v5.0, with marking. For every question in the token's set:
+--   correct    → marks_correct    × weight
+--   wrong      → marks_wrong      × weight
+--   unanswered → marks_unanswered × weight
+-- Only the first answer given for a question counts.
+-- ============================================================
+CREATE OR REPLACE FUNCTION evaluate_round(p_round_number INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+    v_correct NUMERIC;
+    v_wrong NUMERIC;
+    v_unanswered NUMERIC;
+BEGIN
+    SELECT COALESCE(marks_correct, 1), COALESCE(marks_wrong, 0), COALESCE(marks_unanswered, 0)
+    INTO v_correct, v_wrong, v_unanswered
+    FROM rounds WHERE round_number = p_round_number;
+
+    IF NOT FOUND THEN
+        v_correct := 1;
+        v_wrong := 0;
+        v_unanswered := 0;
+    END IF;
+
+    DELETE FROM results r
+    USING submissions s
+    WHERE r.attempt_token = s.attempt_token
+      AND r.round_number = s.round_number
+      AND s.round_number = p_round_number
+      AND s.submission_status <> 'accepted';
+
+    INSERT INTO results (
+        attempt_token, round_number, score, correct_count, wrong_count, unanswered_count,
+        time_taken_seconds, client_time_taken_seconds, evaluated_at
+    )
+    SELECT
+        s.attempt_token,
+        s.round_number,
+        COALESCE(m.score, 0),
+        COALESCE(m.correct_count, 0),
+        COALESCE(m.wrong_count, 0),
+        COALESCE(m.unanswered_count, 0),
+        s.time_taken_seconds,
+        s.client_time_taken_seconds,
+        NOW()
+    FROM submissions s
+    LEFT JOIN attempts a
+      ON a.attempt_token = s.attempt_token
+     AND a.round_number = s.round_number
+    CROSS JOIN LATERAL (
+        SELECT
+            SUM(COALESCE(q.weight, 1) * CASE
+                WHEN ans.selected IS NULL THEN v_unanswered
+                WHEN ans.selected = UPPER(TRIM(q.correct_option)) THEN v_correct
+                ELSE v_wrong
+            END) AS score,
+            COUNT(*) FILTER (WHERE ans.selected = UPPER(TRIM(q.correct_option))) AS correct_count,
+            COUNT(*) FILTER (WHERE ans.selected IS NOT NULL
+                               AND ans.selected <> UPPER(TRIM(q.correct_option))) AS wrong_count,
+            COUNT(*) FILTER (WHERE ans.selected IS NULL) AS unanswered_count
+        FROM questions q
+        LEFT JOIN LATERAL (
+            SELECT NULLIF(UPPER(TRIM(x->>'selected_option')), '') AS selected
+            FROM jsonb_array_elements(s.answers) AS x
+            WHERE LOWER(x->>'question_id') = q.id::TEXT
+            LIMIT 1
+        ) ans ON TRUE
+        WHERE q.round_number = p_round_number
+          AND (a.question_ids IS NULL OR q.id = ANY(a.question_ids))
+    ) m
+    WHERE s.round_number = p_round_number
+      AND s.submission_status = 'accepted'
+    ON CONFLICT (attempt_token, round_number)
+    DO UPDATE SET
+        score = EXCLUDED.score,
+        correct_count = EXCLUDED.correct_count,
+        wrong_count = EXCLUDED.wrong_count,
+        unanswered_count = EXCLUDED.unanswered_count,
+        time_taken_seconds = EXCLUDED.time_taken_seconds,
+        client_time_taken_seconds = EXCLUDED.client_time_taken_seconds,
+        evaluated_at = NOW();
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
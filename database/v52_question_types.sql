@@ -0,0 +1,214 @@
+-- ============================================================
+-- QUIZ CONQUEST v5.2 — QUESTION TYPES
+-- Run this in Supabase SQL Editor AFTER v51_marking_scheme.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • questions.question_type — 'single' (default), 'true_false',
+--     'multiple' (several correct) or 'numeric'
+--   • option_e / option_f — up to six options; option_a … option_d
+--     become nullable (numeric questions have none, two-option
+--     questions leave C–F empty)
+--   • correct_option is now the key letters, sorted ('B', 'AC');
+--     NULL for numeric questions
+--   • correct_numeric / numeric_tolerance — numeric answer key,
+--     accepted within ± tolerance
+--   • partial_credit — multiple-correct questions score the share
+--     of the key picked (wrong picks cancel right ones, floor 0)
+--     instead of all-or-nothing
+--   • answer_credit() — 0..1 credit for one answer (NULL = blank)
+--   • evaluate_round() scores with answer_credit()
+--
+-- Answers stay [{ question_id, selected_option }]; selected_option
+-- holds 'B', 'AC' or the typed number as text.
+-- ============================================================
+
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS question_type VARCHAR(20) NOT NULL DEFAULT 'single';
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_question_type_check;
+ALTER TABLE questions ADD CONSTRAINT questions_question_type_check
+    CHECK (question_type IN ('single', 'true_false', 'multiple', 'numeric'));
+
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS option_e TEXT;
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS option_f TEXT;
+ALTER TABLE questions ALTER COLUMN option_a DROP NOT NULL;
+ALTER TABLE questions ALTER COLUMN option_b DROP NOT NULL;
+ALTER TABLE questions ALTER COLUMN option_c DROP NOT NULL;
+ALTER TABLE questions ALTER COLUMN option_d DROP NOT NULL;
+
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_correct_option_check;
+ALTER TABLE questions ALTER COLUMN correct_option TYPE VARCHAR(6);
+ALTER TABLE questions ALTER COLUMN correct_option DROP NOT NULL;
+
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS correct_numeric NUMERIC;
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS numeric_tolerance NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS partial_credit BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_numeric_tolerance_check;
+ALTER TABLE questions ADD CONSTRAINT questions_numeric_tolerance_check CHECK (numeric_tolerance >= 0);
+
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_answer_key_check;
+ALTER TABLE questions ADD CONSTRAINT questions_answer_key_check CHECK (
+    (question_type = 'numeric' AND correct_numeric IS NOT NULL)
+    OR (question_type IN ('single', 'true_false') AND correct_option ~ '^[A-F]$')
+    OR (question_type = 'multiple' AND correct_option ~ '^[A-F]{1,6}$')
+);
+
+-- ============================================================
+-- FUNCTION: answer_credit(type, key, numeric key, tolerance,
+--                         partial credit, selected)
+--
+-- Share of the question's marks an answer earns:
+--   NULL → unanswered, 1 → correct, 0 → wrong, between → partial
+-- ============================================================
+CREATE OR REPLACE FUNCTION answer_credit(
+    p_question_type VARCHAR,
+    p_correct_option VARCHAR,
+    p_correct_numeric NUMERIC,
+    p_numeric_tolerance NUMERIC,
+    p_partial_credit BOOLEAN,
+    p_selected TEXT
+)
+RETURNS NUMERIC AS $$
+DECLARE
+    v_selected TEXT := UPPER(TRIM(COALESCE(p_selected, '')));
+    v_picked TEXT[];
+    v_key TEXT[];
+    v_right INTEGER;
+BEGIN
+    IF v_selected = '' THEN
+        RETURN NULL;
+    END IF;
+
+    IF p_question_type = 'numeric' THEN
+        IF v_selected !~ '^[-+]?([0-9]+\.?[0-9]*|\.[0-9]+)(E[-+]?[0-9]+)?$' THEN
+            RETURN 0;
+        END IF;
+        RETURN CASE
+            WHEN ABS(v_selected::NUMERIC - p_correct_numeric) <= COALESCE(p_numeric_tolerance, 0) THEN 1
+            ELSE 0
+        END;
+    END IF;
+
+    IF p_question_type = 'multiple' THEN
+        v_picked := ARRAY(
+            SELECT DISTINCT c FROM regexp_split_to_table(v_selected, '') AS c
+            WHERE c ~ '^[A-F]$' ORDER BY c
+        );
+        v_key := ARRAY(
+            SELECT DISTINCT c FROM regexp_split_to_table(UPPER(COALESCE(p_correct_option, '')), '') AS c
+            WHERE c ~ '^[A-F]$' ORDER BY c
+        );
+
+        IF cardinality(v_picked) = 0 THEN
+            RETURN NULL;
+        END IF;
+        IF v_picked = v_key THEN
+            RETURN 1;
+        END IF;
+        IF NOT COALESCE(p_partial_credit, FALSE) OR cardinality(v_key) = 0 THEN
+            RETURN 0;
+        END IF;
+
+        v_right := cardinality(ARRAY(SELECT unnest(v_picked) INTERSECT SELECT unnest(v_key)));
+        RETURN GREATEST(0, (2 * v_right - cardinality(v_picked))::NUMERIC / cardinality(v_key));
+    END IF;
+
+    RETURN CASE WHEN v_selected = UPPER(TRIM(COALESCE(p_correct_option, ''))) THEN 1 ELSE 0 END;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- ============================================================
+-- FUNCTION: evaluate_round(p_round_number)
+--
+-- As v5.1, with credit from answer_credit():
+--   credit 1       → marks_correct × weight   (correct)
+--   credit 0..1    → marks_correct × weight × credit
+--                    (partial; counted as wrong in the breakdown)
+--   credit 0       → marks_wrong × weight     (wrong)
+--   NULL           → marks_unanswered × weight
+-- ============================================================
+CREATE OR REPLACE FUNCTION evaluate_round(p_round_number INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+    v_correct NUMERIC;
+    v_wrong NUMERIC;
+    v_unanswered NUMERIC;
+BEGIN
+    SELECT COALESCE(marks_correct, 1), COALESCE(marks_wrong, 0), COALESCE(marks_unanswered, 0)
+    INTO v_correct, v_wrong, v_unanswered
+    FROM rounds WHERE round_number = p_round_number;
+
+    IF NOT FOUND THEN
+        v_correct := 1;
+        v_wrong := 0;
+        v_unanswered := 0;
+    END IF;
+
+    DELETE FROM results r
+    USING submissions s
+    WHERE r.attempt_token = s.attempt_token
+      AND r.round_number = s.round_number
+      AND s.round_number = p_round_number
+      AND s.submission_status <> 'accepted';
+
+    INSERT INTO results (
+        attempt_token, round_number, score, correct_count, wrong_count, unanswered_count,
+        time_taken_seconds, client_time_taken_seconds, evaluated_at
+    )
+    SELECT
+        s.attempt_token,
+        s.round_number,
+        COALESCE(m.score, 0),
+        COALESCE(m.correct_count, 0),
+        COALESCE(m.wrong_count, 0),
+        COALESCE(m.unanswered_count, 0),
+        s.time_taken_seconds,
+        s.client_time_taken_seconds,
+        NOW()
+    FROM submissions s
+    LEFT JOIN attempts a
+      ON a.attempt_token = s.attempt_token
+     AND a.round_number = s.round_number
+    CROSS JOIN LATERAL (
+        SELECT
+            SUM(COALESCE(c.weight, 1) * CASE
+                WHEN c.credit IS NULL THEN v_unanswered
+                WHEN c.credit > 0 THEN v_correct * c.credit
+                ELSE v_wrong
+            END) AS score,
+            COUNT(*) FILTER (WHERE c.credit = 1) AS correct_count,
+            COUNT(*) FILTER (WHERE c.credit < 1) AS wrong_count,
+            COUNT(*) FILTER (WHERE c.credit IS NULL) AS unanswered_count
+        FROM (
+            SELECT
+                q.weight,
+                answer_credit(q.question_type, q.correct_option, q.correct_numeric,
+                              q.numeric_tolerance, q.partial_credit, ans.selected) AS credit
+            FROM questions q
+            LEFT JOIN LATERAL (
+                SELECT x->>'selected_option' AS selected
+                FROM jsonb_array_elements(s.answers) AS x
+                WHERE LOWER(x->>'question_id') = q.id::TEXT
+                LIMIT 1
+            ) ans ON TRUE
+            WHERE q.round_number = p_round_number
+              AND (a.question_ids IS NULL OR q.id = ANY(a.question_ids))
+        ) c
+    ) m
+    WHERE s.round_number = p_round_number
+      AND s.submission_status = 'accepted'
+    ON CONFLICT (attempt_token, round_number)
+    DO UPDATE SET
+        score = EXCLUDED.score,
+        correct_count = EXCLUDED.correct_count,
+        wrong_count = EXCLUDED.wrong_count,
+        unanswered_count = EXCLUDED.unanswered_count,
+        time_taken_seconds = EXCLUDED.time_taken_seconds,
+        client_time_taken_seconds = EXCLUDED.client_time_taken_seconds,
+        evaluated_at = NOW();
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
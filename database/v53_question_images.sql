@@ -0,0 +1,42 @@
+-- ============================================================
+-- QUIZ CONQUEST v5.3 — QUESTION IMAGES
+-- Run this in Supabase SQL Editor AFTER v52_question_types.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • question_assets — uploaded / imported images (circuit
+--     schematics, waveforms). Bytes live in local disk or Supabase
+--     Storage (ASSET_STORAGE); this table keeps where, what type
+--     and a sha256 so the same image is stored once
+--   • questions.image_asset_id — image shown under the question
+--   • questions.option_image_ids — { "A": asset id, … } images
+--     shown with individual options
+--
+-- Images are served by GET /api/assets/:id (public — ids are
+-- unguessable UUIDs and participants load them mid-exam).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS question_assets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    file_name VARCHAR(255),
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    sha256 CHAR(64) UNIQUE NOT NULL,
+    storage VARCHAR(20) NOT NULL CHECK (storage IN ('local', 'supabase')),
+    storage_path TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE question_assets ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role full access" ON question_assets;
+CREATE POLICY "Service role full access" ON question_assets FOR ALL USING (true) WITH CHECK (true);
+
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS image_asset_id UUID
+    REFERENCES question_assets(id) ON DELETE SET NULL;
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS option_image_ids JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Supabase Storage only: create a private bucket for the images
+-- (skip when ASSET_STORAGE=local)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('question-assets', 'question-assets', false)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,60 @@
+-- ============================================================
+-- QUIZ CONQUEST v5.4 — QUESTION BANK
+-- Run this in Supabase SQL Editor AFTER v53_question_images.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • question_bank — questions kept independently of rounds and
+--     events, tagged by topic, difficulty and source (e.g.
+--     "Round 2 — 2025"). Same content columns as questions
+--   • content_hash — sha256 of text, type, options and answer key;
+--     the same question is banked once
+--   • questions.bank_question_id — the bank question a round
+--     question was copied from (NULL for questions written directly)
+--
+-- Rounds hold COPIES of bank questions: editing the bank never
+-- changes a paper, and evaluate_round() is unchanged. reset-event
+-- archives round questions into the bank before clearing anything.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS question_bank (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    question_text TEXT NOT NULL,
+    question_type VARCHAR(20) NOT NULL DEFAULT 'single'
+        CHECK (question_type IN ('single', 'true_false', 'multiple', 'numeric')),
+    option_a TEXT,
+    option_b TEXT,
+    option_c TEXT,
+    option_d TEXT,
+    option_e TEXT,
+    option_f TEXT,
+    correct_option VARCHAR(6),
+    correct_numeric NUMERIC,
+    numeric_tolerance NUMERIC NOT NULL DEFAULT 0 CHECK (numeric_tolerance >= 0),
+    partial_credit BOOLEAN NOT NULL DEFAULT FALSE,
+    weight NUMERIC(6,2) NOT NULL DEFAULT 1 CHECK (weight > 0),
+    topic VARCHAR(100),
+    difficulty VARCHAR(20) CHECK (difficulty IS NULL OR difficulty IN ('easy', 'medium', 'hard')),
+    source VARCHAR(200),
+    image_asset_id UUID REFERENCES question_assets(id) ON DELETE SET NULL,
+    option_image_ids JSONB NOT NULL DEFAULT '{}'::jsonb,
+    content_hash CHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT question_bank_answer_key_check CHECK (
+        (question_type = 'numeric' AND correct_numeric IS NOT NULL)
+        OR (question_type IN ('single', 'true_false') AND correct_option ~ '^[A-F]$')
+        OR (question_type = 'multiple' AND correct_option ~ '^[A-F]{1,6}$')
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_bank_topic ON question_bank(topic);
+CREATE INDEX IF NOT EXISTS idx_question_bank_source ON question_bank(source);
+CREATE INDEX IF NOT EXISTS idx_question_bank_created ON question_bank(created_at DESC);
+
+ALTER TABLE question_bank ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role full access" ON question_bank;
+CREATE POLICY "Service role full access" ON question_bank FOR ALL USING (true) WITH CHECK (true);
+
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS bank_question_id UUID
+    REFERENCES question_bank(id) ON DELETE SET NULL;
@@ -0,0 +1,90 @@
+-- ============================================================
+-- QUIZ CONQUEST v5.5 — IMPORT MODES & UNDO
+-- Run this in Supabase SQL Editor AFTER v54_question_bank.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • question_imports — one row per file / JSON import: round,
+--     mode ('replace', 'append' or 'merge'), counts, and a snapshot
+--     of the round's questions taken just before the import
+--   • renumber_round_questions() — closes gaps so a round's
+--     questions run 1..N in their current order
+--   • restore_round_questions() — puts a snapshot back in one
+--     transaction (used by "undo last import")
+--
+-- Only pending rounds are imported into or restored, so no answer
+-- ever points at a question that an undo removes.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS question_imports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    round_number INTEGER NOT NULL,
+    mode VARCHAR(10) NOT NULL CHECK (mode IN ('replace', 'append', 'merge')),
+    source VARCHAR(200),
+    added INTEGER NOT NULL DEFAULT 0,
+    updated INTEGER NOT NULL DEFAULT 0,
+    snapshot JSONB NOT NULL DEFAULT '[]'::jsonb,
+    imported_by UUID REFERENCES admins(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    undone_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_imports_round ON question_imports(round_number, created_at DESC);
+
+ALTER TABLE question_imports ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role full access" ON question_imports;
+CREATE POLICY "Service role full access" ON question_imports FOR ALL USING (true) WITH CHECK (true);
+
+-- ============================================================
+-- FUNCTION: renumber_round_questions(p_round_number)
+--
+-- Numbers the round's questions 1..N keeping their order. Moves
+-- them to negative numbers first so UNIQUE(round_number,
+-- question_number) never sees two rows with the same number.
+-- ============================================================
+CREATE OR REPLACE FUNCTION renumber_round_questions(p_round_number INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    UPDATE questions
+    SET question_number = -question_number
+    WHERE round_number = p_round_number;
+
+    WITH ordered AS (
+        SELECT id, ROW_NUMBER() OVER (ORDER BY -question_number) AS n
+        FROM questions
+        WHERE round_number = p_round_number
+    )
+    UPDATE questions q
+    SET question_number = ordered.n
+    FROM ordered
+    WHERE q.id = ordered.id;
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: restore_round_questions(p_round_number, p_snapshot)
+--
+-- Replaces the round's questions with the snapshot rows (same ids
+-- and numbers as before the import).
+-- ============================================================
+CREATE OR REPLACE FUNCTION restore_round_questions(p_round_number INTEGER, p_snapshot JSONB)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    DELETE FROM questions WHERE round_number = p_round_number;
+
+    INSERT INTO questions
+    SELECT *
+    FROM jsonb_populate_recordset(NULL::questions, p_snapshot)
+    WHERE round_number = p_round_number;
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,15 @@
+-- ============================================================
+-- QUIZ CONQUEST v5.6 — QUESTION EXPLANATIONS
+-- Run this in Supabase SQL Editor AFTER v55_question_imports.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • questions.explanation / question_bank.explanation — why the
+--     answer is right (GIFT general feedback, Moodle XML
+--     <generalfeedback>, an Explanation column in CSV / Excel)
+--
+-- Admin-only: the participant question feed never selects it.
+-- ============================================================
+
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS explanation TEXT;
+ALTER TABLE question_bank ADD COLUMN IF NOT EXISTS explanation TEXT;
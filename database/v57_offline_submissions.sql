@@ -0,0 +1,100 @@
+-- ============================================================
+-- QUIZ CONQUEST v5.7 — OFFLINE ANSWER SHEETS
+-- Run this in Supabase SQL Editor AFTER v56_question_explanations.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • submissions.submission_source gains 'offline' — answers
+--     written on a printed paper / OMR sheet, uploaded by an admin
+--   • submissions.paper_set — the printed set (A–D) the sheet was
+--     written on
+--   • record_offline_submission() — attempt ledger row (with the
+--     paper's questions) + accepted submission in one transaction
+--
+-- evaluate_round(), rank_round() and shortlist_round() are
+-- unchanged: an offline sheet is an ordinary accepted submission,
+-- scored on the questions of the printed paper
+-- (attempts.question_ids).
+-- ============================================================
+
+ALTER TABLE submissions DROP CONSTRAINT IF EXISTS submissions_submission_source_check;
+ALTER TABLE submissions ADD CONSTRAINT submissions_submission_source_check
+    CHECK (submission_source IN ('client', 'draft', 'offline'));
+
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS paper_set VARCHAR(1);
+
+-- ============================================================
+-- FUNCTION: record_offline_submission(...)
+--
+-- Returns:
+--   'created'    — new submission
+--   'updated'    — replaced an earlier offline sheet, or a draft
+--                  the server submitted when the network died
+--   'online'     — the token already submitted online; untouched
+--   'ineligible' — not shortlisted / wildcarded for the round
+--
+-- p_question_ids: the paper's questions when the round samples
+-- (NULL → the whole round is scored).
+-- ============================================================
+CREATE OR REPLACE FUNCTION record_offline_submission(
+    p_attempt_token UUID,
+    p_round_number INTEGER,
+    p_answers JSONB,
+    p_time_taken_seconds INTEGER,
+    p_question_ids UUID[],
+    p_paper_set VARCHAR
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_source VARCHAR;
+    v_existed BOOLEAN;
+BEGIN
+    IF NOT is_eligible_for_round(p_attempt_token, p_round_number) THEN
+        RETURN 'ineligible';
+    END IF;
+
+    SELECT COALESCE(submission_source, 'client') INTO v_source
+    FROM submissions
+    WHERE attempt_token = p_attempt_token
+      AND round_number = p_round_number
+    FOR UPDATE;
+
+    v_existed := FOUND;
+
+    IF v_existed AND v_source = 'client' THEN
+        RETURN 'online';
+    END IF;
+
+    INSERT INTO attempts (attempt_token, round_number, started_at, question_ids)
+    VALUES (
+        p_attempt_token,
+        p_round_number,
+        COALESCE((SELECT started_at FROM rounds WHERE round_number = p_round_number), NOW()),
+        p_question_ids
+    )
+    ON CONFLICT (attempt_token, round_number)
+    DO UPDATE SET question_ids = EXCLUDED.question_ids;
+
+    INSERT INTO submissions (
+        attempt_token, round_number, answers, time_taken_seconds,
+        submitted_at, submission_status, submission_source, paper_set
+    )
+    VALUES (
+        p_attempt_token, p_round_number, COALESCE(p_answers, '[]'::jsonb), p_time_taken_seconds,
+        NOW(), 'accepted', 'offline', p_paper_set
+    )
+    ON CONFLICT (attempt_token, round_number)
+    DO UPDATE SET
+        answers = EXCLUDED.answers,
+        time_taken_seconds = EXCLUDED.time_taken_seconds,
+        client_time_taken_seconds = NULL,
+        submitted_at = NOW(),
+        submission_status = 'accepted',
+        submission_source = 'offline',
+        submission_type = NULL,
+        flag_reason = NULL,
+        paper_set = EXCLUDED.paper_set;
+
+    RETURN CASE WHEN v_existed THEN 'updated' ELSE 'created' END;
+END;
+$$ LANGUAGE plpgsql;
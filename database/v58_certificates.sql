@@ -0,0 +1,38 @@
+-- ============================================================
+-- QUIZ CONQUEST v5.8 — CERTIFICATES
+-- Run this in Supabase SQL Editor AFTER v57_offline_submissions.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • certificate_settings — single-row certificate template:
+--     event name, organiser line, logo (file in public/img),
+--     signatures [{ name, title, image }], and how many top ranks
+--     receive a merit certificate
+--   • rounds.results_published / results_published_at — once set,
+--     participants can download their certificate for the round
+--     from the completion screen
+--
+-- Certificates are drawn on request from results (ranked, so
+-- disqualified participants get none) joined with
+-- participant_details; nothing is stored per participant.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS certificate_settings (
+    id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    event_name VARCHAR(200) DEFAULT 'Quiz Conquest',
+    organizer VARCHAR(200) DEFAULT '',
+    logo_file VARCHAR(200) DEFAULT 'logo.png',
+    signatures JSONB NOT NULL DEFAULT '[]'::jsonb,
+    merit_count INTEGER NOT NULL DEFAULT 3 CHECK (merit_count >= 0),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO certificate_settings (id) VALUES (1)
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE certificate_settings ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role full access" ON certificate_settings;
+CREATE POLICY "Service role full access" ON certificate_settings FOR ALL USING (true) WITH CHECK (true);
+
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS results_published BOOLEAN DEFAULT FALSE;
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS results_published_at TIMESTAMPTZ;
@@ -0,0 +1,294 @@
+-- ============================================================
+-- QUIZ CONQUEST v5.9 — ROUND PAUSE FIXES
+-- Run this in Supabase SQL Editor AFTER v58_certificates.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • submit_bulk_answers() skips the deadline check while the
+--     round is paused, as save_answer_draft() already does — the
+--     deadline (round_deadline_for) stays frozen at the pause
+--     instant until resume, so a submit during a pause that runs
+--     past the original end time was marked late
+--   • round_pauses — one row per pause of a round (pause_round()
+--     opens it, resume_round() closes it)
+--   • round_paused_seconds() — paused time within a span; the
+--     server-side time taken (submit_bulk_answers() and
+--     submit_pending_drafts()) no longer counts time spent paused,
+--     so paused participants do not look slower in results or in
+--     the time tie-break. Only pauses after the participant's own
+--     start are subtracted.
+-- ============================================================
+
+-- ============================================================
+-- NEW: round_pauses
+-- resumed_at NULL = still paused (or the round was ended while
+-- paused — its ended_at closes the pause).
+-- ============================================================
+CREATE TABLE IF NOT EXISTS round_pauses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    round_number INTEGER NOT NULL,
+    paused_at TIMESTAMPTZ NOT NULL,
+    resumed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_round_pauses_round ON round_pauses(round_number);
+
+ALTER TABLE round_pauses ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role full access" ON round_pauses;
+CREATE POLICY "Service role full access" ON round_pauses FOR ALL USING (true) WITH CHECK (true);
+
+-- ============================================================
+-- FUNCTION: round_paused_seconds(p_round_number, p_from, p_to)
+--
+-- Seconds of [p_from, p_to] during which the round was paused.
+-- ============================================================
+CREATE OR REPLACE FUNCTION round_paused_seconds(
+    p_round_number INTEGER,
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ
+)
+RETURNS INTEGER AS $$
+    SELECT COALESCE(SUM(GREATEST(0, EXTRACT(EPOCH FROM (
+               LEAST(COALESCE(p.resumed_at, r.ended_at, p_to), p_to)
+               - GREATEST(p.paused_at, p_from))))), 0)::INTEGER
+    FROM round_pauses p
+    LEFT JOIN rounds r ON r.round_number = p.round_number
+    WHERE p.round_number = p_round_number
+      AND p.paused_at < p_to;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================================
+-- FUNCTION: pause_round(p_round_number)
+--
+-- As v4.5, plus a round_pauses row.
+-- ============================================================
+CREATE OR REPLACE FUNCTION pause_round(p_round_number INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    v_state RECORD;
+BEGIN
+    UPDATE event_state
+    SET round_status = 'paused',
+        round_paused_at = NOW(),
+        updated_at = NOW()
+    WHERE id = 1
+      AND current_round = p_round_number
+      AND round_status = 'running'
+    RETURNING round_paused_at, round_ends_at INTO v_state;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('success', false, 'message', 'Round is not running');
+    END IF;
+
+    INSERT INTO round_pauses (round_number, paused_at)
+    VALUES (p_round_number, v_state.round_paused_at);
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'round_paused_at', v_state.round_paused_at,
+        'round_ends_at', v_state.round_ends_at
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: resume_round(p_round_number)
+--
+-- As v4.5, plus closing the open round_pauses row.
+-- ============================================================
+CREATE OR REPLACE FUNCTION resume_round(p_round_number INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    v_state RECORD;
+    v_paused_seconds INTEGER;
+BEGIN
+    SELECT GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (NOW() - round_paused_at))))::INTEGER
+    INTO v_paused_seconds
+    FROM event_state
+    WHERE id = 1;
+
+    UPDATE event_state
+    SET round_status = 'running',
+        round_ends_at = round_ends_at + (NOW() - round_paused_at),
+        round_paused_at = NULL,
+        updated_at = NOW()
+    WHERE id = 1
+      AND current_round = p_round_number
+      AND round_status = 'paused'
+    RETURNING round_ends_at INTO v_state;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('success', false, 'message', 'Round is not paused');
+    END IF;
+
+    UPDATE round_pauses
+    SET resumed_at = NOW()
+    WHERE round_number = p_round_number
+      AND resumed_at IS NULL;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'round_ends_at', v_state.round_ends_at,
+        'paused_seconds', v_paused_seconds
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: submit_bulk_answers(...)
+--
+-- As v4.8; a submit while the round is paused is never late, and
+-- time taken leaves out paused time.
+-- ============================================================
+CREATE OR REPLACE FUNCTION submit_bulk_answers(
+    p_attempt_token UUID,
+    p_round_number INTEGER,
+    p_answers JSONB,
+    p_time_taken_seconds INTEGER,
+    p_grace_seconds INTEGER DEFAULT 30,
+    p_submission_type VARCHAR DEFAULT 'manual'
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_existing_id UUID;
+    v_event RECORD;
+    v_round RECORD;
+    v_now TIMESTAMPTZ := NOW();
+    v_deadline TIMESTAMPTZ;
+    v_started_at TIMESTAMPTZ;
+    v_server_time INTEGER;
+    v_status VARCHAR(20) := 'accepted';
+    v_reason TEXT;
+BEGIN
+    -- Check if already submitted (idempotent guard)
+    SELECT id INTO v_existing_id
+    FROM submissions
+    WHERE attempt_token = p_attempt_token
+      AND round_number = p_round_number;
+
+    IF v_existing_id IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'success', true,
+            'already_submitted', true,
+            'message', 'Submission already recorded'
+        );
+    END IF;
+
+    -- Live round state
+    SELECT current_round, round_status, round_ends_at INTO v_event
+    FROM event_state WHERE id = 1;
+
+    SELECT status, started_at, ended_at INTO v_round
+    FROM rounds WHERE round_number = p_round_number;
+
+    IF NOT FOUND OR v_round.started_at IS NULL OR v_round.status = 'pending' THEN
+        v_status := 'out_of_round';
+        v_reason := 'Round has not been started';
+    ELSIF v_event.current_round IS DISTINCT FROM p_round_number THEN
+        v_status := 'out_of_round';
+        v_reason := format('Round %s is not the current round', p_round_number);
+    ELSIF NOT is_eligible_for_round(p_attempt_token, p_round_number) THEN
+        v_status := 'not_qualified';
+        v_reason := format('Not qualified from Round %s', p_round_number - 1);
+    ELSIF v_event.round_status <> 'paused' THEN
+        -- Paused: round_ends_at is frozen until resume pushes it
+        -- forward, so no submit during a pause is late
+        v_deadline := round_deadline_for(p_attempt_token, p_round_number);
+
+        IF v_deadline IS NOT NULL
+           AND v_now > v_deadline + make_interval(secs => COALESCE(p_grace_seconds, 0)) THEN
+            v_status := 'late';
+            v_reason := format('Submitted %s s after deadline',
+                FLOOR(EXTRACT(EPOCH FROM (v_now - v_deadline)))::INTEGER);
+        END IF;
+    END IF;
+
+    -- Server-side time taken (attempt ledger → round start fallback)
+    SELECT started_at INTO v_started_at
+    FROM attempts
+    WHERE attempt_token = p_attempt_token
+      AND round_number = p_round_number;
+
+    IF v_started_at IS NULL THEN
+        v_started_at := v_round.started_at;
+    END IF;
+
+    IF v_started_at IS NOT NULL THEN
+        v_server_time := GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (v_now - v_started_at)))::INTEGER
+            - round_paused_seconds(p_round_number, v_started_at, v_now));
+    END IF;
+
+    INSERT INTO submissions (
+        attempt_token, round_number, answers, time_taken_seconds, client_time_taken_seconds,
+        submitted_at, submission_status, flag_reason, submission_type
+    )
+    VALUES (
+        p_attempt_token, p_round_number, COALESCE(p_answers, '[]'::jsonb), v_server_time, p_time_taken_seconds,
+        v_now, v_status, v_reason,
+        CASE WHEN p_submission_type IN ('manual', 'auto_timer', 'auto_violation')
+            THEN p_submission_type ELSE 'manual' END
+    )
+    ON CONFLICT (attempt_token, round_number) DO NOTHING;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'already_submitted', false,
+        'submission_status', v_status,
+        'message', CASE WHEN v_status = 'accepted'
+            THEN 'Submission recorded successfully'
+            ELSE 'Submission recorded (flagged)' END
+    );
+
+EXCEPTION WHEN OTHERS THEN
+    -- Even on unexpected error, return success to avoid panic UI
+    RETURN jsonb_build_object(
+        'success', true,
+        'already_submitted', false,
+        'message', 'Submission processed'
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: submit_pending_drafts(p_round_number)
+--
+-- As v4.4; time taken leaves out paused time.
+-- ============================================================
+CREATE OR REPLACE FUNCTION submit_pending_drafts(p_round_number INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    INSERT INTO submissions (
+        attempt_token, round_number, answers, time_taken_seconds,
+        submitted_at, submission_status, flag_reason, submission_source
+    )
+    SELECT
+        d.attempt_token,
+        d.round_number,
+        d.answers,
+        GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (d.updated_at - COALESCE(a.started_at, r.started_at))))::INTEGER
+            - round_paused_seconds(d.round_number, COALESCE(a.started_at, r.started_at), d.updated_at)),
+        d.updated_at,
+        CASE WHEN is_eligible_for_round(d.attempt_token, d.round_number)
+            THEN 'accepted' ELSE 'not_qualified' END,
+        CASE WHEN is_eligible_for_round(d.attempt_token, d.round_number)
+            THEN NULL ELSE format('Not qualified from Round %s', d.round_number - 1) END,
+        'draft'
+    FROM answer_drafts d
+    LEFT JOIN attempts a
+        ON a.attempt_token = d.attempt_token AND a.round_number = d.round_number
+    LEFT JOIN rounds r
+        ON r.round_number = d.round_number
+    WHERE d.round_number = p_round_number
+      AND NOT EXISTS (
+          SELECT 1 FROM submissions s
+          WHERE s.attempt_token = d.attempt_token
+            AND s.round_number = d.round_number
+      )
+    ON CONFLICT (attempt_token, round_number) DO NOTHING;
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,136 @@
+-- ============================================================
+-- QUIZ CONQUEST v6.0 — ROUND RENUMBERING
+-- Run this in Supabase SQL Editor AFTER v59_round_pause_fixes.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • move_round_rows() — moves every per-round row (time
+--     extensions, drafts, wildcards, proctoring, disqualifications,
+--     pauses, import snapshots, results) from one round number to
+--     another
+--   • swap_rounds() / delete_round() use it, so a reorder or delete
+--     no longer leaves e.g. a participant's time extension on the
+--     round that took the old number
+--
+-- Questions still follow through the FK cascade. Attempts and
+-- submissions need no move: an untouched round has none.
+-- audit_logs keep the number the round had at the time.
+-- ============================================================
+
+-- ============================================================
+-- FUNCTION: move_round_rows(p_from, p_to)
+-- ============================================================
+CREATE OR REPLACE FUNCTION move_round_rows(p_from INTEGER, p_to INTEGER)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE round_wildcards SET round_number = p_to WHERE round_number = p_from;
+    UPDATE time_extensions SET round_number = p_to WHERE round_number = p_from;
+    UPDATE answer_drafts SET round_number = p_to WHERE round_number = p_from;
+    UPDATE proctoring_events SET round_number = p_to WHERE round_number = p_from;
+    UPDATE disqualifications SET round_number = p_to WHERE round_number = p_from;
+    UPDATE round_pauses SET round_number = p_to WHERE round_number = p_from;
+    UPDATE question_imports SET round_number = p_to WHERE round_number = p_from;
+    UPDATE results SET round_number = p_to WHERE round_number = p_from;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: delete_round_rows(p_round_number)
+-- ============================================================
+CREATE OR REPLACE FUNCTION delete_round_rows(p_round_number INTEGER)
+RETURNS VOID AS $$
+BEGIN
+    DELETE FROM round_wildcards WHERE round_number = p_round_number;
+    DELETE FROM time_extensions WHERE round_number = p_round_number;
+    DELETE FROM answer_drafts WHERE round_number = p_round_number;
+    DELETE FROM proctoring_events WHERE round_number = p_round_number;
+    DELETE FROM disqualifications WHERE round_number = p_round_number;
+    DELETE FROM round_pauses WHERE round_number = p_round_number;
+    DELETE FROM question_imports WHERE round_number = p_round_number;
+    DELETE FROM results WHERE round_number = p_round_number;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: swap_rounds(p_a, p_b)
+--
+-- As v4.9, with every per-round row moved (move_round_rows).
+-- ============================================================
+CREATE OR REPLACE FUNCTION swap_rounds(p_a INTEGER, p_b INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    v_tmp INTEGER;
+BEGIN
+    IF p_a = p_b THEN
+        RETURN jsonb_build_object('success', false, 'message', 'Rounds must differ');
+    END IF;
+
+    IF NOT round_is_untouched(p_a) OR NOT round_is_untouched(p_b) THEN
+        RETURN jsonb_build_object('success', false,
+            'message', 'Only rounds that have not started can be reordered');
+    END IF;
+
+    -- Park round a on a free number while b moves into its slot
+    SELECT MAX(round_number) + 1 INTO v_tmp FROM rounds;
+
+    UPDATE rounds SET round_number = v_tmp WHERE round_number = p_a;
+    PERFORM move_round_rows(p_a, v_tmp);
+
+    UPDATE rounds SET round_number = p_a WHERE round_number = p_b;
+    PERFORM move_round_rows(p_b, p_a);
+
+    UPDATE rounds SET round_number = p_b WHERE round_number = v_tmp;
+    PERFORM move_round_rows(v_tmp, p_b);
+
+    RETURN jsonb_build_object('success', true,
+        'message', format('Rounds %s and %s swapped', p_a, p_b));
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: delete_round(p_round_number)
+--
+-- As v4.9, removing and moving every per-round row.
+-- ============================================================
+CREATE OR REPLACE FUNCTION delete_round(p_round_number INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    v_later RECORD;
+BEGIN
+    IF NOT round_is_untouched(p_round_number) THEN
+        RETURN jsonb_build_object('success', false,
+            'message', 'Only rounds that have not started can be deleted');
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM rounds
+        WHERE round_number > p_round_number
+          AND NOT round_is_untouched(round_number)
+    ) THEN
+        RETURN jsonb_build_object('success', false,
+            'message', 'A later round has already started');
+    END IF;
+
+    IF (SELECT COUNT(*) FROM rounds) <= 1 THEN
+        RETURN jsonb_build_object('success', false,
+            'message', 'At least one round is required');
+    END IF;
+
+    PERFORM delete_round_rows(p_round_number);
+    DELETE FROM rounds WHERE round_number = p_round_number;
+
+    -- Close the gap, lowest first so each target number is free
+    FOR v_later IN
+        SELECT round_number FROM rounds
+        WHERE round_number > p_round_number
+        ORDER BY round_number ASC
+    LOOP
+        UPDATE rounds SET round_number = v_later.round_number - 1
+        WHERE round_number = v_later.round_number;
+        PERFORM move_round_rows(v_later.round_number, v_later.round_number - 1);
+    END LOOP;
+
+    RETURN jsonb_build_object('success', true,
+        'message', format('Round %s deleted', p_round_number));
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,177 @@
+-- ============================================================
+-- QUIZ CONQUEST v6.1 — ONE-TRANSACTION IMPORTS
+-- Run this in Supabase SQL Editor AFTER v60_round_renumbering.sql
+-- ============================================================
+--
+-- CHANGES:
+--   • import_round_questions() — snapshot, replace / merge / append
+--     and renumbering in one function, so a failed import leaves the
+--     round (and the undo history) as it was
+--   • restore_round_questions() — a snapshot's bank question or
+--     image deleted since the import is dropped from the restored
+--     question instead of failing the undo
+--
+-- Merge matches question text ignoring case and spacing, as before.
+-- ============================================================
+
+-- ============================================================
+-- FUNCTION: import_round_questions(p_round_number, p_mode, p_rows,
+--                                  p_source, p_admin_id)
+--
+-- p_rows: questions-table content, one object per imported row.
+-- Returns { import_id, added, updated, numbers } — numbers[i] is the
+-- question number row i ended up as.
+-- ============================================================
+CREATE OR REPLACE FUNCTION import_round_questions(
+    p_round_number INTEGER,
+    p_mode VARCHAR,
+    p_rows JSONB,
+    p_source VARCHAR DEFAULT NULL,
+    p_admin_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_snapshot JSONB;
+    v_existing UUID[];
+    v_last INTEGER;
+    v_row JSONB;
+    v_q questions;
+    v_id UUID;
+    v_ids UUID[] := '{}';
+    v_updated UUID[] := '{}';
+    v_added INTEGER := 0;
+    v_import_id UUID;
+    v_numbers JSONB;
+BEGIN
+    IF p_mode NOT IN ('replace', 'append', 'merge') THEN
+        RAISE EXCEPTION 'Unknown import mode: %', p_mode;
+    END IF;
+
+    SELECT COALESCE(jsonb_agg(to_jsonb(q) ORDER BY q.question_number), '[]'::jsonb),
+           COALESCE(array_agg(q.id), '{}')
+    INTO v_snapshot, v_existing
+    FROM questions q
+    WHERE q.round_number = p_round_number;
+
+    IF p_mode = 'replace' THEN
+        DELETE FROM questions WHERE round_number = p_round_number;
+        v_existing := '{}';
+    END IF;
+
+    SELECT COALESCE(MAX(question_number), 0) INTO v_last
+    FROM questions
+    WHERE round_number = p_round_number;
+
+    FOR v_row IN SELECT * FROM jsonb_array_elements(p_rows)
+    LOOP
+        v_q := jsonb_populate_record(NULL::questions, v_row);
+        v_id := NULL;
+
+        IF p_mode = 'merge' THEN
+            -- Same text as a question the round had before the import
+            -- (the last one if several); a later row wins
+            SELECT id INTO v_id
+            FROM questions
+            WHERE id = ANY(v_existing)
+              AND lower(regexp_replace(btrim(question_text), '\s+', ' ', 'g'))
+                = lower(regexp_replace(btrim(v_q.question_text), '\s+', ' ', 'g'))
+            ORDER BY question_number DESC
+            LIMIT 1;
+        END IF;
+
+        IF v_id IS NOT NULL THEN
+            UPDATE questions SET
+                question_text = v_q.question_text,
+                question_type = COALESCE(v_q.question_type, 'single'),
+                option_a = v_q.option_a,
+                option_b = v_q.option_b,
+                option_c = v_q.option_c,
+                option_d = v_q.option_d,
+                option_e = v_q.option_e,
+                option_f = v_q.option_f,
+                correct_option = v_q.correct_option,
+                correct_numeric = v_q.correct_numeric,
+                numeric_tolerance = COALESCE(v_q.numeric_tolerance, 0),
+                partial_credit = COALESCE(v_q.partial_credit, FALSE),
+                weight = COALESCE(v_q.weight, 1),
+                topic = v_q.topic,
+                difficulty = v_q.difficulty,
+                image_asset_id = v_q.image_asset_id,
+                option_image_ids = COALESCE(v_q.option_image_ids, '{}'::jsonb),
+                explanation = v_q.explanation
+            WHERE id = v_id;
+
+            IF NOT v_id = ANY(v_updated) THEN
+                v_updated := v_updated || v_id;
+            END IF;
+        ELSE
+            v_last := v_last + 1;
+            INSERT INTO questions (
+                round_number, question_number, question_text, question_type,
+                option_a, option_b, option_c, option_d, option_e, option_f,
+                correct_option, correct_numeric, numeric_tolerance, partial_credit,
+                weight, topic, difficulty, image_asset_id, option_image_ids, explanation
+            ) VALUES (
+                p_round_number, v_last, v_q.question_text, COALESCE(v_q.question_type, 'single'),
+                v_q.option_a, v_q.option_b, v_q.option_c, v_q.option_d, v_q.option_e, v_q.option_f,
+                v_q.correct_option, v_q.correct_numeric, COALESCE(v_q.numeric_tolerance, 0),
+                COALESCE(v_q.partial_credit, FALSE), COALESCE(v_q.weight, 1), v_q.topic,
+                v_q.difficulty, v_q.image_asset_id, COALESCE(v_q.option_image_ids, '{}'::jsonb),
+                v_q.explanation
+            )
+            RETURNING id INTO v_id;
+
+            v_added := v_added + 1;
+        END IF;
+
+        v_ids := v_ids || v_id;
+    END LOOP;
+
+    INSERT INTO question_imports (round_number, mode, source, added, updated, snapshot, imported_by)
+    VALUES (p_round_number, p_mode, LEFT(p_source, 200), v_added,
+            COALESCE(array_length(v_updated, 1), 0), v_snapshot, p_admin_id)
+    RETURNING id INTO v_import_id;
+
+    PERFORM renumber_round_questions(p_round_number);
+
+    SELECT COALESCE(jsonb_agg(q.question_number ORDER BY u.n), '[]'::jsonb)
+    INTO v_numbers
+    FROM unnest(v_ids) WITH ORDINALITY AS u(id, n)
+    JOIN questions q ON q.id = u.id;
+
+    RETURN jsonb_build_object(
+        'import_id', v_import_id,
+        'added', v_added,
+        'updated', COALESCE(array_length(v_updated, 1), 0),
+        'numbers', v_numbers
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- FUNCTION: restore_round_questions(p_round_number, p_snapshot)
+--
+-- As v5.5, with bank_question_id / image_asset_id set to NULL when
+-- the bank question or asset no longer exists (as ON DELETE SET NULL
+-- would have done).
+-- ============================================================
+CREATE OR REPLACE FUNCTION restore_round_questions(p_round_number INTEGER, p_snapshot JSONB)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    DELETE FROM questions WHERE round_number = p_round_number;
+
+    INSERT INTO questions
+    SELECT r.*
+    FROM jsonb_array_elements(p_snapshot) AS s(q),
+         jsonb_populate_record(NULL::questions, s.q || jsonb_build_object(
+             'bank_question_id', (SELECT b.id FROM question_bank b WHERE b.id::text = s.q->>'bank_question_id'),
+             'image_asset_id', (SELECT a.id FROM question_assets a WHERE a.id::text = s.q->>'image_asset_id')
+         )) AS r
+    WHERE r.round_number = p_round_number;
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,40 @@
+/**
+ * Math Notation - Exam Page & Admin Question List
+ * Renders $…$ / \(…\) inline and $$…$$ / \[…\] display math with KaTeX
+ * (loaded deferred from the CDN). Without KaTeX the text stays as typed.
+ */
+(function () {
+    const DELIMITERS = [
+        { left: '$$', right: '$$', display: true },
+        { left: '\\[', right: '\\]', display: true },
+        { left: '$', right: '$', display: false },
+        { left: '\\(', right: '\\)', display: false }
+    ];
+
+    // Elements rendered before KaTeX finished loading
+    const pending = new Set();
+
+    function render(element) {
+        window.renderMathInElement(element, {
+            delimiters: DELIMITERS,
+            throwOnError: false
+        });
+    }
+
+    window.renderMath = function (element) {
+        if (!element) return;
+        if (window.renderMathInElement) {
+            render(element);
+        } else {
+            pending.add(element);
+        }
+    };
+
+    window.addEventListener('load', () => {
+        if (!window.renderMathInElement) return;
+        pending.forEach(element => {
+            if (element.isConnected) render(element);
+        });
+        pending.clear();
+    });
+})();
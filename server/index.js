@@ -7,6 +7,7 @@
  *   • Participant routes: NO sessions, NO auth
  *   • All participant identification via attempt_token (UUID)
  *   • No personal data storage
+ *   • Round scheduler ends rounds on timer expiry (services/scheduler.js)
  */
 
 require('dotenv').config();
@@ -22,6 +23,10 @@ const adminRoutes = require('./routes/admin');
 const questionRoutes = require('./routes/questions');
 const participantRoutes = require('./routes/participant');
 const uploadRoutes = require('./routes/upload');
+const assetRoutes = require('./routes/assets');
+const bankRoutes = require('./routes/bank');
+const certificateRoutes = require('./routes/certificates');
+const { startRoundScheduler } = require('./services/scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -84,13 +89,20 @@ app.use('/api/admin', adminRoutes);
 
 // Question management (admin-only)
 app.use('/api/questions', questionRoutes);
+app.use('/api/bank', bankRoutes);
 
 // File upload (admin-only)
 app.use('/api/upload', uploadRoutes);
 
+// Question images (upload admin-only, fetch public)
+app.use('/api/assets', assetRoutes);
+
 // Participant/exam routes (NO sessions, NO auth)
 app.use('/api/exam', participantRoutes);
 
+// Certificates (settings / bulk admin-only, own certificate by attempt_token)
+app.use('/api/certificates', certificateRoutes);
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
@@ -166,6 +178,9 @@ app.listen(PORT, '0.0.0.0', () => {
 ║                                                              ║
 ╚══════════════════════════════════════════════════════════════╝
     `);
+
+    // Auto-end rounds when the timer expires (no admin click needed)
+    startRoundScheduler();
 });
 
 module.exports = app;
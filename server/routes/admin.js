@@ -4,8 +4,8 @@
  *
  * DESIGN RULES:
  *   • No participants table — submissions keyed by attempt_token
- *   • Round end calls finalize_round_v4() (single atomic DB function)
- *   • No race condition between timer-end and admin-end
+ *   • Round end via services/rounds.endRound() (conditional update)
+ *   • No race condition between timer-end (scheduler) and admin-end
  *   • Deterministic ranking via rank_round()
  *   • Top 25 qualification via shortlist_round()
  *   • All admin actions audit-logged (fire-and-forget)
@@ -17,6 +17,32 @@ const bcrypt = require('bcryptjs');
 const router = express.Router();
 const { supabase } = require('../config/database');
 const { requireAdmin, auditLog } = require('../middleware/auth');
+const { endRound, flushPendingDrafts, shortlistRound, rerankRound } = require('../services/rounds');
+const { subscribe, broadcastStatus, broadcastAnnouncement, sendTo } = require('../services/events');
+const { STRATIFY_FIELDS } = require('../services/sampling');
+const { parseMark, roundScore } = require('../services/marking');
+const { archiveAllRounds } = require('../services/bank');
+
+// Server vs client time_taken difference (seconds) flagged in results
+const TIME_DISCREPANCY_SECONDS = parseInt(process.env.TIME_DISCREPANCY_SECONDS) || 60;
+
+// Absolute difference between server-computed and client-reported time
+function timeDiscrepancy(r) {
+    if (r.time_taken_seconds == null || r.client_time_taken_seconds == null) return null;
+    return Math.abs(r.time_taken_seconds - r.client_time_taken_seconds);
+}
+
+// attempt_token → disqualification row for a round
+async function disqualificationMap(roundNumber) {
+    const { data: rows } = await supabase
+        .from('disqualifications')
+        .select('attempt_token, reason, created_at')
+        .eq('round_number', roundNumber);
+
+    const map = {};
+    (rows || []).forEach(d => { map[d.attempt_token] = d; });
+    return map;
+}
 
 // ─────────────────────────────────────────────────────────────
 // POST /login — Admin login
@@ -160,22 +186,36 @@ router.get('/dashboard', requireAdmin, async (req, res) => {
             .from('questions')
             .select('round_number');
 
-        const questionsPerRound = {
-            1: questionCounts?.filter(q => q.round_number === 1).length || 0,
-            2: questionCounts?.filter(q => q.round_number === 2).length || 0,
-            3: questionCounts?.filter(q => q.round_number === 3).length || 0
-        };
-
         const { data: rounds } = await supabase
             .from('rounds')
             .select('*')
             .order('round_number');
 
+        const questionsPerRound = {};
+        (rounds || []).forEach(r => { questionsPerRound[r.round_number] = 0; });
+        (questionCounts || []).forEach(q => {
+            questionsPerRound[q.round_number] = (questionsPerRound[q.round_number] || 0) + 1;
+        });
+
         // Result counts per round
         const { data: resultCounts } = await supabase
             .from('results')
             .select('round_number, qualified_for_next');
 
+        // Flagged (late / out-of-round / not-qualified) submissions per round — stored but not scored
+        const { data: flaggedRows } = await supabase
+            .from('submissions')
+            .select('round_number, submission_status')
+            .neq('submission_status', 'accepted');
+
+        const flaggedPerRound = {};
+        (flaggedRows || []).forEach(s => {
+            if (!flaggedPerRound[s.round_number]) flaggedPerRound[s.round_number] = { late: 0, outOfRound: 0, notQualified: 0 };
+            if (s.submission_status === 'late') flaggedPerRound[s.round_number].late++;
+            else if (s.submission_status === 'not_qualified') flaggedPerRound[s.round_number].notQualified++;
+            else flaggedPerRound[s.round_number].outOfRound++;
+        });
+
         const qualifiedPerRound = {};
         (resultCounts || []).forEach(r => {
             if (!qualifiedPerRound[r.round_number]) qualifiedPerRound[r.round_number] = { total: 0, qualified: 0 };
@@ -197,6 +237,7 @@ router.get('/dashboard', requireAdmin, async (req, res) => {
                     roundStatus: eventState.round_status,
                     roundStartedAt: eventState.round_started_at,
                     roundEndsAt: eventState.round_ends_at,
+                    roundPausedAt: eventState.round_paused_at || null,
                     eventActive: eventState.event_active
                 },
                 // Frontend expects this shape:
@@ -210,6 +251,7 @@ router.get('/dashboard', requireAdmin, async (req, res) => {
                     total: totalSubmissions
                 },
                 qualifiedPerRound,
+                flaggedPerRound,
                 questionsPerRound,
                 rounds: rounds || []
             }
@@ -220,6 +262,35 @@ router.get('/dashboard', requireAdmin, async (req, res) => {
     }
 });
 
+// ─────────────────────────────────────────────────────────────
+// GET /events — Live dashboard stream (Server-Sent Events)
+// Events: 'status', 'submissions' ({ roundNumber, count }), 'announcement'
+// ─────────────────────────────────────────────────────────────
+router.get('/events', requireAdmin, (req, res) => {
+    subscribe('admin', req, res);
+});
+
+// ─────────────────────────────────────────────────────────────
+// POST /announce — Push an announcement to all exam screens
+// ─────────────────────────────────────────────────────────────
+router.post('/announce', requireAdmin, async (req, res) => {
+    try {
+        const message = (req.body.message || '').toString().trim();
+
+        if (!message || message.length > 500) {
+            return res.status(400).json({ success: false, message: 'Announcement must be 1–500 characters' });
+        }
+
+        broadcastAnnouncement(message);
+
+        auditLog(null, req.admin.id, 'ANNOUNCEMENT_SENT', message, null, req);
+        res.json({ success: true, message: 'Announcement sent' });
+    } catch (error) {
+        console.error('Announcement error:', error);
+        res.status(500).json({ success: false, message: 'Failed to send announcement' });
+    }
+});
+
 // ─────────────────────────────────────────────────────────────
 // POST /event/activate — Activate event
 // ─────────────────────────────────────────────────────────────
@@ -232,6 +303,7 @@ router.post('/event/activate', requireAdmin, async (req, res) => {
         if (error) throw error;
 
         auditLog(null, req.admin.id, 'EVENT_ACTIVATED', 'Event activated', null, req);
+        broadcastStatus();
         res.json({ success: true, message: 'Event activated successfully' });
     } catch (error) {
         console.error('Event activation error:', error);
@@ -251,6 +323,7 @@ router.post('/event/pause', requireAdmin, async (req, res) => {
         if (error) throw error;
 
         auditLog(null, req.admin.id, 'EVENT_PAUSED', 'Event paused', null, req);
+        broadcastStatus();
         res.json({ success: true, message: 'Event paused successfully' });
     } catch (error) {
         console.error('Event pause error:', error);
@@ -265,10 +338,20 @@ router.post('/round/start', requireAdmin, async (req, res) => {
     try {
         const { roundNumber } = req.body;
 
-        if (!roundNumber || roundNumber < 1 || roundNumber > 3) {
+        if (!roundNumber) {
             return res.status(400).json({ success: false, message: 'Invalid round number' });
         }
 
+        const { data: round } = await supabase
+            .from('rounds')
+            .select('duration_minutes, total_questions')
+            .eq('round_number', roundNumber)
+            .maybeSingle();
+
+        if (!round) {
+            return res.status(404).json({ success: false, message: `Round ${roundNumber} does not exist` });
+        }
+
         const { data: eventState } = await supabase
             .from('event_state')
             .select('*')
@@ -295,25 +378,20 @@ router.post('/round/start', requireAdmin, async (req, res) => {
             }
         }
 
-        // Verify 15 questions exist
+        // Verify the pool holds at least the questions served per participant
         const { count: questionCount } = await supabase
             .from('questions')
             .select('*', { count: 'exact', head: true })
             .eq('round_number', roundNumber);
 
-        if (questionCount < 15) {
+        const questionsServed = round.total_questions || 15;
+        if ((questionCount || 0) < questionsServed) {
             return res.status(400).json({
                 success: false,
-                message: `Round ${roundNumber} requires 15 questions. Currently has ${questionCount}.`
+                message: `Round ${roundNumber} serves ${questionsServed} questions. Currently has ${questionCount || 0}.`
             });
         }
 
-        const { data: round } = await supabase
-            .from('rounds')
-            .select('duration_minutes')
-            .eq('round_number', roundNumber)
-            .single();
-
         const now = new Date();
         const endsAt = new Date(now.getTime() + round.duration_minutes * 60 * 1000);
 
@@ -339,6 +417,7 @@ router.post('/round/start', requireAdmin, async (req, res) => {
 
         auditLog(null, req.admin.id, 'ROUND_STARTED',
             `Round ${roundNumber} started (${round.duration_minutes} min)`, roundNumber, req);
+        broadcastStatus();
 
         res.json({
             success: true,
@@ -379,14 +458,11 @@ router.post('/round/end', requireAdmin, async (req, res) => {
 
         const roundNumber = eventState.current_round;
 
-        // Check if already completed (idempotent)
-        const { data: round } = await supabase
-            .from('rounds')
-            .select('status')
-            .eq('round_number', roundNumber)
-            .single();
+        // Mark round + event state completed (idempotent — the scheduler
+        // may have ended it on timer expiry)
+        const ended = await endRound(roundNumber);
 
-        if (round && round.status === 'completed') {
+        if (!ended) {
             return res.json({
                 success: true,
                 message: `Round ${roundNumber} was already ended`,
@@ -396,23 +472,6 @@ router.post('/round/end', requireAdmin, async (req, res) => {
 
         const now = new Date().toISOString();
 
-        // Mark round as completed
-        const { error: roundError } = await supabase
-            .from('rounds')
-            .update({ status: 'completed', ended_at: now })
-            .eq('round_number', roundNumber);
-        if (roundError) throw roundError;
-
-        // Update event state
-        const { error: eventError } = await supabase
-            .from('event_state')
-            .update({
-                round_status: 'completed',
-                updated_at: now
-            })
-            .eq('id', 1);
-        if (eventError) throw eventError;
-
         // Count submissions for this round
         const { count: submissionCount } = await supabase
             .from('submissions')
@@ -422,6 +481,7 @@ router.post('/round/end', requireAdmin, async (req, res) => {
         auditLog(null, req.admin.id, 'ROUND_ENDED',
             `Round ${roundNumber} ended — ${submissionCount || 0} submissions collected. Awaiting shortlist.`,
             roundNumber, req);
+        broadcastStatus();
 
         res.json({
             success: true,
@@ -439,6 +499,243 @@ router.post('/round/end', requireAdmin, async (req, res) => {
     }
 });
 
+// ─────────────────────────────────────────────────────────────
+// POST /round/pause | /round/resume | /round/extend
+//
+// Freeze / unfreeze the running round or add minutes. Each is one
+// atomic DB function that shifts round_ends_at; the new status is
+// pushed to all exam screens. Reason is stored in the audit log.
+// ─────────────────────────────────────────────────────────────
+async function getCurrentRound() {
+    const { data: eventState } = await supabase
+        .from('event_state')
+        .select('current_round')
+        .eq('id', 1)
+        .single();
+    return eventState?.current_round || 0;
+}
+
+router.post('/round/pause', requireAdmin, async (req, res) => {
+    try {
+        const reason = (req.body.reason || '').toString().trim();
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'Reason is required to pause a round' });
+        }
+
+        const roundNumber = await getCurrentRound();
+        const { data: result, error } = await supabase.rpc('pause_round', {
+            p_round_number: roundNumber
+        });
+        if (error) throw error;
+
+        if (!result?.success) {
+            return res.status(400).json({ success: false, message: result?.message || 'Round is not running' });
+        }
+
+        auditLog(null, req.admin.id, 'ROUND_PAUSED',
+            `Round ${roundNumber} paused — ${reason}`, roundNumber, req, { reason, ...result });
+        broadcastStatus();
+
+        res.json({ success: true, message: `Round ${roundNumber} paused`, data: result });
+    } catch (error) {
+        console.error('Round pause error:', error);
+        res.status(500).json({ success: false, message: 'Failed to pause round' });
+    }
+});
+
+router.post('/round/resume', requireAdmin, async (req, res) => {
+    try {
+        const reason = (req.body.reason || '').toString().trim();
+
+        const roundNumber = await getCurrentRound();
+        const { data: result, error } = await supabase.rpc('resume_round', {
+            p_round_number: roundNumber
+        });
+        if (error) throw error;
+
+        if (!result?.success) {
+            return res.status(400).json({ success: false, message: result?.message || 'Round is not paused' });
+        }
+
+        auditLog(null, req.admin.id, 'ROUND_RESUMED',
+            `Round ${roundNumber} resumed after ${result.paused_seconds}s${reason ? ` — ${reason}` : ''}`,
+            roundNumber, req, { reason: reason || null, ...result });
+        broadcastStatus();
+
+        res.json({ success: true, message: `Round ${roundNumber} resumed`, data: result });
+    } catch (error) {
+        console.error('Round resume error:', error);
+        res.status(500).json({ success: false, message: 'Failed to resume round' });
+    }
+});
+
+router.post('/round/extend', requireAdmin, async (req, res) => {
+    try {
+        const minutes = parseInt(req.body.minutes);
+        const reason = (req.body.reason || '').toString().trim();
+
+        if (!minutes || minutes < 1 || minutes > 60) {
+            return res.status(400).json({ success: false, message: 'Minutes must be between 1 and 60' });
+        }
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'Reason is required to extend a round' });
+        }
+
+        const roundNumber = await getCurrentRound();
+        const { data: result, error } = await supabase.rpc('extend_round', {
+            p_round_number: roundNumber,
+            p_minutes: minutes
+        });
+        if (error) throw error;
+
+        if (!result?.success) {
+            return res.status(400).json({ success: false, message: result?.message || 'Round is not running' });
+        }
+
+        auditLog(null, req.admin.id, 'ROUND_EXTENDED',
+            `Round ${roundNumber} extended by ${minutes} min — ${reason}`,
+            roundNumber, req, { minutes, reason, ...result });
+        broadcastStatus();
+
+        res.json({ success: true, message: `Round ${roundNumber} extended by ${minutes} min`, data: result });
+    } catch (error) {
+        console.error('Round extend error:', error);
+        res.status(500).json({ success: false, message: 'Failed to extend round' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────
+// TIME EXTENSIONS — Extra time for one attempt_token in the
+// current round. Deadline = round deadline + extra (pause/resume
+// and round extensions still apply on top).
+// ─────────────────────────────────────────────────────────────
+
+// Push the token's new deadline to its open exam screen(s)
+async function pushPersonalDeadline(attemptToken, roundNumber) {
+    const { data: deadline } = await supabase.rpc('round_deadline_for', {
+        p_attempt_token: attemptToken,
+        p_round_number: roundNumber
+    });
+    sendTo('exam', attemptToken, 'deadline', { roundNumber, personalEndsAt: deadline });
+}
+
+// GET /extensions — Extensions for the current round
+router.get('/extensions', requireAdmin, async (req, res) => {
+    try {
+        const roundNumber = await getCurrentRound();
+
+        const { data: extensions, error } = await supabase
+            .from('time_extensions')
+            .select('id, attempt_token, round_number, extra_seconds, reason, created_at')
+            .eq('round_number', roundNumber)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        const tokens = (extensions || []).map(e => e.attempt_token);
+        const nameMap = {};
+        if (tokens.length > 0) {
+            const { data: details } = await supabase
+                .from('participant_details')
+                .select('attempt_token, name')
+                .in('attempt_token', tokens);
+            (details || []).forEach(d => { nameMap[d.attempt_token] = d.name; });
+        }
+
+        res.json({
+            success: true,
+            roundNumber,
+            data: (extensions || []).map(e => ({
+                ...e,
+                name: nameMap[e.attempt_token] || null
+            }))
+        });
+    } catch (error) {
+        console.error('Extensions fetch error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch time extensions' });
+    }
+});
+
+// POST /extensions — Grant (or change) extra time in the current round
+router.post('/extensions', requireAdmin, async (req, res) => {
+    try {
+        const { attemptToken, reason } = req.body;
+        const minutes = parseInt(req.body.minutes);
+
+        if (!attemptToken || !minutes || minutes < 1 || minutes > 120) {
+            return res.status(400).json({
+                success: false,
+                message: 'Attempt token and minutes (1–120) are required'
+            });
+        }
+
+        const roundNumber = await getCurrentRound();
+        if (!roundNumber) {
+            return res.status(400).json({ success: false, message: 'No round has been started' });
+        }
+
+        const { data: extension, error } = await supabase
+            .from('time_extensions')
+            .upsert({
+                attempt_token: attemptToken,
+                round_number: roundNumber,
+                extra_seconds: minutes * 60,
+                reason: reason || null,
+                granted_by: req.admin.id
+            }, { onConflict: 'attempt_token,round_number' })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        auditLog(null, req.admin.id, 'TIME_EXTENSION_GRANTED',
+            `+${minutes} min in Round ${roundNumber} for ${attemptToken.substring(0, 8)}${reason ? ` — ${reason}` : ''}`,
+            roundNumber, req, { attempt_token: attemptToken, minutes, reason: reason || null });
+
+        pushPersonalDeadline(attemptToken, roundNumber)
+            .catch(err => console.error('Deadline push error:', err.message));
+
+        res.json({ success: true, message: `Granted ${minutes} extra minutes`, data: extension });
+    } catch (error) {
+        console.error('Grant extension error:', error);
+        res.status(500).json({ success: false, message: 'Failed to grant time extension' });
+    }
+});
+
+// DELETE /extensions/:id — Revoke an extension
+router.delete('/extensions/:id', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: existing } = await supabase
+            .from('time_extensions')
+            .select('attempt_token, round_number, extra_seconds')
+            .eq('id', id)
+            .single();
+
+        const { error } = await supabase
+            .from('time_extensions')
+            .delete()
+            .eq('id', id);
+
+        if (error) throw error;
+
+        if (existing) {
+            auditLog(null, req.admin.id, 'TIME_EXTENSION_REVOKED',
+                `Extension revoked in Round ${existing.round_number} for ${existing.attempt_token.substring(0, 8)}`,
+                existing.round_number, req, existing);
+
+            pushPersonalDeadline(existing.attempt_token, existing.round_number)
+                .catch(err => console.error('Deadline push error:', err.message));
+        }
+
+        res.json({ success: true, message: 'Time extension revoked' });
+    } catch (error) {
+        console.error('Revoke extension error:', error);
+        res.status(500).json({ success: false, message: 'Failed to revoke time extension' });
+    }
+});
+
 // ─────────────────────────────────────────────────────────────
 // POST /round/shortlist — Manual re-shortlist
 // For admin override (re-run shortlisting after manual changes)
@@ -465,31 +762,12 @@ router.post('/round/shortlist', requireAdmin, async (req, res) => {
             });
         }
 
-        // Re-evaluate
-        const { error: evalErr } = await supabase.rpc('evaluate_round', {
-            p_round_number: roundNumber
-        });
-        if (evalErr) throw evalErr;
+        // Drafts not yet auto-submitted (shortlisting before the scheduler's post-grace pass)
+        await flushPendingDrafts(parseInt(roundNumber), req.admin.id);
 
-        // Re-rank
-        const { error: rankErr } = await supabase.rpc('rank_round', {
-            p_round_number: roundNumber
-        });
-        if (rankErr) throw rankErr;
-
-        // Re-shortlist with custom topCount
+        // Re-evaluate, re-rank, re-shortlist with custom topCount
         const finalTopCount = topCount || 25;
-        const { data: result, error: shortlistErr } = await supabase.rpc('shortlist_round', {
-            p_round_number: roundNumber,
-            p_top_count: finalTopCount
-        });
-        if (shortlistErr) throw shortlistErr;
-
-        // Mark shortlisting as completed
-        await supabase
-            .from('rounds')
-            .update({ shortlisting_completed: true })
-            .eq('round_number', roundNumber);
+        const result = await shortlistRound(roundNumber, finalTopCount);
 
         auditLog(null, req.admin.id, 'SHORTLISTING_COMPLETED',
             `Round ${roundNumber} re-shortlisted — Top ${finalTopCount}`,
@@ -506,6 +784,290 @@ router.post('/round/shortlist', requireAdmin, async (req, res) => {
     }
 });
 
+// ─────────────────────────────────────────────────────────────
+// ROUND WILDCARDS — Manual entry into a round for tokens that
+// were not shortlisted in the previous round
+// ─────────────────────────────────────────────────────────────
+
+// GET /round/:roundNumber/wildcards — List wildcards for a round
+router.get('/round/:roundNumber/wildcards', requireAdmin, async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.params.roundNumber);
+
+        const { data: wildcards, error } = await supabase
+            .from('round_wildcards')
+            .select('id, attempt_token, reason, created_at')
+            .eq('round_number', roundNumber)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        // Attach participant names where available
+        const tokens = (wildcards || []).map(w => w.attempt_token);
+        const nameMap = {};
+        if (tokens.length > 0) {
+            const { data: details } = await supabase
+                .from('participant_details')
+                .select('attempt_token, name, college')
+                .in('attempt_token', tokens);
+            (details || []).forEach(d => { nameMap[d.attempt_token] = d; });
+        }
+
+        res.json({
+            success: true,
+            data: (wildcards || []).map(w => ({
+                ...w,
+                name: nameMap[w.attempt_token]?.name || null,
+                college: nameMap[w.attempt_token]?.college || null
+            }))
+        });
+    } catch (error) {
+        console.error('Wildcards fetch error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch wildcards' });
+    }
+});
+
+// POST /round/wildcards — Grant a wildcard entry
+router.post('/round/wildcards', requireAdmin, async (req, res) => {
+    try {
+        const { roundNumber, attemptToken, reason } = req.body;
+        const roundNum = parseInt(roundNumber);
+
+        if (!roundNum || roundNum < 2 || !attemptToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Round number (2 or later) and attempt token required'
+            });
+        }
+
+        const { data: wildcard, error } = await supabase
+            .from('round_wildcards')
+            .upsert({
+                round_number: roundNum,
+                attempt_token: attemptToken,
+                reason: reason || null,
+                added_by: req.admin.id
+            }, { onConflict: 'round_number,attempt_token' })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        auditLog(null, req.admin.id, 'WILDCARD_ADDED',
+            `Wildcard entry into Round ${roundNum} for ${attemptToken.substring(0, 8)}`,
+            roundNum, req, { attempt_token: attemptToken, reason: reason || null });
+
+        res.json({ success: true, message: 'Wildcard added', data: wildcard });
+    } catch (error) {
+        console.error('Add wildcard error:', error);
+        res.status(500).json({ success: false, message: 'Failed to add wildcard' });
+    }
+});
+
+// DELETE /round/wildcards/:id — Revoke a wildcard entry
+router.delete('/round/wildcards/:id', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: existing } = await supabase
+            .from('round_wildcards')
+            .select('round_number, attempt_token')
+            .eq('id', id)
+            .single();
+
+        const { error } = await supabase
+            .from('round_wildcards')
+            .delete()
+            .eq('id', id);
+
+        if (error) throw error;
+
+        auditLog(null, req.admin.id, 'WILDCARD_REMOVED',
+            `Wildcard removed${existing ? ` from Round ${existing.round_number} for ${existing.attempt_token.substring(0, 8)}` : ''}`,
+            existing?.round_number || null, req);
+
+        res.json({ success: true, message: 'Wildcard removed' });
+    } catch (error) {
+        console.error('Remove wildcard error:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove wildcard' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────
+// PROCTORING — Violations reported by exam pages, and
+// disqualification before shortlisting
+// ─────────────────────────────────────────────────────────────
+
+// GET /round/:roundNumber/violators — Tokens with proctoring events
+// or a violation auto-submit, most events first
+router.get('/round/:roundNumber/violators', requireAdmin, async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.params.roundNumber);
+
+        const { data: events, error } = await supabase
+            .from('proctoring_events')
+            .select('attempt_token, event_type, details, client_at, created_at')
+            .eq('round_number', roundNumber)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        const { data: autoSubmits } = await supabase
+            .from('submissions')
+            .select('attempt_token, submitted_at')
+            .eq('round_number', roundNumber)
+            .eq('submission_type', 'auto_violation');
+
+        const { data: disqualified } = await supabase
+            .from('disqualifications')
+            .select('id, attempt_token, reason, created_at')
+            .eq('round_number', roundNumber);
+
+        const violators = {};
+        const entryFor = (token) => {
+            if (!violators[token]) {
+                violators[token] = {
+                    attempt_token: token,
+                    counts: { tab_switch: 0, focus_loss: 0, fullscreen_exit: 0 },
+                    total: 0,
+                    events: [],
+                    autoSubmitted: false,
+                    disqualification: null
+                };
+            }
+            return violators[token];
+        };
+
+        (events || []).forEach(e => {
+            const entry = entryFor(e.attempt_token);
+            entry.counts[e.event_type] = (entry.counts[e.event_type] || 0) + 1;
+            entry.total++;
+            entry.events.push({
+                type: e.event_type,
+                at: e.created_at,
+                clientAt: e.client_at,
+                details: e.details
+            });
+        });
+        (autoSubmits || []).forEach(s => {
+            entryFor(s.attempt_token).autoSubmitted = true;
+        });
+        (disqualified || []).forEach(d => {
+            if (violators[d.attempt_token]) violators[d.attempt_token].disqualification = d;
+        });
+
+        // Attach participant names where available
+        const tokens = Object.keys(violators);
+        const nameMap = {};
+        if (tokens.length > 0) {
+            const { data: details } = await supabase
+                .from('participant_details')
+                .select('attempt_token, name, college')
+                .in('attempt_token', tokens);
+            (details || []).forEach(d => { nameMap[d.attempt_token] = d; });
+        }
+
+        const data = Object.values(violators)
+            .map(v => ({
+                ...v,
+                name: nameMap[v.attempt_token]?.name || null,
+                college: nameMap[v.attempt_token]?.college || null
+            }))
+            .sort((a, b) => (b.autoSubmitted - a.autoSubmitted) || (b.total - a.total));
+
+        res.json({ success: true, roundNumber, data });
+    } catch (error) {
+        console.error('Violators fetch error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch violators' });
+    }
+});
+
+// POST /round/disqualify — Disqualify a token from a round
+// Ranking skips it, so it cannot be shortlisted. If the round is
+// already ranked / shortlisted, both are re-applied immediately.
+router.post('/round/disqualify', requireAdmin, async (req, res) => {
+    try {
+        const { roundNumber, attemptToken, reason } = req.body;
+        const roundNum = parseInt(roundNumber);
+
+        if (!roundNum || !attemptToken || !reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Round number, attempt token and reason are required'
+            });
+        }
+
+        const { data: disqualification, error } = await supabase
+            .from('disqualifications')
+            .upsert({
+                round_number: roundNum,
+                attempt_token: attemptToken,
+                reason: reason.trim(),
+                disqualified_by: req.admin.id
+            }, { onConflict: 'attempt_token,round_number' })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        const ranking = await rerankRound(roundNum);
+
+        auditLog(null, req.admin.id, 'PARTICIPANT_DISQUALIFIED',
+            `${attemptToken.substring(0, 8)} disqualified from Round ${roundNum}: ${reason.trim()}`,
+            roundNum, req, { attempt_token: attemptToken, reason: reason.trim(), ...ranking });
+
+        res.json({ success: true, message: 'Participant disqualified', data: disqualification, ...ranking });
+    } catch (error) {
+        console.error('Disqualify error:', error);
+        res.status(500).json({ success: false, message: 'Failed to disqualify participant' });
+    }
+});
+
+// POST /round/reinstate — Lift a disqualification (reason required)
+// The token is ranked again; shortlisting is re-applied if done.
+router.post('/round/reinstate', requireAdmin, async (req, res) => {
+    try {
+        const { roundNumber, attemptToken, reason } = req.body;
+        const roundNum = parseInt(roundNumber);
+
+        if (!roundNum || !attemptToken || !reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Round number, attempt token and reason are required'
+            });
+        }
+
+        const { data: removed, error } = await supabase
+            .from('disqualifications')
+            .delete()
+            .eq('round_number', roundNum)
+            .eq('attempt_token', attemptToken)
+            .select('reason');
+
+        if (error) throw error;
+
+        if (!removed || removed.length === 0) {
+            return res.status(404).json({ success: false, message: 'Participant is not disqualified' });
+        }
+
+        const ranking = await rerankRound(roundNum);
+
+        auditLog(null, req.admin.id, 'PARTICIPANT_REINSTATED',
+            `${attemptToken.substring(0, 8)} reinstated in Round ${roundNum}: ${reason.trim()}`,
+            roundNum, req, {
+                attempt_token: attemptToken,
+                reason: reason.trim(),
+                previous_reason: removed[0].reason,
+                ...ranking
+            });
+
+        res.json({ success: true, message: 'Participant reinstated', ...ranking });
+    } catch (error) {
+        console.error('Reinstate error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reinstate participant' });
+    }
+});
+
 // ─────────────────────────────────────────────────────────────
 // GET /results/:roundNumber — Get results (V4: from results table)
 // ─────────────────────────────────────────────────────────────
@@ -533,11 +1095,22 @@ router.get('/results/:roundNumber', requireAdmin, async (req, res) => {
             });
         }
 
-        // Enrich results with participant names
-        const enrichedResults = (results || []).map(r => ({
-            ...r,
-            participant_name: nameMap[r.attempt_token] || 'Unknown'
-        }));
+        const dqMap = await disqualificationMap(roundNumber);
+
+        // Enrich results with participant names, time discrepancy flag and DQ status
+        const enrichedResults = (results || []).map(r => {
+            const discrepancy = timeDiscrepancy(r);
+            const dq = dqMap[r.attempt_token];
+            return {
+                ...r,
+                participant_name: nameMap[r.attempt_token] || 'Unknown',
+                time_discrepancy_seconds: discrepancy,
+                time_discrepancy_flagged: discrepancy !== null && discrepancy > TIME_DISCREPANCY_SECONDS,
+                disqualified: !!dq,
+                disqualification_reason: dq?.reason || null,
+                disqualified_at: dq?.created_at || null
+            };
+        });
 
         const { data: auditLogs } = await supabase
             .from('audit_logs')
@@ -643,6 +1216,11 @@ router.get('/participants', requireAdmin, async (req, res) => {
                 answer_count: answerCount,
                 time_taken_seconds: s.time_taken_seconds,
                 submitted_at: s.submitted_at,
+                submission_status: s.submission_status || 'accepted',
+                submission_source: s.submission_source || 'client',
+                paper_set: s.paper_set || null,
+                submission_type: s.submission_type || null,
+                flag_reason: s.flag_reason || null,
                 score: result.score !== undefined ? result.score : null,
                 rank: result.rank || null,
                 qualified_for_next: result.qualified_for_next || false
@@ -719,17 +1297,28 @@ router.get('/export/:roundNumber', requireAdmin, async (req, res) => {
             });
         }
 
+        const dqMap = await disqualificationMap(roundNumber);
+
         const csvRows = [
-            ['Rank', 'Participant Name', 'Score', 'Time (sec)', 'Qualified']
+            ['Rank', 'Participant Name', 'Score', 'Correct', 'Wrong', 'Unanswered', 'Time (sec)', 'Client Time (sec)', 'Time Flag', 'Qualified', 'Disqualified', 'DQ Reason']
         ];
 
         results?.forEach(r => {
+            const discrepancy = timeDiscrepancy(r);
+            const dq = dqMap[r.attempt_token];
             csvRows.push([
                 r.rank || '-',
                 nameMap[r.attempt_token] || 'Unknown',
                 r.score,
-                r.time_taken_seconds || '',
-                r.qualified_for_next ? 'Yes' : 'No'
+                r.correct_count ?? '',
+                r.wrong_count ?? '',
+                r.unanswered_count ?? '',
+                r.time_taken_seconds ?? '',
+                r.client_time_taken_seconds ?? '',
+                discrepancy !== null && discrepancy > TIME_DISCREPANCY_SECONDS ? `Off by ${discrepancy}s` : '',
+                r.qualified_for_next ? 'Yes' : 'No',
+                dq ? 'Yes' : 'No',
+                dq?.reason || ''
             ]);
         });
 
@@ -750,28 +1339,257 @@ router.get('/export/:roundNumber', requireAdmin, async (req, res) => {
     }
 });
 
+// ─────────────────────────────────────────────────────────────
+// ROUNDS — Create / reorder / delete. Rounds are numbered 1..N
+// without gaps (round N admits those shortlisted in N−1), so
+// reorder and delete renumber not-yet-started rounds in SQL.
+// ─────────────────────────────────────────────────────────────
+
+// GET /rounds — All rounds in order, with question counts
+router.get('/rounds', requireAdmin, async (req, res) => {
+    try {
+        const { data: rounds, error } = await supabase
+            .from('rounds')
+            .select('*')
+            .order('round_number');
+
+        if (error) throw error;
+
+        const { data: questionRows } = await supabase
+            .from('questions')
+            .select('round_number');
+
+        const questionCounts = {};
+        (questionRows || []).forEach(q => {
+            questionCounts[q.round_number] = (questionCounts[q.round_number] || 0) + 1;
+        });
+
+        res.json({
+            success: true,
+            data: (rounds || []).map(r => ({
+                ...r,
+                question_count: questionCounts[r.round_number] || 0
+            }))
+        });
+    } catch (error) {
+        console.error('Rounds fetch error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch rounds' });
+    }
+});
+
+// POST /round/create — Append a round after the last one
+router.post('/round/create', requireAdmin, async (req, res) => {
+    try {
+        const { name, durationMinutes, topQualifyCount, questionsServed } = req.body;
+
+        const { data: last } = await supabase
+            .from('rounds')
+            .select('round_number')
+            .order('round_number', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        const roundNumber = (last?.round_number || 0) + 1;
+
+        const { data: round, error } = await supabase
+            .from('rounds')
+            .insert({
+                round_number: roundNumber,
+                name: name?.trim().substring(0, 100) || null,
+                duration_minutes: parseInt(durationMinutes) || 15,
+                top_qualify_count: parseInt(topQualifyCount) || 25,
+                total_questions: parseInt(questionsServed) || 15
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        auditLog(null, req.admin.id, 'ROUND_CREATED',
+            `Round ${roundNumber} created${round.name ? ` ("${round.name}")` : ''}`, roundNumber, req);
+        broadcastStatus();
+
+        res.json({ success: true, message: `Round ${roundNumber} created`, data: round });
+    } catch (error) {
+        console.error('Create round error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create round' });
+    }
+});
+
+// POST /round/move — Swap a round with its neighbour
+// Body: { roundNumber, direction: 'up' | 'down' }
+router.post('/round/move', requireAdmin, async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.body.roundNumber);
+        const direction = req.body.direction;
+
+        if (!roundNumber || !['up', 'down'].includes(direction)) {
+            return res.status(400).json({ success: false, message: 'Round number and direction (up/down) required' });
+        }
+
+        const otherRound = direction === 'up' ? roundNumber - 1 : roundNumber + 1;
+
+        const { data: result, error } = await supabase.rpc('swap_rounds', {
+            p_a: roundNumber,
+            p_b: otherRound
+        });
+
+        if (error) throw error;
+
+        if (!result?.success) {
+            return res.status(400).json({ success: false, message: result?.message || 'Cannot move round' });
+        }
+
+        auditLog(null, req.admin.id, 'ROUNDS_REORDERED',
+            `Round ${roundNumber} moved ${direction} (swapped with Round ${otherRound})`, null, req);
+        broadcastStatus();
+
+        res.json({ success: true, message: result.message });
+    } catch (error) {
+        console.error('Move round error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reorder rounds' });
+    }
+});
+
+// DELETE /round/:roundNumber — Delete a not-yet-started round
+// (its questions are deleted too; later rounds move down)
+router.delete('/round/:roundNumber', requireAdmin, async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.params.roundNumber);
+
+        if (!roundNumber) {
+            return res.status(400).json({ success: false, message: 'Invalid round number' });
+        }
+
+        const { data: result, error } = await supabase.rpc('delete_round', {
+            p_round_number: roundNumber
+        });
+
+        if (error) throw error;
+
+        if (!result?.success) {
+            return res.status(400).json({ success: false, message: result?.message || 'Cannot delete round' });
+        }
+
+        auditLog(null, req.admin.id, 'ROUND_DELETED', `Round ${roundNumber} deleted`, null, req);
+        broadcastStatus();
+
+        res.json({ success: true, message: result.message });
+    } catch (error) {
+        console.error('Delete round error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete round' });
+    }
+});
+
 // ─────────────────────────────────────────────────────────────
 // POST /round/update — Update round settings
+//
+// Body: { roundNumber, name?, durationMinutes?, topQualifyCount?,
+//         shuffleQuestions?, shuffleOptions?,
+//         questionsServed?, stratifyBy? ('topic' | 'difficulty' | null),
+//         marksCorrect?, marksWrong?, marksUnanswered? }
+// Shuffle and sampling settings are locked while the round is running
+// or paused: answers already saved were mapped with the old order, and
+// papers already drawn would not match new ones.
+// Marks are locked once the round has results (409).
 // ─────────────────────────────────────────────────────────────
 router.post('/round/update', requireAdmin, async (req, res) => {
     try {
-        const { roundNumber, durationMinutes } = req.body;
+        const {
+            roundNumber, name, durationMinutes, topQualifyCount,
+            shuffleQuestions, shuffleOptions, questionsServed, stratifyBy,
+            marksCorrect, marksWrong, marksUnanswered
+        } = req.body;
+
+        const updates = {};
+        if (typeof name === 'string') updates.name = name.trim().substring(0, 100) || null;
+        if (durationMinutes !== undefined) updates.duration_minutes = parseInt(durationMinutes);
+        if (topQualifyCount !== undefined) updates.top_qualify_count = parseInt(topQualifyCount);
+        if (typeof shuffleQuestions === 'boolean') updates.shuffle_questions = shuffleQuestions;
+        if (typeof shuffleOptions === 'boolean') updates.shuffle_options = shuffleOptions;
+        if (questionsServed !== undefined) updates.total_questions = parseInt(questionsServed);
+        if (stratifyBy !== undefined) updates.sample_stratify_by = stratifyBy || null;
+        if (marksCorrect !== undefined) updates.marks_correct = parseMark(marksCorrect);
+        if (marksWrong !== undefined) updates.marks_wrong = parseMark(marksWrong);
+        if (marksUnanswered !== undefined) updates.marks_unanswered = parseMark(marksUnanswered);
+
+        if (!roundNumber || Object.keys(updates).length === 0 ||
+            (updates.duration_minutes !== undefined && !updates.duration_minutes) ||
+            (updates.top_qualify_count !== undefined && !(updates.top_qualify_count >= 1)) ||
+            (updates.total_questions !== undefined && !(updates.total_questions >= 1))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Round number and a setting to change are required'
+            });
+        }
+
+        if (updates.sample_stratify_by && !STRATIFY_FIELDS.includes(updates.sample_stratify_by)) {
+            return res.status(400).json({
+                success: false,
+                message: `Stratify by must be one of: ${STRATIFY_FIELDS.join(', ')}`
+            });
+        }
 
-        if (!roundNumber || !durationMinutes) {
+        const markFields = ['marks_correct', 'marks_wrong', 'marks_unanswered'].filter(field => field in updates);
+        if (markFields.some(field => updates[field] === null)) {
             return res.status(400).json({
                 success: false,
-                message: 'Round number and duration are required'
+                message: 'Marks must be numbers between -1000 and 1000'
             });
         }
 
+        if (markFields.length > 0) {
+            const { count: resultCount } = await supabase
+                .from('results')
+                .select('id', { count: 'exact', head: true })
+                .eq('round_number', roundNumber);
+
+            if (resultCount > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Marking cannot change after the round has been evaluated'
+                });
+            }
+        }
+
+        const changesPaper = ['shuffle_questions', 'shuffle_options', 'total_questions', 'sample_stratify_by']
+            .some(field => field in updates);
+        if (changesPaper) {
+            const { data: eventState } = await supabase
+                .from('event_state')
+                .select('current_round, round_status')
+                .eq('id', 1)
+                .single();
+
+            if (eventState?.current_round === parseInt(roundNumber) &&
+                ['running', 'paused'].includes(eventState.round_status)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Shuffle and sampling settings cannot change while the round is in progress'
+                });
+            }
+        }
+
         const { error } = await supabase
             .from('rounds')
-            .update({ duration_minutes: parseInt(durationMinutes) })
+            .update(updates)
             .eq('round_number', roundNumber);
         if (error) throw error;
 
+        const changes = [];
+        if ('name' in updates) changes.push(`renamed to "${updates.name || `Round ${roundNumber}`}"`);
+        if (updates.duration_minutes !== undefined) changes.push(`duration set to ${updates.duration_minutes} min`);
+        if (updates.top_qualify_count !== undefined) changes.push(`top ${updates.top_qualify_count} qualify`);
+        if ('shuffle_questions' in updates) changes.push(`question shuffle ${updates.shuffle_questions ? 'on' : 'off'}`);
+        if ('shuffle_options' in updates) changes.push(`option shuffle ${updates.shuffle_options ? 'on' : 'off'}`);
+        if (updates.total_questions !== undefined) changes.push(`${updates.total_questions} questions served`);
+        if ('sample_stratify_by' in updates) changes.push(`sampling ${updates.sample_stratify_by ? `stratified by ${updates.sample_stratify_by}` : 'unstratified'}`);
+        if (markFields.length > 0) {
+            changes.push(`marking ${markFields.map(field => `${field.replace('marks_', '')} ${updates[field]}`).join(' / ')}`);
+        }
+
         auditLog(null, req.admin.id, 'ROUND_UPDATED',
-            `Round ${roundNumber} duration set to ${durationMinutes} min`, roundNumber, req);
+            `Round ${roundNumber} ${changes.join(', ')}`, roundNumber, req);
 
         res.json({ success: true, message: 'Round settings updated' });
     } catch (error) {
@@ -806,8 +1624,14 @@ router.post('/round/reset', requireAdmin, async (req, res) => {
         // 1. Delete submissions for this round
         await supabase.from('submissions').delete().eq('round_number', roundNumber);
 
-        // 2. Delete results for this round
+        // 2. Delete results, attempt ledger and drafts for this round
         await supabase.from('results').delete().eq('round_number', roundNumber);
+        await supabase.from('attempts').delete().eq('round_number', roundNumber);
+        await supabase.from('answer_drafts').delete().eq('round_number', roundNumber);
+        await supabase.from('time_extensions').delete().eq('round_number', roundNumber);
+        await supabase.from('proctoring_events').delete().eq('round_number', roundNumber);
+        await supabase.from('disqualifications').delete().eq('round_number', roundNumber);
+        await supabase.from('round_pauses').delete().eq('round_number', roundNumber);
 
         // 3. Delete audit logs for this round (optional, but cleaner for a "hard reset")
         // await supabase.from('audit_logs').delete().eq('round_number', roundNumber);
@@ -819,7 +1643,9 @@ router.post('/round/reset', requireAdmin, async (req, res) => {
                 status: 'pending',
                 started_at: null,
                 ended_at: null,
-                shortlisting_completed: false
+                shortlisting_completed: false,
+                results_published: false,
+                results_published_at: null
             })
             .eq('round_number', roundNumber);
 
@@ -831,12 +1657,14 @@ router.post('/round/reset', requireAdmin, async (req, res) => {
                     round_status: 'not_started',
                     round_started_at: null,
                     round_ends_at: null,
+                    round_paused_at: null,
                     updated_at: new Date().toISOString()
                 })
                 .eq('id', 1);
         }
 
         auditLog(null, req.admin.id, 'ROUND_RESET', `Round ${roundNumber} has been reset`, roundNumber, req);
+        broadcastStatus();
 
         res.json({ success: true, message: `Round ${roundNumber} reset successfully` });
 
@@ -849,6 +1677,8 @@ router.post('/round/reset', requireAdmin, async (req, res) => {
 // ─────────────────────────────────────────────────────────────
 // POST /reset-event — Reset entire event (V4)
 // Only clears submissions and results. No participants table.
+// Round questions are first archived to the question bank, so they
+// survive even when preserveQuestions is off.
 // ─────────────────────────────────────────────────────────────
 router.post('/reset-event', requireAdmin, async (req, res) => {
     try {
@@ -858,10 +1688,30 @@ router.post('/reset-event', requireAdmin, async (req, res) => {
             return res.status(400).json({ success: false, message: 'Invalid confirmation code' });
         }
 
+        let banked = 0;
+        try {
+            banked = await archiveAllRounds();
+        } catch (bankError) {
+            console.error('Reset archive error:', bankError);
+            return res.status(500).json({
+                success: false,
+                message: 'Could not archive questions to the question bank — nothing was reset'
+            });
+        }
+
         // Delete in order
         await supabase.from('audit_logs').delete().neq('id', '00000000-0000-0000-0000-000000000000');
         await supabase.from('results').delete().neq('id', '00000000-0000-0000-0000-000000000000');
         await supabase.from('submissions').delete().neq('id', '00000000-0000-0000-0000-000000000000');
+        await supabase.from('attempts').delete().neq('id', '00000000-0000-0000-0000-000000000000');
+        await supabase.from('answer_drafts').delete().neq('id', '00000000-0000-0000-0000-000000000000');
+        await supabase.from('time_extensions').delete().neq('id', '00000000-0000-0000-0000-000000000000');
+        await supabase.from('proctoring_events').delete().neq('id', '00000000-0000-0000-0000-000000000000');
+        await supabase.from('disqualifications').delete().neq('id', '00000000-0000-0000-0000-000000000000');
+        await supabase.from('round_pauses').delete().neq('id', '00000000-0000-0000-0000-000000000000');
+        await supabase.from('round_wildcards').delete().neq('id', '00000000-0000-0000-0000-000000000000');
+        // Undo snapshots would bring back pre-reset questions
+        await supabase.from('question_imports').delete().neq('id', '00000000-0000-0000-0000-000000000000');
 
         if (!preserveQuestions) {
             await supabase.from('questions').delete().neq('id', '00000000-0000-0000-0000-000000000000');
@@ -874,7 +1724,9 @@ router.post('/reset-event', requireAdmin, async (req, res) => {
                 status: 'pending',
                 started_at: null,
                 ended_at: null,
-                shortlisting_completed: false
+                shortlisting_completed: false,
+                results_published: false,
+                results_published_at: null
             })
             .neq('round_number', 0);
 
@@ -886,15 +1738,21 @@ router.post('/reset-event', requireAdmin, async (req, res) => {
                 round_status: 'not_started',
                 round_started_at: null,
                 round_ends_at: null,
+                round_paused_at: null,
                 event_active: false,
                 updated_at: new Date().toISOString()
             })
             .eq('id', 1);
 
         auditLog(null, req.admin.id, 'EVENT_RESET',
-            `Event reset${preserveQuestions ? ' (questions preserved)' : ''}`, null, req);
+            `Event reset${preserveQuestions ? ' (questions preserved)' : ''}, ${banked} questions added to bank`,
+            null, req);
+        broadcastStatus();
 
-        res.json({ success: true, message: 'Event reset successfully' });
+        res.json({
+            success: true,
+            message: `Event reset successfully${banked ? ` (${banked} questions added to the question bank)` : ''}`
+        });
     } catch (error) {
         console.error('Reset error:', error);
         res.status(500).json({ success: false, message: 'Failed to reset event' });
@@ -926,7 +1784,7 @@ router.get('/participant-details', requireAdmin, async (req, res) => {
                     resultMap[r.attempt_token] = { rounds: {}, totalScore: 0 };
                 }
                 resultMap[r.attempt_token].rounds[r.round_number] = r;
-                resultMap[r.attempt_token].totalScore += (r.score || 0);
+                resultMap[r.attempt_token].totalScore = roundScore(resultMap[r.attempt_token].totalScore + (r.score || 0));
                 if (r.qualified_for_next) {
                     resultMap[r.attempt_token].qualified = true;
                 }
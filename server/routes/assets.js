@@ -0,0 +1,110 @@
+/**
+ * Question Asset Routes
+ * Quiz Conquest - ECE Professional Online Exam Platform
+ *
+ * Upload (admin) and serve (public) question / option images.
+ * Storage is handled by services/assets.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { requireAdmin, auditLog } = require('../middleware/auth');
+const { IMAGE_TYPES, MAX_ASSET_BYTES, UUID_PATTERN, assetUrl, saveAsset, readAsset } = require('../services/assets');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ASSET_BYTES },
+    fileFilter: (req, file, cb) => {
+        if (IMAGE_TYPES[file.mimetype]) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Allowed: PNG, JPEG, GIF, WebP, SVG'));
+        }
+    }
+});
+
+/**
+ * POST /api/assets
+ * Upload an image (multipart field "file")
+ * Returns { id, url }
+ */
+router.post('/', requireAdmin, (req, res) => {
+    upload.single('file')(req, res, async (uploadError) => {
+        if (uploadError) {
+            return res.status(400).json({
+                success: false,
+                message: uploadError.code === 'LIMIT_FILE_SIZE'
+                    ? `Image is larger than ${Math.round(MAX_ASSET_BYTES / 1024 / 1024)} MB`
+                    : uploadError.message
+            });
+        }
+
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No file uploaded'
+                });
+            }
+
+            const asset = await saveAsset(req.file.buffer, {
+                fileName: req.file.originalname,
+                mimeType: req.file.mimetype
+            });
+
+            if (!asset) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Unsupported or empty image'
+                });
+            }
+
+            auditLog(null, req.admin.id, 'ASSET_UPLOADED',
+                `Image ${req.file.originalname} uploaded`, null, req, { asset_id: asset.id });
+
+            res.json({
+                success: true,
+                data: { id: asset.id, url: assetUrl(asset.id) }
+            });
+        } catch (error) {
+            console.error('Asset upload error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to store image'
+            });
+        }
+    });
+});
+
+/**
+ * GET /api/assets/:assetId
+ * Serve an image. Public: participants load question images
+ * during the exam. Content never changes for an id.
+ */
+router.get('/:assetId', async (req, res) => {
+    try {
+        const { assetId } = req.params;
+
+        if (!UUID_PATTERN.test(assetId)) {
+            return res.status(404).json({ success: false, message: 'Image not found' });
+        }
+
+        const asset = await readAsset(assetId);
+        if (!asset) {
+            return res.status(404).json({ success: false, message: 'Image not found' });
+        }
+
+        res.setHeader('Content-Type', asset.mimeType);
+        res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        // SVG opened directly must not run scripts on this origin
+        res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+        res.send(asset.buffer);
+    } catch (error) {
+        console.error('Asset fetch error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load image' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,374 @@
+/**
+ * Question Bank Routes
+ * Quiz Conquest - ECE Professional Online Exam Platform
+ *
+ * Questions kept independently of rounds (see services/bank.js).
+ * Rounds are assembled by copying bank questions into them.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../config/database');
+const { requireAdmin, auditLog } = require('../middleware/auth');
+const { questionTags } = require('../services/sampling');
+const { questionWeight } = require('../services/marking');
+const { normalizeQuestion, questionExplanation } = require('../services/questionTypes');
+const { UUID_PATTERN, questionImageColumns } = require('../services/assets');
+const { toBankRow, toRoundRow, filterBank, archiveQuestions } = require('../services/bank');
+
+const MAX_PAGE_SIZE = 100;
+
+// Bank row from admin / JSON input, or { error }
+function bankQuestionFromBody(body) {
+    const questionText = (body.questionText || body.question_text || '').toString().trim();
+    if (!questionText) {
+        return { error: 'Question text is required' };
+    }
+
+    const { question: answerColumns, error } = normalizeQuestion(body);
+    if (error) return { error };
+
+    return {
+        row: toBankRow({
+            question_text: questionText,
+            ...answerColumns,
+            ...questionImageColumns(body, answerColumns),
+            weight: questionWeight(body),
+            ...questionTags(body),
+            ...questionExplanation(body)
+        }, body.source)
+    };
+}
+
+function isDuplicate(error) {
+    return error && error.code === '23505';
+}
+
+/**
+ * GET /api/bank
+ * Search the bank
+ * Query: search?, topic?, difficulty?, source?, type?, page?, limit?
+ * Returns { questions, total, page, limit, topics, sources }
+ */
+router.get('/', requireAdmin, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), MAX_PAGE_SIZE);
+        const query = supabase
+            .from('question_bank')
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range((page - 1) * limit, page * limit - 1);
+
+        const { data: questions, count, error } = await filterBank(query, req.query);
+        if (error) throw error;
+
+        // Filter choices
+        const { data: tags, error: tagsError } = await supabase
+            .from('question_bank')
+            .select('topic, source');
+        if (tagsError) throw tagsError;
+
+        const distinct = field => [...new Set((tags || []).map(t => t[field]).filter(Boolean))].sort();
+
+        res.json({
+            success: true,
+            data: {
+                questions: questions || [],
+                total: count || 0,
+                page,
+                limit,
+                topics: distinct('topic'),
+                sources: distinct('source')
+            }
+        });
+    } catch (error) {
+        console.error('Bank search error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load question bank'
+        });
+    }
+});
+
+/**
+ * POST /api/bank
+ * Add a question to the bank
+ * Body: as POST /api/questions/add (without round / number) + source?
+ */
+router.post('/', requireAdmin, async (req, res) => {
+    try {
+        const { row, error: inputError } = bankQuestionFromBody(req.body);
+        if (inputError) {
+            return res.status(400).json({ success: false, message: inputError });
+        }
+
+        const { data: question, error } = await supabase
+            .from('question_bank')
+            .insert(row)
+            .select()
+            .single();
+
+        if (isDuplicate(error)) {
+            return res.status(409).json({
+                success: false,
+                message: 'This question is already in the bank'
+            });
+        }
+        if (error) throw error;
+
+        auditLog(null, req.admin.id, 'BANK_QUESTION_ADDED',
+            `Question added to bank${row.source ? ` (${row.source})` : ''}`, null, req,
+            { bank_question_id: question.id });
+
+        res.json({ success: true, message: 'Question added to bank', data: question });
+    } catch (error) {
+        console.error('Bank add error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add question to bank'
+        });
+    }
+});
+
+/**
+ * PUT /api/bank/:questionId
+ * Edit a bank question. Rounds already assembled keep their copy.
+ */
+router.put('/:questionId', requireAdmin, async (req, res) => {
+    try {
+        const { row, error: inputError } = bankQuestionFromBody(req.body);
+        if (inputError) {
+            return res.status(400).json({ success: false, message: inputError });
+        }
+
+        const { data: question, error } = await supabase
+            .from('question_bank')
+            .update({ ...row, updated_at: new Date().toISOString() })
+            .eq('id', req.params.questionId)
+            .select()
+            .maybeSingle();
+
+        if (isDuplicate(error)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Another bank question already has this text and answer'
+            });
+        }
+        if (error) throw error;
+
+        if (!question) {
+            return res.status(404).json({ success: false, message: 'Bank question not found' });
+        }
+
+        auditLog(null, req.admin.id, 'BANK_QUESTION_UPDATED', 'Bank question updated', null, req,
+            { bank_question_id: question.id });
+
+        res.json({ success: true, message: 'Bank question updated', data: question });
+    } catch (error) {
+        console.error('Bank update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update bank question'
+        });
+    }
+});
+
+/**
+ * DELETE /api/bank/:questionId
+ * Remove a question from the bank (round copies stay)
+ */
+router.delete('/:questionId', requireAdmin, async (req, res) => {
+    try {
+        const { data: deleted, error } = await supabase
+            .from('question_bank')
+            .delete()
+            .eq('id', req.params.questionId)
+            .select('id');
+
+        if (error) throw error;
+
+        if (!deleted || deleted.length === 0) {
+            return res.status(404).json({ success: false, message: 'Bank question not found' });
+        }
+
+        auditLog(null, req.admin.id, 'BANK_QUESTION_DELETED', 'Bank question deleted', null, req,
+            { bank_question_id: req.params.questionId });
+
+        res.json({ success: true, message: 'Bank question deleted' });
+    } catch (error) {
+        console.error('Bank delete error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete bank question'
+        });
+    }
+});
+
+/**
+ * POST /api/bank/archive-round
+ * Copy a round's questions into the bank
+ * Body: { roundNumber, source? } — source defaults to
+ * "<round name> — <year>"
+ */
+router.post('/archive-round', requireAdmin, async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.body.roundNumber);
+
+        if (!roundNumber) {
+            return res.status(400).json({ success: false, message: 'Invalid round number' });
+        }
+
+        const { data: round } = await supabase
+            .from('rounds')
+            .select('name')
+            .eq('round_number', roundNumber)
+            .maybeSingle();
+
+        const { data: questions, error } = await supabase
+            .from('questions')
+            .select('*')
+            .eq('round_number', roundNumber)
+            .order('question_number');
+
+        if (error) throw error;
+
+        if (!questions || questions.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Round ${roundNumber} has no questions`
+            });
+        }
+
+        const source = (req.body.source || '').toString().trim() ||
+            `${round?.name || `Round ${roundNumber}`} — ${new Date().getFullYear()}`;
+        const added = await archiveQuestions(questions, source);
+
+        auditLog(null, req.admin.id, 'BANK_ROUND_ARCHIVED',
+            `${added} of ${questions.length} questions from Round ${roundNumber} added to bank (${source})`,
+            roundNumber, req);
+
+        res.json({
+            success: true,
+            message: added === questions.length
+                ? `${added} questions added to the bank`
+                : `${added} questions added to the bank (${questions.length - added} already there)`,
+            data: { added, total: questions.length, source }
+        });
+    } catch (error) {
+        console.error('Bank archive error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to archive round questions'
+        });
+    }
+});
+
+/**
+ * POST /api/bank/assemble
+ * Copy bank questions into a pending round, in the order given
+ * Body: { roundNumber, questionIds: [...], replace? } — replace clears
+ * the round first; otherwise questions are appended and ones the
+ * round already has are skipped
+ */
+router.post('/assemble', requireAdmin, async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.body.roundNumber);
+        const { questionIds, replace } = req.body;
+
+        if (!roundNumber) {
+            return res.status(400).json({ success: false, message: 'Invalid round number' });
+        }
+
+        if (!Array.isArray(questionIds) || questionIds.length === 0 ||
+            !questionIds.every(id => UUID_PATTERN.test(id))) {
+            return res.status(400).json({ success: false, message: 'Select at least one bank question' });
+        }
+
+        const { data: round } = await supabase
+            .from('rounds')
+            .select('status')
+            .eq('round_number', roundNumber)
+            .single();
+
+        if (!round) {
+            return res.status(404).json({
+                success: false,
+                message: `Round ${roundNumber} does not exist`
+            });
+        }
+
+        if (round.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot add questions to a round that has already started'
+            });
+        }
+
+        const { data: bankQuestions, error: bankError } = await supabase
+            .from('question_bank')
+            .select('*')
+            .in('id', questionIds);
+
+        if (bankError) throw bankError;
+
+        const byId = new Map((bankQuestions || []).map(q => [q.id, q]));
+        let selected = [...new Set(questionIds)].map(id => byId.get(id)).filter(Boolean);
+
+        if (selected.length === 0) {
+            return res.status(404).json({ success: false, message: 'Bank questions not found' });
+        }
+
+        let nextNumber = 1;
+        let skipped = 0;
+
+        if (replace) {
+            const { error: deleteError } = await supabase
+                .from('questions')
+                .delete()
+                .eq('round_number', roundNumber);
+
+            if (deleteError) throw deleteError;
+        } else {
+            const { data: existing, error: existingError } = await supabase
+                .from('questions')
+                .select('question_number, bank_question_id')
+                .eq('round_number', roundNumber);
+
+            if (existingError) throw existingError;
+
+            const inRound = new Set((existing || []).map(q => q.bank_question_id).filter(Boolean));
+            const before = selected.length;
+            selected = selected.filter(q => !inRound.has(q.id));
+            skipped = before - selected.length;
+            nextNumber = (existing || []).reduce((max, q) => Math.max(max, q.question_number), 0) + 1;
+        }
+
+        if (selected.length > 0) {
+            const { error } = await supabase
+                .from('questions')
+                .insert(selected.map((q, i) => toRoundRow(q, roundNumber, nextNumber + i)));
+
+            if (error) throw error;
+        }
+
+        auditLog(null, req.admin.id, 'ROUND_ASSEMBLED_FROM_BANK',
+            `${selected.length} bank questions ${replace ? 'set as' : 'added to'} Round ${roundNumber}`,
+            roundNumber, req, { bank_question_ids: selected.map(q => q.id) });
+
+        res.json({
+            success: true,
+            message: `${selected.length} questions ${replace ? 'set as' : 'added to'} Round ${roundNumber}` +
+                (skipped ? ` (${skipped} already in the round)` : ''),
+            data: { added: selected.length, skipped }
+        });
+    } catch (error) {
+        console.error('Bank assemble error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add bank questions to round'
+        });
+    }
+});
+
+module.exports = router;
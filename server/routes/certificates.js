@@ -0,0 +1,295 @@
+/**
+ * Certificate Routes
+ * Quiz Conquest - ECE Professional Online Exam Platform
+ *
+ * Template settings, results publishing and downloads (admin), and
+ * a participant's own certificate once a round's results are
+ * published (by attempt_token, no auth). Drawing is handled by
+ * services/certificates.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../config/database');
+const { requireAdmin, auditLog } = require('../middleware/auth');
+const { UUID_PATTERN } = require('../services/assets');
+const {
+    CERTIFICATE_KINDS, certificateImages, certificateSettings, settingsFromBody,
+    roundCertificates, certificatePDF, certificateFileName, certificateZip
+} = require('../services/certificates');
+
+function sendFile(res, buffer, contentType, fileName) {
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+    res.send(buffer);
+}
+
+/**
+ * GET /api/certificates/settings
+ * Certificate template, plus the images in public/img to choose from
+ */
+router.get('/settings', requireAdmin, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                settings: await certificateSettings(),
+                images: certificateImages()
+            }
+        });
+    } catch (error) {
+        console.error('Certificate settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load certificate settings'
+        });
+    }
+});
+
+/**
+ * PUT /api/certificates/settings
+ * Body: { eventName, organizer?, logoFile?, meritCount?,
+ * signatures?: [{ name, title, image? }] }
+ */
+router.put('/settings', requireAdmin, async (req, res) => {
+    try {
+        const { settings, error: inputError } = settingsFromBody(req.body);
+        if (inputError) {
+            return res.status(400).json({ success: false, message: inputError });
+        }
+
+        const { error } = await supabase
+            .from('certificate_settings')
+            .upsert({ id: 1, ...settings, updated_at: new Date().toISOString() });
+
+        if (error) throw error;
+
+        auditLog(null, req.admin.id, 'CERTIFICATE_SETTINGS_UPDATED', 'Certificate template updated', null, req);
+
+        res.json({ success: true, message: 'Certificate template saved', data: settings });
+    } catch (error) {
+        console.error('Certificate settings update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save certificate settings'
+        });
+    }
+});
+
+/**
+ * GET /api/certificates/preview
+ * Sample certificate with the saved template
+ * Query: kind (merit / participation)
+ */
+router.get('/preview', requireAdmin, async (req, res) => {
+    try {
+        const kind = CERTIFICATE_KINDS.includes(req.query.kind) ? req.query.kind : 'merit';
+        const settings = await certificateSettings();
+        const sample = {
+            attemptToken: '00000000',
+            name: 'Participant Name',
+            college: 'College Name',
+            rank: 1,
+            score: 0,
+            kind
+        };
+
+        const buffer = await certificatePDF([sample], settings, { round_number: 1, name: null });
+        sendFile(res, buffer, 'application/pdf', `certificate_preview_${kind}.pdf`);
+    } catch (error) {
+        console.error('Certificate preview error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate certificate preview'
+        });
+    }
+});
+
+/**
+ * POST /api/certificates/publish
+ * Publish (or withdraw) a completed round's results — participants
+ * can then download their certificates
+ * Body: { roundNumber, published }
+ */
+router.post('/publish', requireAdmin, async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.body.roundNumber);
+        const published = req.body.published !== false;
+
+        if (!roundNumber) {
+            return res.status(400).json({ success: false, message: 'Invalid round number' });
+        }
+
+        const { data: round } = await supabase
+            .from('rounds')
+            .select('status')
+            .eq('round_number', roundNumber)
+            .maybeSingle();
+
+        if (!round) {
+            return res.status(404).json({ success: false, message: `Round ${roundNumber} does not exist` });
+        }
+
+        if (published && round.status !== 'completed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only a completed round\'s results can be published'
+            });
+        }
+
+        const { error } = await supabase
+            .from('rounds')
+            .update({
+                results_published: published,
+                results_published_at: published ? new Date().toISOString() : null
+            })
+            .eq('round_number', roundNumber);
+
+        if (error) throw error;
+
+        auditLog(null, req.admin.id, published ? 'RESULTS_PUBLISHED' : 'RESULTS_UNPUBLISHED',
+            `Round ${roundNumber} results ${published ? 'published' : 'withdrawn'}`, roundNumber, req);
+
+        res.json({
+            success: true,
+            message: published
+                ? `Round ${roundNumber} results published — certificates are available to participants`
+                : `Round ${roundNumber} results withdrawn`
+        });
+    } catch (error) {
+        console.error('Publish results error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update results publishing'
+        });
+    }
+});
+
+/**
+ * GET /api/certificates/round/:roundNumber
+ * A round's certificates: ZIP of one PDF each, or one PDF to print
+ * Query: kind (merit / participation — default both), format (zip / pdf)
+ */
+router.get('/round/:roundNumber', requireAdmin, async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.params.roundNumber);
+        const kind = CERTIFICATE_KINDS.includes(req.query.kind) ? req.query.kind : null;
+        const format = req.query.format === 'pdf' ? 'pdf' : 'zip';
+
+        if (!roundNumber) {
+            return res.status(400).json({ success: false, message: 'Invalid round number' });
+        }
+
+        const settings = await certificateSettings();
+        const { round, certificates: all, unnamed } = await roundCertificates(roundNumber, {
+            meritCount: settings.merit_count
+        });
+
+        if (!round) {
+            return res.status(404).json({ success: false, message: `Round ${roundNumber} does not exist` });
+        }
+
+        const certificates = kind ? all.filter(c => c.kind === kind) : all;
+        if (certificates.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: all.length === 0 && unnamed === 0
+                    ? `Round ${roundNumber} has no ranked results yet`
+                    : `No ${kind ? `${kind} ` : ''}certificates for Round ${roundNumber}` +
+                        (unnamed ? ` (${unnamed} ranked participants have no name in Participant Details)` : '')
+            });
+        }
+
+        const buffer = format === 'pdf'
+            ? await certificatePDF(certificates, settings, round)
+            : await certificateZip(certificates, settings, round);
+
+        auditLog(null, req.admin.id, 'CERTIFICATES_GENERATED',
+            `${certificates.length} ${kind ? `${kind} ` : ''}certificates for Round ${roundNumber} (${format})` +
+            (unnamed ? ` — ${unnamed} without a name left out` : ''), roundNumber, req);
+
+        sendFile(res, buffer, format === 'pdf' ? 'application/pdf' : 'application/zip',
+            `round_${roundNumber}_${kind || 'all'}_certificates.${format}`);
+    } catch (error) {
+        console.error('Certificates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate certificates'
+        });
+    }
+});
+
+/**
+ * GET /api/certificates/mine
+ * Participant: certificates available to a token (published rounds)
+ * Query: attempt_token
+ * Returns [{ roundNumber, roundName, kind }]
+ */
+router.get('/mine', async (req, res) => {
+    try {
+        const attemptToken = req.query.attempt_token;
+
+        if (!attemptToken || !UUID_PATTERN.test(attemptToken)) {
+            return res.status(400).json({ success: false, message: 'Valid attempt_token is required' });
+        }
+
+        const { data: rounds, error } = await supabase
+            .from('rounds')
+            .select('round_number')
+            .eq('results_published', true)
+            .order('round_number');
+
+        if (error) throw error;
+
+        const settings = await certificateSettings();
+        const available = [];
+        for (const { round_number: roundNumber } of rounds || []) {
+            const { round, certificates } = await roundCertificates(roundNumber, {
+                attemptToken,
+                meritCount: settings.merit_count
+            });
+            if (certificates.length > 0) {
+                available.push({ roundNumber, roundName: round.name || null, kind: certificates[0].kind });
+            }
+        }
+
+        res.json({ success: true, data: available });
+    } catch (error) {
+        console.error('Participant certificates error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load certificates' });
+    }
+});
+
+/**
+ * GET /api/certificates/mine/:roundNumber
+ * Participant: own certificate PDF for a published round
+ * Query: attempt_token
+ */
+router.get('/mine/:roundNumber', async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.params.roundNumber);
+        const attemptToken = req.query.attempt_token;
+
+        if (!roundNumber || !attemptToken || !UUID_PATTERN.test(attemptToken)) {
+            return res.status(400).json({ success: false, message: 'Valid round and attempt_token are required' });
+        }
+
+        const settings = await certificateSettings();
+        const { round, certificates } = await roundCertificates(roundNumber, {
+            attemptToken,
+            meritCount: settings.merit_count
+        });
+
+        if (!round || !round.results_published || certificates.length === 0) {
+            return res.status(404).json({ success: false, message: 'No certificate available for this round' });
+        }
+
+        sendFile(res, await certificatePDF(certificates, settings, round), 'application/pdf',
+            certificateFileName(certificates[0]));
+    } catch (error) {
+        console.error('Participant certificate error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate certificate' });
+    }
+});
+
+module.exports = router;
@@ -6,17 +6,33 @@
  *   • NO personal data storage (name, college, phone — never touch DB)
  *   • attempt_token (UUID) is the ONLY identifier — generated on frontend
  *   • Frontend fetches all questions in one call
- *   • Answers stored in frontend memory only
+ *   • Answers kept in frontend memory, checkpointed to /draft
  *   • Single bulk submission at end
  *   • Fully idempotent submission (duplicate = success)
  *   • NEVER returns 500 for duplicate submission
+ *   • Deadline enforced server-side (late = stored but flagged)
+ *   • Rounds > 1 admit only qualified / wildcard attempt_tokens
+ *   • Optional per-token question / option order; answers are mapped
+ *     back to canonical options before they are stored
+ *   • Tab switches / focus loss / fullscreen exits reported to /proctoring
  *   • No per-question API calls
+ *   • Status pushed over SSE (/events); /status polling is the fallback
  *   • No sessions for participants
  */
 
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/database');
+const { formatStatus, subscribe, notifySubmission } = require('../services/events');
+const { personalDeadline } = require('../services/rounds');
+const { roundShuffleSettings, roundOptionLayouts, shuffleForToken, toCanonical, toDisplay } = require('../services/shuffle');
+const { questionOptions } = require('../services/questionTypes');
+const { questionImages } = require('../services/assets');
+const { roundSamplingSettings, servedQuestionIds } = require('../services/sampling');
+
+// Seconds after round_ends_at during which submissions are still accepted
+// (covers network latency and the client's auto-submit on timer expiry)
+const SUBMIT_GRACE_SECONDS = parseInt(process.env.SUBMIT_GRACE_SECONDS) || 30;
 
 // ─────────────────────────────────────────────────────────────
 // HELPER: Retry wrapper for critical Supabase RPC calls
@@ -40,6 +56,16 @@ async function withRetry(fn, { maxRetries = 2, label = 'DB call' } = {}) {
 }
 
 
+// attempt_token is generated by crypto.randomUUID() on the frontend
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// How the client ended the attempt (stored on the submission row)
+const SUBMISSION_TYPES = ['manual', 'auto_timer', 'auto_violation'];
+
+// Events the exam page reports to /proctoring
+const PROCTORING_EVENT_TYPES = ['tab_switch', 'focus_loss', 'fullscreen_exit'];
+
+
 // ─────────────────────────────────────────────────────────────
 // POST /register — Register participant details
 // ─────────────────────────────────────────────────────────────
@@ -104,6 +130,9 @@ router.post('/register', async (req, res) => {
 // ─────────────────────────────────────────────────────────────
 // GET /status — Get current round/event status
 // No auth required. Anyone can check status.
+//
+// Optional ?attempt_token=UUID adds personalEndsAt: that token's
+// extended deadline for the current round, or null without one.
 // ─────────────────────────────────────────────────────────────
 router.get('/status', async (req, res) => {
     try {
@@ -113,27 +142,19 @@ router.get('/status', async (req, res) => {
             .eq('id', 1)
             .single();
 
-        if (error || !eventState) {
-            return res.json({
-                success: true,
-                data: {
-                    currentRound: 0,
-                    roundStatus: 'not_started',
-                    eventActive: false
-                }
-            });
-        }
+        const data = formatStatus(error ? null : eventState);
 
-        res.json({
-            success: true,
-            data: {
-                currentRound: eventState.current_round,
-                roundStatus: eventState.round_status,
-                roundStartedAt: eventState.round_started_at,
-                roundEndsAt: eventState.round_ends_at,
-                eventActive: eventState.event_active
+        const attemptToken = req.query.attempt_token;
+        if (attemptToken && UUID_PATTERN.test(attemptToken) && data.currentRound) {
+            try {
+                const deadline = await personalDeadline(attemptToken, data.currentRound);
+                data.personalEndsAt = deadline;
+            } catch (err) {
+                console.warn('Personal deadline warning:', err.message);
             }
-        });
+        }
+
+        res.json({ success: true, data });
     } catch (error) {
         console.error('Status check error:', error.message);
         // Even on error, return a safe response
@@ -149,11 +170,28 @@ router.get('/status', async (req, res) => {
 });
 
 
+// ─────────────────────────────────────────────────────────────
+// GET /events — Live status stream (Server-Sent Events)
+//
+// Events: 'status' (same shape as /status data), 'announcement'.
+// Sent immediately on connect and on every round/event change.
+// Optional ?attempt_token=UUID also receives 'deadline' events when
+// the admin grants that token a time extension.
+// ─────────────────────────────────────────────────────────────
+router.get('/events', (req, res) => {
+    const attemptToken = req.query.attempt_token;
+    subscribe('exam', req, res,
+        attemptToken && UUID_PATTERN.test(attemptToken) ? attemptToken : null);
+});
+
 
 // Questions Cache (prevent DB overload)
 let questionsCache = {
     round: 0,
     data: null,
+    shuffle: null,
+    sampling: null,
+    roundName: null,
     timestamp: 0
 };
 
@@ -163,72 +201,163 @@ let questionsCache = {
 // Single API call. Loads entire question set.
 // Does NOT include correct_option (never sent to client).
 // No auth required — questions are public during a round.
+//
+// Query: ?attempt_token=UUID
+// The first fetch per token+round is recorded in the attempts
+// ledger; submit derives time_taken_seconds from it.
+//
+// ELIGIBILITY: for rounds > 1 the token must have qualified in the
+// previous round or hold a wildcard. Otherwise 403 NOT_QUALIFIED.
+//
+// TIME EXTENSION: roundEndsAt is the token's personal deadline when
+// it holds an extension; it may then load questions after the round
+// has ended globally, until that deadline.
+//
+// PAUSE: questions load while the round is paused too (a reload
+// during a power cut); roundPausedAt tells the client to show its
+// paused overlay with the countdown frozen.
+//
+// SHUFFLE: with rounds.shuffle_questions / shuffle_options set, each
+// token gets its own (stable) question order, renumbered 1..N, and
+// option order under the labels A–D.
+//
+// TYPES: each question carries `type` (single | true_false | multiple |
+// numeric) and only the options it uses (2–6, none for numeric).
+//
+// IMAGES: `image` and `optionImages` ({ A: url }) point at
+// /api/assets/:id; the exam page preloads them from this one response.
+//
+// SAMPLING: when the round's pool is larger than rounds.total_questions
+// each token is served its own sample (stored on first fetch, see
+// services/sampling.js), numbered 1..N.
 // ─────────────────────────────────────────────────────────────
 router.get('/questions', async (req, res) => {
     try {
+        const attemptToken = req.query.attempt_token;
+
+        if (!attemptToken || !UUID_PATTERN.test(attemptToken)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid attempt_token is required'
+            });
+        }
+
         const { data: eventState } = await supabase
             .from('event_state')
-            .select('current_round, round_status, round_ends_at')
+            .select('current_round, round_status, round_ends_at, round_paused_at')
             .eq('id', 1)
             .single();
 
-        if (!eventState || eventState.round_status !== 'running') {
+        if (!eventState || !['running', 'paused', 'completed'].includes(eventState.round_status)) {
             return res.status(400).json({
                 success: false,
                 message: 'No round is currently running'
             });
         }
 
-        // Check Cache
-        const CACHE_TTL = 15000; // 15 seconds
-        if (questionsCache.data &&
-            questionsCache.round === eventState.current_round &&
-            (Date.now() - questionsCache.timestamp < CACHE_TTL)) {
-
-            return res.json({
-                success: true,
-                data: {
-                    roundNumber: eventState.current_round,
-                    roundEndsAt: eventState.round_ends_at,
-                    totalQuestions: questionsCache.data.length,
-                    questions: questionsCache.data
-                }
+        const extendedEndsAt = await personalDeadline(attemptToken, eventState.current_round);
+        const roundEndsAt = extendedEndsAt || eventState.round_ends_at;
+
+        if (eventState.round_status === 'completed' &&
+            !(extendedEndsAt && new Date(extendedEndsAt) > new Date())) {
+            return res.status(400).json({
+                success: false,
+                message: 'No round is currently running'
             });
         }
 
-        // Get all questions WITHOUT correct_option
-        const { data: questions, error } = await supabase
-            .from('questions')
-            .select('id, question_number, question_text, option_a, option_b, option_c, option_d')
-            .eq('round_number', eventState.current_round)
-            .order('question_number');
+        const { data: eligible, error: eligibilityError } = await supabase.rpc('is_eligible_for_round', {
+            p_attempt_token: attemptToken,
+            p_round_number: eventState.current_round
+        });
 
-        if (error) throw error;
+        if (eligibilityError) throw eligibilityError;
 
-        const formattedQuestions = (questions || []).map(q => ({
-            questionId: q.id,
-            questionNumber: q.question_number,
-            questionText: q.question_text,
-            options: {
-                A: q.option_a,
-                B: q.option_b,
-                C: q.option_c,
-                D: q.option_d
-            }
-        }));
+        if (!eligible) {
+            return res.status(403).json({
+                success: false,
+                code: 'NOT_QUALIFIED',
+                roundNumber: eventState.current_round,
+                message: `You did not qualify for Round ${eventState.current_round}`
+            });
+        }
 
-        // Update Cache
-        questionsCache = {
-            round: eventState.current_round,
-            data: formattedQuestions,
-            timestamp: Date.now()
-        };
+        // Record attempt start (first fetch wins). Non-blocking on failure:
+        // submit falls back to the round start time, and a sampled round
+        // creates the row when it stores the sample (servedQuestionIds).
+        const { error: ledgerError } = await supabase.rpc('start_attempt', {
+            p_attempt_token: attemptToken,
+            p_round_number: eventState.current_round
+        });
+        if (ledgerError) {
+            console.warn('Attempt ledger warning:', ledgerError.message);
+        }
+
+        // Check Cache
+        const CACHE_TTL = 15000; // 15 seconds
+        if (!questionsCache.data ||
+            questionsCache.round !== eventState.current_round ||
+            (Date.now() - questionsCache.timestamp >= CACHE_TTL)) {
+
+            // Get all questions WITHOUT correct_option
+            const { data: questions, error } = await supabase
+                .from('questions')
+                .select('id, question_number, question_text, question_type, option_a, option_b, option_c, option_d, option_e, option_f, image_asset_id, option_image_ids, topic, difficulty')
+                .eq('round_number', eventState.current_round)
+                .order('question_number');
+
+            if (error) throw error;
+
+            const { data: roundRow } = await supabase
+                .from('rounds')
+                .select('name')
+                .eq('round_number', eventState.current_round)
+                .maybeSingle();
+
+            // Update Cache
+            questionsCache = {
+                round: eventState.current_round,
+                data: (questions || []).map(q => ({
+                    questionId: q.id,
+                    questionNumber: q.question_number,
+                    questionText: q.question_text,
+                    type: q.question_type || 'single',
+                    options: questionOptions(q),
+                    ...questionImages(q),
+                    topic: q.topic,
+                    difficulty: q.difficulty
+                })),
+                shuffle: await roundShuffleSettings(eventState.current_round),
+                sampling: await roundSamplingSettings(eventState.current_round),
+                roundName: roundRow?.name || null,
+                timestamp: Date.now()
+            };
+        }
+
+        // Token's own sample (null → whole pool), in pool order, renumbered
+        let served = questionsCache.data;
+        const sampleIds = await servedQuestionIds(questionsCache.data, attemptToken,
+            eventState.current_round, questionsCache.sampling);
+        if (sampleIds) {
+            const idSet = new Set(sampleIds);
+            served = served
+                .filter(q => idSet.has(q.questionId))
+                .map((q, index) => ({ ...q, questionNumber: index + 1 }));
+        }
+
+        const formattedQuestions = shuffleForToken(
+            served.map(({ topic, difficulty, ...q }) => q),
+            attemptToken, eventState.current_round, questionsCache.shuffle);
 
         res.json({
             success: true,
             data: {
                 roundNumber: eventState.current_round,
-                roundEndsAt: eventState.round_ends_at,
+                roundName: questionsCache.roundName,
+                roundEndsAt,
+                roundStatus: eventState.round_status,
+                roundPausedAt: eventState.round_status === 'paused' ? eventState.round_paused_at : null,
+                hasExtension: !!extendedEndsAt,
                 totalQuestions: formattedQuestions.length,
                 questions: formattedQuestions
             }
@@ -248,9 +377,24 @@ router.get('/questions', async (req, res) => {
 //   attempt_token: UUID,
 //   round_number: INTEGER,
 //   answers: [{ question_id, selected_option }],
-//   time_taken_seconds: INTEGER
+//   time_taken_seconds: INTEGER   (client value — diagnostic only),
+//   submission_type: 'manual' | 'auto_timer' | 'auto_violation'
 // }
 //
+// TIME: time_taken_seconds used for ranking is computed by the
+// server from the attempts ledger and the submit timestamp.
+// The client number is stored as client_time_taken_seconds.
+//
+// DEADLINE: submit_bulk_answers() checks the live event_state/rounds
+// row. Submissions after round_ends_at + SUBMIT_GRACE_SECONDS, or for a
+// round that is not the current one, are stored as 'late' /
+// 'out_of_round' and are NOT scored by evaluate_round().
+// Tokens not admitted to the round are stored as 'not_qualified'.
+//
+// SHUFFLE: selected_option is the label the participant saw; with
+// shuffle_options on it is mapped back to the canonical option here.
+// selected_option is text: 'B', 'AC' (multiple-correct) or a number.
+//
 // GUARANTEES:
 //   • If same attempt_token already submitted → returns success
 //   • No unique constraint failure
@@ -261,7 +405,7 @@ router.get('/questions', async (req, res) => {
 // ─────────────────────────────────────────────────────────────
 router.post('/submit', async (req, res) => {
     try {
-        const { attempt_token, round_number, answers, time_taken_seconds } = req.body;
+        const { attempt_token, round_number, answers, time_taken_seconds, submission_type } = req.body;
 
         // Validate required fields
         if (!attempt_token) {
@@ -272,6 +416,7 @@ router.post('/submit', async (req, res) => {
 
         const roundNum = parseInt(round_number) || 0;
         const timeTaken = parseInt(time_taken_seconds) || 0;
+        const submissionType = SUBMISSION_TYPES.includes(submission_type) ? submission_type : 'manual';
 
         // Prepare answers as JSONB
         const answersJson = Array.isArray(answers)
@@ -279,27 +424,36 @@ router.post('/submit', async (req, res) => {
                 .filter(a => a.question_id && a.selected_option)
                 .map(a => ({
                     question_id: a.question_id,
-                    selected_option: a.selected_option.toString().toUpperCase().trim()
+                    selected_option: a.selected_option.toString().toUpperCase().trim().substring(0, 50)
                 }))
             : [];
 
         // Call atomic idempotent submission function with retry
         const result = await withRetry(async () => {
+            const shuffle = await roundShuffleSettings(roundNum);
+
             const { data, error } = await supabase.rpc('submit_bulk_answers', {
                 p_attempt_token: attempt_token,
                 p_round_number: roundNum,
-                p_answers: answersJson,
-                p_time_taken_seconds: timeTaken
+                p_answers: shuffle.options
+                    ? toCanonical(answersJson, attempt_token, await roundOptionLayouts(roundNum))
+                    : answersJson,
+                p_time_taken_seconds: timeTaken,
+                p_grace_seconds: SUBMIT_GRACE_SECONDS,
+                p_submission_type: submissionType
             });
 
             if (error) throw error;
             return data;
         }, { maxRetries: 2, label: 'submit_bulk_answers' });
 
+        if (!result?.already_submitted) notifySubmission(roundNum);
+
         // ALWAYS return success
         res.json({
             success: true,
             already_submitted: result?.already_submitted || false,
+            submission_status: result?.submission_status || null,
             message: result?.message || 'Submission recorded'
         });
 
@@ -317,10 +471,161 @@ router.post('/submit', async (req, res) => {
 });
 
 
+// ─────────────────────────────────────────────────────────────
+// POST /draft — Checkpoint in-progress answers (autosave)
+//
+// Payload:
+// {
+//   attempt_token: UUID,
+//   round_number: INTEGER,
+//   answers: [{ question_id, selected_option }],
+//   current_question: INTEGER
+// }
+//
+// Overwrites the previous checkpoint. Ignored (saved: false) once
+// the round is over. If the client never sends a final submit, the
+// server submits the last draft after the round ends.
+// Stored canonical (shuffled labels mapped back, as in /submit).
+// Best-effort: never returns 500.
+// ─────────────────────────────────────────────────────────────
+router.post('/draft', async (req, res) => {
+    try {
+        const { attempt_token, round_number, answers, current_question } = req.body;
+
+        if (!attempt_token || !UUID_PATTERN.test(attempt_token)) {
+            return res.status(400).json({ success: false, message: 'Valid attempt_token is required' });
+        }
+
+        const answersJson = Array.isArray(answers)
+            ? answers
+                .filter(a => a.question_id && a.selected_option)
+                .map(a => ({
+                    question_id: a.question_id,
+                    selected_option: a.selected_option.toString().toUpperCase().trim().substring(0, 50)
+                }))
+            : [];
+
+        const roundNum = parseInt(round_number) || 0;
+        const shuffle = await roundShuffleSettings(roundNum);
+
+        const { data: saved, error } = await supabase.rpc('save_answer_draft', {
+            p_attempt_token: attempt_token,
+            p_round_number: roundNum,
+            p_answers: shuffle.options
+                ? toCanonical(answersJson, attempt_token, await roundOptionLayouts(roundNum))
+                : answersJson,
+            p_current_question: parseInt(current_question) || 1,
+            p_grace_seconds: SUBMIT_GRACE_SECONDS
+        });
+
+        if (error) throw error;
+
+        res.json({ success: true, saved: !!saved });
+    } catch (error) {
+        console.error('Draft save error:', error.message);
+        res.json({ success: true, saved: false });
+    }
+});
+
+
+// ─────────────────────────────────────────────────────────────
+// GET /draft — Fetch the last checkpoint for resume
+//
+// Query: ?attempt_token=UUID&round=N
+// Returns { success: true, data: { answers, current_question, updated_at } | null }
+// Answers come back in the token's displayed labels.
+// ─────────────────────────────────────────────────────────────
+router.get('/draft', async (req, res) => {
+    try {
+        const attemptToken = req.query.attempt_token;
+        const roundNum = parseInt(req.query.round);
+
+        if (!attemptToken || !UUID_PATTERN.test(attemptToken) || !roundNum) {
+            return res.json({ success: true, data: null });
+        }
+
+        const { data, error } = await supabase
+            .from('answer_drafts')
+            .select('answers, current_question, updated_at')
+            .eq('attempt_token', attemptToken)
+            .eq('round_number', roundNum)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Draft fetch error:', error.message);
+            return res.json({ success: true, data: null });
+        }
+
+        if (data && Array.isArray(data.answers)) {
+            const shuffle = await roundShuffleSettings(roundNum);
+            if (shuffle.options) {
+                data.answers = toDisplay(data.answers, attemptToken, await roundOptionLayouts(roundNum));
+            }
+        }
+
+        res.json({ success: true, data: data || null });
+    } catch (error) {
+        console.error('Draft error:', error.message);
+        res.json({ success: true, data: null });
+    }
+});
+
+
+// ─────────────────────────────────────────────────────────────
+// POST /proctoring — Record a proctoring event
+//
+// Payload:
+// {
+//   attempt_token: UUID,
+//   round_number: INTEGER,
+//   event_type: 'tab_switch' | 'focus_loss' | 'fullscreen_exit',
+//   occurred_at: ISO timestamp (client clock — diagnostic only),
+//   details: { ... }   (e.g. { count: 2 })
+// }
+//
+// Stored with the server timestamp; admins review them per round
+// and may disqualify before shortlisting.
+// Best-effort: never returns 500.
+// ─────────────────────────────────────────────────────────────
+router.post('/proctoring', async (req, res) => {
+    try {
+        const { attempt_token, round_number, event_type, occurred_at, details } = req.body;
+        const roundNum = parseInt(round_number);
+
+        if (!attempt_token || !UUID_PATTERN.test(attempt_token) || !roundNum ||
+            !PROCTORING_EVENT_TYPES.includes(event_type)) {
+            return res.status(400).json({ success: false, message: 'Invalid proctoring event' });
+        }
+
+        const clientAt = occurred_at && !isNaN(Date.parse(occurred_at))
+            ? new Date(occurred_at).toISOString()
+            : null;
+
+        const { error } = await supabase
+            .from('proctoring_events')
+            .insert({
+                attempt_token,
+                round_number: roundNum,
+                event_type,
+                details: details && typeof details === 'object' ? details : null,
+                client_at: clientAt
+            });
+
+        if (error) throw error;
+
+        res.json({ success: true, recorded: true });
+    } catch (error) {
+        console.error('Proctoring event error:', error.message);
+        res.json({ success: true, recorded: false });
+    }
+});
+
+
 // ─────────────────────────────────────────────────────────────
 // GET /submission-status/:attemptToken — Check if submitted
 //
 // Used by frontend retry logic to verify submission went through.
+// Query: ?round=N (a token submits once per round)
 // Returns { success: true, submitted: true/false }
 // ─────────────────────────────────────────────────────────────
 router.get('/submission-status/:attemptToken', async (req, res) => {
@@ -331,10 +636,17 @@ router.get('/submission-status/:attemptToken', async (req, res) => {
             return res.json({ success: true, submitted: false });
         }
 
-        const { data, error } = await supabase
+        let query = supabase
             .from('submissions')
             .select('id, round_number, submitted_at')
-            .eq('attempt_token', attemptToken)
+            .eq('attempt_token', attemptToken);
+
+        const roundNum = parseInt(req.query.round);
+        if (roundNum) query = query.eq('round_number', roundNum);
+
+        const { data, error } = await query
+            .order('submitted_at', { ascending: false })
+            .limit(1)
             .maybeSingle();
 
         if (error) {
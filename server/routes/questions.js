@@ -7,50 +7,71 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/database');
 const { requireAdmin, auditLog } = require('../middleware/auth');
+const { questionTags } = require('../services/sampling');
+const { questionWeight } = require('../services/marking');
+const { normalizeQuestion, questionExplanation } = require('../services/questionTypes');
+const { questionImageColumns } = require('../services/assets');
+const {
+    IMPORT_MODES, checkImport, writeRoundQuestions, importMessage, lastImport, undoImport
+} = require('../services/importer');
+
+// Round status check shared by import / undo: error response or null
+async function pendingRoundError(roundNumber) {
+    const { data: round } = await supabase
+        .from('rounds')
+        .select('status')
+        .eq('round_number', roundNumber)
+        .single();
+
+    if (!round) {
+        return { status: 404, message: `Round ${roundNumber} does not exist` };
+    }
+
+    if (round.status !== 'pending') {
+        return { status: 400, message: 'Cannot change questions of a round that has already started' };
+    }
+
+    return null;
+}
 
 /**
  * POST /api/questions/add
  * Add a new question
+ * Body: { roundNumber, questionNumber, questionText, questionType?,
+ *         optionA … optionF, correctOption, tolerance?, partialCredit?,
+ *         topic?, difficulty?, weight?, explanation? } — see services/questionTypes.js
  */
 router.post('/add', requireAdmin, async (req, res) => {
     try {
-        const {
-            roundNumber,
-            questionNumber,
-            questionText,
-            optionA,
-            optionB,
-            optionC,
-            optionD,
-            correctOption
-        } = req.body;
+        const { roundNumber, questionNumber, questionText } = req.body;
 
         // Validation
-        if (!roundNumber || roundNumber < 1 || roundNumber > 3) {
+        if (!roundNumber) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid round number (must be 1, 2, or 3)'
+                message: 'Invalid round number'
             });
         }
 
-        if (!questionNumber || questionNumber < 1 || questionNumber > 15) {
+        if (!questionNumber || questionNumber < 1) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid question number (must be 1-15)'
+                message: 'Invalid question number (must be 1 or more)'
             });
         }
 
-        if (!questionText || !optionA || !optionB || !optionC || !optionD) {
+        if (!questionText || !questionText.trim()) {
             return res.status(400).json({
                 success: false,
-                message: 'Question text and all options are required'
+                message: 'Question text is required'
             });
         }
 
-        if (!correctOption || !['A', 'B', 'C', 'D'].includes(correctOption.toUpperCase())) {
+        const { question: answerColumns, error: typeError } = normalizeQuestion(req.body);
+        if (typeError) {
             return res.status(400).json({
                 success: false,
-                message: 'Valid correct option (A, B, C, or D) is required'
+                message: typeError
             });
         }
 
@@ -61,7 +82,14 @@ router.post('/add', requireAdmin, async (req, res) => {
             .eq('round_number', roundNumber)
             .single();
 
-        if (round && round.status !== 'pending') {
+        if (!round) {
+            return res.status(404).json({
+                success: false,
+                message: `Round ${roundNumber} does not exist`
+            });
+        }
+
+        if (round.status !== 'pending') {
             return res.status(400).json({
                 success: false,
                 message: 'Cannot add questions to a round that has already started'
@@ -82,11 +110,11 @@ router.post('/add', requireAdmin, async (req, res) => {
                 .from('questions')
                 .update({
                     question_text: questionText.trim(),
-                    option_a: optionA.trim(),
-                    option_b: optionB.trim(),
-                    option_c: optionC.trim(),
-                    option_d: optionD.trim(),
-                    correct_option: correctOption.toUpperCase()
+                    ...answerColumns,
+                    ...questionImageColumns(req.body, answerColumns),
+                    weight: questionWeight(req.body),
+                    ...questionTags(req.body),
+                    ...questionExplanation(req.body)
                 })
                 .eq('id', existingQuestion.id);
 
@@ -114,11 +142,11 @@ router.post('/add', requireAdmin, async (req, res) => {
                 round_number: roundNumber,
                 question_number: questionNumber,
                 question_text: questionText.trim(),
-                option_a: optionA.trim(),
-                option_b: optionB.trim(),
-                option_c: optionC.trim(),
-                option_d: optionD.trim(),
-                correct_option: correctOption.toUpperCase()
+                ...answerColumns,
+                ...questionImageColumns(req.body, answerColumns),
+                weight: questionWeight(req.body),
+                ...questionTags(req.body),
+                ...questionExplanation(req.body)
             });
 
         if (error) throw error;
@@ -153,7 +181,7 @@ router.get('/round/:roundNumber', requireAdmin, async (req, res) => {
     try {
         const roundNumber = parseInt(req.params.roundNumber);
 
-        if (!roundNumber || roundNumber < 1 || roundNumber > 3) {
+        if (!roundNumber) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid round number'
@@ -249,18 +277,29 @@ router.delete('/:questionId', requireAdmin, async (req, res) => {
 /**
  * POST /api/questions/bulk-add
  * Bulk add questions from JSON
+ * Body: { roundNumber, questions: [...], mode? } — mode 'replace'
+ * (default), 'append' or 'merge' (see services/importer.js)
  */
 router.post('/bulk-add', requireAdmin, async (req, res) => {
     try {
-        const { roundNumber, questions } = req.body;
+        const roundNumber = parseInt(req.body.roundNumber);
+        const { questions } = req.body;
+        const mode = req.body.mode || 'replace';
 
-        if (!roundNumber || roundNumber < 1 || roundNumber > 3) {
+        if (!roundNumber) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid round number'
             });
         }
 
+        if (!IMPORT_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: `Import mode must be one of: ${IMPORT_MODES.join(', ')}`
+            });
+        }
+
         if (!Array.isArray(questions) || questions.length === 0) {
             return res.status(400).json({
                 success: false,
@@ -268,87 +307,133 @@ router.post('/bulk-add', requireAdmin, async (req, res) => {
             });
         }
 
-        // Check if round is already started
-        const { data: round } = await supabase
-            .from('rounds')
-            .select('status')
-            .eq('round_number', roundNumber)
-            .single();
+        const roundError = await pendingRoundError(roundNumber);
+        if (roundError) {
+            return res.status(roundError.status).json({ success: false, message: roundError.message });
+        }
 
-        if (round && round.status !== 'pending') {
+        const rows = checkImport(questions);
+        const invalid = rows.find(r => r.errors.length > 0);
+        if (invalid) {
             return res.status(400).json({
                 success: false,
-                message: 'Cannot add questions to a round that has already started'
+                message: `Question ${invalid.row}: ${invalid.errors[0]}`
             });
         }
 
-        // Prepare questions for insertion
-        const questionsToInsert = questions.slice(0, 15).map((q, index) => ({
-            round_number: roundNumber,
-            question_number: index + 1,
-            question_text: q.questionText?.trim() || q.question_text?.trim(),
-            option_a: q.optionA?.trim() || q.option_a?.trim(),
-            option_b: q.optionB?.trim() || q.option_b?.trim(),
-            option_c: q.optionC?.trim() || q.option_c?.trim(),
-            option_d: q.optionD?.trim() || q.option_d?.trim(),
-            correct_option: (q.correctOption || q.correct_option || '').toUpperCase()
-        }));
-
-        // Validate all questions
-        for (let i = 0; i < questionsToInsert.length; i++) {
-            const q = questionsToInsert[i];
-            if (!q.question_text || !q.option_a || !q.option_b || !q.option_c || !q.option_d) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Question ${i + 1} is missing required fields`
-                });
-            }
-            if (!['A', 'B', 'C', 'D'].includes(q.correct_option)) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Question ${i + 1} has invalid correct option`
-                });
+        const result = await writeRoundQuestions(roundNumber, rows.map(r => r.columns), mode, {
+            source: 'JSON bulk import',
+            adminId: req.admin.id
+        });
+        const message = importMessage(result, mode, roundNumber);
+
+        auditLog(
+            null,
+            req.admin.id,
+            'QUESTIONS_BULK_ADDED',
+            `${message} (${mode}, JSON)`,
+            roundNumber,
+            req,
+            { mode, import_id: result.importId }
+        );
+
+        res.json({
+            success: true,
+            message,
+            data: {
+                importId: result.importId,
+                added: result.added,
+                updated: result.updated,
+                numbers: result.numbers
             }
-        }
+        });
+    } catch (error) {
+        console.error('Bulk add error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add questions'
+        });
+    }
+});
 
-        // Delete existing questions for this round first
-        const { error: deleteError } = await supabase
-            .from('questions')
-            .delete()
-            .eq('round_number', roundNumber);
+/**
+ * GET /api/questions/last-import/:roundNumber
+ * The round's latest import that can still be undone (or null)
+ */
+router.get('/last-import/:roundNumber', requireAdmin, async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.params.roundNumber);
 
-        if (deleteError) {
-            console.warn('Delete existing questions warning:', deleteError.message);
+        if (!roundNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid round number'
+            });
         }
 
-        // Insert new questions (use upsert to handle any remaining duplicates)
-        const { error } = await supabase
-            .from('questions')
-            .upsert(questionsToInsert, {
-                onConflict: 'round_number,question_number',
-                ignoreDuplicates: false
+        res.json({
+            success: true,
+            data: await lastImport(roundNumber)
+        });
+    } catch (error) {
+        console.error('Last import error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load import history'
+        });
+    }
+});
+
+/**
+ * POST /api/questions/undo-import
+ * Restore a pending round's questions to before its latest import
+ * Body: { roundNumber }
+ */
+router.post('/undo-import', requireAdmin, async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.body.roundNumber);
+
+        if (!roundNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid round number'
             });
+        }
 
-        if (error) throw error;
+        const roundError = await pendingRoundError(roundNumber);
+        if (roundError) {
+            return res.status(roundError.status).json({ success: false, message: roundError.message });
+        }
+
+        const undone = await undoImport(roundNumber);
+
+        if (!undone) {
+            return res.status(404).json({
+                success: false,
+                message: `Round ${roundNumber} has no import to undo`
+            });
+        }
 
         auditLog(
             null,
             req.admin.id,
-            'QUESTIONS_BULK_ADDED',
-            `${questionsToInsert.length} questions bulk added for Round ${roundNumber}`,
+            'QUESTIONS_IMPORT_UNDONE',
+            `${undone.mode} import${undone.source ? ` from ${undone.source}` : ''} undone for Round ${roundNumber}`,
             roundNumber,
-            req
+            req,
+            { import_id: undone.id }
         );
 
         res.json({
             success: true,
-            message: `${questionsToInsert.length} questions added successfully`
+            message: `Import undone — Round ${roundNumber} has ${undone.restored} questions again`,
+            data: undone
         });
     } catch (error) {
-        console.error('Bulk add error:', error);
+        console.error('Undo import error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to add questions'
+            message: 'Failed to undo import'
         });
     }
 });
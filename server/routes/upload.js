@@ -1,6 +1,7 @@
 /**
  * File Upload Routes for Question Import
- * Supports: Excel (.xlsx, .xls), PDF, Word (.docx), PowerPoint (.pptx)
+ * Supports: Excel (.xlsx, .xls), CSV, PDF, Word (.docx), PowerPoint
+ * (.pptx), JSON, GIFT (.gift / .txt) and Moodle XML (.xml)
  */
 
 const express = require('express');
@@ -9,10 +10,20 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const xlsx = require('xlsx');
-const mammoth = require('mammoth');
-const AdmZip = require('adm-zip');
 const { supabase } = require('../config/database');
 const { requireAdmin, auditLog } = require('../middleware/auth');
+const { answerKeyLabel } = require('../services/questionTypes');
+const { roundSamplingSettings } = require('../services/sampling');
+const { filterBank } = require('../services/bank');
+const { EXPORT_FORMATS, buildExport } = require('../services/exporter');
+const { PAPER_SETS, paperSets, buildPaper, buildAnswerKey } = require('../services/paper');
+const { readAnswerSheet, recordOfflineSheets, offlineTemplate } = require('../services/offline');
+const { reevaluateRound } = require('../services/rounds');
+const {
+    IMPORT_MODES, checkImport, reportRows, importSummary, writeRoundQuestions, importMessage
+} = require('../services/importer');
+const { parseFile } = require('../services/parsers');
+const { holdAsset, saveHeldAssets } = require('../services/assets');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -38,350 +49,809 @@ const upload = multer({
             'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // docx
             'application/vnd.openxmlformats-officedocument.presentationml.presentation', // pptx
             'application/msword', // doc
-            'application/vnd.ms-powerpoint' // ppt
+            'application/vnd.ms-powerpoint', // ppt
+            'text/csv',
+            'application/json',
+            'application/xml',
+            'text/xml',
+            'text/plain' // gift / txt
         ];
 
-        const allowedExts = ['.xlsx', '.xls', '.pdf', '.docx', '.doc', '.pptx', '.ppt'];
+        const allowedExts = ['.xlsx', '.xls', '.csv', '.pdf', '.docx', '.doc', '.pptx', '.ppt', '.json', '.gift', '.txt', '.xml'];
         const ext = path.extname(file.originalname).toLowerCase();
 
         if (allowedTypes.includes(file.mimetype) || allowedExts.includes(ext)) {
             cb(null, true);
         } else {
-            cb(new Error('Invalid file type. Allowed: Excel, PDF, Word, PowerPoint'));
+            cb(new Error('Invalid file type. Allowed: Excel, CSV, PDF, Word, PowerPoint, JSON, GIFT, Moodle XML'));
         }
     }
 });
 
-/**
- * Parse Excel file for questions
- */
-function parseExcel(filePath) {
-    const workbook = xlsx.readFile(filePath);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = xlsx.utils.sheet_to_json(worksheet);
-
-    const questions = [];
-
-    for (const row of data) {
-        // Try different possible column names
-        const question = {
-            questionText: row['Question'] || row['question'] || row['Question Text'] || row['question_text'] || row['Q'] || '',
-            optionA: row['Option A'] || row['option_a'] || row['A'] || row['a'] || '',
-            optionB: row['Option B'] || row['option_b'] || row['B'] || row['b'] || '',
-            optionC: row['Option C'] || row['option_c'] || row['C'] || row['c'] || '',
-            optionD: row['Option D'] || row['option_d'] || row['D'] || row['d'] || '',
-            correctOption: (row['Correct'] || row['correct'] || row['Answer'] || row['answer'] || row['Correct Option'] || row['correct_option'] || '').toString().toUpperCase()
-        };
-
-        // Only add if question has text
-        if (question.questionText && question.questionText.toString().trim()) {
-            question.questionText = question.questionText.toString().trim();
-            question.optionA = question.optionA.toString().trim();
-            question.optionB = question.optionB.toString().trim();
-            question.optionC = question.optionC.toString().trim();
-            question.optionD = question.optionD.toString().trim();
-
-            // Normalize correct option
-            if (question.correctOption.length > 1) {
-                question.correctOption = question.correctOption.charAt(0);
-            }
-
-            if (['A', 'B', 'C', 'D'].includes(question.correctOption)) {
-                questions.push(question);
-            }
-        }
+function removeUpload(req) {
+    if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
     }
+}
 
-    return questions;
+// Current questions of a round, for duplicate checks
+async function roundQuestions(roundNumber) {
+    const { data, error } = await supabase
+        .from('questions')
+        .select('*')
+        .eq('round_number', roundNumber);
+    if (error) throw error;
+    return data || [];
 }
 
 /**
- * Parse PDF file for questions
- * Expected format: Question followed by options A, B, C, D and answer
+ * Check rows and write them to a pending round, then respond.
+ * Any row with errors rejects the whole import (400 with the report).
  */
-async function parsePDF(filePath) {
-    const pdfParse = require('pdf-parse');
-    const dataBuffer = fs.readFileSync(filePath);
-    const pdfData = await pdfParse(dataBuffer);
-    const text = pdfData.text;
+async function commitImport(req, res, { roundNumber, sources, mode, fileName }) {
+    const { data: round } = await supabase
+        .from('rounds')
+        .select('status')
+        .eq('round_number', roundNumber)
+        .single();
+
+    if (!round) {
+        return res.status(404).json({
+            success: false,
+            message: `Round ${roundNumber} does not exist`
+        });
+    }
 
-    return parseTextContent(text);
-}
+    if (round.status !== 'pending') {
+        return res.status(400).json({
+            success: false,
+            message: 'Cannot add questions to a round that has already started'
+        });
+    }
 
-/**
- * Parse Word document for questions
- */
-async function parseWord(filePath) {
-    const result = await mammoth.extractRawText({ path: filePath });
-    const text = result.value;
+    const rows = checkImport(sources, await roundQuestions(roundNumber));
+    const summary = importSummary(rows);
 
-    return parseTextContent(text);
+    if (summary.errors > 0) {
+        return res.status(400).json({
+            success: false,
+            message: `${summary.errors} of ${summary.total} questions have errors — fix or deselect them`,
+            data: { rows: reportRows(rows), summary }
+        });
+    }
+
+    await saveHeldAssets(rows.map(r => r.columns));
+
+    const result = await writeRoundQuestions(roundNumber, rows.map(r => r.columns), mode, {
+        source: fileName,
+        adminId: req.admin.id
+    });
+    const message = importMessage(result, mode, roundNumber);
+
+    auditLog(
+        null,
+        req.admin.id,
+        'QUESTIONS_FILE_UPLOADED',
+        `${message} (${mode}${fileName ? `, ${fileName}` : ''})`,
+        roundNumber,
+        req,
+        { mode, import_id: result.importId, warnings: summary.warnings }
+    );
+
+    res.json({
+        success: true,
+        message,
+        data: {
+            mode,
+            importId: result.importId,
+            totalImported: rows.length,
+            added: result.added,
+            updated: result.updated,
+            questions: rows.map((r, i) => ({
+                number: result.numbers[i],
+                preview: r.columns.question_text.substring(0, 50) + (r.columns.question_text.length > 50 ? '...' : ''),
+                type: r.columns.question_type,
+                correctAnswer: answerKeyLabel(r.columns)
+            }))
+        }
+    });
 }
 
 /**
- * Parse PowerPoint for questions
- * Note: This is a simplified parser for text content
+ * POST /api/upload/questions/preview
+ * Step 1: parse a file and report every row — nothing is written
+ * Form: file, roundNumber
+ * Returns { fileName, rows: [{ row, question, errors, warnings }], summary }
  */
-async function parsePowerPoint(filePath) {
-    // For PPTX, we'll use a simpler approach - extract text using mammoth-like parsing
-    // or use the AdmZip approach to read the XML content
-    const AdmZip = require('adm-zip');
-    const zip = new AdmZip(filePath);
-    const zipEntries = zip.getEntries();
-
-    let allText = '';
-
-    for (const entry of zipEntries) {
-        if (entry.entryName.startsWith('ppt/slides/slide') && entry.entryName.endsWith('.xml')) {
-            const content = zip.readAsText(entry);
-            // Extract text from XML (simplified)
-            const textMatches = content.match(/<a:t>([^<]*)<\/a:t>/g) || [];
-            for (const match of textMatches) {
-                const text = match.replace(/<a:t>|<\/a:t>/g, '');
-                allText += text + '\n';
-            }
+router.post('/questions/preview', requireAdmin, upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No file uploaded'
+            });
         }
-    }
 
-    return parseTextContent(allText);
-}
+        const roundNumber = parseInt(req.body.roundNumber);
 
-/**
- * Parse text content to extract questions
- * Supports multiple formats:
- * 1. Q: question A) option B) option C) option D) option Answer: A
- * 2. 1. question a) option b) option c) option d) option Ans: A
- * 3. Question text on line, options on next lines
- */
-function parseTextContent(text) {
-    const questions = [];
-    const lines = text.split('\n').map(l => l.trim()).filter(l => l);
+        if (!roundNumber) {
+            removeUpload(req);
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid round number'
+            });
+        }
 
-    let currentQuestion = null;
+        const { data: round } = await supabase
+            .from('rounds')
+            .select('status')
+            .eq('round_number', roundNumber)
+            .maybeSingle();
 
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
+        if (!round) {
+            removeUpload(req);
+            return res.status(404).json({
+                success: false,
+                message: `Round ${roundNumber} does not exist`
+            });
+        }
 
-        // Check if line starts with question number or Q:
-        const questionMatch = line.match(/^(?:Q\d*[:.]?\s*|\d+[.)]\s*|Question\s*\d*[:.]?\s*)/i);
+        let parsed;
+        try {
+            parsed = await parseFile(req.file.path, req.file.originalname, holdAsset);
+        } catch (parseError) {
+            console.error('Parse error:', parseError);
+            removeUpload(req);
+            return res.status(400).json({
+                success: false,
+                message: `Failed to parse file: ${parseError.message}`
+            });
+        }
 
-        if (questionMatch || (!currentQuestion && line.length > 20 && !line.match(/^[A-Da-d][.)]/))) {
-            // New question found
-            if (currentQuestion && currentQuestion.questionText && currentQuestion.correctOption) {
-                questions.push(currentQuestion);
-            }
+        removeUpload(req);
 
-            currentQuestion = {
-                questionText: line.replace(/^(?:Q\d*[:.]?\s*|\d+[.)]\s*|Question\s*\d*[:.]?\s*)/i, '').trim(),
-                optionA: '',
-                optionB: '',
-                optionC: '',
-                optionD: '',
-                correctOption: ''
-            };
-        } else if (currentQuestion) {
-            // Check for options
-            const optionAMatch = line.match(/^[Aa][.)]\s*(.+)/);
-            const optionBMatch = line.match(/^[Bb][.)]\s*(.+)/);
-            const optionCMatch = line.match(/^[Cc][.)]\s*(.+)/);
-            const optionDMatch = line.match(/^[Dd][.)]\s*(.+)/);
-            const answerMatch = line.match(/(?:Answer|Ans|Correct)[:\s]*([A-Da-d])/i);
-
-            if (optionAMatch) {
-                currentQuestion.optionA = optionAMatch[1].trim();
-            } else if (optionBMatch) {
-                currentQuestion.optionB = optionBMatch[1].trim();
-            } else if (optionCMatch) {
-                currentQuestion.optionC = optionCMatch[1].trim();
-            } else if (optionDMatch) {
-                currentQuestion.optionD = optionDMatch[1].trim();
-            } else if (answerMatch) {
-                currentQuestion.correctOption = answerMatch[1].toUpperCase();
-            } else if (!currentQuestion.optionA && line.length > 0) {
-                // Might be continuation of question text
-                currentQuestion.questionText += ' ' + line;
-            }
+        if (parsed.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No questions found in file. Please check the format.'
+            });
         }
-    }
 
-    // Add last question if valid
-    if (currentQuestion && currentQuestion.questionText && currentQuestion.correctOption) {
-        questions.push(currentQuestion);
-    }
+        const rows = checkImport(parsed, await roundQuestions(roundNumber));
 
-    return questions;
-}
+        res.json({
+            success: true,
+            data: {
+                fileName: req.file.originalname,
+                roundNumber,
+                roundStatus: round.status,
+                rows: reportRows(rows),
+                summary: importSummary(rows)
+            }
+        });
+    } catch (error) {
+        console.error('File preview error:', error);
+        removeUpload(req);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process uploaded file: ' + error.message
+        });
+    }
+});
 
 /**
- * POST /api/upload/questions
- * Upload file containing questions
+ * POST /api/upload/questions/validate
+ * Re-check rows edited in the preview
+ * Body: { roundNumber, questions: [...] }
  */
-router.post('/questions', requireAdmin, upload.single('file'), async (req, res) => {
+router.post('/questions/validate', requireAdmin, async (req, res) => {
     try {
-        if (!req.file) {
+        const roundNumber = parseInt(req.body.roundNumber);
+        const { questions } = req.body;
+
+        if (!roundNumber || !Array.isArray(questions)) {
             return res.status(400).json({
                 success: false,
-                message: 'No file uploaded'
+                message: 'roundNumber and a questions array are required'
             });
         }
 
+        const rows = checkImport(questions, await roundQuestions(roundNumber));
+
+        res.json({
+            success: true,
+            data: { rows: reportRows(rows), summary: importSummary(rows) }
+        });
+    } catch (error) {
+        console.error('Import validate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check questions'
+        });
+    }
+});
+
+/**
+ * POST /api/upload/questions/commit
+ * Step 2: write the selected (and possibly edited) preview rows
+ * Body: { roundNumber, mode: 'replace' | 'append' | 'merge', questions: [...], fileName? }
+ */
+router.post('/questions/commit', requireAdmin, async (req, res) => {
+    try {
         const roundNumber = parseInt(req.body.roundNumber);
+        const { questions, fileName } = req.body;
+        const mode = req.body.mode || 'replace';
 
-        if (!roundNumber || roundNumber < 1 || roundNumber > 3) {
-            // Clean up uploaded file
-            fs.unlinkSync(req.file.path);
+        if (!roundNumber) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid round number (must be 1, 2, or 3)'
+                message: 'Invalid round number'
             });
         }
 
-        // Check if round is already started
-        const { data: round } = await supabase
-            .from('rounds')
-            .select('status')
-            .eq('round_number', roundNumber)
-            .single();
+        if (!IMPORT_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: `Import mode must be one of: ${IMPORT_MODES.join(', ')}`
+            });
+        }
 
-        if (round && round.status !== 'pending') {
-            fs.unlinkSync(req.file.path);
+        if (!Array.isArray(questions) || questions.length === 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Cannot add questions to a round that has already started'
+                message: 'Select at least one question to import'
             });
         }
 
-        const ext = path.extname(req.file.originalname).toLowerCase();
-        let questions = [];
+        await commitImport(req, res, { roundNumber, sources: questions, mode, fileName });
+    } catch (error) {
+        console.error('Import commit error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import questions: ' + error.message
+        });
+    }
+});
 
+/**
+ * POST /api/upload/questions
+ * One-step import (parse and write) for scripts
+ * Form: file, roundNumber, mode? ('replace' default, 'append' or 'merge')
+ * Rejected with the row report if any row has errors
+ */
+router.post('/questions', requireAdmin, upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No file uploaded'
+            });
+        }
+
+        const roundNumber = parseInt(req.body.roundNumber);
+        const mode = req.body.mode || 'replace';
+
+        if (!roundNumber || !IMPORT_MODES.includes(mode)) {
+            removeUpload(req);
+            return res.status(400).json({
+                success: false,
+                message: !roundNumber ? 'Invalid round number' : `Import mode must be one of: ${IMPORT_MODES.join(', ')}`
+            });
+        }
+
+        let parsed;
         try {
-            switch (ext) {
-                case '.xlsx':
-                case '.xls':
-                    questions = parseExcel(req.file.path);
-                    break;
-                case '.pdf':
-                    questions = await parsePDF(req.file.path);
-                    break;
-                case '.docx':
-                case '.doc':
-                    questions = await parseWord(req.file.path);
-                    break;
-                case '.pptx':
-                case '.ppt':
-                    questions = await parsePowerPoint(req.file.path);
-                    break;
-                default:
-                    throw new Error('Unsupported file format');
-            }
+            parsed = await parseFile(req.file.path, req.file.originalname);
         } catch (parseError) {
             console.error('Parse error:', parseError);
-            fs.unlinkSync(req.file.path);
+            removeUpload(req);
             return res.status(400).json({
                 success: false,
                 message: `Failed to parse file: ${parseError.message}`
             });
         }
 
-        // Clean up uploaded file
-        fs.unlinkSync(req.file.path);
+        removeUpload(req);
 
-        if (questions.length === 0) {
+        if (parsed.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: 'No valid questions found in file. Please check the format.'
             });
         }
 
-        // Limit to 15 questions per round
-        const questionsToInsert = questions.slice(0, 15).map((q, index) => ({
-            round_number: roundNumber,
-            question_number: index + 1,
-            question_text: q.questionText,
-            option_a: q.optionA,
-            option_b: q.optionB,
-            option_c: q.optionC,
-            option_d: q.optionD,
-            correct_option: q.correctOption
-        }));
-
-        // Validate all questions
-        for (let i = 0; i < questionsToInsert.length; i++) {
-            const q = questionsToInsert[i];
-            if (!q.question_text || !q.option_a || !q.option_b || !q.option_c || !q.option_d) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Question ${i + 1} is missing required fields (question text or options)`
-                });
-            }
-            if (!['A', 'B', 'C', 'D'].includes(q.correct_option)) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Question ${i + 1} has invalid or missing correct answer`
-                });
-            }
+        await commitImport(req, res, { roundNumber, sources: parsed, mode, fileName: req.file.originalname });
+    } catch (error) {
+        console.error('File upload error:', error);
+        removeUpload(req);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process uploaded file: ' + error.message
+        });
+    }
+});
+
+// Rows per request when reading the whole bank (PostgREST caps at 1000)
+const EXPORT_PAGE_SIZE = 1000;
+
+function sendExport(res, { buffer, contentType, extension }, baseName) {
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${baseName}.${extension}`);
+    res.send(buffer);
+}
+
+/**
+ * GET /api/upload/export/round/:roundNumber
+ * A round's questions with answers, in an importable file
+ * Query: format (excel, word, pdf, json — default excel)
+ */
+router.get('/export/round/:roundNumber', requireAdmin, async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.params.roundNumber);
+        const format = req.query.format || 'excel';
+
+        if (!roundNumber) {
+            return res.status(400).json({ success: false, message: 'Invalid round number' });
         }
 
-        // Delete existing questions for this round first
-        const { error: deleteError } = await supabase
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Export format must be one of: ${EXPORT_FORMATS.join(', ')}`
+            });
+        }
+
+        const { data: questions, error } = await supabase
             .from('questions')
-            .delete()
-            .eq('round_number', roundNumber);
+            .select('*')
+            .eq('round_number', roundNumber)
+            .order('question_number');
+
+        if (error) throw error;
 
-        if (deleteError) {
-            console.warn('Delete existing questions warning:', deleteError.message);
+        if (!questions || questions.length === 0) {
+            return res.status(404).json({ success: false, message: `Round ${roundNumber} has no questions` });
         }
 
-        // Insert new questions (use upsert to handle any remaining duplicates)
-        const { error } = await supabase
-            .from('questions')
-            .upsert(questionsToInsert, {
-                onConflict: 'round_number,question_number',
-                ignoreDuplicates: false
+        const { data: round } = await supabase
+            .from('rounds')
+            .select('name')
+            .eq('round_number', roundNumber)
+            .maybeSingle();
+
+        const file = await buildExport(questions, format, `${round?.name || `Round ${roundNumber}`} — questions and answers`);
+
+        auditLog(null, req.admin.id, 'QUESTIONS_EXPORTED',
+            `${questions.length} questions of Round ${roundNumber} exported (${format})`, roundNumber, req);
+
+        sendExport(res, file, `round_${roundNumber}_questions`);
+    } catch (error) {
+        console.error('Question export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export questions'
+        });
+    }
+});
+
+/**
+ * GET /api/upload/export/bank
+ * Bank questions with answers, in an importable file
+ * Query: format, plus the GET /api/bank filters (search, topic,
+ * difficulty, source, type)
+ */
+router.get('/export/bank', requireAdmin, async (req, res) => {
+    try {
+        const format = req.query.format || 'excel';
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Export format must be one of: ${EXPORT_FORMATS.join(', ')}`
             });
+        }
+
+        const questions = [];
+        for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+            const query = supabase
+                .from('question_bank')
+                .select('*')
+                .order('created_at')
+                .range(from, from + EXPORT_PAGE_SIZE - 1);
+
+            const { data, error } = await filterBank(query, req.query);
+            if (error) throw error;
+
+            questions.push(...(data || []));
+            if (!data || data.length < EXPORT_PAGE_SIZE) break;
+        }
+
+        if (questions.length === 0) {
+            return res.status(404).json({ success: false, message: 'No bank questions match' });
+        }
+
+        const file = await buildExport(questions, format, 'Question bank — questions and answers');
+
+        auditLog(null, req.admin.id, 'BANK_EXPORTED',
+            `${questions.length} bank questions exported (${format})`, null, req);
+
+        sendExport(res, file, 'question_bank');
+    } catch (error) {
+        console.error('Bank export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export question bank'
+        });
+    }
+});
+
+/**
+ * GET /api/upload/paper/:roundNumber
+ * Printable question paper, or its answer key, for an offline round
+ * (see services/paper.js)
+ * Query: sets (1–4, default 1), key (1 → answer key PDF)
+ */
+router.get('/paper/:roundNumber', requireAdmin, async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.params.roundNumber);
+        const setCount = parseInt(req.query.sets) || 1;
+        const answerKey = req.query.key === '1' || req.query.key === 'true';
+
+        if (!roundNumber) {
+            return res.status(400).json({ success: false, message: 'Invalid round number' });
+        }
+
+        if (setCount < 1 || setCount > PAPER_SETS.length) {
+            return res.status(400).json({
+                success: false,
+                message: `Sets must be between 1 and ${PAPER_SETS.length}`
+            });
+        }
+
+        const { data: questions, error } = await supabase
+            .from('questions')
+            .select('*')
+            .eq('round_number', roundNumber)
+            .order('question_number');
 
         if (error) throw error;
 
-        auditLog(
-            null,
-            req.admin.id,
-            'QUESTIONS_FILE_UPLOADED',
-            `${questionsToInsert.length} questions uploaded from ${req.file.originalname} for Round ${roundNumber}`,
-            roundNumber,
-            req
-        );
+        if (!questions || questions.length === 0) {
+            return res.status(404).json({ success: false, message: `Round ${roundNumber} has no questions` });
+        }
+
+        const { data: round } = await supabase
+            .from('rounds')
+            .select('name, duration_minutes')
+            .eq('round_number', roundNumber)
+            .maybeSingle();
+
+        const sets = paperSets(questions, roundNumber, setCount, await roundSamplingSettings(roundNumber));
+        const title = round?.name || `Round ${roundNumber}`;
+        const buffer = answerKey
+            ? await buildAnswerKey(sets, { title })
+            : await buildPaper(sets, { title, durationMinutes: round?.duration_minutes });
+
+        const setNames = sets.map(s => s.set).join('');
+        auditLog(null, req.admin.id, answerKey ? 'ANSWER_KEY_PRINTED' : 'PAPER_PRINTED',
+            `Round ${roundNumber} ${answerKey ? 'answer key' : 'question paper'} generated` +
+            (setCount > 1 ? ` (sets ${setNames})` : ''), roundNumber, req);
+
+        sendExport(res, { buffer, contentType: 'application/pdf', extension: 'pdf' },
+            `round_${roundNumber}_${answerKey ? 'answer_key' : 'paper'}${setCount > 1 ? `_sets_${setNames}` : ''}`);
+    } catch (error) {
+        console.error('Paper generation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate question paper'
+        });
+    }
+});
+
+const ANSWER_SHEET_EXTS = ['.csv', '.xlsx', '.xls'];
+
+/**
+ * POST /api/upload/offline-answers
+ * Offline answer sheets (paper / OMR) of a round as submissions
+ * (see services/offline.js). Rows with errors are skipped and
+ * reported; a round already evaluated is re-scored and re-ranked.
+ * Body (multipart): file (CSV / Excel), roundNumber
+ */
+router.post('/offline-answers', requireAdmin, upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'No file uploaded' });
+        }
+
+        const roundNumber = parseInt(req.body.roundNumber);
+
+        if (!ANSWER_SHEET_EXTS.includes(path.extname(req.file.originalname).toLowerCase())) {
+            removeUpload(req);
+            return res.status(400).json({ success: false, message: 'Answer sheets must be CSV or Excel files' });
+        }
+
+        if (!roundNumber) {
+            removeUpload(req);
+            return res.status(400).json({ success: false, message: 'Invalid round number' });
+        }
+
+        const { data: round } = await supabase
+            .from('rounds')
+            .select('status')
+            .eq('round_number', roundNumber)
+            .maybeSingle();
+
+        if (!round) {
+            removeUpload(req);
+            return res.status(404).json({ success: false, message: `Round ${roundNumber} does not exist` });
+        }
+
+        if (round.status === 'pending') {
+            removeUpload(req);
+            return res.status(400).json({
+                success: false,
+                message: 'Start the round before uploading its answer sheets'
+            });
+        }
+
+        let sheetRows;
+        try {
+            sheetRows = readAnswerSheet(req.file.path, req.file.originalname);
+        } catch (parseError) {
+            console.error('Answer sheet parse error:', parseError);
+            removeUpload(req);
+            return res.status(400).json({
+                success: false,
+                message: `Failed to read answer sheet: ${parseError.message}`
+            });
+        }
+
+        removeUpload(req);
+
+        if (sheetRows.length === 0) {
+            return res.status(400).json({ success: false, message: 'No answer rows found in file' });
+        }
+
+        const { rows, summary } = await recordOfflineSheets(roundNumber, sheetRows);
+        const saved = summary.created + summary.updated;
+        const ranking = saved > 0 ? await reevaluateRound(roundNumber) : { reranked: false, reshortlisted: false };
+
+        auditLog(null, req.admin.id, 'OFFLINE_ANSWERS_UPLOADED',
+            `Round ${roundNumber}: ${saved} offline answer sheets saved from ${req.file.originalname}` +
+            (summary.errors ? ` (${summary.errors} rows with errors)` : ''),
+            roundNumber, req, { summary, ...ranking });
 
         res.json({
             success: true,
-            message: `${questionsToInsert.length} questions imported successfully from ${req.file.originalname}`,
-            data: {
-                totalParsed: questions.length,
-                totalImported: questionsToInsert.length,
-                questions: questionsToInsert.map((q, i) => ({
-                    number: i + 1,
-                    preview: q.question_text.substring(0, 50) + (q.question_text.length > 50 ? '...' : ''),
-                    correctAnswer: q.correct_option
-                }))
-            }
+            message: `${saved} of ${summary.total} answer sheets saved` +
+                (ranking.reranked ? ' — round re-scored' : ''),
+            data: { fileName: req.file.originalname, roundNumber, rows, summary, ...ranking }
         });
-
     } catch (error) {
-        console.error('File upload error:', error);
-        if (req.file && fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
+        console.error('Offline answers error:', error);
+        removeUpload(req);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload answer sheets'
+        });
+    }
+});
+
+/**
+ * GET /api/upload/offline-answers/template/:roundNumber
+ * Empty answer-sheet CSV with a column per paper question
+ */
+router.get('/offline-answers/template/:roundNumber', requireAdmin, async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.params.roundNumber);
+
+        if (!roundNumber) {
+            return res.status(400).json({ success: false, message: 'Invalid round number' });
         }
+
+        const { data: questions, error } = await supabase
+            .from('questions')
+            .select('*')
+            .eq('round_number', roundNumber)
+            .order('question_number');
+
+        if (error) throw error;
+
+        if (!questions || questions.length === 0) {
+            return res.status(404).json({ success: false, message: `Round ${roundNumber} has no questions` });
+        }
+
+        // Printed paper length (a sampling round prints fewer than its pool)
+        const [paper] = paperSets(questions, roundNumber, 1, await roundSamplingSettings(roundNumber));
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename=round_${roundNumber}_answer_sheet.csv`);
+        res.send(offlineTemplate(paper.questions.length));
+    } catch (error) {
+        console.error('Answer sheet template error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to process uploaded file: ' + error.message
+            message: 'Failed to generate answer sheet template'
         });
     }
 });
 
+// Example questions for the Excel, CSV and JSON templates
+const TEMPLATE_ROWS = [
+    {
+        'Question': 'What is the capital of France?',
+        'Type': 'single',
+        'Option A': 'London',
+        'Option B': 'Paris',
+        'Option C': 'Berlin',
+        'Option D': 'Madrid',
+        'Option E': '',
+        'Option F': '',
+        'Correct': 'B',
+        'Tolerance': '',
+        'Partial Credit': '',
+        'Topic': 'Geography',
+        'Difficulty': 'easy',
+        'Weight': 1,
+        'Explanation': 'Paris has been the capital since 987.'
+    },
+    {
+        'Question': 'Which of these are logic gates?',
+        'Type': 'multiple',
+        'Option A': 'AND',
+        'Option B': 'Resistor',
+        'Option C': 'NOR',
+        'Option D': 'Capacitor',
+        'Option E': 'XOR',
+        'Option F': '',
+        'Correct': 'A, C, E',
+        'Tolerance': '',
+        'Partial Credit': 'yes',
+        'Topic': 'Digital Electronics',
+        'Difficulty': 'medium',
+        'Weight': 2,
+        'Explanation': 'AND, NOR and XOR are gates; resistors and capacitors are passive components.'
+    },
+    {
+        'Question': 'A silicon diode is forward biased when the anode is more positive than the cathode.',
+        'Type': 'true_false',
+        'Option A': '',
+        'Option B': '',
+        'Option C': '',
+        'Option D': '',
+        'Option E': '',
+        'Option F': '',
+        'Correct': 'True',
+        'Tolerance': '',
+        'Partial Credit': '',
+        'Topic': 'Analog Electronics',
+        'Difficulty': 'easy',
+        'Weight': 1,
+        'Explanation': ''
+    },
+    {
+        'Question': 'A 10 ohm resistor carries 0.33 A. What is the voltage across it (V)?',
+        'Type': 'numeric',
+        'Option A': '',
+        'Option B': '',
+        'Option C': '',
+        'Option D': '',
+        'Option E': '',
+        'Option F': '',
+        'Correct': 3.3,
+        'Tolerance': 0.05,
+        'Partial Credit': '',
+        'Topic': 'Circuits',
+        'Difficulty': 'medium',
+        'Weight': 1,
+        'Explanation': 'V = IR = 10 × 0.33 = 3.3 V'
+    }
+];
+
+// Same examples in GIFT (Moodle) syntax
+const GIFT_TEMPLATE = `// Quiz Conquest GIFT template — questions are separated by a blank line
+// =right ~wrong, ~%50% weights for several right answers, #feedback,
+// ####explanation, {T} / {F}, {#3.3:0.05} numeric ± tolerance
+$CATEGORY: $course$/Geography
+
+::Q1:: What is the capital of France? {~London =Paris ~Berlin ~Madrid ####Paris has been the capital since 987.}
+
+$CATEGORY: $course$/Digital Electronics
+
+::Q2:: Which of these are logic gates? {~%33.33333%AND ~%-100%Resistor ~%33.33333%NOR ~%-100%Capacitor ~%33.33333%XOR}
+
+$CATEGORY: $course$/Analog Electronics
+
+::Q3:: A silicon diode is forward biased when the anode is more positive than the cathode. {T}
+
+$CATEGORY: $course$/Circuits
+
+::Q4:: A 10 ohm resistor carries 0.33 A. What is the voltage across it (V)? {#3.3:0.05 ####V = IR = 10 × 0.33 = 3.3 V}
+`;
+
+// Same examples as a Moodle XML export
+const MOODLE_XML_TEMPLATE = `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+  <question type="category">
+    <category><text>$course$/Geography</text></category>
+  </question>
+  <question type="multichoice">
+    <name><text>Q1</text></name>
+    <questiontext format="html"><text>What is the capital of France?</text></questiontext>
+    <generalfeedback format="html"><text>Paris has been the capital since 987.</text></generalfeedback>
+    <single>true</single>
+    <answer fraction="0"><text>London</text></answer>
+    <answer fraction="100"><text>Paris</text></answer>
+    <answer fraction="0"><text>Berlin</text></answer>
+    <answer fraction="0"><text>Madrid</text></answer>
+    <tags><tag><text>easy</text></tag></tags>
+  </question>
+  <question type="category">
+    <category><text>$course$/Digital Electronics</text></category>
+  </question>
+  <question type="multichoice">
+    <name><text>Q2</text></name>
+    <questiontext format="html"><text>Which of these are logic gates?</text></questiontext>
+    <single>false</single>
+    <answer fraction="33.33333"><text>AND</text></answer>
+    <answer fraction="-100"><text>Resistor</text></answer>
+    <answer fraction="33.33333"><text>NOR</text></answer>
+    <answer fraction="-100"><text>Capacitor</text></answer>
+    <answer fraction="33.33333"><text>XOR</text></answer>
+    <tags><tag><text>Digital Electronics</text></tag><tag><text>medium</text></tag></tags>
+  </question>
+  <question type="category">
+    <category><text>$course$/Analog Electronics</text></category>
+  </question>
+  <question type="truefalse">
+    <name><text>Q3</text></name>
+    <questiontext format="html"><text>A silicon diode is forward biased when the anode is more positive than the cathode.</text></questiontext>
+    <answer fraction="100"><text>true</text></answer>
+    <answer fraction="0"><text>false</text></answer>
+    <tags><tag><text>easy</text></tag></tags>
+  </question>
+  <question type="category">
+    <category><text>$course$/Circuits</text></category>
+  </question>
+  <question type="numerical">
+    <name><text>Q4</text></name>
+    <questiontext format="html"><text>A 10 ohm resistor carries 0.33 A. What is the voltage across it (V)?</text></questiontext>
+    <generalfeedback format="html"><text>V = IR = 10 × 0.33 = 3.3 V</text></generalfeedback>
+    <answer fraction="100"><text>3.3</text><tolerance>0.05</tolerance></answer>
+    <tags><tag><text>medium</text></tag></tags>
+  </question>
+</quiz>
+`;
+
+// Template row → bulk-add JSON shape (empty cells left out)
+function templateJSON(row) {
+    const question = {
+        questionText: row['Question'],
+        type: row['Type'],
+        optionA: row['Option A'],
+        optionB: row['Option B'],
+        optionC: row['Option C'],
+        optionD: row['Option D'],
+        optionE: row['Option E'],
+        optionF: row['Option F'],
+        correctOption: row['Correct'].toString(),
+        tolerance: row['Tolerance'],
+        partialCredit: row['Partial Credit'] === 'yes' || undefined,
+        topic: row['Topic'],
+        difficulty: row['Difficulty'],
+        weight: row['Weight'],
+        explanation: row['Explanation']
+    };
+    Object.keys(question).forEach(key => {
+        if (question[key] === '' || question[key] === undefined) delete question[key];
+    });
+    return question;
+}
+
 /**
  * GET /api/upload/template
  * Download template for questions
- * Query param: format (excel, pdf, word, ppt)
+ * Query param: format (excel, csv, json, gift, xml, pdf, word, ppt)
  */
 router.get('/template', requireAdmin, async (req, res) => {
     const format = req.query.format || 'excel';
@@ -389,36 +859,26 @@ router.get('/template', requireAdmin, async (req, res) => {
     try {
         if (format === 'excel') {
             const workbook = xlsx.utils.book_new();
-            const templateData = [
-                {
-                    'Question': 'What is the capital of France?',
-                    'Option A': 'London',
-                    'Option B': 'Paris',
-                    'Option C': 'Berlin',
-                    'Option D': 'Madrid',
-                    'Correct': 'B'
-                },
-                {
-                    'Question': 'Which planet is known as the Red Planet?',
-                    'Option A': 'Venus',
-                    'Option B': 'Jupiter',
-                    'Option C': 'Mars',
-                    'Option D': 'Saturn',
-                    'Correct': 'C'
-                }
-            ];
-
-            const worksheet = xlsx.utils.json_to_sheet(templateData);
+            const worksheet = xlsx.utils.json_to_sheet(TEMPLATE_ROWS);
             xlsx.utils.book_append_sheet(workbook, worksheet, 'Questions');
 
             // Set column widths
             worksheet['!cols'] = [
                 { wch: 50 }, // Question
+                { wch: 12 }, // Type
                 { wch: 25 }, // Option A
                 { wch: 25 }, // Option B
                 { wch: 25 }, // Option C
                 { wch: 25 }, // Option D
-                { wch: 10 }  // Correct
+                { wch: 25 }, // Option E
+                { wch: 25 }, // Option F
+                { wch: 10 }, // Correct
+                { wch: 10 }, // Tolerance
+                { wch: 14 }, // Partial Credit
+                { wch: 20 }, // Topic
+                { wch: 12 }, // Difficulty
+                { wch: 8 },  // Weight
+                { wch: 40 }  // Explanation
             ];
 
             const buffer = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
@@ -427,6 +887,29 @@ router.get('/template', requireAdmin, async (req, res) => {
             res.setHeader('Content-Disposition', 'attachment; filename=questions_template.xlsx');
             res.send(buffer);
 
+        } else if (format === 'csv') {
+            const csv = xlsx.utils.sheet_to_csv(xlsx.utils.json_to_sheet(TEMPLATE_ROWS));
+
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename=questions_template.csv');
+            // BOM so Excel opens it as UTF-8
+            res.send('\uFEFF' + csv);
+
+        } else if (format === 'json') {
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Content-Disposition', 'attachment; filename=questions_template.json');
+            res.send(JSON.stringify(TEMPLATE_ROWS.map(templateJSON), null, 2));
+
+        } else if (format === 'gift') {
+            res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename=questions_template.gift');
+            res.send(GIFT_TEMPLATE);
+
+        } else if (format === 'xml') {
+            res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename=questions_template.xml');
+            res.send(MOODLE_XML_TEMPLATE);
+
         } else if (format === 'pdf') {
             const PDFDocument = require('pdfkit');
             const doc = new PDFDocument();
@@ -459,7 +942,32 @@ router.get('/template', requireAdmin, async (req, res) => {
             doc.text('Answer: C');
             doc.moveDown();
 
-            doc.text('Note: Ensure each question has 4 options and a clear answer key.');
+            doc.font('Helvetica-Bold').text('Example 3 (Multiple correct, partial credit):');
+            doc.font('Helvetica').text('3. Which of these are logic gates?');
+            doc.text('A) AND');
+            doc.text('B) Resistor');
+            doc.text('C) NOR');
+            doc.text('Answer: A, C');
+            doc.text('Partial: yes');
+            doc.moveDown();
+
+            doc.font('Helvetica-Bold').text('Example 4 (Numeric answer, no options):');
+            doc.font('Helvetica').text('4. A 10 ohm resistor carries 0.33 A. Voltage across it (V)?');
+            doc.text('Answer: 3.3');
+            doc.text('Tolerance: 0.05');
+            doc.moveDown();
+
+            doc.font('Helvetica-Bold').text('Example 5 (Math notation):');
+            doc.font('Helvetica').text('5. A series RL circuit has $R = 3\\,\\Omega$ and $\\omega L = 4\\,\\Omega$. What is $|Z|$?');
+            doc.text('A) $5\\,\\Omega$');
+            doc.text('B) $7\\,\\Omega$');
+            doc.text('C) $\\sqrt{7}\\,\\Omega$');
+            doc.text('Answer: A');
+            doc.moveDown();
+
+            doc.text('Note: Use 2 to 6 options (A–F) and a clear answer key. "Answer: True" / "Answer: False" with no options makes a true/false question.');
+            doc.moveDown();
+            doc.text('Math: write LaTeX between $...$ (inline) or $$...$$ (on its own line), e.g. $X(f) = \\int x(t) e^{-j2\\pi ft} dt$. It is rendered on the exam page.');
             doc.end();
 
         } else if (format === 'word') {
@@ -492,6 +1000,24 @@ router.get('/template', requireAdmin, async (req, res) => {
                         new Paragraph({ children: [new TextRun("C) Mars")] }),
                         new Paragraph({ children: [new TextRun("D) Saturn")] }),
                         new Paragraph({ children: [new TextRun("Answer: C")] }),
+
+                        new Paragraph({
+                            children: [new TextRun("3. A series RL circuit has $R = 3\\,\\Omega$ and $\\omega L = 4\\,\\Omega$. What is $|Z|$?")],
+                            spacing: { before: 200 }
+                        }),
+                        new Paragraph({ children: [new TextRun("A) $5\\,\\Omega$")] }),
+                        new Paragraph({ children: [new TextRun("B) $7\\,\\Omega$")] }),
+                        new Paragraph({ children: [new TextRun("C) $\\sqrt{7}\\,\\Omega$")] }),
+                        new Paragraph({ children: [new TextRun("Answer: A")] }),
+
+                        new Paragraph({
+                            children: [new TextRun({
+                                text: "Math: write LaTeX between $...$ (inline) or $$...$$ (on its own line), " +
+                                    "e.g. $X(f) = \\int x(t) e^{-j2\\pi ft} dt$. It is rendered on the exam page.",
+                                italics: true
+                            })],
+                            spacing: { before: 300 }
+                        }),
                     ],
                 }],
             });
@@ -0,0 +1,249 @@
+/**
+ * Question Asset Store — V4 Architecture
+ * Quiz Conquest
+ *
+ * Images attached to questions and options (schematics, waveforms),
+ * from the question editor or extracted from DOCX / PPTX imports.
+ *
+ * DESIGN RULES:
+ *   • question_assets holds the metadata; bytes go to local disk
+ *     (ASSET_DIR) or a Supabase Storage bucket (ASSET_STORAGE=supabase)
+ *   • Content-addressed: the same image (sha256) is stored once and
+ *     keeps its id, so re-importing a file reuses its assets
+ *   • An import preview writes nothing: new images are held in memory
+ *     (holdAsset) and stored when the import is committed
+ *   • Browser-renderable images only — EMF / WMF and other formats
+ *     are rejected (saveAsset returns null)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { supabase } = require('../config/database');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ASSET_STORAGE = process.env.ASSET_STORAGE === 'supabase' ? 'supabase' : 'local';
+const ASSET_DIR = process.env.ASSET_DIR || path.join(__dirname, '../../uploads/assets');
+const ASSET_BUCKET = process.env.SUPABASE_ASSET_BUCKET || 'question-assets';
+const MAX_ASSET_BYTES = (parseInt(process.env.MAX_ASSET_MB) || 5) * 1024 * 1024;
+
+const IMAGE_TYPES = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/svg+xml': '.svg'
+};
+
+function assetUrl(assetId) {
+    return assetId ? `/api/assets/${assetId}` : null;
+}
+
+function assetId(value) {
+    const id = (value || '').toString().trim();
+    return UUID_PATTERN.test(id) ? id.toLowerCase() : null;
+}
+
+/**
+ * questionImageColumns — image_asset_id / option_image_ids from admin,
+ * JSON or file input (camelCase or snake_case). Option images are kept
+ * only for options the normalized question actually has.
+ */
+function questionImageColumns(source, columns) {
+    const optionImages = source.optionImageIds || source.option_image_ids || {};
+    const option_image_ids = {};
+
+    Object.keys(optionImages).forEach(label => {
+        const key = label.toUpperCase();
+        const id = assetId(optionImages[label]);
+        if (id && columns[`option_${key.toLowerCase()}`]) option_image_ids[key] = id;
+    });
+
+    return {
+        image_asset_id: assetId(source.imageAssetId || source.image_asset_id),
+        option_image_ids
+    };
+}
+
+/**
+ * questionImages — { image, optionImages: { A: url } } for a questions
+ * row, as served to participants.
+ */
+function questionImages(row) {
+    const optionImages = {};
+    Object.entries(row.option_image_ids || {}).forEach(([label, id]) => {
+        optionImages[label] = assetUrl(id);
+    });
+    return { image: assetUrl(row.image_asset_id), optionImages };
+}
+
+// Images an import preview found, kept until the import is committed:
+// id → { buffer, fileName, mimeType, expiresAt }
+const heldAssets = new Map();
+const HELD_ASSET_MS = 60 * 60 * 1000;
+
+// Storable image type, or null for unsupported / oversized files
+function imageType(buffer, mimeType) {
+    const type = (mimeType || '').toLowerCase();
+    if (!IMAGE_TYPES[type] || !buffer || buffer.length === 0 || buffer.length > MAX_ASSET_BYTES) {
+        return null;
+    }
+    return type;
+}
+
+async function findAsset(sha256) {
+    const { data, error } = await supabase
+        .from('question_assets')
+        .select('*')
+        .eq('sha256', sha256)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * saveAsset — Store an image buffer. Returns the question_assets row
+ * ({ id, mime_type, … }), or null for unsupported / oversized files.
+ */
+async function saveAsset(buffer, { fileName = null, mimeType } = {}) {
+    const type = imageType(buffer, mimeType);
+    if (!type) return null;
+
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    const existing = await findAsset(sha256);
+    if (existing) return existing;
+
+    const storagePath = `${sha256}${IMAGE_TYPES[type]}`;
+
+    if (ASSET_STORAGE === 'supabase') {
+        const { error: uploadError } = await supabase.storage
+            .from(ASSET_BUCKET)
+            .upload(storagePath, buffer, { contentType: type, upsert: true });
+        if (uploadError) throw uploadError;
+    } else {
+        await fs.promises.mkdir(ASSET_DIR, { recursive: true });
+        await fs.promises.writeFile(path.join(ASSET_DIR, storagePath), buffer);
+    }
+
+    // Upsert on sha256 — a concurrent import of the same image wins once
+    const { data: asset, error } = await supabase
+        .from('question_assets')
+        .upsert({
+            file_name: fileName ? fileName.substring(0, 255) : null,
+            mime_type: type,
+            size_bytes: buffer.length,
+            sha256,
+            storage: ASSET_STORAGE,
+            storage_path: storagePath
+        }, { onConflict: 'sha256' })
+        .select()
+        .single();
+    if (error) throw error;
+
+    return asset;
+}
+
+/**
+ * holdAsset — As saveAsset, but nothing is written (import preview):
+ * an image already stored returns its row, a new one gets an id held
+ * in memory for an hour. saveHeldAssets() stores it on commit.
+ */
+async function holdAsset(buffer, { fileName = null, mimeType } = {}) {
+    const type = imageType(buffer, mimeType);
+    if (!type) return null;
+
+    const existing = await findAsset(crypto.createHash('sha256').update(buffer).digest('hex'));
+    if (existing) return existing;
+
+    const now = Date.now();
+    for (const [id, held] of heldAssets) {
+        if (held.expiresAt < now) heldAssets.delete(id);
+    }
+
+    const id = crypto.randomUUID();
+    heldAssets.set(id, { buffer, fileName, mimeType: type, expiresAt: now + HELD_ASSET_MS });
+    return { id, mime_type: type };
+}
+
+/**
+ * saveHeldAssets — Store the held images questions-table rows refer to
+ * (image_asset_id / option_image_ids) and put in the stored ids. Ids
+ * that are neither held nor stored (e.g. a preview older than an
+ * hour) are dropped. Rows are updated in place.
+ */
+async function saveHeldAssets(rows) {
+    const ids = new Set();
+    rows.forEach(row => {
+        if (row.image_asset_id) ids.add(row.image_asset_id);
+        Object.values(row.option_image_ids || {}).forEach(id => ids.add(id));
+    });
+    if (ids.size === 0) return rows;
+
+    const { data: stored, error } = await supabase
+        .from('question_assets')
+        .select('id')
+        .in('id', [...ids]);
+    if (error) throw error;
+
+    const saved = new Map((stored || []).map(asset => [asset.id, asset.id]));
+    for (const id of ids) {
+        const held = heldAssets.get(id);
+        if (saved.has(id) || !held) continue;
+        const asset = await saveAsset(held.buffer, held);
+        saved.set(id, asset ? asset.id : null);
+    }
+
+    rows.forEach(row => {
+        if (row.image_asset_id) row.image_asset_id = saved.get(row.image_asset_id) || null;
+        Object.entries(row.option_image_ids || {}).forEach(([label, id]) => {
+            if (saved.get(id)) row.option_image_ids[label] = saved.get(id);
+            else delete row.option_image_ids[label];
+        });
+    });
+    return rows;
+}
+
+/**
+ * readAsset — { buffer, mimeType } for an asset id, or null.
+ */
+async function readAsset(assetId) {
+    const { data: asset, error } = await supabase
+        .from('question_assets')
+        .select('mime_type, storage, storage_path')
+        .eq('id', assetId)
+        .maybeSingle();
+    if (error) throw error;
+    if (!asset) return null;
+
+    if (asset.storage === 'supabase') {
+        const { data: blob, error: downloadError } = await supabase.storage
+            .from(ASSET_BUCKET)
+            .download(asset.storage_path);
+        if (downloadError) throw downloadError;
+        return { buffer: Buffer.from(await blob.arrayBuffer()), mimeType: asset.mime_type };
+    }
+
+    try {
+        const buffer = await fs.promises.readFile(path.join(ASSET_DIR, path.basename(asset.storage_path)));
+        return { buffer, mimeType: asset.mime_type };
+    } catch (readError) {
+        if (readError.code === 'ENOENT') return null;
+        throw readError;
+    }
+}
+
+module.exports = {
+    IMAGE_TYPES,
+    MAX_ASSET_BYTES,
+    UUID_PATTERN,
+    assetUrl,
+    assetId,
+    questionImageColumns,
+    questionImages,
+    saveAsset,
+    holdAsset,
+    saveHeldAssets,
+    readAsset
+};
@@ -0,0 +1,147 @@
+/**
+ * Question Bank — V4 Architecture
+ * Quiz Conquest
+ *
+ * Questions kept across rounds and events, tagged by topic,
+ * difficulty and source; rounds are assembled from them.
+ *
+ * DESIGN RULES:
+ *   • A round holds copies of bank questions (questions.bank_question_id
+ *     remembers the origin) — editing or deleting a bank question never
+ *     changes a paper
+ *   • content_hash (text, type, options, answer key) keeps one bank
+ *     entry per question; archiving the same round twice adds nothing
+ *   • reset-event archives every round question before clearing, so
+ *     previous years' papers stay available
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../config/database');
+const { QUESTION_TYPES, OPTION_LABELS } = require('./questionTypes');
+
+// Columns shared by questions and question_bank
+const CONTENT_COLUMNS = [
+    'question_text', 'question_type',
+    ...OPTION_LABELS.map(label => `option_${label.toLowerCase()}`),
+    'correct_option', 'correct_numeric', 'numeric_tolerance', 'partial_credit',
+    'weight', 'topic', 'difficulty', 'image_asset_id', 'option_image_ids', 'explanation'
+];
+
+function pickContent(row) {
+    const content = {};
+    CONTENT_COLUMNS.forEach(column => {
+        if (row[column] !== undefined) content[column] = row[column];
+    });
+    return content;
+}
+
+/**
+ * contentHash — identity of a question's wording and answer key.
+ * Whitespace and case in the text do not matter; tags and weight do
+ * not count (re-tagging does not make a new question).
+ */
+function contentHash(row) {
+    const normalize = value => (value === null || value === undefined ? '' : value.toString().trim().replace(/\s+/g, ' '));
+    const parts = [
+        normalize(row.question_text).toLowerCase(),
+        row.question_type || 'single',
+        ...OPTION_LABELS.map(label => normalize(row[`option_${label.toLowerCase()}`])),
+        normalize(row.correct_option),
+        row.correct_numeric === null || row.correct_numeric === undefined ? '' : Number(row.correct_numeric).toString()
+    ];
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// questions row → question_bank row
+function toBankRow(question, source = null) {
+    return {
+        ...pickContent(question),
+        source: source ? source.toString().trim().substring(0, 200) || null : null,
+        content_hash: contentHash(question)
+    };
+}
+
+// question_bank row → questions row for a round
+function toRoundRow(bankQuestion, roundNumber, questionNumber) {
+    return {
+        ...pickContent(bankQuestion),
+        round_number: roundNumber,
+        question_number: questionNumber,
+        bank_question_id: bankQuestion.id
+    };
+}
+
+/**
+ * filterBank — Apply search / tag filters (GET /api/bank query) to a
+ * question_bank query
+ */
+function filterBank(query, { search, topic, difficulty, source, type } = {}) {
+    // % _ are LIKE wildcards, * is PostgREST's
+    const text = (search || '').toString().trim().replace(/[\\%_*]/g, '');
+
+    if (text) query = query.ilike('question_text', `%${text}%`);
+    if (topic) query = query.eq('topic', topic);
+    if (difficulty) query = query.eq('difficulty', difficulty);
+    if (source) query = query.eq('source', source);
+    if (type && QUESTION_TYPES.includes(type)) query = query.eq('question_type', type);
+    return query;
+}
+
+/**
+ * archiveQuestions — Bank questions rows (already-banked ones are
+ * skipped). Returns the number newly added.
+ */
+async function archiveQuestions(questions, source) {
+    const rows = [];
+    const seen = new Set();
+    for (const question of questions || []) {
+        const row = toBankRow(question, source);
+        if (seen.has(row.content_hash)) continue;
+        seen.add(row.content_hash);
+        rows.push(row);
+    }
+    if (rows.length === 0) return 0;
+
+    const { data, error } = await supabase
+        .from('question_bank')
+        .upsert(rows, { onConflict: 'content_hash', ignoreDuplicates: true })
+        .select('id');
+    if (error) throw error;
+
+    return (data || []).length;
+}
+
+/**
+ * archiveAllRounds — Bank every round's questions, each round under
+ * "<round name> — <year>". Returns the number newly added.
+ */
+async function archiveAllRounds() {
+    const { data: questions, error } = await supabase
+        .from('questions')
+        .select('*');
+    if (error) throw error;
+    if (!questions || questions.length === 0) return 0;
+
+    const { data: rounds } = await supabase
+        .from('rounds')
+        .select('round_number, name');
+    const names = new Map((rounds || []).map(r => [r.round_number, r.name]));
+    const year = new Date().getFullYear();
+
+    let added = 0;
+    for (const roundNumber of [...new Set(questions.map(q => q.round_number))]) {
+        const source = `${names.get(roundNumber) || `Round ${roundNumber}`} — ${year}`;
+        added += await archiveQuestions(questions.filter(q => q.round_number === roundNumber), source);
+    }
+    return added;
+}
+
+module.exports = {
+    CONTENT_COLUMNS,
+    contentHash,
+    toBankRow,
+    toRoundRow,
+    filterBank,
+    archiveQuestions,
+    archiveAllRounds
+};
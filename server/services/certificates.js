@@ -0,0 +1,308 @@
+/**
+ * Certificates — V4 Architecture
+ * Quiz Conquest
+ *
+ * Participation and merit certificates (PDF) for a round, from its
+ * ranked results joined with participant_details.
+ *
+ * DESIGN RULES:
+ *   • Drawn on request, never stored — a re-rank or a name corrected
+ *     in Participant Details shows on the next download
+ *   • Only ranked results get one (disqualified participants have no
+ *     rank), and only with a name on record; the top merit_count
+ *     ranks get merit, everyone else participation
+ *   • Logo and signature images are files in public/img, picked by
+ *     file name only (no uploads, no paths)
+ *   • Participants fetch their own once the round's results are
+ *     published (rounds.results_published)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { supabase } = require('../config/database');
+
+const CERTIFICATE_KINDS = ['merit', 'participation'];
+const MAX_SIGNATURES = 3;
+const IMAGE_DIR = path.join(__dirname, '../../public/img');
+const IMAGE_FILE = /^[\w.-]+\.(png|jpe?g)$/i;
+
+const DEFAULT_SETTINGS = {
+    event_name: 'Quiz Conquest',
+    organizer: '',
+    logo_file: 'logo.png',
+    signatures: [],
+    merit_count: 3
+};
+
+// PNG / JPEG files in public/img, for the logo and signature pickers
+function certificateImages() {
+    try {
+        return fs.readdirSync(IMAGE_DIR).filter(file => IMAGE_FILE.test(file)).sort();
+    } catch (error) {
+        return [];
+    }
+}
+
+function imagePath(file) {
+    if (!file || !IMAGE_FILE.test(file)) return null;
+    const fullPath = path.join(IMAGE_DIR, file);
+    return fs.existsSync(fullPath) ? fullPath : null;
+}
+
+async function certificateSettings() {
+    const { data, error } = await supabase
+        .from('certificate_settings')
+        .select('event_name, organizer, logo_file, signatures, merit_count')
+        .eq('id', 1)
+        .maybeSingle();
+    if (error) throw error;
+
+    return { ...DEFAULT_SETTINGS, ...(data || {}) };
+}
+
+function text(value, max) {
+    return (value === null || value === undefined ? '' : value.toString().trim()).substring(0, max);
+}
+
+/**
+ * settingsFromBody — certificate_settings columns from the admin
+ * form ({ eventName, organizer, logoFile, signatures, meritCount }),
+ * or { error }
+ */
+function settingsFromBody(body) {
+    const images = certificateImages();
+    const eventName = text(body.eventName, 200);
+    const logoFile = text(body.logoFile, 200);
+    const meritCount = Number(body.meritCount ?? DEFAULT_SETTINGS.merit_count);
+
+    if (!eventName) return { error: 'Event name is required' };
+    if (logoFile && !images.includes(logoFile)) return { error: `Logo "${logoFile}" is not in public/img` };
+    if (!Number.isInteger(meritCount) || meritCount < 0) return { error: 'Merit places must be a whole number' };
+
+    const signatures = [];
+    for (const signature of Array.isArray(body.signatures) ? body.signatures : []) {
+        const entry = {
+            name: text(signature?.name, 100),
+            title: text(signature?.title, 100),
+            image: text(signature?.image, 200)
+        };
+        if (!entry.name && !entry.title && !entry.image) continue;
+        if (entry.image && !images.includes(entry.image)) {
+            return { error: `Signature image "${entry.image}" is not in public/img` };
+        }
+        signatures.push(entry);
+    }
+    if (signatures.length > MAX_SIGNATURES) return { error: `At most ${MAX_SIGNATURES} signatures` };
+
+    return {
+        settings: {
+            event_name: eventName,
+            organizer: text(body.organizer, 200),
+            logo_file: logoFile,
+            signatures,
+            merit_count: meritCount
+        }
+    };
+}
+
+/**
+ * roundCertificates — { round, certificates: [{ attemptToken, name,
+ * college, rank, score, kind }], unnamed } in rank order; unnamed
+ * counts ranked results left out for want of a name. Pass
+ * attemptToken for one participant's only.
+ */
+async function roundCertificates(roundNumber, { attemptToken = null, meritCount = DEFAULT_SETTINGS.merit_count } = {}) {
+    const { data: round, error: roundError } = await supabase
+        .from('rounds')
+        .select('round_number, name, status, ended_at, results_published, results_published_at')
+        .eq('round_number', roundNumber)
+        .maybeSingle();
+    if (roundError) throw roundError;
+    if (!round) return { round: null, certificates: [], unnamed: 0 };
+
+    let query = supabase
+        .from('results')
+        .select('attempt_token, rank, score')
+        .eq('round_number', roundNumber)
+        .not('rank', 'is', null)
+        .order('rank');
+    if (attemptToken) query = query.eq('attempt_token', attemptToken);
+
+    const { data: results, error } = await query;
+    if (error) throw error;
+
+    const tokens = (results || []).map(r => r.attempt_token);
+    let details = [];
+    if (tokens.length > 0) {
+        const { data, error: detailsError } = await supabase
+            .from('participant_details')
+            .select('attempt_token, name, college')
+            .in('attempt_token', tokens);
+        if (detailsError) throw detailsError;
+        details = data || [];
+    }
+    const byToken = new Map(details.map(d => [d.attempt_token, d]));
+
+    const certificates = [];
+    let unnamed = 0;
+    (results || []).forEach(r => {
+        const detail = byToken.get(r.attempt_token);
+        const name = (detail?.name || '').trim();
+        if (!name) {
+            unnamed++;
+            return;
+        }
+        certificates.push({
+            attemptToken: r.attempt_token,
+            name,
+            college: (detail.college || '').trim(),
+            rank: r.rank,
+            score: r.score,
+            kind: r.rank <= meritCount ? 'merit' : 'participation'
+        });
+    });
+
+    return { round, certificates, unnamed };
+}
+
+function ordinal(n) {
+    const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' })[n % 10] || 'th';
+    return `${n}${suffix}`;
+}
+
+function roundLabel(round) {
+    return round.name || `Round ${round.round_number}`;
+}
+
+// Certificate date: results published, else the round's end
+function certificateDate(round) {
+    const date = new Date(round.results_published_at || round.ended_at || Date.now());
+    return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+const COLORS = {
+    merit: '#9a6b00',
+    participation: '#1e3a8a'
+};
+
+// One landscape A4 page
+function drawCertificate(doc, certificate, settings, round) {
+    const { width, height } = doc.page;
+    const accent = COLORS[certificate.kind];
+    const center = (value, y, options = {}) => doc.text(value, 60, y, { width: width - 120, align: 'center', ...options });
+
+    doc.lineWidth(3).strokeColor(accent).rect(20, 20, width - 40, height - 40).stroke();
+    doc.lineWidth(1).rect(30, 30, width - 60, height - 60).stroke();
+
+    let y = 50;
+    const logo = imagePath(settings.logo_file);
+    if (logo) {
+        doc.image(logo, (width - 80) / 2, y, { fit: [80, 80], align: 'center', valign: 'center' });
+        y += 90;
+    } else {
+        y += 20;
+    }
+
+    doc.fillColor('#111111').font('Helvetica-Bold').fontSize(24);
+    center(settings.event_name, y);
+    if (settings.organizer) {
+        doc.fillColor('#555555').font('Helvetica').fontSize(12);
+        center(settings.organizer, doc.y + 2);
+    }
+
+    doc.fillColor(accent).font('Times-Bold').fontSize(30);
+    center(certificate.kind === 'merit' ? 'CERTIFICATE OF MERIT' : 'CERTIFICATE OF PARTICIPATION', doc.y + 18);
+
+    doc.fillColor('#333333').font('Times-Italic').fontSize(15);
+    center('This is to certify that', doc.y + 14);
+
+    doc.fillColor('#111111').font('Times-Bold').fontSize(28);
+    center(certificate.name, doc.y + 8);
+    if (certificate.college) {
+        doc.fillColor('#444444').font('Times-Roman').fontSize(14);
+        center(certificate.college, doc.y + 2);
+    }
+
+    const achievement = certificate.kind === 'merit'
+        ? `secured ${ordinal(certificate.rank)} place in ${roundLabel(round)}`
+        : `participated in ${roundLabel(round)}`;
+    doc.fillColor('#333333').font('Times-Roman').fontSize(15);
+    center(`has ${achievement} of ${settings.event_name} on ${certificateDate(round)}.`, doc.y + 12);
+
+    // Signatures along the bottom, evenly spaced
+    const signatures = (settings.signatures || []).slice(0, MAX_SIGNATURES);
+    const lineY = height - 95;
+    signatures.forEach((signature, i) => {
+        const slot = (width - 120) / signatures.length;
+        const x = 60 + slot * i + (slot - 170) / 2;
+        const image = imagePath(signature.image);
+        if (image) doc.image(image, x + 25, lineY - 48, { fit: [120, 44], align: 'center', valign: 'bottom' });
+
+        doc.lineWidth(0.8).strokeColor('#333333').moveTo(x, lineY).lineTo(x + 170, lineY).stroke();
+        doc.fillColor('#111111').font('Helvetica-Bold').fontSize(11)
+            .text(signature.name || '', x, lineY + 5, { width: 170, align: 'center' });
+        doc.fillColor('#555555').font('Helvetica').fontSize(10)
+            .text(signature.title || '', x, doc.y, { width: 170, align: 'center' });
+    });
+
+    doc.fillColor('black').strokeColor('black');
+}
+
+/**
+ * certificatePDF — One PDF, a page per certificate
+ */
+function certificatePDF(certificates, settings, round) {
+    const PDFDocument = require('pdfkit');
+    const doc = new PDFDocument({
+        size: 'A4',
+        layout: 'landscape',
+        margin: 0,
+        autoFirstPage: false,
+        info: { Title: `${settings.event_name} — ${roundLabel(round)} certificates` }
+    });
+
+    const chunks = [];
+    const done = new Promise((resolve, reject) => {
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    certificates.forEach(certificate => {
+        doc.addPage();
+        drawCertificate(doc, certificate, settings, round);
+    });
+
+    doc.end();
+    return done;
+}
+
+// e.g. "merit_01_asha_rao_3f2a9c1d.pdf"
+function certificateFileName(certificate) {
+    const slug = certificate.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'participant';
+    return `${certificate.kind}_${String(certificate.rank).padStart(2, '0')}_${slug}_${certificate.attemptToken.substring(0, 8)}.pdf`;
+}
+
+/**
+ * certificateZip — ZIP with one PDF per certificate
+ */
+async function certificateZip(certificates, settings, round) {
+    const zip = new AdmZip();
+    for (const certificate of certificates) {
+        zip.addFile(certificateFileName(certificate), await certificatePDF([certificate], settings, round));
+    }
+    return zip.toBuffer();
+}
+
+module.exports = {
+    CERTIFICATE_KINDS,
+    MAX_SIGNATURES,
+    certificateImages,
+    certificateSettings,
+    settingsFromBody,
+    roundCertificates,
+    certificatePDF,
+    certificateFileName,
+    certificateZip
+};
@@ -0,0 +1,186 @@
+/**
+ * Live Events (Server-Sent Events) — V4 Architecture
+ * Quiz Conquest
+ *
+ * Push channel replacing most status polling during events.
+ *
+ * CHANNELS:
+ *   • exam  — participants: 'status', 'announcement',
+ *             'deadline' (targeted at one attempt_token)
+ *   • admin — dashboard:    'status', 'submissions', 'announcement'
+ *
+ * DESIGN RULES:
+ *   • Best-effort only — clients keep polling as a fallback
+ *   • In-process fan-out (each server instance serves its own clients)
+ *   • Broadcast helpers NEVER throw into request handlers
+ */
+
+const { supabase } = require('../config/database');
+
+const HEARTBEAT_MS = 25000;
+const SUBMISSION_COUNT_THROTTLE_MS = 1000;
+
+const channels = {
+    exam: new Set(),
+    admin: new Set()
+};
+
+// Optional per-client key (attempt_token) for targeted events
+const keyed = {
+    exam: new Map(),
+    admin: new Map()
+};
+
+// Same shape as GET /api/exam/status → data
+function formatStatus(eventState) {
+    if (!eventState) {
+        return {
+            currentRound: 0,
+            roundStatus: 'not_started',
+            eventActive: false
+        };
+    }
+    return {
+        currentRound: eventState.current_round,
+        roundStatus: eventState.round_status,
+        roundStartedAt: eventState.round_started_at,
+        roundEndsAt: eventState.round_ends_at,
+        roundPausedAt: eventState.round_paused_at || null,
+        eventActive: eventState.event_active
+    };
+}
+
+async function fetchStatus() {
+    const { data: eventState } = await supabase
+        .from('event_state')
+        .select('*')
+        .eq('id', 1)
+        .single();
+    return formatStatus(eventState);
+}
+
+function write(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * subscribe — Turn a request into an SSE stream on a channel.
+ * Sends the current status immediately so clients need no extra fetch.
+ * `key` (optional) lets sendTo() reach this client alone.
+ */
+async function subscribe(channel, req, res, key = null) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const clients = channels[channel];
+    clients.add(res);
+
+    if (key) {
+        if (!keyed[channel].has(key)) keyed[channel].set(key, new Set());
+        keyed[channel].get(key).add(res);
+    }
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(res);
+        if (key && keyed[channel].has(key)) {
+            keyed[channel].get(key).delete(res);
+            if (keyed[channel].get(key).size === 0) keyed[channel].delete(key);
+        }
+    });
+
+    try {
+        write(res, 'status', await fetchStatus());
+    } catch (error) {
+        console.error('SSE initial status error:', error.message);
+    }
+}
+
+function broadcast(channel, event, data) {
+    for (const res of channels[channel]) {
+        try {
+            write(res, event, data);
+        } catch (error) {
+            channels[channel].delete(res);
+        }
+    }
+}
+
+// Send to the client(s) subscribed with `key` only
+function sendTo(channel, key, event, data) {
+    const clients = keyed[channel].get(key);
+    if (!clients) return;
+    for (const res of clients) {
+        try {
+            write(res, event, data);
+        } catch (error) {
+            clients.delete(res);
+        }
+    }
+}
+
+/**
+ * broadcastStatus — Push the live event_state to everyone.
+ * Call after any change to round / event state. Fire-and-forget.
+ */
+function broadcastStatus() {
+    fetchStatus()
+        .then(status => {
+            broadcast('exam', 'status', status);
+            broadcast('admin', 'status', status);
+        })
+        .catch(error => console.error('SSE status broadcast error:', error.message));
+}
+
+function broadcastAnnouncement(message) {
+    const payload = { message, sentAt: new Date().toISOString() };
+    broadcast('exam', 'announcement', payload);
+    broadcast('admin', 'announcement', payload);
+}
+
+// Submission counts are coalesced: one count query per throttle window
+// no matter how many submits arrive (300 users submitting at timer end)
+const pendingCountRounds = new Set();
+let countTimer = null;
+
+function notifySubmission(roundNumber) {
+    if (channels.admin.size === 0 || !roundNumber) return;
+
+    pendingCountRounds.add(roundNumber);
+    if (countTimer) return;
+
+    countTimer = setTimeout(async () => {
+        countTimer = null;
+        const rounds = [...pendingCountRounds];
+        pendingCountRounds.clear();
+
+        for (const round of rounds) {
+            try {
+                const { count } = await supabase
+                    .from('submissions')
+                    .select('*', { count: 'exact', head: true })
+                    .eq('round_number', round);
+                broadcast('admin', 'submissions', { roundNumber: round, count: count || 0 });
+            } catch (error) {
+                console.error('SSE submission count error:', error.message);
+            }
+        }
+    }, SUBMISSION_COUNT_THROTTLE_MS);
+}
+
+module.exports = {
+    formatStatus,
+    subscribe,
+    broadcastStatus,
+    broadcastAnnouncement,
+    notifySubmission,
+    sendTo
+};
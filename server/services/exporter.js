@@ -0,0 +1,291 @@
+/**
+ * Question Export — V4 Architecture
+ * Quiz Conquest
+ *
+ * Round or bank questions, with answers, as Excel, Word, PDF or JSON —
+ * each in the layout its importer reads (see services/parsers.js), so an
+ * export uploaded again gives the same questions.
+ *
+ * DESIGN RULES:
+ *   • Excel and JSON carry every field, images as asset ids
+ *   • Word / PDF use the text layout ("1.", "A)", "Answer:", "Type:",
+ *     …); line breaks inside a question become spaces
+ *   • Word embeds PNG / JPEG / GIF pictures (re-import finds the same
+ *     asset by its hash); PDF shows PNG / JPEG and writes the
+ *     [[image:<id>]] marker the text parser reads. Other formats are
+ *     written as the marker only
+ */
+
+const xlsx = require('xlsx');
+const { OPTION_LABELS } = require('./questionTypes');
+const { readAsset } = require('./assets');
+
+const EXPORT_FORMATS = ['excel', 'word', 'pdf', 'json'];
+
+// Excel columns, as the import template
+const SHEET_COLUMNS = [
+    'Question', 'Type',
+    ...OPTION_LABELS.map(label => `Option ${label}`),
+    'Correct', 'Tolerance', 'Partial Credit', 'Topic', 'Difficulty', 'Weight', 'Explanation',
+    'Image', 'Option Images'
+];
+
+function usedLabels(q) {
+    return OPTION_LABELS.filter(label => {
+        const text = q[`option_${label.toLowerCase()}`];
+        return text !== null && text !== undefined && text !== '';
+    });
+}
+
+// Answer key as typed on import: 'A, C' or the number
+function answerText(q) {
+    return q.question_type === 'numeric' ? `${q.correct_numeric}` : [...(q.correct_option || '')].join(', ');
+}
+
+function weightValue(q) {
+    return Number(q.weight ?? 1);
+}
+
+// 'A: <id>; C: <id>' — the Option Images cell
+function optionImagesCell(q) {
+    return Object.entries(q.option_image_ids || {})
+        .map(([label, id]) => `${label}: ${id}`)
+        .join('; ');
+}
+
+/**
+ * toExportJSON — questions / bank row → the bulk-import JSON shape
+ * (empty fields left out)
+ */
+function toExportJSON(q) {
+    const question = {
+        questionText: q.question_text,
+        type: q.question_type || 'single'
+    };
+    usedLabels(q).forEach(label => {
+        question[`option${label}`] = q[`option_${label.toLowerCase()}`];
+    });
+    question.correctOption = answerText(q);
+    if (q.question_type === 'numeric' && Number(q.numeric_tolerance) > 0) question.tolerance = Number(q.numeric_tolerance);
+    if (q.partial_credit) question.partialCredit = true;
+    if (q.topic) question.topic = q.topic;
+    if (q.difficulty) question.difficulty = q.difficulty;
+    if (weightValue(q) !== 1) question.weight = weightValue(q);
+    if (q.explanation) question.explanation = q.explanation;
+    if (q.image_asset_id) question.imageAssetId = q.image_asset_id;
+    if (Object.keys(q.option_image_ids || {}).length) question.optionImageIds = q.option_image_ids;
+    if (q.source) question.source = q.source;
+    return question;
+}
+
+function buildJSON(questions) {
+    return Buffer.from(JSON.stringify(questions.map(toExportJSON), null, 2));
+}
+
+function buildWorkbook(questions) {
+    const rows = questions.map(q => {
+        const row = {
+            'Question': q.question_text,
+            'Type': q.question_type || 'single'
+        };
+        OPTION_LABELS.forEach(label => {
+            row[`Option ${label}`] = q[`option_${label.toLowerCase()}`] || '';
+        });
+        Object.assign(row, {
+            'Correct': q.question_type === 'numeric' ? Number(q.correct_numeric) : answerText(q),
+            'Tolerance': q.question_type === 'numeric' && Number(q.numeric_tolerance) > 0 ? Number(q.numeric_tolerance) : '',
+            'Partial Credit': q.partial_credit ? 'yes' : '',
+            'Topic': q.topic || '',
+            'Difficulty': q.difficulty || '',
+            'Weight': weightValue(q),
+            'Explanation': q.explanation || '',
+            'Image': q.image_asset_id || '',
+            'Option Images': optionImagesCell(q)
+        });
+        return row;
+    });
+
+    const workbook = xlsx.utils.book_new();
+    const worksheet = xlsx.utils.json_to_sheet(rows, { header: SHEET_COLUMNS });
+    worksheet['!cols'] = SHEET_COLUMNS.map(column =>
+        ({ wch: column === 'Question' ? 50 : column === 'Explanation' ? 40 : column.startsWith('Option') ? 25 : 12 }));
+    xlsx.utils.book_append_sheet(workbook, worksheet, 'Questions');
+
+    return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+function oneLine(text) {
+    return (text || '').toString().replace(/\s*\n\s*/g, ' ').trim();
+}
+
+/**
+ * questionBlocks — one question in the text layout, as
+ * { text } lines and { assetId } pictures in reading order
+ */
+function questionBlocks(q, number) {
+    const blocks = [{ text: `${number}. ${oneLine(q.question_text)}`, first: true }];
+    if (q.image_asset_id) blocks.push({ assetId: q.image_asset_id });
+
+    const optionImages = q.option_image_ids || {};
+    usedLabels(q).forEach(label => {
+        blocks.push({ text: `${label}) ${oneLine(q[`option_${label.toLowerCase()}`])}` });
+        if (optionImages[label]) blocks.push({ assetId: optionImages[label] });
+    });
+
+    if (q.question_type && q.question_type !== 'single') blocks.push({ text: `Type: ${q.question_type}` });
+    blocks.push({ text: `Answer: ${answerText(q)}`, bold: true });
+    if (q.question_type === 'numeric' && Number(q.numeric_tolerance) > 0) {
+        blocks.push({ text: `Tolerance: ${Number(q.numeric_tolerance)}` });
+    }
+    if (q.partial_credit) blocks.push({ text: 'Partial: yes' });
+    if (q.topic) blocks.push({ text: `Topic: ${oneLine(q.topic)}` });
+    if (q.difficulty) blocks.push({ text: `Difficulty: ${q.difficulty}` });
+    if (weightValue(q) !== 1) blocks.push({ text: `Weight: ${weightValue(q)}` });
+    if (q.explanation) blocks.push({ text: `Explanation: ${oneLine(q.explanation)}` });
+    return blocks;
+}
+
+/**
+ * imageSize — { width, height } in pixels from a PNG / JPEG / GIF
+ * header, or null
+ */
+function imageSize(buffer) {
+    if (buffer.length > 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.length > 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) return null;
+            const marker = buffer[offset + 1];
+            // SOF0–SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+}
+
+// Scale to fit maxWidth × maxHeight, never enlarging
+function fitSize(size, maxWidth, maxHeight) {
+    const scale = Math.min(1, maxWidth / size.width, maxHeight / size.height);
+    return { width: Math.round(size.width * scale), height: Math.round(size.height * scale) };
+}
+
+const DOCX_IMAGE_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif' };
+
+async function buildWord(questions, title) {
+    const { Document, Packer, Paragraph, TextRun, ImageRun, Header } = require('docx');
+    const children = [];
+
+    for (const [i, q] of questions.entries()) {
+        for (const block of questionBlocks(q, i + 1)) {
+            if (block.text !== undefined) {
+                children.push(new Paragraph({
+                    children: [new TextRun({ text: block.text, bold: !!block.bold })],
+                    spacing: block.first ? { before: 240 } : undefined
+                }));
+                continue;
+            }
+
+            const asset = await readAsset(block.assetId);
+            const type = asset && DOCX_IMAGE_TYPES[asset.mimeType];
+            const size = type && imageSize(asset.buffer);
+            children.push(new Paragraph({
+                children: [size
+                    ? new ImageRun({ type, data: asset.buffer, transformation: fitSize(size, 400, 300) })
+                    : new TextRun(`[[image:${block.assetId}]]`)]
+            }));
+        }
+    }
+
+    // Title in the page header: the importer reads the body only
+    const doc = new Document({
+        title,
+        sections: [{
+            headers: {
+                default: new Header({ children: [new Paragraph({ children: [new TextRun({ text: title, bold: true })] })] })
+            },
+            children
+        }]
+    });
+
+    return Packer.toBuffer(doc);
+}
+
+async function buildPDF(questions, title) {
+    const PDFDocument = require('pdfkit');
+    const doc = new PDFDocument({ margin: 50, info: { Title: title } });
+
+    const chunks = [];
+    const done = new Promise((resolve, reject) => {
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const width = doc.page.width - 100;
+
+    for (const [i, q] of questions.entries()) {
+        for (const block of questionBlocks(q, i + 1)) {
+            if (block.text !== undefined) {
+                if (block.first) doc.moveDown();
+                doc.font(block.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(11).text(block.text, { width });
+                continue;
+            }
+
+            const asset = await readAsset(block.assetId);
+            const size = asset && ['image/png', 'image/jpeg'].includes(asset.mimeType) && imageSize(asset.buffer);
+            if (size) {
+                const fitted = fitSize(size, 300, 200);
+                if (doc.y + fitted.height > doc.page.height - 60) doc.addPage();
+                doc.image(asset.buffer, { width: fitted.width, height: fitted.height });
+            }
+            // Read back by the PDF importer, which cannot take pictures out
+            doc.font('Helvetica').fontSize(7).fillColor('#888888')
+                .text(`[[image:${block.assetId}]]`, { width })
+                .fillColor('black');
+        }
+    }
+
+    doc.end();
+    return done;
+}
+
+/**
+ * buildExport — { buffer, contentType, extension } for questions in a
+ * format from EXPORT_FORMATS
+ */
+async function buildExport(questions, format, title) {
+    switch (format) {
+        case 'excel':
+            return {
+                buffer: buildWorkbook(questions),
+                contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+                extension: 'xlsx'
+            };
+        case 'word':
+            return {
+                buffer: await buildWord(questions, title),
+                contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+                extension: 'docx'
+            };
+        case 'pdf':
+            return { buffer: await buildPDF(questions, title), contentType: 'application/pdf', extension: 'pdf' };
+        default:
+            return { buffer: buildJSON(questions), contentType: 'application/json', extension: 'json' };
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    toExportJSON,
+    imageSize,
+    fitSize,
+    buildExport
+};
@@ -0,0 +1,273 @@
+/**
+ * Question Import — V4 Architecture
+ * Quiz Conquest
+ *
+ * File imports run in two steps: the parsed file comes back as a
+ * preview with per-row errors and warnings (nothing written); the
+ * admin fixes or deselects rows, then commits them to a round.
+ *
+ * DESIGN RULES:
+ *   • Parsers keep every row they find — checkQuestion() decides, so
+ *     no row disappears without a reason shown
+ *   • Errors block a row (no text, no / ambiguous answer, options
+ *     with gaps); warnings only flag it (duplicates, answer matched
+ *     by option text, type inferred from the key)
+ *   • Commit re-checks the rows the panel sends; the preview is
+ *     never trusted
+ *   • Modes: replace (clear the round), append (after the last
+ *     question) or merge (rows whose text matches a round question
+ *     update it in place, the rest are appended); the round is then
+ *     renumbered 1..N
+ *   • Every import snapshots the round first (question_imports), so
+ *     the last import can be undone
+ */
+
+const { supabase } = require('../config/database');
+const {
+    OPTION_LABELS, KEY_PATTERN, NUMBER_PATTERN, normalizeQuestion, questionExplanation
+} = require('./questionTypes');
+const { DIFFICULTY_LEVELS, questionTags } = require('./sampling');
+const { questionWeight } = require('./marking');
+const { questionImageColumns } = require('./assets');
+const { contentHash } = require('./bank');
+
+const IMPORT_MODES = ['replace', 'append', 'merge'];
+
+function text(value) {
+    return value === null || value === undefined ? '' : value.toString().trim();
+}
+
+/**
+ * editableQuestion — The flat, all-text shape the preview table edits
+ * (camelCase, as the admin form), from parsed / JSON / DB rows.
+ */
+function editableQuestion(source) {
+    const question = {
+        questionText: text(source.questionText ?? source.question_text),
+        type: text(source.type ?? source.questionType ?? source.question_type)
+    };
+    OPTION_LABELS.forEach(label => {
+        question[`option${label}`] = text(source[`option${label}`] ?? source[`option_${label.toLowerCase()}`]);
+    });
+    Object.assign(question, {
+        correctOption: text(source.correctOption ?? source.correct_option ?? source.correct_numeric ?? source.answer),
+        tolerance: text(source.tolerance ?? source.numeric_tolerance),
+        partialCredit: text(source.partialCredit ?? source.partial_credit),
+        topic: text(source.topic),
+        difficulty: text(source.difficulty),
+        weight: text(source.weight),
+        explanation: text(source.explanation),
+        imageAssetId: source.imageAssetId || source.image_asset_id || null,
+        optionImageIds: source.optionImageIds || source.option_image_ids || {}
+    });
+    return question;
+}
+
+/**
+ * checkQuestion — { question, columns, errors, warnings } for one row.
+ * columns (questions-table content, no round / number) is null when
+ * the row has errors.
+ */
+function checkQuestion(source) {
+    const question = editableQuestion(source);
+    const errors = [];
+    const warnings = [];
+    const answer = question.correctOption;
+    const usedLabels = OPTION_LABELS.filter(label => question[`option${label}`]);
+
+    if (!question.questionText) {
+        errors.push('Question text is missing');
+    }
+
+    if (source.importError) {
+        // Parser note, e.g. a Moodle question type with no equivalent here
+        errors.push(source.importError);
+    } else if (!answer) {
+        errors.push('Answer key is missing');
+    } else if (usedLabels.length > 0 && !KEY_PATTERN.test(answer) &&
+        !NUMBER_PATTERN.test(answer) && !/^(t|true|f|false)$/i.test(answer)) {
+        // Answer written as the option's text ("Paris" for B)
+        const matches = usedLabels.filter(label => question[`option${label}`].toLowerCase() === answer.toLowerCase());
+        if (matches.length === 1) {
+            question.correctOption = matches[0];
+            warnings.push(`Answer "${answer}" matched option ${matches[0]}`);
+        } else {
+            errors.push(`Ambiguous answer "${answer}" — use option letters (e.g. B, or A, C)`);
+        }
+    }
+
+    let columns = null;
+    if (errors.length === 0) {
+        const { question: answerColumns, error } = normalizeQuestion(question);
+        if (error) {
+            errors.push(error);
+        } else {
+            columns = {
+                question_text: question.questionText,
+                ...answerColumns,
+                ...questionImageColumns(question, answerColumns),
+                weight: questionWeight(question),
+                ...questionTags(question),
+                ...questionExplanation(question)
+            };
+
+            if (!question.type && answerColumns.question_type === 'multiple') {
+                warnings.push('Several answer letters — imported as multiple-correct');
+            }
+        }
+    }
+
+    const seen = new Map();
+    usedLabels.forEach(label => {
+        const key = question[`option${label}`].toLowerCase();
+        if (seen.has(key)) warnings.push(`Options ${seen.get(key)} and ${label} are the same`);
+        else seen.set(key, label);
+    });
+
+    if (question.difficulty && !DIFFICULTY_LEVELS.includes(question.difficulty.toLowerCase())) {
+        warnings.push(`Difficulty "${question.difficulty}" not recognised — left untagged`);
+    }
+    if (question.weight && questionWeight(question) !== Number(question.weight)) {
+        warnings.push(`Weight "${question.weight}" is not a positive number — 1 used`);
+    }
+
+    return { question, columns, errors, warnings };
+}
+
+/**
+ * checkImport — Check every row and flag duplicates within the file
+ * and against the round's current questions. Rows are numbered from 1
+ * in file order.
+ */
+function checkImport(sources, existingQuestions = []) {
+    const inRound = new Map((existingQuestions || []).map(q => [contentHash(q), q.question_number]));
+    const firstRow = new Map();
+
+    return (sources || []).map((source, index) => {
+        const row = { row: index + 1, ...checkQuestion(source) };
+        if (row.columns) {
+            const hash = contentHash(row.columns);
+            if (firstRow.has(hash)) {
+                row.warnings.push(`Duplicate of row ${firstRow.get(hash)}`);
+            } else {
+                firstRow.set(hash, row.row);
+            }
+            if (inRound.has(hash)) {
+                row.warnings.push(`Already in this round as question ${inRound.get(hash)}`);
+            }
+        }
+        return row;
+    });
+}
+
+// Preview / report shape sent to the panel (columns stay server-side)
+function reportRows(rows) {
+    return rows.map(({ row, question, errors, warnings }) => ({ row, question, errors, warnings }));
+}
+
+// { total, valid, errors, warnings } — counts of rows
+function importSummary(rows) {
+    return {
+        total: rows.length,
+        valid: rows.filter(r => r.errors.length === 0).length,
+        errors: rows.filter(r => r.errors.length > 0).length,
+        warnings: rows.filter(r => r.warnings.length > 0).length
+    };
+}
+
+/**
+ * writeRoundQuestions — Write checked rows (questions-table content)
+ * to a round in the given mode and renumber it 1..N. The round as it
+ * was is saved first so undoImport() can put it back.
+ * Returns { importId, added, updated, numbers } — numbers[i] is the
+ * question number rows[i] ended up as.
+ */
+async function writeRoundQuestions(roundNumber, rows, mode = 'replace', { source = null, adminId = null } = {}) {
+    // One transaction: a failed import leaves the round as it was
+    const { data, error } = await supabase.rpc('import_round_questions', {
+        p_round_number: roundNumber,
+        p_mode: mode,
+        p_rows: rows,
+        p_source: source ? source.toString().substring(0, 200) : null,
+        p_admin_id: adminId
+    });
+    if (error) throw error;
+
+    return {
+        importId: data.import_id,
+        added: data.added,
+        updated: data.updated,
+        numbers: data.numbers
+    };
+}
+
+// One-line result for the panel and the audit log
+function importMessage({ added, updated, numbers }, mode, roundNumber) {
+    if (mode === 'merge') {
+        return `Round ${roundNumber}: ${added} questions added, ${updated} updated`;
+    }
+    if (mode === 'append' && added > 0) {
+        const placed = numbers.filter(Boolean);
+        return `${added} questions added to Round ${roundNumber} as Q${Math.min(...placed)}–Q${Math.max(...placed)}`;
+    }
+    return `${added} questions imported into Round ${roundNumber}`;
+}
+
+// Latest import of a round that has not been undone (no snapshot)
+async function lastImport(roundNumber) {
+    const { data, error } = await supabase
+        .from('question_imports')
+        .select('id, round_number, mode, source, added, updated, created_at')
+        .eq('round_number', roundNumber)
+        .is('undone_at', null)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * undoImport — Put the round back as it was before its latest import
+ * (questions edited since are lost). Returns the undone import with
+ * restored = number of questions now in the round, or null if there
+ * is nothing to undo. The caller checks the round is still pending.
+ */
+async function undoImport(roundNumber) {
+    const latest = await lastImport(roundNumber);
+    if (!latest) return null;
+
+    const { data: record, error } = await supabase
+        .from('question_imports')
+        .select('snapshot')
+        .eq('id', latest.id)
+        .single();
+    if (error) throw error;
+
+    const { data: restored, error: restoreError } = await supabase.rpc('restore_round_questions', {
+        p_round_number: roundNumber,
+        p_snapshot: record.snapshot || []
+    });
+    if (restoreError) throw restoreError;
+
+    const { error: markError } = await supabase
+        .from('question_imports')
+        .update({ undone_at: new Date().toISOString() })
+        .eq('id', latest.id);
+    if (markError) throw markError;
+
+    return { ...latest, restored: restored || 0 };
+}
+
+module.exports = {
+    IMPORT_MODES,
+    editableQuestion,
+    checkQuestion,
+    checkImport,
+    reportRows,
+    importSummary,
+    writeRoundQuestions,
+    importMessage,
+    lastImport,
+    undoImport
+};
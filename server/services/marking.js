@@ -0,0 +1,39 @@
+/**
+ * Marking Schemes — V4 Architecture
+ * Quiz Conquest
+ *
+ * A question scores the round's marks (correct / wrong / unanswered,
+ * e.g. +4 / −1 / 0) times its own weight. evaluate_round() applies
+ * them in SQL; this module only parses admin input.
+ *
+ * DESIGN RULES:
+ *   • Defaults (1 / 0 / 0, weight 1) reproduce the plain count
+ *   • Scores are NUMERIC(10,2) — round sums to 2 decimals before
+ *     showing them
+ *   • The scheme is locked once the round has results
+ */
+
+const MAX_MARK = 1000;
+
+// Mark value → number rounded to 2 decimals, or null when invalid
+function parseMark(value) {
+    const mark = parseFloat(value);
+    if (!Number.isFinite(mark) || Math.abs(mark) > MAX_MARK) return null;
+    return roundScore(mark);
+}
+
+// Question weight from an imported / submitted question (default 1)
+function questionWeight(source) {
+    const weight = parseMark(source.weight);
+    return weight !== null && weight > 0 ? weight : 1;
+}
+
+function roundScore(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+module.exports = {
+    parseMark,
+    questionWeight,
+    roundScore
+};
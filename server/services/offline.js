@@ -0,0 +1,271 @@
+/**
+ * Offline Answer Sheets — V4 Architecture
+ * Quiz Conquest
+ *
+ * When the lab network dies the round carries on with printed papers
+ * (services/paper.js). The sheets are keyed in or read by an OMR
+ * scanner and uploaded as one CSV / spreadsheet per round; each row
+ * becomes an ordinary accepted submission.
+ *
+ * DESIGN RULES:
+ *   • One row per participant: Token (attempt_token) or Participant
+ *     ID (participant_details.id — a token is issued when that row
+ *     has none), Set, optional Time (minutes), then Q1..Qn or one
+ *     Answers column ("BAC-D", or "B,A,AC,,3.3")
+ *   • Answers are read in the set's labels and mapped back to the
+ *     canonical options, as for a shuffled online paper
+ *   • A row with any error is skipped whole — a half-read sheet is
+ *     never scored
+ *   • A participant's own online submit is never replaced; uploading
+ *     a sheet again replaces the earlier offline one
+ *   • No Time → the round's full duration (never in the
+ *     participant's favour)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+const { supabase } = require('../config/database');
+const { NUMBER_PATTERN } = require('./questionTypes');
+const { optionLayouts, toCanonical } = require('./shuffle');
+const { roundSamplingSettings } = require('./sampling');
+const { UUID_PATTERN } = require('./assets');
+const { PAPER_SETS, setToken, paperSets } = require('./paper');
+
+// Unanswered: empty, or a mark an OMR export uses for "no bubble"
+const BLANK = /^[-.*_?]?$/;
+
+const HEADERS = {
+    token: ['token', 'attempttoken'],
+    participantId: ['participantid', 'participant', 'id'],
+    set: ['set', 'paperset'],
+    minutes: ['time', 'timemin', 'timeminutes', 'minutes'],
+    answers: ['answers', 'responses']
+};
+
+function headerKey(name) {
+    return name.toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * readAnswerSheet — Rows of the first sheet of a CSV / Excel file,
+ * as { header: text } objects (all values text)
+ */
+function readAnswerSheet(filePath, originalName) {
+    const workbook = path.extname(originalName || filePath).toLowerCase() === '.csv'
+        ? xlsx.read(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''), { type: 'string', raw: true })
+        : xlsx.readFile(filePath);
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return xlsx.utils.sheet_to_json(sheet, { defval: '', raw: false });
+}
+
+// Spreadsheet row → { row, token, participantId, set, minutes, answers: { n: text } }
+function sheetEntry(raw, index) {
+    const entry = { row: index + 2, token: '', participantId: '', set: '', minutes: '', answers: {} };
+
+    Object.entries(raw).forEach(([header, value]) => {
+        const key = headerKey(header);
+        const text = value === null || value === undefined ? '' : value.toString().trim();
+        const field = Object.keys(HEADERS).find(name => HEADERS[name].includes(key));
+        const question = key.match(/^(?:q|question)?(\d+)$/);
+
+        if (field === 'answers') {
+            const marks = /[,;]/.test(text) ? text.split(/[,;]/) : [...text];
+            marks.forEach((mark, i) => { entry.answers[i + 1] = mark.trim(); });
+        } else if (field) {
+            entry[field] = text;
+        } else if (question) {
+            entry.answers[parseInt(question[1])] = text;
+        }
+    });
+    return entry;
+}
+
+// One mark in the set's labels → { value } (null = unanswered) or { error }
+function sheetAnswer(mark, question) {
+    const text = mark.toUpperCase();
+    if (BLANK.test(text)) return { value: null };
+
+    if (question.type === 'numeric') {
+        return NUMBER_PATTERN.test(mark) ? { value: mark } : { error: `"${mark}" is not a number` };
+    }
+
+    if (question.type === 'true_false') {
+        if (/^(T|TRUE)$/.test(text)) return { value: 'A' };
+        if (/^(F|FALSE)$/.test(text)) return { value: 'B' };
+    }
+
+    const letters = [...new Set(text.replace(/[\s,;&/+]/g, ''))].sort();
+    const labels = Object.keys(question.options);
+    if (letters.length === 0 || !letters.every(letter => labels.includes(letter))) {
+        return { error: `"${mark}" is not one of ${labels.join(', ')}` };
+    }
+    if (letters.length > 1 && question.type !== 'multiple') {
+        return { error: `"${mark}" — only one answer allowed` };
+    }
+    return { value: letters.join('') };
+}
+
+/**
+ * sheetAnswers — A row's marks as canonical submission answers
+ * ([{ question_id, selected_option }]), plus errors
+ */
+function sheetAnswers(entry, paper, layouts) {
+    const answers = [];
+    const errors = [];
+
+    Object.entries(entry.answers).forEach(([number, mark]) => {
+        const question = paper.questions[number - 1];
+        if (!question) {
+            if (!BLANK.test(mark)) errors.push(`Q${number}: the paper has ${paper.questions.length} questions`);
+            return;
+        }
+
+        const { value, error } = sheetAnswer(mark, question);
+        if (error) errors.push(`Q${number}: ${error}`);
+        else if (value !== null) answers.push({ question_id: question.questionId, selected_option: value });
+    });
+
+    return {
+        answers: paper.set === 'A' ? answers : toCanonical(answers, setToken(paper.set), layouts),
+        errors
+    };
+}
+
+function offlineSummary(rows) {
+    const count = status => rows.filter(r => r.status === status).length;
+    return {
+        total: rows.length,
+        created: count('created'),
+        updated: count('updated'),
+        online: count('online'),
+        ineligible: count('ineligible'),
+        errors: count('error')
+    };
+}
+
+/**
+ * recordOfflineSheets — Save a round's uploaded sheet rows (from
+ * readAnswerSheet) as offline submissions. Returns { rows: [{ row,
+ * name, token, status, errors }], summary } — status is 'error' or
+ * the record_offline_submission() result. The caller checks the
+ * round has started and re-evaluates it afterwards.
+ */
+async function recordOfflineSheets(roundNumber, rawRows) {
+    const { data: round, error: roundError } = await supabase
+        .from('rounds')
+        .select('duration_minutes')
+        .eq('round_number', roundNumber)
+        .maybeSingle();
+    if (roundError) throw roundError;
+
+    const { data: questions, error: questionsError } = await supabase
+        .from('questions')
+        .select('*')
+        .eq('round_number', roundNumber)
+        .order('question_number');
+    if (questionsError) throw questionsError;
+
+    const sets = paperSets(questions || [], roundNumber, PAPER_SETS.length, await roundSamplingSettings(roundNumber));
+    const layouts = optionLayouts(questions);
+    // Sampled round: offline sheets are scored on the printed paper's questions
+    const questionIds = sets[0].questions.length < (questions || []).length
+        ? sets[0].questions.map(q => q.questionId)
+        : null;
+
+    const entries = rawRows.map(sheetEntry);
+
+    const detailIds = entries.map(e => e.participantId).filter(id => UUID_PATTERN.test(id));
+    const tokens = entries.map(e => e.token.toLowerCase()).filter(token => UUID_PATTERN.test(token));
+    const lookup = async (column, values, fields) => {
+        if (values.length === 0) return [];
+        const { data, error } = await supabase.from('participant_details').select(fields).in(column, values);
+        if (error) throw error;
+        return data || [];
+    };
+    const byId = await lookup('id', detailIds, 'id, attempt_token, name');
+    const byToken = await lookup('attempt_token', tokens, 'attempt_token, name');
+
+    const details = new Map(byId.map(d => [d.id.toLowerCase(), d]));
+    const names = new Map(byToken.map(d => [d.attempt_token.toLowerCase(), d.name]));
+    const firstRow = new Map();
+    const rows = [];
+
+    for (const entry of entries) {
+        const errors = [];
+        let token = entry.token.toLowerCase();
+        let name = null;
+        let detail = null;
+
+        if (token) {
+            if (!UUID_PATTERN.test(token)) errors.push(`Token "${entry.token}" is not valid`);
+            name = names.get(token) || null;
+        } else if (entry.participantId) {
+            detail = details.get(entry.participantId.toLowerCase());
+            if (!detail) errors.push(`Participant ID "${entry.participantId}" not found`);
+            else {
+                token = (detail.attempt_token || '').toLowerCase();
+                name = detail.name;
+            }
+        } else {
+            errors.push('Token or Participant ID is required');
+        }
+
+        const set = (entry.set || 'A').toUpperCase();
+        const paper = sets.find(s => s.set === set);
+        if (!paper) errors.push(`Set "${entry.set}" — use ${PAPER_SETS.join(', ')}`);
+
+        const minutes = entry.minutes === '' ? null : Number(entry.minutes);
+        if (minutes !== null && !(minutes > 0)) errors.push(`Time "${entry.minutes}" is not a number of minutes`);
+
+        const { answers, errors: answerErrors } = paper ? sheetAnswers(entry, paper, layouts) : { answers: [], errors: [] };
+        errors.push(...answerErrors);
+
+        const identity = token || (detail && `detail:${detail.id}`);
+        if (identity && firstRow.has(identity)) errors.push(`Same participant as row ${firstRow.get(identity)}`);
+        else if (identity) firstRow.set(identity, entry.row);
+
+        if (errors.length > 0) {
+            rows.push({ row: entry.row, name, token: token || null, status: 'error', errors });
+            continue;
+        }
+
+        if (!token) {
+            // Paper-only participant: issue the token results are kept under
+            token = crypto.randomUUID();
+            const { error } = await supabase
+                .from('participant_details')
+                .update({ attempt_token: token, updated_at: new Date().toISOString() })
+                .eq('id', detail.id);
+            if (error) throw error;
+        }
+
+        const { data: status, error } = await supabase.rpc('record_offline_submission', {
+            p_attempt_token: token,
+            p_round_number: roundNumber,
+            p_answers: answers,
+            p_time_taken_seconds: Math.round((minutes || round?.duration_minutes || 15) * 60),
+            p_question_ids: questionIds,
+            p_paper_set: set
+        });
+        if (error) throw error;
+
+        rows.push({ row: entry.row, name, token, status, errors: [] });
+    }
+
+    return { rows, summary: offlineSummary(rows) };
+}
+
+// Empty sheet for a round: identity columns + Q1..Qn
+function offlineTemplate(questionCount) {
+    const header = ['Token', 'Participant ID', 'Name', 'Set', 'Time',
+        ...Array.from({ length: questionCount }, (_, i) => `Q${i + 1}`)];
+    return '\uFEFF' + header.join(',') + '\n';
+}
+
+module.exports = {
+    readAnswerSheet,
+    recordOfflineSheets,
+    offlineTemplate
+};
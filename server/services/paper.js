@@ -0,0 +1,263 @@
+/**
+ * Printable Papers — V4 Architecture
+ * Quiz Conquest
+ *
+ * Offline backup for a round when the network fails: a question
+ * paper PDF, optionally in shuffled sets A–D, and a separate answer
+ * key for the markers.
+ *
+ * DESIGN RULES:
+ *   • A set is shuffled like a participant's paper, with
+ *     "paper-set-<letter>" as its attempt token — the same round
+ *     always prints the same sets, and nothing is stored
+ *   • Set A keeps the round's order; B–D shuffle the questions and
+ *     the options of single / multiple questions
+ *   • Every set holds the same questions: a round that samples from
+ *     a larger pool draws one sample for the whole paper
+ *   • Answer keys use the set's own labels, next to the round's
+ *     question number, so a written answer can be mapped back
+ *   • Math is printed as typed (LaTeX); PNG / JPEG pictures are
+ *     printed, other formats are named instead
+ */
+
+const { questionOptions, answerKeyLabel } = require('./questionTypes');
+const { optionLayouts, shuffleForToken, toDisplay } = require('./shuffle');
+const { sampleQuestionIds } = require('./sampling');
+const { readAsset } = require('./assets');
+const { imageSize, fitSize } = require('./exporter');
+
+const PAPER_SETS = ['A', 'B', 'C', 'D'];
+
+// Shuffle seed of a set
+function setToken(set) {
+    return `paper-set-${set}`;
+}
+
+const TYPE_HINTS = {
+    multiple: 'select all that apply',
+    numeric: 'write a number'
+};
+
+/**
+ * paperSets — The round's questions (rows, in question_number order)
+ * as setCount sets: [{ set, questions: [{ number, questionId,
+ * roundNumber, text, type, options, imageAssetId, optionImages,
+ * answer }] }] — roundNumber is the question's number in the round,
+ * answer is in the set's labels.
+ */
+function paperSets(questions, roundNumber, setCount = 1, sampling = null) {
+    const byId = new Map(questions.map(q => [q.id, q]));
+    const layouts = optionLayouts(questions);
+
+    let pool = questions.map(q => ({
+        questionId: q.id,
+        questionNumber: q.question_number,
+        type: q.question_type || 'single',
+        options: questionOptions(q),
+        optionImages: q.option_image_ids || {},
+        topic: q.topic,
+        difficulty: q.difficulty
+    }));
+
+    const sample = sampling && sampleQuestionIds(pool, 'paper', roundNumber, sampling);
+    if (sample) {
+        const idSet = new Set(sample);
+        pool = pool.filter(q => idSet.has(q.questionId));
+    }
+    pool = pool.map((q, index) => ({ ...q, questionNumber: index + 1 }));
+
+    return PAPER_SETS.slice(0, setCount).map(set => {
+        const list = set === 'A'
+            ? pool
+            : shuffleForToken(pool, setToken(set), roundNumber, { questions: true, options: true });
+
+        return {
+            set,
+            questions: list.map(q => {
+                const row = byId.get(q.questionId);
+                const answer = q.type === 'numeric'
+                    ? answerKeyLabel(row)
+                    : set === 'A'
+                        ? row.correct_option
+                        : toDisplay([{ question_id: row.id, selected_option: row.correct_option }],
+                            setToken(set), layouts)[0].selected_option;
+
+                return {
+                    number: q.questionNumber,
+                    questionId: q.questionId,
+                    roundNumber: row.question_number,
+                    text: row.question_text,
+                    type: q.type,
+                    options: q.options,
+                    imageAssetId: row.image_asset_id || null,
+                    optionImages: q.optionImages,
+                    answer: q.type === 'numeric' ? answer : [...(answer || '')].join(', ')
+                };
+            })
+        };
+    });
+}
+
+// PDF document collected into a Buffer; fill(doc) draws the pages
+async function renderPDF(title, fill) {
+    const PDFDocument = require('pdfkit');
+    const doc = new PDFDocument({ margin: 50, bufferPages: true, info: { Title: title } });
+
+    const chunks = [];
+    const done = new Promise((resolve, reject) => {
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const footers = await fill(doc);
+
+    // "<footer> · Page n of m", counted per set
+    const range = doc.bufferedPageRange();
+    footers.forEach(({ label, first }, i) => {
+        const last = i + 1 < footers.length ? footers[i + 1].first - 1 : range.start + range.count - 1;
+        for (let page = first; page <= last; page++) {
+            doc.switchToPage(page);
+            const bottom = doc.page.margins.bottom;
+            doc.page.margins.bottom = 0;
+            doc.font('Helvetica').fontSize(8).fillColor('#666666')
+                .text(`${label} · Page ${page - first + 1} of ${last - first + 1}`,
+                    50, doc.page.height - 35, { width: doc.page.width - 100, align: 'center' })
+                .fillColor('black');
+            doc.page.margins.bottom = bottom;
+        }
+    });
+
+    doc.end();
+    return done;
+}
+
+function currentPage(doc) {
+    const range = doc.bufferedPageRange();
+    return range.start + range.count - 1;
+}
+
+async function printImage(doc, assetId, maxWidth, maxHeight, x) {
+    const asset = await readAsset(assetId);
+    const size = asset && ['image/png', 'image/jpeg'].includes(asset.mimeType) && imageSize(asset.buffer);
+    if (!size) {
+        doc.font('Helvetica-Oblique').fontSize(9).text('[picture not printable — see the screen version]', x);
+        return;
+    }
+
+    const fitted = fitSize(size, maxWidth, maxHeight);
+    if (doc.y + fitted.height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    doc.image(asset.buffer, x, doc.y, { width: fitted.width, height: fitted.height });
+    doc.y += fitted.height + 4;
+}
+
+/**
+ * buildPaper — Question paper PDF, each set from a new page with its
+ * own header (title, set, name / ID lines)
+ */
+function buildPaper(sets, { title, durationMinutes = null }) {
+    return renderPDF(title, async doc => {
+        const width = doc.page.width - 100;
+        const footers = [];
+
+        for (const [i, { set, questions }] of sets.entries()) {
+            if (i > 0) doc.addPage();
+            doc.x = 50;
+            const setLabel = sets.length > 1 ? `Set ${set}` : null;
+            footers.push({ label: [title, setLabel].filter(Boolean).join(' · '), first: currentPage(doc) });
+
+            doc.font('Helvetica-Bold').fontSize(16).text(title, { align: 'center' });
+            if (setLabel) doc.fontSize(13).text(setLabel, { align: 'center' });
+            doc.font('Helvetica').fontSize(10)
+                .text([`${questions.length} questions`, durationMinutes ? `${durationMinutes} minutes` : null]
+                    .filter(Boolean).join(' · '), { align: 'center' });
+            doc.moveDown();
+
+            doc.fontSize(11)
+                .text('Name: ______________________________   Participant ID: ____________________')
+                .moveDown(0.5)
+                .text(`College / Phone: ___________________________${setLabel ? `   ${setLabel}` : ''}`);
+            doc.moveDown(0.5);
+            doc.font('Helvetica-Oblique').fontSize(9)
+                .text('Write the letter of your answer next to each question (several letters where it says ' +
+                    '"select all that apply"). Numeric questions take a number.', { width });
+            doc.moveDown();
+
+            for (const q of questions) {
+                // Keep a question's first lines with its number
+                if (doc.y > doc.page.height - 150) doc.addPage();
+
+                const hint = TYPE_HINTS[q.type];
+                doc.font('Helvetica-Bold').fontSize(11).text(`${q.number}. `, 50, doc.y, { continued: true })
+                    .font('Helvetica').text(`${(q.text || '').trim()}${hint ? `  (${hint})` : ''}`, { width });
+                if (q.imageAssetId) await printImage(doc, q.imageAssetId, 300, 200, 70);
+
+                if (q.type === 'numeric') {
+                    doc.moveDown(0.3).text('Answer: ____________________', 70);
+                } else {
+                    for (const [label, text] of Object.entries(q.options)) {
+                        doc.text(`${label})  ${text}`, 70, doc.y, { width: width - 20 });
+                        if (q.optionImages[label]) await printImage(doc, q.optionImages[label], 200, 120, 90);
+                    }
+                }
+                doc.moveDown(0.8);
+            }
+        }
+
+        return footers;
+    });
+}
+
+/**
+ * buildAnswerKey — Answer key PDF: per set, each question's answer in
+ * the set's labels and its number in the round
+ */
+function buildAnswerKey(sets, { title }) {
+    return renderPDF(`${title} — answer key`, async doc => {
+        const footers = [];
+        const columns = [50, 100, 330];
+
+        const tableHeader = () => {
+            doc.font('Helvetica-Bold').fontSize(10);
+            const y = doc.y;
+            doc.text('Q', columns[0], y);
+            doc.text('Answer', columns[1], y);
+            doc.text('Round question', columns[2], y);
+            doc.moveDown(0.4);
+        };
+
+        for (const [i, { set, questions }] of sets.entries()) {
+            if (i > 0) doc.addPage();
+            const setLabel = sets.length > 1 ? `Set ${set}` : null;
+            footers.push({ label: ['Answer key', setLabel].filter(Boolean).join(' · '), first: currentPage(doc) });
+
+            doc.font('Helvetica-Bold').fontSize(16).text(title, 50, doc.y, { align: 'center' });
+            doc.fontSize(13).text(['Answer key', setLabel].filter(Boolean).join(' — '), { align: 'center' });
+            doc.moveDown();
+            tableHeader();
+
+            for (const q of questions) {
+                if (doc.y > doc.page.height - 70) {
+                    doc.addPage();
+                    tableHeader();
+                }
+                doc.font('Helvetica').fontSize(10);
+                const y = doc.y;
+                doc.text(`${q.number}`, columns[0], y);
+                doc.text(q.answer, columns[1], y, { width: columns[2] - columns[1] - 10 });
+                doc.text(`Q${q.roundNumber}`, columns[2], y);
+                doc.moveDown(0.2);
+            }
+        }
+
+        return footers;
+    });
+}
+
+module.exports = {
+    PAPER_SETS,
+    setToken,
+    paperSets,
+    buildPaper,
+    buildAnswerKey
+};
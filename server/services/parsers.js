@@ -0,0 +1,814 @@
+/**
+ * Question File Parsers — V4 Architecture
+ * Quiz Conquest
+ *
+ * Uploaded question files → raw question objects, by extension:
+ * Excel / CSV (template columns), PDF / Word / PowerPoint (text
+ * layout), JSON, GIFT and Moodle XML. The importer checks the rows.
+ *
+ * DESIGN RULES:
+ *   • Parsers keep every row they find; checkQuestion() decides
+ *   • Embedded images (Word, PowerPoint, Moodle XML) go through the
+ *     storeImage function parseFile is given — saveAsset when the
+ *     import is written straight away, holdAsset for a preview — and
+ *     are referenced by id
+ *   • Answer keys and cells are read as typed — a 0 is a value, not
+ *     a blank
+ */
+
+const path = require('path');
+const fs = require('fs');
+const xlsx = require('xlsx');
+const mammoth = require('mammoth');
+const AdmZip = require('adm-zip');
+const { saveAsset } = require('./assets');
+const { DIFFICULTY_LEVELS } = require('./sampling');
+
+// Embedded images become their own "[[image:<asset id>]]" line in the
+// extracted text; parseTextContent attaches them to the question or
+// to the option just above
+const IMAGE_MARKER = /^\[\[image:([0-9a-f-]{36})\]\]$/i;
+
+const MEDIA_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml'
+};
+
+function imageMarker(assetId) {
+    return `\n[[image:${assetId}]]\n`;
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Correct-answer cell → key text: 'A, C' stays a list, 'B) Paris'
+ * becomes 'B'; numbers / True / False pass through
+ */
+function answerCell(value) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (/^[A-F](\s*[,&/;]?\s*[A-F])*$/i.test(text)) return text.toUpperCase();
+    if (/^[A-F][).:]/i.test(text)) return text.charAt(0).toUpperCase();
+    return text;
+}
+
+/**
+ * Tags ("Circuits, hard" / ['hard', 'Circuits']) → { topic, difficulty }:
+ * a difficulty level is the difficulty, the first other tag the topic
+ */
+function tagFields(tags) {
+    const list = (Array.isArray(tags) ? tags : (tags || '').toString().split(/[,;]/))
+        .map(tag => tag.toString().trim())
+        .filter(Boolean);
+    const difficulty = list.find(tag => DIFFICULTY_LEVELS.includes(tag.toLowerCase()));
+    const topic = list.find(tag => tag !== difficulty);
+    return {
+        topic: topic || '',
+        difficulty: difficulty ? difficulty.toLowerCase() : ''
+    };
+}
+
+/**
+ * Parse Excel file for questions
+ */
+function parseExcel(filePath) {
+    const workbook = xlsx.readFile(filePath);
+    return parseSheet(workbook);
+}
+
+/**
+ * Parse CSV file for questions — same columns as the Excel template.
+ * Read as UTF-8 text with every cell kept as typed ("1/2" stays a
+ * fraction, not a date)
+ */
+function parseCSV(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    const workbook = xlsx.read(text, { type: 'string', raw: true });
+    return parseSheet(workbook);
+}
+
+// First of a row's column names that holds a value — a 0 counts,
+// an empty cell does not
+function cell(row, ...names) {
+    for (const name of names) {
+        const value = row[name];
+        if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return '';
+}
+
+// Rows of a workbook's first sheet → raw question objects
+function parseSheet(workbook) {
+    const sheetName = workbook.SheetNames[0];
+    const worksheet = workbook.Sheets[sheetName];
+    const data = xlsx.utils.sheet_to_json(worksheet);
+
+    const questions = [];
+
+    for (const row of data) {
+        // Try different possible column names
+        const question = {
+            questionText: cell(row, 'Question', 'question', 'Question Text', 'question_text', 'Q'),
+            optionA: cell(row, 'Option A', 'option_a', 'A', 'a'),
+            optionB: cell(row, 'Option B', 'option_b', 'B', 'b'),
+            optionC: cell(row, 'Option C', 'option_c', 'C', 'c'),
+            optionD: cell(row, 'Option D', 'option_d', 'D', 'd'),
+            optionE: cell(row, 'Option E', 'option_e', 'E', 'e'),
+            optionF: cell(row, 'Option F', 'option_f', 'F', 'f'),
+            correctOption: answerCell(cell(row, 'Correct', 'correct', 'Answer', 'answer', 'Correct Option', 'correct_option')),
+            type: cell(row, 'Type', 'type'),
+            tolerance: cell(row, 'Tolerance', 'tolerance'),
+            partialCredit: cell(row, 'Partial Credit', 'Partial', 'partial_credit'),
+            topic: cell(row, 'Topic', 'topic'),
+            difficulty: cell(row, 'Difficulty', 'difficulty'),
+            weight: cell(row, 'Weight', 'weight'),
+            explanation: cell(row, 'Explanation', 'explanation', 'Feedback'),
+            // Asset ids, as written by the Excel export
+            imageAssetId: cell(row, 'Image') || null,
+            optionImageIds: {}
+        };
+
+        // "A: <id>; C: <id>"
+        for (const [, label, id] of cell(row, 'Option Images').toString().matchAll(/([A-F])\s*[:=]\s*([0-9a-f-]{36})/gi)) {
+            question.optionImageIds[label.toUpperCase()] = id;
+        }
+
+        // A single Tags column instead of Topic / Difficulty
+        const tags = cell(row, 'Tags', 'tags');
+        if (tags) {
+            const fields = tagFields(tags);
+            question.topic = question.topic || fields.topic;
+            question.difficulty = question.difficulty || fields.difficulty;
+        }
+
+        question.questionText = question.questionText.toString().trim();
+        question.optionA = question.optionA.toString().trim();
+        question.optionB = question.optionB.toString().trim();
+        question.optionC = question.optionC.toString().trim();
+        question.optionD = question.optionD.toString().trim();
+        question.optionE = question.optionE.toString().trim();
+        question.optionF = question.optionF.toString().trim();
+
+        // Blank spreadsheet lines are skipped; anything else goes to the
+        // preview, where rows without text or answer are reported
+        if (question.questionText || question.optionA || question.correctOption) {
+            questions.push(question);
+        }
+    }
+
+    return questions;
+}
+
+/**
+ * Parse PDF file for questions
+ * Expected format: Question followed by options A, B, C, D and answer
+ */
+async function parsePDF(filePath) {
+    // pdf-parse v2: class API (v1's pdfParse(buffer) no longer exists)
+    const { PDFParse } = require('pdf-parse');
+    const parser = new PDFParse({ data: fs.readFileSync(filePath) });
+    try {
+        // No "-- 1 of 3 --" page markers: they would join the line above
+        const pdfData = await parser.getText({ pageJoiner: '' });
+        return parseTextContent(pdfData.text);
+    } finally {
+        await parser.destroy();
+    }
+}
+
+/**
+ * Parse Word document for questions
+ * Embedded images (schematics, waveforms) are stored as assets
+ */
+async function parseWord(filePath, storeImage) {
+    const result = await mammoth.convertToHtml({ path: filePath }, {
+        convertImage: mammoth.images.imgElement(async (image) => {
+            const asset = await storeImage(Buffer.from(await image.read()), { mimeType: image.contentType });
+            return { src: asset ? `asset:${asset.id}` : '' };
+        })
+    });
+
+    const text = result.value
+        .replace(/<img[^>]*src="asset:([0-9a-f-]{36})"[^>]*>/gi, (match, id) => imageMarker(id))
+        .replace(/<br\s*\/?>|<\/(p|li|h\d|td|tr)>/gi, '\n')
+        .replace(/<[^>]+>/g, '');
+
+    return parseTextContent(decodeEntities(text));
+}
+
+/**
+ * Parse PowerPoint for questions
+ * Note: This is a simplified parser for text content; pictures
+ * (a:blip) are stored as assets in slide order
+ */
+async function parsePowerPoint(filePath, storeImage) {
+    const zip = new AdmZip(filePath);
+    const slideNumber = name => parseInt(name.match(/slide(\d+)\.xml$/)[1]);
+    const slides = zip.getEntries()
+        .filter(entry => /^ppt\/slides\/slide\d+\.xml$/.test(entry.entryName))
+        .sort((a, b) => slideNumber(a.entryName) - slideNumber(b.entryName));
+
+    let allText = '';
+
+    for (const entry of slides) {
+        const content = zip.readAsText(entry);
+
+        // rId → media path, from ppt/slides/_rels/slideN.xml.rels
+        const relations = {};
+        const relsEntry = zip.getEntry(`ppt/slides/_rels/${path.posix.basename(entry.entryName)}.rels`);
+        if (relsEntry) {
+            const rels = zip.readAsText(relsEntry).match(/<Relationship\b[^>]*>/g) || [];
+            for (const rel of rels) {
+                const id = rel.match(/\bId="([^"]+)"/);
+                const target = rel.match(/\bTarget="([^"]+)"/);
+                if (id && target) {
+                    relations[id[1]] = path.posix.normalize(path.posix.join('ppt/slides', target[1]));
+                }
+            }
+        }
+
+        // Text runs and pictures, in document order. Runs of one
+        // paragraph form one line (formatting splits "$Z = R + j\omega L$"
+        // into several runs)
+        const tokens = content.match(/<a:t>[^<]*<\/a:t>|<\/a:p>|<a:blip\b[^>]*r:embed="[^"]+"/g) || [];
+        for (const token of tokens) {
+            if (token.startsWith('<a:t>')) {
+                allText += decodeEntities(token.replace(/<a:t>|<\/a:t>/g, ''));
+                continue;
+            }
+            if (token === '</a:p>') {
+                allText += '\n';
+                continue;
+            }
+
+            const mediaPath = relations[token.match(/r:embed="([^"]+)"/)[1]];
+            const media = mediaPath && zip.getEntry(mediaPath);
+            if (!media) continue;
+
+            const asset = await storeImage(media.getData(), {
+                fileName: path.posix.basename(mediaPath),
+                mimeType: MEDIA_TYPES[path.extname(mediaPath).toLowerCase()]
+            });
+            if (asset) allText += imageMarker(asset.id);
+        }
+    }
+
+    return parseTextContent(allText);
+}
+
+// Lines that start a question, option, answer or picture — never
+// swallowed into a math expression left open on the line above
+const STRUCTURE_LINE = /^(?:Q\d*[:.]|\d+[.)]|Question\s*\d*[:.]?\s|[A-Fa-f][.)]|(?:Answer|Ans|Correct)\b|\[\[image:)/i;
+
+// Question number prefix: "1.", "2)", "Q:", "Q3.", "Q3 ", "Question 4:"
+const QUESTION_START = /^(?:Q\d*[:.]\s*|Q\d+\s+|\d+[.)]\s*|Question\s*\d*[:.]?\s*)/i;
+
+function mathOpen(line) {
+    const count = pattern => (line.match(pattern) || []).length;
+    const display = count(/(?<!\\)\$\$/g);
+    const inline = count(/(?<!\\)\$/g) - 2 * display;
+    return display % 2 === 1 || inline % 2 === 1 ||
+        count(/\\\(/g) > count(/\\\)/g) ||
+        count(/\\\[/g) > count(/\\\]/g);
+}
+
+// Rejoin math split over lines by PDF / Word extraction
+function joinMathLines(lines) {
+    const joined = [];
+    for (let i = 0; i < lines.length; i++) {
+        let line = lines[i];
+        while (mathOpen(line) && i + 1 < lines.length && !STRUCTURE_LINE.test(lines[i + 1])) {
+            line += ' ' + lines[++i];
+        }
+        joined.push(line);
+    }
+    return joined;
+}
+
+/**
+ * Parse text content to extract questions
+ * Supports multiple formats:
+ * 1. Q: question A) option B) option C) option D) option Answer: A
+ * 2. 1. question a) option b) option c) option d) option Ans: A
+ * 3. Question text on line, options on next lines
+ * Options may run A–F; "Answer: A, C" marks several correct,
+ * "Answer: 3.3" with no options is numeric, and optional
+ * "Type:", "Tolerance:", "Partial: yes", "Topic:", "Difficulty:",
+ * "Weight:" and "Explanation:" lines follow the answer. A line that
+ * is none of these continues the question, option or explanation
+ * above it (PDF text wraps long lines).
+ * "[[image:<id>]]" lines (from DOCX / PPTX pictures) attach to the
+ * option above them, else to the question; an option may be a
+ * picture alone ("C)" then the image).
+ * Math ($…$, $$…$$, \(…\), \[…\]) is kept verbatim; an expression
+ * broken over lines is rejoined.
+ */
+function parseTextContent(text) {
+    const questions = [];
+    const lines = joinMathLines(text.split('\n').map(l => l.trim()).filter(l => l));
+
+    let currentQuestion = null;
+    let lastOption = null;
+    let lastField = null; // where a wrapped line continues
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        const imageMatch = line.match(IMAGE_MARKER);
+        if (imageMatch) {
+            if (currentQuestion && lastOption) {
+                currentQuestion.optionImageIds[lastOption] = imageMatch[1];
+                currentQuestion[`option${lastOption}`] = currentQuestion[`option${lastOption}`] || '(figure)';
+            } else if (currentQuestion && !currentQuestion.imageAssetId) {
+                currentQuestion.imageAssetId = imageMatch[1];
+            }
+            continue;
+        }
+
+        // Check if line starts with question number or Q:
+        // ("Q:" / "Q1 " — not any line that starts with a Q)
+        const questionMatch = line.match(QUESTION_START);
+
+        if (questionMatch || (!currentQuestion && line.length > 20 && !line.match(/^[A-Da-d][.)]/))) {
+            // New question found (kept even without an answer — the
+            // preview reports it)
+            if (currentQuestion && currentQuestion.questionText) {
+                questions.push(currentQuestion);
+            }
+
+            currentQuestion = {
+                questionText: line.replace(QUESTION_START, '').trim(),
+                optionA: '',
+                optionB: '',
+                optionC: '',
+                optionD: '',
+                optionE: '',
+                optionF: '',
+                correctOption: '',
+                imageAssetId: null,
+                optionImageIds: {}
+            };
+            lastOption = null;
+            lastField = 'questionText';
+        } else if (currentQuestion) {
+            // Check for options
+            const optionMatch = line.match(/^([A-Fa-f])[.)]\s*(.*)/);
+            const answerMatch = line.match(/(?:Answer|Ans|Correct)[:\s]*(true|false|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?|[A-Fa-f](?:\s*[,&/]?\s*[A-Fa-f])*\b)/i);
+            const typeMatch = line.match(/^Type[:\s]+([\w /-]+)$/i);
+            const toleranceMatch = line.match(/^Tolerance[:\s]+(?:±\s*)?([\d.]+)/i);
+            const partialMatch = line.match(/^Partial(?:\s+Credit)?[:\s]+(\w+)/i);
+            const explanationMatch = line.match(/^(?:Explanation|Reason)[:\s]+(.+)/i);
+            const topicMatch = line.match(/^Topic[:\s]+(.+)/i);
+            const difficultyMatch = line.match(/^Difficulty[:\s]+(\w+)/i);
+            const weightMatch = line.match(/^Weight[:\s]+([\d.]+)/i);
+            const fieldLine = typeMatch || toleranceMatch || partialMatch || topicMatch || difficultyMatch || weightMatch;
+
+            if (lastField === 'explanation' && !STRUCTURE_LINE.test(line) && !fieldLine && !explanationMatch) {
+                // Wrapped explanation ("…the correct answer is B" is prose)
+                currentQuestion.explanation += ' ' + line;
+            } else if (explanationMatch) {
+                // Before the answer check, for the same reason
+                lastOption = null;
+                lastField = 'explanation';
+                currentQuestion.explanation = explanationMatch[1].trim();
+            } else if (optionMatch) {
+                lastOption = optionMatch[1].toUpperCase();
+                lastField = `option${lastOption}`;
+                currentQuestion[lastField] = optionMatch[2].trim();
+            } else if (answerMatch && !fieldLine) {
+                lastOption = null;
+                lastField = null;
+                currentQuestion.correctOption = answerMatch[1].toUpperCase();
+            } else if (fieldLine) {
+                lastField = null;
+                if (typeMatch) currentQuestion.type = typeMatch[1].trim();
+                if (toleranceMatch) currentQuestion.tolerance = toleranceMatch[1];
+                if (partialMatch) currentQuestion.partialCredit = partialMatch[1];
+                if (topicMatch) currentQuestion.topic = topicMatch[1].trim();
+                if (difficultyMatch) currentQuestion.difficulty = difficultyMatch[1];
+                if (weightMatch) currentQuestion.weight = weightMatch[1];
+            } else if (lastField) {
+                // Continuation of the question text or the option above
+                currentQuestion[lastField] += ' ' + line;
+            }
+        }
+    }
+
+    // Add last question
+    if (currentQuestion && currentQuestion.questionText) {
+        questions.push(currentQuestion);
+    }
+
+    return questions;
+}
+
+// Options as written in JSON: ['x', 'y'] or { A: 'x', B: 'y' }
+function optionFields(options) {
+    const fields = {};
+    const list = Array.isArray(options) ? options : ['A', 'B', 'C', 'D', 'E', 'F'].map(label => options[label] ?? options[label.toLowerCase()]);
+    list.slice(0, 6).forEach((option, i) => {
+        if (option !== undefined && option !== null) {
+            fields[`option${'ABCDEF'[i]}`] = option.toString();
+        }
+    });
+    return fields;
+}
+
+/**
+ * Parse JSON file for questions — an array, or { questions: [...] }
+ * (as /api/questions/bulk-add). Also reads `question`, `options`
+ * (array or { A: … }), `answer` and `tags`.
+ */
+function parseJSON(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON (${error.message})`);
+    }
+
+    const items = Array.isArray(data) ? data : data && Array.isArray(data.questions) ? data.questions : null;
+    if (!items) {
+        throw new Error('Expected an array of questions or { "questions": [...] }');
+    }
+
+    return items
+        .filter(item => item && typeof item === 'object')
+        .map(item => {
+            const question = { ...item };
+            if (question.questionText === undefined && question.question_text === undefined && question.question !== undefined) {
+                question.questionText = question.question;
+            }
+            if (question.options && typeof question.options === 'object') {
+                Object.assign(question, optionFields(question.options));
+            }
+            if (question.tags) {
+                const fields = tagFields(question.tags);
+                question.topic = question.topic || fields.topic;
+                question.difficulty = question.difficulty || fields.difficulty;
+            }
+            if (Array.isArray(question.correctOption ?? question.answer)) {
+                question.correctOption = (question.correctOption ?? question.answer).join(', ');
+            }
+            return question;
+        });
+}
+
+// GIFT escapes: \~ \= \# \{ \} \: \\
+function giftUnescape(text) {
+    return text.replace(/\\([~=#{}:\\])/g, '$1').replace(/\\n/g, '\n').trim();
+}
+
+// GIFT question text: drop a [html] / [markdown] / [plain] marker (and
+// tags for html)
+function giftText(text) {
+    const format = text.match(/^\s*\[(html|moodle|plain|markdown)\]/i);
+    let body = format ? text.slice(format[0].length) : text;
+    if (format && format[1].toLowerCase() === 'html') {
+        body = decodeEntities(body.replace(/<br\s*\/?>|<\/p>/gi, '\n').replace(/<[^>]+>/g, ''));
+    }
+    return giftUnescape(body).replace(/\s*\n\s*/g, ' ');
+}
+
+// Split on unescaped characters from `chars`, keeping the separator
+function giftTokens(text, chars) {
+    const tokens = [];
+    let current = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            if (current) current.text += char + (text[i + 1] || '');
+            i++;
+        } else if (chars.includes(char)) {
+            current = { marker: char, text: '' };
+            tokens.push(current);
+        } else if (current) {
+            current.text += char;
+        }
+    }
+    return tokens;
+}
+
+// Index of the first unescaped `char` in text, or -1
+function giftIndex(text, char, from = 0) {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') i++;
+        else if (text[i] === char) return i;
+    }
+    return -1;
+}
+
+/**
+ * One GIFT answer block (between { }) → answer fields for a question.
+ * Multiple choice (=right ~wrong, ~%50% weights → multiple correct with
+ * partial credit), true/false, numeric (#3.3:0.05, #1..5). Short
+ * answer, matching and essay have no equivalent and come back with
+ * importError.
+ */
+function giftAnswers(block) {
+    let body = block;
+    let explanation = '';
+
+    const general = body.indexOf('####');
+    if (general !== -1) {
+        explanation = giftUnescape(body.slice(general + 4));
+        body = body.slice(0, general);
+    }
+    body = body.trim();
+
+    if (!body) {
+        return { importError: 'Essay questions are not supported', explanation };
+    }
+
+    const trueFalse = body.match(/^(T|TRUE|F|FALSE)\b(?:\s*#[\s\S]*)?$/i);
+    if (trueFalse) {
+        return {
+            type: 'true_false',
+            correctOption: trueFalse[1].charAt(0).toUpperCase() === 'T' ? 'True' : 'False',
+            explanation
+        };
+    }
+
+    if (body.startsWith('#')) {
+        // First full-credit answer: #3.3:0.05, #1..5 or #=3.3:0.05 =%50%3:1
+        const answers = body.slice(1).trim().startsWith('=') ? giftTokens(body.slice(1), '=') : [{ text: body.slice(1) }];
+        const best = answers.find(a => !/^%/.test(a.text.trim()) || /^%100%/.test(a.text.trim())) || answers[0];
+        const value = best.text.replace(/^\s*%[-\d.]+%/, '').split('#')[0].trim();
+        const range = value.match(/^([-+\d.eE]+)\s*\.\.\s*([-+\d.eE]+)$/);
+        if (range) {
+            const low = Number(range[1]);
+            const high = Number(range[2]);
+            return { type: 'numeric', correctOption: `${(low + high) / 2}`, tolerance: `${Math.abs(high - low) / 2}`, explanation };
+        }
+        const [answer, tolerance] = value.split(':');
+        return { type: 'numeric', correctOption: (answer || '').trim(), tolerance: (tolerance || '').trim(), explanation };
+    }
+
+    const choices = giftTokens(body, '=~');
+    if (choices.some(choice => /->/.test(choice.text))) {
+        return { importError: 'Matching questions are not supported', explanation };
+    }
+    if (choices.length > 0 && choices.every(choice => choice.marker === '=')) {
+        return { importError: 'Short-answer questions are not supported — give options', explanation };
+    }
+    if (choices.length > 6) {
+        return { importError: `${choices.length} options — at most 6 (A–F) are supported`, explanation };
+    }
+
+    const fields = { explanation };
+    const correct = [];
+    let weighted = false;
+    let correctFeedback = '';
+
+    choices.forEach((choice, i) => {
+        const label = 'ABCDEF'[i];
+        let text = choice.text;
+        const weight = text.match(/^\s*%(-?[\d.]+)%/);
+        if (weight) {
+            weighted = true;
+            text = text.slice(weight[0].length);
+        }
+
+        const feedbackAt = giftIndex(text, '#');
+        const feedback = feedbackAt === -1 ? '' : giftUnescape(text.slice(feedbackAt + 1));
+        if (feedbackAt !== -1) text = text.slice(0, feedbackAt);
+
+        fields[`option${label}`] = giftText(text);
+        if (choice.marker === '=' || (weight && Number(weight[1]) > 0)) {
+            correct.push(label);
+            correctFeedback = correctFeedback || feedback;
+        }
+    });
+
+    fields.correctOption = correct.join(', ');
+    if (correct.length > 1) {
+        fields.type = 'multiple';
+        if (weighted) fields.partialCredit = 'yes';
+    }
+    // Without general feedback, the right answer's feedback explains it
+    fields.explanation = fields.explanation || correctFeedback;
+    return fields;
+}
+
+/**
+ * Parse a GIFT (Moodle) file. Questions are separated by blank lines;
+ * "$CATEGORY: $course$/Networks" sets the topic of those that follow,
+ * ::Title:: is dropped, text after the answer block is appended to the
+ * question.
+ */
+function parseGIFT(text) {
+    const questions = [];
+    let topic = '';
+
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => !/^\s*\/\//.test(line));
+    const blocks = lines.join('\n').split(/\n\s*\n/);
+
+    for (const rawBlock of blocks) {
+        let block = rawBlock.trim();
+        if (!block) continue;
+
+        const category = block.match(/^\$CATEGORY:\s*(.+)$/m);
+        if (category) {
+            topic = category[1].trim().split('/').filter(Boolean).pop().replace(/^\$\w+\$$/, '') || '';
+            block = block.replace(category[0], '').trim();
+            if (!block) continue;
+        }
+
+        block = block.replace(/^::(?:\\.|[^:])*::/, '').trim();
+
+        const open = giftIndex(block, '{');
+        const close = open === -1 ? -1 : giftIndex(block, '}', open);
+        if (open === -1 || close === -1) {
+            // Description / stray text: report it rather than drop it
+            questions.push({ questionText: giftText(block), importError: 'No answer block { … } found' });
+            continue;
+        }
+
+        const before = giftText(block.slice(0, open));
+        const after = giftText(block.slice(close + 1));
+        const questionText = after ? `${before} _____ ${after}` : before;
+
+        questions.push({
+            questionText,
+            topic,
+            ...giftAnswers(block.slice(open + 1, close))
+        });
+    }
+
+    return questions;
+}
+
+// Content of a <text> element (CDATA unwrapped, entities decoded)
+function cdataText(raw) {
+    const cdata = (raw || '').match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    return cdata ? cdata[1] : decodeEntities(raw || '');
+}
+
+// <tag …><text>…</text> inside xml
+function xmlText(xml, tag) {
+    const match = (xml || '').match(new RegExp(`<${tag}\\b[^>]*>\\s*<text>([\\s\\S]*?)<\\/text>`));
+    return match ? cdataText(match[1]) : '';
+}
+
+// Moodle html text → plain text (images handled separately)
+function htmlToText(html) {
+    return decodeEntities(html
+        .replace(/<br\s*\/?>|<\/p>|<\/div>/gi, '\n')
+        .replace(/<[^>]+>/g, ''))
+        .split('\n').map(line => line.trim()).filter(Boolean).join(' ');
+}
+
+// First embedded image (<file encoding="base64">) in a Moodle element
+async function xmlImage(xml, storeImage) {
+    const file = (xml || '').match(/<file\b[^>]*name="([^"]+)"[^>]*encoding="base64"[^>]*>([\s\S]*?)<\/file>/);
+    if (!file) return null;
+    const asset = await storeImage(Buffer.from(file[2].replace(/\s+/g, ''), 'base64'), {
+        fileName: file[1],
+        mimeType: MEDIA_TYPES[path.extname(file[1]).toLowerCase()]
+    });
+    return asset ? asset.id : null;
+}
+
+/**
+ * Parse a Moodle XML question export: multichoice (single or several
+ * right answers; fractional grades → partial credit), truefalse and
+ * numerical. <category> sets the topic, <tags> topic / difficulty,
+ * <generalfeedback> the explanation. The first embedded picture of the
+ * question text and of each option is kept.
+ */
+async function parseMoodleXML(filePath, storeImage) {
+    const xml = fs.readFileSync(filePath, 'utf8');
+    if (!/<quiz\b/.test(xml)) {
+        throw new Error('Not a Moodle XML export (no <quiz> element)');
+    }
+
+    const questions = [];
+    let topic = '';
+
+    for (const match of xml.matchAll(/<question\b[^>]*type="([^"]+)"[^>]*>([\s\S]*?)<\/question>/g)) {
+        const [, type, body] = match;
+
+        if (type === 'category') {
+            const category = xmlText(body, 'category');
+            topic = category.split('/').filter(Boolean).pop().replace(/^\$\w+\$$/, '') || '';
+            continue;
+        }
+        if (type === 'description') continue;
+
+        const questionXml = (body.match(/<questiontext\b[\s\S]*?<\/questiontext>/) || [''])[0];
+        const question = {
+            questionText: htmlToText(xmlText(body, 'questiontext')),
+            explanation: htmlToText(xmlText(body, 'generalfeedback')),
+            topic,
+            imageAssetId: await xmlImage(questionXml, storeImage),
+            optionImageIds: {}
+        };
+
+        const tags = [...(body.match(/<tags>[\s\S]*?<\/tags>/) || [''])[0].matchAll(/<tag>\s*<text>([\s\S]*?)<\/text>/g)]
+            .map(tag => decodeEntities(tag[1]));
+        if (tags.length) {
+            const fields = tagFields(tags);
+            question.topic = fields.topic || question.topic;
+            question.difficulty = fields.difficulty;
+        }
+
+        const answers = [...body.matchAll(/<answer\b[^>]*fraction="([-\d.]+)"[^>]*>([\s\S]*?)<\/answer>/g)]
+            .map(answer => ({
+                fraction: Number(answer[1]),
+                xml: answer[2],
+                text: htmlToText(cdataText((answer[2].match(/<text>([\s\S]*?)<\/text>/) || [])[1]))
+            }));
+
+        if (type === 'truefalse') {
+            const right = answers.find(a => a.fraction === 100);
+            question.type = 'true_false';
+            question.correctOption = right && /^t/i.test(right.text) ? 'True' : right ? 'False' : '';
+        } else if (type === 'numerical') {
+            const right = answers.find(a => a.fraction === 100) || answers[0];
+            question.type = 'numeric';
+            question.correctOption = right ? right.text : '';
+            question.tolerance = right ? (right.xml.match(/<tolerance>\s*([\d.eE+-]+)\s*<\/tolerance>/) || [])[1] || '' : '';
+        } else if (type === 'multichoice') {
+            if (answers.length > 6) {
+                question.importError = `${answers.length} options — at most 6 (A–F) are supported`;
+            }
+            const correct = [];
+            for (const [i, answer] of answers.slice(0, 6).entries()) {
+                const label = 'ABCDEF'[i];
+                question[`option${label}`] = answer.text;
+                const imageId = await xmlImage(answer.xml, storeImage);
+                if (imageId) {
+                    question.optionImageIds[label] = imageId;
+                    question[`option${label}`] = answer.text || '(figure)';
+                }
+                if (answer.fraction > 0) correct.push(label);
+            }
+            question.correctOption = correct.join(', ');
+            if (/<single>\s*false\s*<\/single>/.test(body) || correct.length > 1) {
+                question.type = 'multiple';
+                if (answers.some(a => a.fraction > 0 && a.fraction < 100)) question.partialCredit = 'yes';
+            }
+        } else {
+            question.importError = `Moodle "${type}" questions are not supported`;
+        }
+
+        questions.push(question);
+    }
+
+    return questions;
+}
+
+/**
+ * Parse an uploaded file by extension into raw question objects.
+ * storeImage(buffer, { fileName, mimeType }) → { id } | null keeps
+ * embedded images (saveAsset or holdAsset)
+ */
+async function parseFile(filePath, originalName, storeImage = saveAsset) {
+    switch (path.extname(originalName).toLowerCase()) {
+        case '.xlsx':
+        case '.xls':
+            return parseExcel(filePath);
+        case '.csv':
+            return parseCSV(filePath);
+        case '.json':
+            return parseJSON(filePath);
+        case '.xml':
+            return parseMoodleXML(filePath, storeImage);
+        case '.gift':
+            return parseGIFT(fs.readFileSync(filePath, 'utf8'));
+        case '.txt': {
+            // GIFT if it has answer blocks, else the PDF / Word layout
+            const text = fs.readFileSync(filePath, 'utf8');
+            return /\{[^}]*\}/.test(text) && !/^\s*(?:Answer|Ans)\s*[:\s]/im.test(text)
+                ? parseGIFT(text)
+                : parseTextContent(text);
+        }
+        case '.pdf':
+            return parsePDF(filePath);
+        case '.docx':
+        case '.doc':
+            return parseWord(filePath, storeImage);
+        case '.pptx':
+        case '.ppt':
+            return parsePowerPoint(filePath, storeImage);
+        default:
+            throw new Error('Unsupported file format');
+    }
+}
+
+module.exports = {
+    parseFile,
+    parseGIFT,
+    parseTextContent
+};
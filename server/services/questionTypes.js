@@ -0,0 +1,191 @@
+/**
+ * Question Types — V4 Architecture
+ * Quiz Conquest
+ *
+ *   single      one correct option out of 2–6 (A–F)
+ *   true_false  A = True, B = False
+ *   multiple    several correct options — all-or-nothing, or
+ *               partial credit
+ *   numeric     typed number, correct within ± tolerance
+ *
+ * DESIGN RULES:
+ *   • Options live in option_a … option_f, filled in order; a
+ *     question's labels run from A to its last option
+ *   • correct_option holds the sorted key letters ('B', 'AC');
+ *     numeric questions use correct_numeric + numeric_tolerance
+ *   • Answers travel as text in selected_option ('B', 'AC', '3.3');
+ *     answer_credit() in SQL scores them
+ *   • normalizeQuestion() is the one validator for the admin form,
+ *     JSON bulk import and file uploads
+ */
+
+const QUESTION_TYPES = ['single', 'true_false', 'multiple', 'numeric'];
+const OPTION_LABELS = ['A', 'B', 'C', 'D', 'E', 'F'];
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+// 'B', 'A, C', 'a/c' — and nothing else ('A and C', 'Paris' are ambiguous)
+const KEY_PATTERN = /^[A-F]([\s,;&/+]*[A-F])*$/i;
+
+// Loose spellings accepted from files / JSON
+const TYPE_ALIASES = {
+    mcq: 'single',
+    single_choice: 'single',
+    tf: 'true_false',
+    truefalse: 'true_false',
+    boolean: 'true_false',
+    msq: 'multiple',
+    multi: 'multiple',
+    multiple_choice: 'multiple',
+    multiple_correct: 'multiple',
+    number: 'numeric',
+    integer: 'numeric'
+};
+
+function firstDefined(source, keys) {
+    for (const key of keys) {
+        if (source[key] !== undefined && source[key] !== null) return source[key];
+    }
+    return '';
+}
+
+function optionText(source, label) {
+    return firstDefined(source, [`option${label}`, `option_${label.toLowerCase()}`]).toString().trim();
+}
+
+// 'A, C' / 'ca' / ['A', 'C'] → 'AC' (letters A–F only)
+function keyLetters(value) {
+    const text = Array.isArray(value) ? value.join('') : (value || '').toString();
+    return [...new Set(text.toUpperCase().replace(/[^A-F]/g, ''))].sort().join('');
+}
+
+function isTruthy(value) {
+    return value === true || ['true', 'yes', 'y', '1', 'partial'].includes((value || '').toString().trim().toLowerCase());
+}
+
+function parseType(value) {
+    const type = (value || '').toString().trim().toLowerCase().replace(/[\s/-]+/g, '_');
+    return TYPE_ALIASES[type] || type;
+}
+
+/**
+ * normalizeQuestion — questions-table columns (type, options, answer
+ * key) from admin / JSON / file input, camelCase or snake_case.
+ * Question text, round and number are left to the caller.
+ * Returns { question } or { error }.
+ */
+function normalizeQuestion(source) {
+    const options = OPTION_LABELS.map(label => optionText(source, label));
+    const rawCorrect = firstDefined(source, ['correctOption', 'correct_option', 'correctAnswer', 'answer'])
+        .toString().trim();
+    const hasOptions = options.some(Boolean);
+
+    let type = parseType(firstDefined(source, ['questionType', 'question_type', 'type']));
+    if (!type) {
+        if (!hasOptions && NUMBER_PATTERN.test(rawCorrect)) type = 'numeric';
+        else if (!hasOptions && /^(true|false)$/i.test(rawCorrect)) type = 'true_false';
+        else type = KEY_PATTERN.test(rawCorrect) && keyLetters(rawCorrect).length > 1 ? 'multiple' : 'single';
+    }
+
+    if (!QUESTION_TYPES.includes(type)) {
+        return { error: `Unknown question type "${type}" (use ${QUESTION_TYPES.join(', ')})` };
+    }
+
+    const columns = {
+        question_type: type,
+        correct_option: null,
+        correct_numeric: null,
+        numeric_tolerance: 0,
+        partial_credit: false
+    };
+    OPTION_LABELS.forEach(label => { columns[`option_${label.toLowerCase()}`] = null; });
+
+    if (type === 'numeric') {
+        const value = firstDefined(source, ['correctNumeric', 'correct_numeric']).toString().trim() || rawCorrect;
+        const tolerance = parseFloat(firstDefined(source, ['tolerance', 'numericTolerance', 'numeric_tolerance']) || 0);
+
+        if (!NUMBER_PATTERN.test(value)) {
+            return { error: 'Numeric questions need a number as the correct answer' };
+        }
+        if (!Number.isFinite(tolerance) || tolerance < 0) {
+            return { error: 'Tolerance must be zero or a positive number' };
+        }
+
+        columns.correct_numeric = Number(value);
+        columns.numeric_tolerance = tolerance;
+        return { question: columns };
+    }
+
+    if (type === 'true_false') {
+        options[0] = options[0] || 'True';
+        options[1] = options[1] || 'False';
+    }
+
+    const count = options.reduce((last, text, index) => (text ? index + 1 : last), 0);
+    if (options.slice(0, count).some(text => !text)) {
+        return { error: 'Options must be filled in order (A, B, C, …) without gaps' };
+    }
+    if (count < 2) {
+        return { error: 'At least two options are required' };
+    }
+    if (type === 'true_false' && count !== 2) {
+        return { error: 'True/false questions have exactly two options' };
+    }
+
+    let key = KEY_PATTERN.test(rawCorrect) ? keyLetters(rawCorrect) : '';
+    if (type === 'true_false' && /^(t|true)$/i.test(rawCorrect)) key = 'A';
+    if (type === 'true_false' && /^(f|false)$/i.test(rawCorrect)) key = 'B';
+
+    if (!key || [...key].some(letter => OPTION_LABELS.indexOf(letter) >= count)) {
+        return { error: `Correct answer must be one of the options (A–${OPTION_LABELS[count - 1]})` };
+    }
+    if (type !== 'multiple' && key.length !== 1) {
+        return { error: 'Only multiple-correct questions can have more than one correct option' };
+    }
+
+    options.slice(0, count).forEach((text, index) => {
+        columns[`option_${OPTION_LABELS[index].toLowerCase()}`] = text;
+    });
+    columns.correct_option = key;
+    columns.partial_credit = type === 'multiple' && isTruthy(firstDefined(source, ['partialCredit', 'partial_credit', 'partial']));
+
+    return { question: columns };
+}
+
+/**
+ * questionOptions — { A: text, … } for a questions row (only the
+ * options it uses; empty for numeric questions).
+ */
+function questionOptions(row) {
+    const options = {};
+    OPTION_LABELS.forEach(label => {
+        const text = row[`option_${label.toLowerCase()}`];
+        if (text !== null && text !== undefined && text !== '') options[label] = text;
+    });
+    return options;
+}
+
+// Human-readable answer key, e.g. 'B', 'A, C', '3.3 ± 0.1'
+function answerKeyLabel(row) {
+    if (row.question_type === 'numeric') {
+        return Number(row.numeric_tolerance) > 0
+            ? `${row.correct_numeric} ± ${row.numeric_tolerance}`
+            : `${row.correct_numeric}`;
+    }
+    return [...(row.correct_option || '')].join(', ');
+}
+
+// { explanation } column — shown to admins only
+function questionExplanation(source) {
+    const explanation = firstDefined(source, ['explanation', 'Explanation']).toString().trim();
+    return { explanation: explanation || null };
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    OPTION_LABELS,
+    KEY_PATTERN,
+    NUMBER_PATTERN,
+    normalizeQuestion,
+    questionOptions,
+    answerKeyLabel,
+    questionExplanation
+};
@@ -0,0 +1,184 @@
+/**
+ * Round Lifecycle — V4 Architecture
+ * Quiz Conquest
+ *
+ * Shared by admin routes and the round scheduler so a round is
+ * ended / shortlisted the same way whoever triggers it.
+ *
+ * DESIGN RULES:
+ *   • endRound() is a conditional update — exactly one caller wins
+ *     (admin click vs timer expiry vs second server instance)
+ *   • Every step is idempotent and safe to repeat
+ */
+
+const { supabase } = require('../config/database');
+const { auditLog } = require('../middleware/auth');
+
+// Seconds after the deadline during which final submits are still accepted
+const SUBMIT_GRACE_SECONDS = parseInt(process.env.SUBMIT_GRACE_SECONDS) || 30;
+
+/**
+ * endRound — Mark round + event_state completed
+ * Returns true only for the caller that actually ended the round.
+ */
+async function endRound(roundNumber) {
+    const now = new Date().toISOString();
+
+    const { data: ended, error: roundError } = await supabase
+        .from('rounds')
+        .update({ status: 'completed', ended_at: now })
+        .eq('round_number', roundNumber)
+        .neq('status', 'completed')
+        .select('round_number');
+    if (roundError) throw roundError;
+
+    if (!ended || ended.length === 0) return false;
+
+    const { error: eventError } = await supabase
+        .from('event_state')
+        .update({ round_status: 'completed', round_paused_at: null, updated_at: now })
+        .eq('id', 1)
+        .eq('current_round', roundNumber);
+    if (eventError) throw eventError;
+
+    return true;
+}
+
+/**
+ * flushPendingDrafts — Submit saved drafts for tokens that never
+ * sent a final submit. Call only after the grace window.
+ */
+async function flushPendingDrafts(roundNumber, adminId = null) {
+    const { data: count, error } = await supabase.rpc('submit_pending_drafts', {
+        p_round_number: roundNumber
+    });
+    if (error) throw error;
+
+    if (count > 0) {
+        auditLog(null, adminId, 'DRAFTS_AUTO_SUBMITTED',
+            `Round ${roundNumber} — ${count} saved draft(s) submitted on behalf of participants`,
+            roundNumber, null, { count, actor: adminId ? 'admin' : 'system' });
+    }
+    return count || 0;
+}
+
+/**
+ * shortlistRound — evaluate → rank → shortlist, then mark the
+ * round as shortlisted. Returns the shortlist_round() summary.
+ */
+async function shortlistRound(roundNumber, topCount) {
+    const { error: evalErr } = await supabase.rpc('evaluate_round', {
+        p_round_number: roundNumber
+    });
+    if (evalErr) throw evalErr;
+
+    const { error: rankErr } = await supabase.rpc('rank_round', {
+        p_round_number: roundNumber
+    });
+    if (rankErr) throw rankErr;
+
+    const { data: result, error: shortlistErr } = await supabase.rpc('shortlist_round', {
+        p_round_number: roundNumber,
+        p_top_count: topCount
+    });
+    if (shortlistErr) throw shortlistErr;
+
+    await supabase
+        .from('rounds')
+        .update({ shortlisting_completed: true })
+        .eq('round_number', roundNumber);
+
+    return result;
+}
+
+/**
+ * rerankRound — Re-apply ranking after a disqualification change.
+ * Re-runs shortlist_round() too when the round was already
+ * shortlisted, so qualification follows the new ranking.
+ * No-op before the round has been evaluated.
+ */
+async function rerankRound(roundNumber) {
+    const { count, error: countErr } = await supabase
+        .from('results')
+        .select('id', { count: 'exact', head: true })
+        .eq('round_number', roundNumber);
+    if (countErr) throw countErr;
+
+    if (!count) return { reranked: false, reshortlisted: false };
+
+    const { error: rankErr } = await supabase.rpc('rank_round', {
+        p_round_number: roundNumber
+    });
+    if (rankErr) throw rankErr;
+
+    const { data: round } = await supabase
+        .from('rounds')
+        .select('shortlisting_completed, top_qualify_count')
+        .eq('round_number', roundNumber)
+        .single();
+
+    if (!round?.shortlisting_completed) return { reranked: true, reshortlisted: false };
+
+    const { error: shortlistErr } = await supabase.rpc('shortlist_round', {
+        p_round_number: roundNumber,
+        p_top_count: round.top_qualify_count || 25
+    });
+    if (shortlistErr) throw shortlistErr;
+
+    return { reranked: true, reshortlisted: true };
+}
+
+/**
+ * reevaluateRound — Score submissions added after the round was
+ * evaluated (offline answer sheets), then re-rank as rerankRound().
+ * No-op before the round has been evaluated.
+ */
+async function reevaluateRound(roundNumber) {
+    const { count, error: countErr } = await supabase
+        .from('results')
+        .select('id', { count: 'exact', head: true })
+        .eq('round_number', roundNumber);
+    if (countErr) throw countErr;
+
+    if (!count) return { reranked: false, reshortlisted: false };
+
+    const { error: evalErr } = await supabase.rpc('evaluate_round', {
+        p_round_number: roundNumber
+    });
+    if (evalErr) throw evalErr;
+
+    return rerankRound(roundNumber);
+}
+
+/**
+ * personalDeadline — Deadline for a token holding a time extension
+ * in the round, or null (no extension → the global deadline applies).
+ */
+async function personalDeadline(attemptToken, roundNumber) {
+    const { data: extension } = await supabase
+        .from('time_extensions')
+        .select('extra_seconds')
+        .eq('attempt_token', attemptToken)
+        .eq('round_number', roundNumber)
+        .maybeSingle();
+
+    if (!extension) return null;
+
+    const { data: deadline, error } = await supabase.rpc('round_deadline_for', {
+        p_attempt_token: attemptToken,
+        p_round_number: roundNumber
+    });
+    if (error) throw error;
+
+    return deadline;
+}
+
+module.exports = {
+    SUBMIT_GRACE_SECONDS,
+    endRound,
+    personalDeadline,
+    flushPendingDrafts,
+    shortlistRound,
+    rerankRound,
+    reevaluateRound
+};
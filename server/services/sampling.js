@@ -0,0 +1,168 @@
+/**
+ * Question Pool Sampling — V4 Architecture
+ * Quiz Conquest
+ *
+ * A round may hold more questions than it serves (e.g. a pool of
+ * 60, 20 per participant). Each attempt_token gets its own sample.
+ *
+ * DESIGN RULES:
+ *   • The sample is a hash of attempt_token + round + question id,
+ *     stored in attempts.question_ids on the first fetch (first
+ *     write wins) — later pool edits never change a paper in use
+ *   • Stratified sampling gives every topic / difficulty group its
+ *     share of the pool (largest remainder), so papers stay
+ *     comparable between neighbours
+ *   • evaluate_round() only scores answers to the stored set
+ *   • Pool ≤ questions served → everyone gets the whole pool and
+ *     nothing is stored
+ */
+
+const { supabase } = require('../config/database');
+const { hashKey } = require('./shuffle');
+
+const STRATIFY_FIELDS = ['topic', 'difficulty'];
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+// First `count` items of a stable per-token permutation
+function pick(items, count, attemptToken, roundNumber) {
+    return items
+        .map(item => ({ item, key: hashKey(attemptToken, roundNumber, 'sample', item.questionId) }))
+        .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+        .slice(0, count)
+        .map(entry => entry.item);
+}
+
+/**
+ * questionTags — { topic, difficulty } columns from an imported /
+ * submitted question. Unknown difficulty → null (untagged).
+ */
+function questionTags(source) {
+    const topic = (source.topic || '').toString().trim().substring(0, 100);
+    const difficulty = (source.difficulty || '').toString().trim().toLowerCase();
+
+    return {
+        topic: topic || null,
+        difficulty: DIFFICULTY_LEVELS.includes(difficulty) ? difficulty : null
+    };
+}
+
+/**
+ * roundSamplingSettings — { count, stratifyBy } for a round.
+ * Missing row → serve 15, unstratified (the historical default).
+ */
+async function roundSamplingSettings(roundNumber) {
+    const { data, error } = await supabase
+        .from('rounds')
+        .select('total_questions, sample_stratify_by')
+        .eq('round_number', roundNumber)
+        .maybeSingle();
+    if (error) throw error;
+
+    return {
+        count: data?.total_questions || 15,
+        stratifyBy: STRATIFY_FIELDS.includes(data?.sample_stratify_by) ? data.sample_stratify_by : null
+    };
+}
+
+/**
+ * sampleQuestionIds — Ids of the questions a token is served from
+ * the pool ({ questionId, topic, difficulty }), or null when the
+ * whole pool is served.
+ */
+function sampleQuestionIds(pool, attemptToken, roundNumber, settings) {
+    if (pool.length <= settings.count) return null;
+
+    if (!settings.stratifyBy) {
+        return pick(pool, settings.count, attemptToken, roundNumber).map(q => q.questionId);
+    }
+
+    const groups = new Map();
+    for (const q of pool) {
+        const key = q[settings.stratifyBy] || '';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(q);
+    }
+
+    // Largest remainder: floor of each group's share, then one more
+    // to the groups with the biggest fractional parts (ties by name)
+    const shares = [...groups.entries()].map(([key, items]) => {
+        const exact = settings.count * items.length / pool.length;
+        return { key, items, take: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+
+    let left = settings.count - shares.reduce((sum, s) => sum + s.take, 0);
+    [...shares]
+        .sort((a, b) => b.remainder - a.remainder || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+        .forEach(s => {
+            if (left > 0 && s.take < s.items.length) {
+                s.take++;
+                left--;
+            }
+        });
+
+    return shares.flatMap(s => pick(s.items, s.take, attemptToken, roundNumber).map(q => q.questionId));
+}
+
+/**
+ * servedQuestionIds — The token's stored sample for the round,
+ * drawing and storing it on first use. Returns null when the whole
+ * pool is served. Creates the attempts row (as start_attempt) if it
+ * is missing, so a served sample is always the one that is marked.
+ */
+async function servedQuestionIds(pool, attemptToken, roundNumber, settings) {
+    const { data: attempt, error } = await supabase
+        .from('attempts')
+        .select('question_ids')
+        .eq('attempt_token', attemptToken)
+        .eq('round_number', roundNumber)
+        .maybeSingle();
+    if (error) throw error;
+
+    if (attempt?.question_ids) return attempt.question_ids;
+
+    const sample = sampleQuestionIds(pool, attemptToken, roundNumber, settings);
+    if (!sample) return sample;
+
+    if (!attempt) {
+        // started_at defaults to now; a row created meanwhile is kept
+        const { error: insertError } = await supabase
+            .from('attempts')
+            .upsert({
+                attempt_token: attemptToken,
+                round_number: roundNumber,
+                question_ids: sample
+            }, { onConflict: 'attempt_token,round_number', ignoreDuplicates: true });
+        if (insertError) throw insertError;
+    }
+
+    // First write wins — a concurrent fetch may have stored it already
+    const { data: stored, error: storeError } = await supabase
+        .from('attempts')
+        .update({ question_ids: sample })
+        .eq('attempt_token', attemptToken)
+        .eq('round_number', roundNumber)
+        .is('question_ids', null)
+        .select('question_ids');
+    if (storeError) throw storeError;
+
+    if (stored && stored.length > 0) return sample;
+
+    const { data: existing, error: readError } = await supabase
+        .from('attempts')
+        .select('question_ids')
+        .eq('attempt_token', attemptToken)
+        .eq('round_number', roundNumber)
+        .maybeSingle();
+    if (readError) throw readError;
+
+    return existing?.question_ids || sample;
+}
+
+module.exports = {
+    STRATIFY_FIELDS,
+    DIFFICULTY_LEVELS,
+    questionTags,
+    roundSamplingSettings,
+    sampleQuestionIds,
+    servedQuestionIds
+};
@@ -0,0 +1,145 @@
+/**
+ * Round Scheduler — V4 Architecture
+ * Quiz Conquest
+ *
+ * Watches the active round so it ends even if no admin clicks End:
+ *   1. round_ends_at passed          → endRound() (audited as system)
+ *   2. last personal deadline + grace → submit pending drafts
+ *                                      → optional auto-shortlist
+ *
+ * Exactly-once: endRound() and the shortlist claim are conditional
+ * updates, so a concurrent admin click or a second server instance
+ * cannot end / shortlist the same round twice.
+ */
+
+const { supabase } = require('../config/database');
+const { auditLog } = require('../middleware/auth');
+const {
+    SUBMIT_GRACE_SECONDS,
+    endRound,
+    flushPendingDrafts,
+    shortlistRound
+} = require('./rounds');
+const { broadcastStatus } = require('./events');
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 5000;
+const AUTO_SHORTLIST = process.env.AUTO_SHORTLIST === 'true';
+
+let interval = null;
+let ticking = false;
+
+// Rounds whose post-grace work is done (per process; repeats are idempotent)
+const settledRounds = new Set();
+
+async function autoShortlist(round) {
+    const roundNumber = round.round_number;
+
+    // Claim the shortlist (exactly one instance proceeds)
+    const { data: claimed, error: claimError } = await supabase
+        .from('rounds')
+        .update({ shortlisting_completed: true })
+        .eq('round_number', roundNumber)
+        .eq('shortlisting_completed', false)
+        .select('round_number');
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) return;
+
+    const topCount = round.top_qualify_count || 25;
+    try {
+        const result = await shortlistRound(roundNumber, topCount);
+        auditLog(null, null, 'SHORTLISTING_COMPLETED',
+            `Round ${roundNumber} auto-shortlisted — Top ${topCount}`,
+            roundNumber, null, { ...result, actor: 'system' });
+    } catch (error) {
+        // Release the claim so the next tick retries
+        await supabase
+            .from('rounds')
+            .update({ shortlisting_completed: false })
+            .eq('round_number', roundNumber);
+        throw error;
+    }
+}
+
+async function tick() {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+        const { data: eventState } = await supabase
+            .from('event_state')
+            .select('current_round, round_status, round_ends_at')
+            .eq('id', 1)
+            .single();
+
+        if (!eventState || !eventState.current_round) return;
+
+        const roundNumber = eventState.current_round;
+        const now = Date.now();
+
+        // 1. Timer expired → end the round
+        if (eventState.round_status === 'running') {
+            settledRounds.delete(roundNumber);
+
+            if (eventState.round_ends_at && now >= new Date(eventState.round_ends_at).getTime()) {
+                const ended = await endRound(roundNumber);
+                if (ended) {
+                    broadcastStatus();
+                    console.log(`[SCHEDULER] Round ${roundNumber} ended — timer expired`);
+                    auditLog(null, null, 'ROUND_ENDED',
+                        `Round ${roundNumber} ended automatically — timer expired`,
+                        roundNumber, null, { actor: 'system', round_ends_at: eventState.round_ends_at });
+                }
+            }
+            return;
+        }
+
+        // 2. Ended → after the grace window: drafts, then optional shortlist
+        if (eventState.round_status !== 'completed' || settledRounds.has(roundNumber)) return;
+
+        const { data: round } = await supabase
+            .from('rounds')
+            .select('round_number, shortlisting_completed, top_qualify_count')
+            .eq('round_number', roundNumber)
+            .single();
+
+        if (!round) return;
+
+        // Latest personal deadline (includes per-participant extensions)
+        const { data: finalDeadline, error: deadlineError } = await supabase.rpc('round_final_deadline', {
+            p_round_number: roundNumber
+        });
+        if (deadlineError) throw deadlineError;
+
+        const deadline = finalDeadline ? new Date(finalDeadline).getTime() : now;
+
+        if (now < deadline + SUBMIT_GRACE_SECONDS * 1000) return;
+
+        await flushPendingDrafts(roundNumber);
+
+        if (AUTO_SHORTLIST && !round.shortlisting_completed) {
+            await autoShortlist(round);
+        }
+
+        settledRounds.add(roundNumber);
+    } catch (error) {
+        console.error('Round scheduler error:', error.message);
+    } finally {
+        ticking = false;
+    }
+}
+
+function startRoundScheduler() {
+    if (interval) return;
+    interval = setInterval(tick, SCHEDULER_INTERVAL_MS);
+    console.log(`[SCHEDULER] Watching round timer every ${SCHEDULER_INTERVAL_MS}ms` +
+        (AUTO_SHORTLIST ? ' (auto-shortlist on)' : ''));
+}
+
+function stopRoundScheduler() {
+    if (interval) {
+        clearInterval(interval);
+        interval = null;
+    }
+}
+
+module.exports = { startRoundScheduler, stopRoundScheduler };
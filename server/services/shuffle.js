@@ -0,0 +1,159 @@
+/**
+ * Per-Token Shuffle — V4 Architecture
+ * Quiz Conquest
+ *
+ * Neighbours in a lab see questions and options in different orders.
+ *
+ * DESIGN RULES:
+ *   • Deterministic: the order is a hash of attempt_token (+ round,
+ *     question id), so a reload shows the same paper and nothing
+ *     per token is stored
+ *   • Participants only ever see displayed labels; submit / draft
+ *     map them back to canonical options before they reach the DB,
+ *     so evaluate_round() scores canonical answers as before
+ *   • Flags live on the rounds row and are locked while the round
+ *     runs (changing them mid-round would remap stored answers)
+ *   • Only single / multiple questions have their options shuffled
+ *     (true/false keeps True first; numeric has no options)
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../config/database');
+const { questionOptions } = require('./questionTypes');
+
+const SHUFFLED_TYPES = ['single', 'multiple'];
+
+// Stable sort key from the given parts (also used by sampling.js)
+function hashKey(...parts) {
+    return crypto.createHash('sha256').update(parts.join(':')).digest('hex');
+}
+
+// Sort a copy of `items` by hash — a stable per-seed permutation
+function permute(items, keyOf) {
+    return items
+        .map(item => ({ item, key: keyOf(item) }))
+        .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+        .map(entry => entry.item);
+}
+
+// Canonical option shown under each displayed label, e.g. ['C','A','D','B']
+function optionOrder(attemptToken, questionId, labels) {
+    return permute(labels, label => hashKey(attemptToken, questionId, label));
+}
+
+/**
+ * roundShuffleSettings — { questions, options } flags for a round.
+ * Missing row / column → no shuffling.
+ */
+async function roundShuffleSettings(roundNumber) {
+    const { data, error } = await supabase
+        .from('rounds')
+        .select('shuffle_questions, shuffle_options')
+        .eq('round_number', roundNumber)
+        .maybeSingle();
+    if (error) throw error;
+
+    return {
+        questions: !!data?.shuffle_questions,
+        options: !!data?.shuffle_options
+    };
+}
+
+// { questionId: labels } for questions rows whose options shuffle
+function optionLayouts(questions) {
+    const layouts = {};
+    (questions || []).forEach(q => {
+        if (SHUFFLED_TYPES.includes(q.question_type || 'single')) {
+            layouts[q.id] = Object.keys(questionOptions(q));
+        }
+    });
+    return layouts;
+}
+
+/**
+ * roundOptionLayouts — { questionId: labels } for the round's
+ * questions whose options are shuffled. Needed to map answers
+ * (the label count differs per question).
+ */
+async function roundOptionLayouts(roundNumber) {
+    const { data, error } = await supabase
+        .from('questions')
+        .select('id, question_type, option_a, option_b, option_c, option_d, option_e, option_f')
+        .eq('round_number', roundNumber);
+    if (error) throw error;
+
+    return optionLayouts(data);
+}
+
+/**
+ * shuffleForToken — Participant's view of the formatted question list
+ * ({ questionId, questionNumber, type, options: { A.. }, optionImages }).
+ * Option images move with their options. Returns new
+ * objects; the shared questions cache is never mutated.
+ */
+function shuffleForToken(questions, attemptToken, roundNumber, settings) {
+    let list = questions;
+
+    if (settings.questions) {
+        list = permute(list, q => hashKey(attemptToken, roundNumber, q.questionId))
+            .map((q, index) => ({ ...q, questionNumber: index + 1 }));
+    }
+
+    if (settings.options) {
+        list = list.map(q => {
+            if (!SHUFFLED_TYPES.includes(q.type)) return q;
+
+            const labels = Object.keys(q.options);
+            const order = optionOrder(attemptToken, q.questionId, labels);
+            const options = {};
+            const optionImages = {};
+            labels.forEach((label, index) => {
+                options[label] = q.options[order[index]];
+                if (q.optionImages && q.optionImages[order[index]]) {
+                    optionImages[label] = q.optionImages[order[index]];
+                }
+            });
+            return { ...q, options, optionImages };
+        });
+    }
+
+    return list;
+}
+
+/**
+ * toCanonical / toDisplay — Map [{ question_id, selected_option }]
+ * between displayed labels and canonical options, letter by letter
+ * ('AC' for multiple-correct). Questions without a layout (not
+ * shuffled) and unknown labels pass through unchanged.
+ */
+function mapAnswers(answers, attemptToken, layouts, mapLetter) {
+    return answers.map(a => {
+        const labels = layouts[a.question_id];
+        if (!labels || !/^[A-F]+$/.test(a.selected_option)) return a;
+
+        const order = optionOrder(attemptToken, a.question_id, labels);
+        const letters = [...a.selected_option].map(letter => mapLetter(letter, labels, order));
+        if (letters.includes(null)) return a;
+        return { ...a, selected_option: letters.sort().join('') };
+    });
+}
+
+function toCanonical(answers, attemptToken, layouts) {
+    return mapAnswers(answers, attemptToken, layouts, (letter, labels, order) =>
+        order[labels.indexOf(letter)] || null);
+}
+
+function toDisplay(answers, attemptToken, layouts) {
+    return mapAnswers(answers, attemptToken, layouts, (letter, labels, order) =>
+        labels[order.indexOf(letter)] || null);
+}
+
+module.exports = {
+    hashKey,
+    roundShuffleSettings,
+    optionLayouts,
+    roundOptionLayouts,
+    shuffleForToken,
+    toCanonical,
+    toDisplay
+};
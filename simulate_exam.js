@@ -130,7 +130,7 @@ async function simulateUser(id) {
     const token = uuidv4(); // V4 UUID for submission
 
     try {
-        const qRes = await request('GET', '/api/exam/questions');
+        const qRes = await request('GET', `/api/exam/questions?attempt_token=${token}`);
         if (!qRes.data.success) {
             console.error(`User ${id}: Failed to load questions`);
             return;
@@ -101,7 +101,7 @@ async function runStressTest() {
     console.log(`   Registration complete: ${regSuccess}/${CONCURRENT_USERS} succeeded in ${(Date.now() - regStart) / 1000}s`);
 
     // 3. Questions (Simulate 1 user fetching for now to get IDs)
-    const qRes = await request('GET', '/api/exam/questions');
+    const qRes = await request('GET', `/api/exam/questions?attempt_token=${users[0].token}`);
     if (!qRes.data.success) {
         console.error('❌ Failed to fetch questions. Ensure a round is active.');
         process.exit(1);
@@ -0,0 +1,178 @@
+/**
+ * CERTIFICATES: QUIZ CONQUEST
+ *
+ * Checks services/certificates.js: the admin form is validated
+ * (settingsFromBody), only ranked results with a name get a
+ * certificate — disqualified participants have no rank — the top
+ * merit_count ranks get merit, and the PDF / ZIP hold one page / file
+ * per certificate.
+ *
+ * The tables are in-memory stand-ins; no server or database calls.
+ * Needs only the .env the server uses (the Supabase client is created
+ * on require).
+ *
+ *   node tests/certificates_test.js
+ */
+
+require('dotenv').config();
+const AdmZip = require('adm-zip');
+const { supabase } = require('../server/config/database');
+const {
+    MAX_SIGNATURES, certificateImages, settingsFromBody,
+    roundCertificates, certificatePDF, certificateFileName, certificateZip
+} = require('../server/services/certificates');
+
+const id = n => `${String(n).padStart(8, '0')}-0000-4000-8000-000000000000`;
+
+const TABLES = {
+    rounds: [
+        { round_number: 1, name: 'Prelims', status: 'completed', ended_at: '2026-03-14T11:00:00Z', results_published: true, results_published_at: '2026-03-14T12:00:00Z' }
+    ],
+    results: [
+        { round_number: 1, attempt_token: id(1), rank: 1, score: 40 },
+        { round_number: 1, attempt_token: id(2), rank: 2, score: 36 },
+        { round_number: 1, attempt_token: id(3), rank: 2, score: 36 },
+        { round_number: 1, attempt_token: id(4), rank: 4, score: 30 },
+        { round_number: 1, attempt_token: id(5), rank: 5, score: 22 },
+        { round_number: 1, attempt_token: id(6), rank: null, score: 44 },
+        { round_number: 1, attempt_token: id(7), rank: 7, score: 12 },
+        { round_number: 2, attempt_token: id(1), rank: 1, score: 10 }
+    ],
+    participant_details: [
+        { attempt_token: id(1), name: ' Asha Rao ', college: 'NIT Trichy' },
+        { attempt_token: id(2), name: 'Ben', college: null },
+        { attempt_token: id(3), name: 'Chitra', college: 'PSG' },
+        { attempt_token: id(4), name: '   ', college: 'PSG' },
+        { attempt_token: id(5), name: 'Dev', college: 'CIT' },
+        { attempt_token: id(6), name: 'Disqualified', college: '' }
+    ]
+};
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${label}`);
+    } else {
+        failed++;
+        console.error(`   ❌ FAIL: ${label}`);
+    }
+}
+
+// Tables with just the query shapes roundCertificates uses
+function table(name) {
+    const filters = [];
+    let sortBy = null;
+    const matches = () => {
+        const rows = TABLES[name].filter(row => filters.every(f => f(row)));
+        return sortBy ? rows.sort((a, b) => a[sortBy] - b[sortBy]) : rows;
+    };
+    const query = {
+        select() { return query; },
+        eq(column, value) { filters.push(row => row[column] === value); return query; },
+        in(column, values) { filters.push(row => values.includes(row[column])); return query; },
+        not(column, operator, value) {
+            if (operator !== 'is' || value !== null) throw new Error(`Unexpected not(${operator})`);
+            filters.push(row => row[column] !== null);
+            return query;
+        },
+        order(column) { sortBy = column; return query; },
+        maybeSingle() {
+            return Promise.resolve({ data: matches()[0] || null, error: null });
+        },
+        then(resolve, reject) {
+            return Promise.resolve({ data: matches(), error: null }).then(resolve, reject);
+        }
+    };
+    return query;
+}
+
+supabase.from = name => {
+    if (!TABLES[name]) throw new Error(`Unexpected table ${name}`);
+    return table(name);
+};
+
+function testSettings() {
+    console.log('\n━━━ SETTINGS FORM ━━━');
+    const images = certificateImages();
+    assert(images.includes('logo.png'), 'public/img pictures listed');
+
+    const { settings } = settingsFromBody({
+        eventName: '  Tech Fest  ',
+        organizer: 'ECE Dept',
+        logoFile: 'logo.png',
+        meritCount: '5',
+        signatures: [
+            { name: 'Dr. Rao', title: 'HOD', image: 'logo.png' },
+            { name: '', title: '', image: '' },
+            { name: 'Coordinator' }
+        ]
+    });
+    assert(settings?.event_name === 'Tech Fest' && settings?.merit_count === 5, 'name trimmed, merit places read as a number');
+    assert(settings?.signatures.length === 2 && settings.signatures[1].title === '', 'blank signature rows dropped');
+    assert(settingsFromBody({ eventName: 'X' }).settings?.merit_count === 3, 'merit places default to 3');
+    assert(settingsFromBody({ eventName: 'X', meritCount: 0 }).settings?.merit_count === 0, '0 merit places: participation only');
+
+    const error = body => settingsFromBody({ eventName: 'X', ...body }).error || '';
+    assert(/required/.test(settingsFromBody({ eventName: '   ' }).error || ''), 'event name required');
+    assert(/not in public\/img/.test(error({ logoFile: '../server/.env' })), 'logo must be a public/img file');
+    assert(/not in public\/img/.test(error({ signatures: [{ name: 'A', image: 'missing.png' }] })), 'signature image must be a public/img file');
+    assert(/whole number/.test(error({ meritCount: '2.5' })) && /whole number/.test(error({ meritCount: -1 })),
+        'merit places must be a whole number ≥ 0');
+    const tooMany = Array.from({ length: MAX_SIGNATURES + 1 }, (_, i) => ({ name: `S${i}` }));
+    assert(/At most/.test(error({ signatures: tooMany })), `at most ${MAX_SIGNATURES} signatures`);
+}
+
+async function testEligibility() {
+    console.log('\n━━━ WHO GETS ONE ━━━');
+    const { round, certificates, unnamed } = await roundCertificates(1, { meritCount: 2 });
+    const of = token => certificates.find(c => c.attemptToken === token);
+
+    assert(round?.name === 'Prelims', 'round returned for the header');
+    assert(certificates.map(c => c.rank).join() === '1,2,2,5', 'ranked results with a name, in rank order');
+    assert(!of(id(6)), 'disqualified (no rank): no certificate, even with the top score');
+    assert(!of(id(4)) && !of(id(7)) && unnamed === 2, 'blank or missing name: left out and counted as unnamed');
+    assert(of(id(1))?.name === 'Asha Rao' && of(id(1))?.college === 'NIT Trichy', 'name and college trimmed');
+    assert(of(id(2))?.college === '', 'no college → empty');
+    assert(of(id(1))?.kind === 'merit' && of(id(2))?.kind === 'merit' && of(id(3))?.kind === 'merit',
+        'top 2 ranks get merit, ties included');
+    assert(of(id(5))?.kind === 'participation', 'the rest get participation');
+
+    const own = await roundCertificates(1, { attemptToken: id(3), meritCount: 2 });
+    assert(own.certificates.length === 1 && own.certificates[0].name === 'Chitra', "a participant's own only");
+    assert((await roundCertificates(1, { attemptToken: id(6) })).certificates.length === 0, 'disqualified participant gets none');
+    assert((await roundCertificates(9)).round === null, 'unknown round → round null, none');
+}
+
+async function testFiles() {
+    console.log('\n━━━ PDF & ZIP ━━━');
+    const { round, certificates } = await roundCertificates(1, { meritCount: 2 });
+    const { settings } = settingsFromBody({ eventName: 'Tech Fest', logoFile: 'logo.png', signatures: [{ name: 'Dr. Rao' }] });
+
+    assert(certificateFileName(certificates[0]) === `merit_01_asha_rao_${id(1).substring(0, 8)}.pdf`, 'file name: kind, rank, name, token');
+    assert(certificateFileName({ ...certificates[0], name: 'आशा' }).includes('_participant_'), 'name with no Latin letters → "participant"');
+
+    const pdf = await certificatePDF(certificates, settings, round);
+    const pages = (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+    assert(pdf.subarray(0, 5).toString() === '%PDF-' && pages === certificates.length, `one PDF, ${certificates.length} pages`);
+
+    const zip = new AdmZip(await certificateZip(certificates, settings, round));
+    const names = zip.getEntries().map(e => e.entryName);
+    assert(names.length === certificates.length && new Set(names).size === names.length, 'ZIP: one file per certificate, distinct names');
+}
+
+async function run() {
+    testSettings();
+    await testEligibility();
+    await testFiles();
+
+    console.log(`\n  Passed: ${passed}/${passed + failed}  |  Failed: ${failed}/${passed + failed}\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(err => {
+    console.error('FATAL ERROR:', err);
+    process.exit(1);
+});
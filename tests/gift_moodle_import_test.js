@@ -0,0 +1,249 @@
+/**
+ * GIFT & MOODLE XML IMPORT: QUIZ CONQUEST
+ *
+ * Parses GIFT and Moodle XML samples with services/parsers.js and
+ * checks the rows the importer would write (checkImport): question
+ * types, answer keys, partial credit, numeric tolerance, categories
+ * and tags, feedback, embedded images, and the question kinds that
+ * have no equivalent here (reported, not dropped).
+ *
+ * Images go to a stand-in store; no server or database calls. Needs
+ * only the .env the server uses (the Supabase client is created on
+ * require).
+ *
+ *   node tests/gift_moodle_import_test.js
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseFile } = require('../server/services/parsers');
+const { checkImport } = require('../server/services/importer');
+
+const GIFT = `// Comments are skipped
+$CATEGORY: $course$/top/Digital Electronics
+
+::Gate:: Which gate outputs 1 only when all inputs are 1? {
+    ~OR
+    =AND # Right: every input must be 1
+    ~XOR
+    ~NOR
+}
+
+A NAND gate is universal. {T}
+
+::Ohm:: 10 ohm x 0.33 A \\= ? V {#3.3:0.05}
+
+A value between 1 and 5 V {#1..5}
+
+Voltage across an ideal short circuit (V)? {#0}
+
+[html]<p>Which are <b>passive</b> components?</p> {
+    ~%50%Resistor
+    ~%50%Capacitor
+    ~%-100%Transistor
+    ####R and C store or dissipate energy; a transistor needs a supply.
+}
+
+$CATEGORY: $course$/top/Analog Electronics
+
+The {=Ohm's ~Kirchhoff's ~Faraday's} law states V \\= IR.
+
+Pick the escaped option {=a\\~b ~a\\=b}
+
+Describe a PLL. {}
+
+Name a logic family. {=TTL =CMOS}
+
+A line without an answer block
+`;
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d4948445200000001000000010806000000', 'hex').toString('base64');
+
+const MOODLE_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+  <question type="category">
+    <category><text>$course$/top/Circuits</text></category>
+  </question>
+  <question type="multichoice">
+    <name><text>Schematic</text></name>
+    <questiontext format="html">
+      <text><![CDATA[<p>Which component is drawn <b>here</b>?</p>]]></text>
+      <file name="schematic.png" path="/" encoding="base64">${PNG}</file>
+    </questiontext>
+    <generalfeedback format="html"><text>The zig-zag is a resistor &amp; nothing else.</text></generalfeedback>
+    <single>true</single>
+    <answer fraction="100" format="html"><text>Resistor</text></answer>
+    <answer fraction="0" format="html"><text></text><file name="cap.png" path="/" encoding="base64">${PNG}</file></answer>
+    <answer fraction="0" format="html"><text>Inductor</text></answer>
+  </question>
+  <question type="multichoice">
+    <questiontext format="html"><text>Which are passive?</text></questiontext>
+    <single>false</single>
+    <answer fraction="50"><text>Resistor</text></answer>
+    <answer fraction="-50"><text>Transistor</text></answer>
+    <answer fraction="50"><text>Capacitor</text></answer>
+    <tags><tag><text>hard</text></tag><tag><text>Components</text></tag></tags>
+  </question>
+  <question type="multichoice">
+    <questiontext format="html"><text>All of them?</text></questiontext>
+    <single>false</single>
+    <answer fraction="100"><text>A</text></answer>
+    <answer fraction="100"><text>B</text></answer>
+    <answer fraction="-100"><text>C</text></answer>
+  </question>
+  <question type="truefalse">
+    <questiontext format="html"><text>Current leads voltage in a capacitor.</text></questiontext>
+    <answer fraction="100"><text>true</text></answer>
+    <answer fraction="0"><text>false</text></answer>
+    <tags><tag><text>easy</text></tag></tags>
+  </question>
+  <question type="numerical">
+    <questiontext format="html"><text>Voltage across an ideal short (V)?</text></questiontext>
+    <answer fraction="100"><text>0</text><tolerance>0</tolerance></answer>
+  </question>
+  <question type="numerical">
+    <questiontext format="html"><text>10 ohm x 0.33 A = ? V</text></questiontext>
+    <answer fraction="100"><text>3.3</text><tolerance>0.05</tolerance></answer>
+  </question>
+  <question type="shortanswer">
+    <questiontext format="html"><text>Name the unit of resistance.</text></questiontext>
+    <answer fraction="100"><text>ohm</text></answer>
+  </question>
+  <question type="multichoice">
+    <questiontext format="html"><text>Seven options?</text></questiontext>
+    ${'ABCDEFG'.split('').map((l, i) => `<answer fraction="${i === 0 ? 100 : 0}"><text>${l}</text></answer>`).join('\n    ')}
+  </question>
+  <question type="description">
+    <questiontext format="html"><text>Section B</text></questiontext>
+  </question>
+</quiz>
+`;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${label}`);
+    } else {
+        failed++;
+        console.error(`   ❌ FAIL: ${label}`);
+    }
+}
+
+// Stand-in image store: a new id per image
+const storedImages = [];
+async function storeImage(buffer, { fileName, mimeType }) {
+    const id = `00000000-0000-4000-8000-${String(storedImages.length + 1).padStart(12, '0')}`;
+    storedImages.push({ id, fileName, mimeType, bytes: buffer.length });
+    return { id };
+}
+
+async function parseText(content, extension) {
+    const filePath = path.join(os.tmpdir(), `qc_gift_xml_${process.pid}${extension}`);
+    fs.writeFileSync(filePath, content);
+    try {
+        return await parseFile(filePath, path.basename(filePath), storeImage);
+    } finally {
+        fs.unlinkSync(filePath);
+    }
+}
+
+async function testGIFT() {
+    console.log('\n━━━ GIFT ━━━');
+    const parsed = await parseText(GIFT, '.gift');
+    const rows = checkImport(parsed);
+    const columns = i => rows[i]?.columns || {};
+
+    assert(rows.length === 11, '11 questions found (comments and blank lines skipped)');
+
+    assert(columns(0).question_type === 'single' && columns(0).correct_option === 'B', 'multiple choice: = marks the key (B)');
+    assert(columns(0).question_text === 'Which gate outputs 1 only when all inputs are 1?', '::title:: dropped');
+    assert(columns(0).topic === 'Digital Electronics', '$CATEGORY sets the topic');
+    assert(columns(0).explanation === 'Right: every input must be 1', "right answer's feedback becomes the explanation");
+
+    assert(columns(1).question_type === 'true_false' && columns(1).correct_option === 'A', '{T} → true/false, True (A)');
+
+    assert(columns(2).question_type === 'numeric' && columns(2).correct_numeric === 3.3 &&
+        Number(columns(2).numeric_tolerance) === 0.05, '{#3.3:0.05} → 3.3 ± 0.05');
+    assert(columns(2).question_text === '10 ohm x 0.33 A = ? V', 'escaped \\= unescaped in the text');
+    assert(columns(3).correct_numeric === 3 && Number(columns(3).numeric_tolerance) === 2, '{#1..5} → 3 ± 2');
+    assert(columns(4).question_type === 'numeric' && columns(4).correct_numeric === 0, '{#0} → numeric answer 0');
+
+    assert(columns(5).question_type === 'multiple' && columns(5).correct_option === 'AB' && columns(5).partial_credit === true,
+        '%50% weights → multiple-correct with partial credit');
+    assert(columns(5).question_text === 'Which are passive components?', '[html] marker and tags stripped');
+    assert(/^R and C store/.test(columns(5).explanation), '#### general feedback → explanation');
+
+    assert(columns(6).topic === 'Analog Electronics', 'a later $CATEGORY applies to the questions after it');
+    assert(columns(6).question_text === 'The _____ law states V = IR.' && columns(6).correct_option === 'A',
+        'answer block mid-sentence becomes a blank');
+    assert(columns(7).option_a === 'a~b' && columns(7).option_b === 'a=b', 'escaped \\~ and \\= kept in options');
+
+    assert(rows[8].errors.some(e => /Essay/.test(e)), 'essay {} reported as unsupported');
+    assert(rows[9].errors.some(e => /Short-answer/.test(e)), 'short answer reported as unsupported');
+    assert(rows[10].errors.some(e => /No answer block/.test(e)), 'text without { } reported, not dropped');
+
+    const asText = checkImport(await parseText('Which gate inverts? {=NOT ~AND}', '.txt'));
+    assert(asText[0]?.columns?.correct_option === 'A', '.txt with an answer block is read as GIFT');
+    const layout = checkImport(await parseText('1. Which gate inverts?\nA) NOT\nB) AND\nAnswer: A', '.txt'));
+    assert(layout.length === 1 && layout[0].columns?.option_b === 'AND', '.txt with "Answer:" lines is read as the text layout');
+}
+
+async function testMoodleXML() {
+    console.log('\n━━━ MOODLE XML ━━━');
+    const parsed = await parseText(MOODLE_XML, '.xml');
+    const rows = checkImport(parsed);
+    const columns = i => rows[i]?.columns || {};
+
+    assert(rows.length === 8, '8 questions found (category and description skipped)');
+
+    assert(columns(0).question_type === 'single' && columns(0).correct_option === 'A', 'multichoice, single: 100% answer is the key');
+    assert(columns(0).question_text === 'Which component is drawn here?', 'CDATA html → plain text');
+    assert(columns(0).topic === 'Circuits', 'category sets the topic');
+    assert(columns(0).explanation === 'The zig-zag is a resistor & nothing else.', 'generalfeedback → explanation, entities decoded');
+    assert(columns(0).image_asset_id === storedImages[0]?.id && storedImages[0]?.fileName === 'schematic.png' &&
+        storedImages[0]?.mimeType === 'image/png', 'question picture stored and attached');
+    assert(columns(0).option_b === '(figure)' && columns(0).option_image_ids.B === storedImages[1]?.id,
+        'picture-only option kept as "(figure)" with its image');
+    assert(storedImages.length === 2, 'each embedded picture stored once');
+
+    assert(columns(1).question_type === 'multiple' && columns(1).correct_option === 'AC' && columns(1).partial_credit === true,
+        'fractional grades → multiple-correct with partial credit');
+    assert(columns(1).difficulty === 'hard' && columns(1).topic === 'Components', 'tags set difficulty and topic');
+    assert(columns(2).question_type === 'multiple' && columns(2).correct_option === 'AB' && columns(2).partial_credit === false,
+        'several 100% answers → multiple-correct, all or nothing');
+
+    assert(columns(3).question_type === 'true_false' && columns(3).correct_option === 'A', 'truefalse → True (A)');
+    assert(columns(3).difficulty === 'easy' && columns(3).topic === 'Circuits', 'difficulty tag keeps the category topic');
+
+    assert(columns(4).question_type === 'numeric' && columns(4).correct_numeric === 0, 'numerical answer 0 kept');
+    assert(columns(5).correct_numeric === 3.3 && Number(columns(5).numeric_tolerance) === 0.05, 'numerical tolerance kept');
+
+    assert(rows[6].errors.some(e => /shortanswer/.test(e)), 'shortanswer reported as unsupported');
+    assert(rows[7].errors.some(e => /7 options/.test(e)), 'more than six options reported');
+
+    let notQuiz = null;
+    try {
+        await parseText('<?xml version="1.0"?><questions/>', '.xml');
+    } catch (error) {
+        notQuiz = error;
+    }
+    assert(notQuiz && /Moodle XML/.test(notQuiz.message), 'XML without <quiz> rejected with a message');
+}
+
+async function run() {
+    await testGIFT();
+    await testMoodleXML();
+
+    console.log(`\n  Passed: ${passed}/${passed + failed}  |  Failed: ${failed}/${passed + failed}\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(err => {
+    console.error('FATAL ERROR:', err);
+    process.exit(1);
+});
@@ -0,0 +1,161 @@
+/**
+ * MARKING SCHEMES & PARTIAL CREDIT: QUIZ CONQUEST
+ *
+ * 1. services/marking.js — marks and weights as the admin enters them
+ *    (always runs)
+ * 2. answer_credit() and evaluate_round() — the SQL that scores a
+ *    round: +correct / −wrong / unanswered marks × weight, partial
+ *    credit on multiple-correct questions, numeric tolerance, and only
+ *    the sampled questions counting. Runs when DATABASE_URL points at
+ *    the event's Postgres (Supabase: Settings → Database → connection
+ *    string); everything is written in one transaction and rolled back.
+ *
+ *   node tests/marking_test.js
+ *   DATABASE_URL=postgres://… node tests/marking_test.js
+ */
+
+require('dotenv').config();
+const { parseMark, questionWeight, roundScore } = require('../server/services/marking');
+const { normalizeQuestion } = require('../server/services/questionTypes');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${label}`);
+    } else {
+        failed++;
+        console.error(`   ❌ FAIL: ${label}`);
+    }
+}
+
+function testMarkInput() {
+    console.log('\n━━━ MARKS & WEIGHTS (services/marking.js) ━━━');
+    assert(parseMark('4') === 4 && parseMark('-1') === -1 && parseMark(0) === 0, '+4 / −1 / 0 read as numbers');
+    assert(parseMark('0.333') === 0.33, 'marks rounded to 2 decimals');
+    assert(parseMark('abc') === null && parseMark('') === null, 'not a number → null');
+    assert(parseMark('1001') === null && parseMark('-1001') === null, 'beyond ±1000 → null');
+
+    assert(questionWeight({ weight: '2.5' }) === 2.5, 'weight 2.5 kept');
+    assert(questionWeight({}) === 1 && questionWeight({ weight: '' }) === 1, 'no weight → 1');
+    assert(questionWeight({ weight: 0 }) === 1 && questionWeight({ weight: '-2' }) === 1, 'zero / negative weight → 1');
+
+    assert(roundScore(0.1 + 0.2) === 0.3, 'score sums rounded to 2 decimals');
+    assert(roundScore('x') === 0 && roundScore(null) === 0, 'missing score → 0');
+
+    const multiple = normalizeQuestion({ type: 'multiple', optionA: 'R', optionB: 'L', optionC: 'C', correctOption: 'A, C', partialCredit: 'yes' });
+    const single = normalizeQuestion({ type: 'single', optionA: 'R', optionB: 'L', correctOption: 'B', partialCredit: 'yes' });
+    assert(multiple.question.partial_credit === true && multiple.question.correct_option === 'AC', 'multiple-correct keeps partial credit, key "AC"');
+    assert(single.question.partial_credit === false, 'partial credit ignored on single-answer questions');
+}
+
+// answer_credit(type, key, numeric key, tolerance, partial, selected) → credit
+const CREDIT_CASES = [
+    [['single', 'B', null, 0, false, 'B'], 1, 'single: right letter'],
+    [['single', 'B', null, 0, false, ' b '], 1, 'single: case and spaces ignored'],
+    [['single', 'B', null, 0, false, 'C'], 0, 'single: wrong letter'],
+    [['single', 'B', null, 0, false, ''], null, 'single: blank is unanswered'],
+    [['multiple', 'AC', null, 0, false, 'CA'], 1, 'multiple: order does not matter'],
+    [['multiple', 'AC', null, 0, false, 'A'], 0, 'multiple, no partial credit: half the key scores 0'],
+    [['multiple', 'AC', null, 0, true, 'A'], 0.5, 'partial credit: one of two right → 0.5'],
+    [['multiple', 'AC', null, 0, true, 'ABC'], 0.5, 'partial credit: a wrong pick cancels a right one'],
+    [['multiple', 'AC', null, 0, true, 'AB'], 0, 'partial credit: never below 0'],
+    [['multiple', 'ACE', null, 0, true, 'ACE'], 1, 'partial credit: the full key scores 1'],
+    [['numeric', null, 3.3, 0.05, false, '3.34'], 1, 'numeric: inside the tolerance'],
+    [['numeric', null, 3.3, 0.05, false, '3.36'], 0, 'numeric: outside the tolerance'],
+    [['numeric', null, 0, 0, false, '0'], 1, 'numeric: 0 is an answer'],
+    [['numeric', null, 0, 0, false, '-0.0'], 1, 'numeric: -0.0 equals 0'],
+    [['numeric', null, 3.3, 0.05, false, 'abc'], 0, 'numeric: text is wrong, not an error'],
+    [['numeric', null, 3.3, 0.05, false, ''], null, 'numeric: blank is unanswered']
+];
+
+async function testScoring(db) {
+    console.log('\n━━━ answer_credit() ━━━');
+    for (const [args, expected, label] of CREDIT_CASES) {
+        const { rows } = await db.query('SELECT answer_credit($1, $2, $3, $4, $5, $6) AS credit', args);
+        const credit = rows[0].credit === null ? null : Number(rows[0].credit);
+        assert(credit === expected, `${label} (${expected})`);
+    }
+
+    console.log('\n━━━ evaluate_round() — +4 / −1 / −0.5, weighted ━━━');
+    await db.query('BEGIN');
+    try {
+        const { rows: [{ round }] } = await db.query('SELECT COALESCE(MAX(round_number), 0) + 1 AS round FROM rounds');
+        await db.query(`
+            INSERT INTO rounds (round_number, name, status, total_questions, marks_correct, marks_wrong, marks_unanswered)
+            VALUES ($1, 'Marking test', 'completed', 3, 4, -1, -0.5)`, [round]);
+
+        const { rows: questions } = await db.query(`
+            INSERT INTO questions (round_number, question_number, question_text, question_type,
+                option_a, option_b, option_c, correct_option, correct_numeric, numeric_tolerance, partial_credit, weight)
+            VALUES
+                ($1, 1, 'Single', 'single', 'OR', 'AND', 'XOR', 'B', NULL, 0, FALSE, 1),
+                ($1, 2, 'Multiple', 'multiple', 'R', 'L', 'C', 'AC', NULL, 0, TRUE, 2),
+                ($1, 3, 'Numeric', 'numeric', NULL, NULL, NULL, NULL, 3.3, 0.05, FALSE, 1.5)
+            RETURNING id, question_number`, [round]);
+        const id = Object.fromEntries(questions.map(q => [q.question_number, q.id]));
+
+        // token → answers; T4 was served question 1 only
+        const papers = {
+            '00000000-0000-4000-8000-000000000001': { 1: 'B', 2: 'A', 3: '3.34' },
+            '00000000-0000-4000-8000-000000000002': { 1: 'C', 2: 'ABC' },
+            '00000000-0000-4000-8000-000000000003': { 2: 'B', 3: '3.4' },
+            '00000000-0000-4000-8000-000000000004': { 1: 'B' }
+        };
+        for (const [token, picks] of Object.entries(papers)) {
+            const answers = Object.entries(picks).map(([n, selected]) => ({ question_id: id[n], selected_option: selected }));
+            await db.query(`
+                INSERT INTO submissions (attempt_token, round_number, answers, time_taken_seconds)
+                VALUES ($1, $2, $3::jsonb, 600)`, [token, round, JSON.stringify(answers)]);
+        }
+        await db.query(`
+            INSERT INTO attempts (attempt_token, round_number, question_ids)
+            VALUES ('00000000-0000-4000-8000-000000000004', $1, ARRAY[$2::uuid])`, [round, id[1]]);
+
+        await db.query('SELECT evaluate_round($1)', [round]);
+        const { rows: results } = await db.query(`
+            SELECT attempt_token, score, correct_count, wrong_count, unanswered_count
+            FROM results WHERE round_number = $1`, [round]);
+        const result = token => results.find(r => r.attempt_token.endsWith(token)) || {};
+
+        const t1 = result('1');
+        assert(Number(t1.score) === 14, 'right ×1 (+4), half of a ×2 key (+4), numeric ×1.5 in tolerance (+6) → 14');
+        assert(Number(t1.correct_count) === 2 && Number(t1.wrong_count) === 1, 'partial answer counted as wrong in the breakdown');
+
+        assert(Number(result('2').score) === 2.25, 'wrong (−1), partial with a wrong pick (+4), blank ×1.5 (−0.75) → 2.25');
+        assert(Number(result('3').score) === -4, 'blank (−0.5), no credit ×2 (−2), numeric out of tolerance ×1.5 (−1.5) → −4');
+
+        const t4 = result('4');
+        assert(Number(t4.score) === 4 && Number(t4.unanswered_count) === 0,
+            'sampled paper: questions not served are not marked unanswered → 4');
+    } finally {
+        await db.query('ROLLBACK');
+    }
+}
+
+async function run() {
+    testMarkInput();
+
+    if (process.env.DATABASE_URL) {
+        const { Client } = require('pg');
+        const db = new Client({ connectionString: process.env.DATABASE_URL });
+        await db.connect();
+        try {
+            await testScoring(db);
+        } finally {
+            await db.end();
+        }
+    } else {
+        console.log('\n   (DATABASE_URL not set — SQL scoring checks skipped)');
+    }
+
+    console.log(`\n  Passed: ${passed}/${passed + failed}  |  Failed: ${failed}/${passed + failed}\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(err => {
+    console.error('FATAL ERROR:', err);
+    process.exit(1);
+});
@@ -0,0 +1,228 @@
+/**
+ * OFFLINE ANSWER SHEETS: QUIZ CONQUEST
+ *
+ * Checks services/offline.js: sheet rows (Q1..Qn columns or one
+ * Answers column) become record_offline_submission() calls with the
+ * canonical options — a Set B mark is the option printed under that
+ * label on Set B — paper-only participants get a token, a row with
+ * any error is skipped whole, and no Time means the full duration.
+ *
+ * The tables and the rpc are in-memory stand-ins; no server or
+ * database calls. Needs only the .env the server uses (the Supabase
+ * client is created on require).
+ *
+ *   node tests/offline_sheets_test.js
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { supabase } = require('../server/config/database');
+const { readAnswerSheet, recordOfflineSheets, offlineTemplate } = require('../server/services/offline');
+const { paperSets } = require('../server/services/paper');
+
+const id = n => `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`;
+
+const QUESTIONS = [
+    { id: id(101), question_number: 1, question_type: 'single', option_a: 'OR', option_b: 'AND', option_c: 'XOR', option_d: 'NOR', correct_option: 'B', topic: 'Digital' },
+    { id: id(102), question_number: 2, question_type: 'multiple', option_a: 'R', option_b: 'L', option_c: 'C', option_d: 'BJT', correct_option: 'AC', topic: 'Digital' },
+    { id: id(103), question_number: 3, question_type: 'true_false', option_a: 'True', option_b: 'False', correct_option: 'A', topic: 'Analog' },
+    { id: id(104), question_number: 4, question_type: 'numeric', correct_numeric: 0, numeric_tolerance: 0, topic: 'Analog' },
+    { id: id(105), question_number: 5, question_type: 'single', option_a: 'Low', option_b: 'High', option_c: 'Floating', correct_option: 'C', topic: 'Analog' }
+].map(q => ({ round_number: 1, ...q }));
+
+const TABLES = {
+    rounds: [
+        { round_number: 1, duration_minutes: 20, total_questions: 5, sample_stratify_by: null },
+        // Same pool, 4 of 5 questions per paper
+        { round_number: 2, duration_minutes: 20, total_questions: 4, sample_stratify_by: null }
+    ],
+    questions: [...QUESTIONS, ...QUESTIONS.map(q => ({ ...q, round_number: 2 }))],
+    participant_details: [
+        { id: id(1), attempt_token: id(11), name: 'Asha' },
+        { id: id(2), attempt_token: null, name: 'Ben' },
+        { id: id(3), attempt_token: id(13), name: 'Chitra' }
+    ]
+};
+
+// Tokens that already submitted online
+const ONLINE = new Set([id(13)]);
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${label}`);
+    } else {
+        failed++;
+        console.error(`   ❌ FAIL: ${label}`);
+    }
+}
+
+// Tables with just the query shapes offline.js and sampling.js use
+function table(name) {
+    const filters = [];
+    let write = null;
+    let sortBy = null;
+    const matches = () => {
+        const rows = TABLES[name].filter(row => filters.every(f => f(row)));
+        return sortBy ? rows.sort((a, b) => a[sortBy] - b[sortBy]) : rows;
+    };
+    const query = {
+        select() { return query; },
+        eq(column, value) { filters.push(row => row[column] === value); return query; },
+        in(column, values) { filters.push(row => values.includes(row[column])); return query; },
+        order(column) { sortBy = column; return query; },
+        update(values) { write = values; return query; },
+        maybeSingle() {
+            return Promise.resolve({ data: matches()[0] || null, error: null });
+        },
+        then(resolve, reject) {
+            const rows = matches();
+            if (write) rows.forEach(row => Object.assign(row, write));
+            return Promise.resolve({ data: rows.map(row => ({ ...row })), error: null }).then(resolve, reject);
+        }
+    };
+    return query;
+}
+
+const submissions = [];
+
+supabase.from = name => {
+    if (!TABLES[name]) throw new Error(`Unexpected table ${name}`);
+    return table(name);
+};
+
+supabase.rpc = async (fn, args) => {
+    if (fn !== 'record_offline_submission') throw new Error(`Unexpected rpc ${fn}`);
+    submissions.push(args);
+    return { data: ONLINE.has(args.p_attempt_token) ? 'online' : 'created', error: null };
+};
+
+const submitted = token => submissions.find(s => s.p_attempt_token === token);
+const answerOf = (submission, questionId) =>
+    (submission?.p_answers || []).find(a => a.question_id === questionId)?.selected_option;
+
+async function testSetA() {
+    console.log('\n━━━ SET A, Q1..Qn COLUMNS ━━━');
+    const { rows, summary } = await recordOfflineSheets(1, [
+        { Token: id(11).toUpperCase(), Set: 'a', 'Time (min)': '12', Q1: 'b', Q2: 'C, A', Q3: 'T', Q4: '0', Q5: '-' }
+    ]);
+    const submission = submitted(id(11));
+
+    assert(rows[0]?.status === 'created' && rows[0]?.name === 'Asha' && summary.created === 1, 'row saved under the token, name looked up');
+    assert(answerOf(submission, id(101)) === 'B', 'lower-case letter read');
+    assert(answerOf(submission, id(102)) === 'AC', 'multiple answer "C, A" → "AC"');
+    assert(answerOf(submission, id(103)) === 'A', 'T → True (A)');
+    assert(answerOf(submission, id(104)) === '0', 'numeric 0 is an answer');
+    assert(answerOf(submission, id(105)) === undefined, '"-" left unanswered');
+    assert(submission?.p_time_taken_seconds === 720 && submission?.p_paper_set === 'A', 'Time 12 → 720 s, set A');
+    assert(submission?.p_question_ids === null, 'whole pool printed: no question list');
+}
+
+async function testSetB() {
+    console.log('\n━━━ SET B, ANSWERS COLUMN ━━━');
+    const setB = paperSets(QUESTIONS, 1, 2)[1];
+    // Set B's printed key, in Set B's order and labels
+    const key = setB.questions.map(q => (q.type === 'numeric' ? '0' : q.answer.replace(/, /g, ''))).join(',');
+
+    const { rows } = await recordOfflineSheets(1, [
+        { 'Participant ID': id(2), Set: 'B', Answers: key }
+    ]);
+    const ben = TABLES.participant_details.find(d => d.id === id(2));
+    const submission = submitted(ben.attempt_token);
+
+    assert(ben.attempt_token && rows[0]?.token === ben.attempt_token && rows[0]?.status === 'created',
+        'paper-only participant issued a token');
+    assert(QUESTIONS.filter(q => q.correct_option).every(q => answerOf(submission, q.id) === q.correct_option),
+        "Set B key marks → every question's canonical key");
+    assert(submission?.p_time_taken_seconds === 20 * 60, 'no Time → the round duration');
+
+    // The label Set B prints "AND" under is stored as option B
+    const gate = setB.questions.find(q => q.questionId === id(101));
+    const andLabel = Object.keys(gate.options).find(label => gate.options[label] === 'AND');
+    const marks = setB.questions.map(q => (q.questionId === id(101) ? andLabel : '')).join(',');
+    await recordOfflineSheets(1, [{ Token: id(21), Set: 'B', Answers: marks }]);
+    assert(answerOf(submitted(id(21)), id(101)) === 'B', `Set B "${andLabel}" (AND) stored as B`);
+
+    await recordOfflineSheets(1, [{ Token: id(22), Answers: 'AAF-A' }]);
+    const packed = submitted(id(22));
+    assert((packed?.p_answers || []).length === 4 && answerOf(packed, id(103)) === 'B',
+        'packed "AAF-A": one mark per question, F → False (B), "-" blank');
+}
+
+async function testErrors() {
+    console.log('\n━━━ ROWS WITH ERRORS ━━━');
+    const before = submissions.length;
+    const { rows, summary } = await recordOfflineSheets(1, [
+        { Token: 'not-a-token', Q1: 'A' },
+        { 'Participant ID': id(99), Q1: 'A' },
+        { Name: 'Nobody', Q1: 'A' },
+        { Token: id(31), Set: 'E', Q1: 'A' },
+        { Token: id(32), Time: '0', Q1: 'A' },
+        { Token: id(33), Q1: 'Z', Q2: 'AB', Q4: 'abc', Q5: 'AB', Q9: 'A' },
+        { Token: id(34), Q1: 'A' },
+        { Token: id(34), Q1: 'B' },
+        { Token: id(13), Q1: 'A' }
+    ]);
+    const errors = row => rows.find(r => r.row === row)?.errors.join(' | ') || '';
+
+    assert(/not valid/.test(errors(2)), 'invalid token');
+    assert(/not found/.test(errors(3)), 'unknown participant ID');
+    assert(/required/.test(errors(4)), 'neither token nor participant ID');
+    assert(/Set "E"/.test(errors(5)), 'unknown set');
+    assert(/Time "0"/.test(errors(6)), 'time must be above 0');
+    assert(/Q1: "Z"/.test(errors(7)) && /Q4: "abc" is not a number/.test(errors(7)) &&
+        /Q5: "AB" — only one answer/.test(errors(7)) && /Q9: the paper has 5/.test(errors(7)) && !/Q2/.test(errors(7)),
+        'bad marks listed per question (AB allowed on the multiple question)');
+    assert(rows.find(r => r.row === 8)?.status === 'created' && /Same participant as row 8/.test(errors(9)),
+        'second row for the same token rejected');
+    assert(rows.find(r => r.row === 10)?.status === 'online' && summary.online === 1, "online submit reported, not replaced");
+    assert(summary.errors === 7 && submissions.length - before === 2, 'rows with errors never reach the database');
+}
+
+async function testSampledRound() {
+    console.log('\n━━━ SAMPLED ROUND ━━━');
+    const printed = paperSets(TABLES.questions.filter(q => q.round_number === 2), 2, 1, { count: 4, stratifyBy: null })[0];
+    await recordOfflineSheets(2, [{ Token: id(41), Q1: 'A' }]);
+    const submission = submitted(id(41));
+
+    assert(submission?.p_question_ids?.join() === printed.questions.map(q => q.questionId).join(),
+        "scored on the printed paper's 4 questions");
+    assert(answerOf(submission, printed.questions[0].questionId) !== undefined, 'Q1 is the first printed question');
+}
+
+function testSheetFiles() {
+    console.log('\n━━━ SHEET FILES ━━━');
+    const filePath = path.join(os.tmpdir(), `qc_offline_${process.pid}.csv`);
+    fs.writeFileSync(filePath, '\uFEFFToken,Set,Time,Q1,Q2\n' + id(11) + ',B,12,A,0012\n');
+    try {
+        const [row] = readAnswerSheet(filePath, 'sheet.csv');
+        assert(Object.keys(row)[0] === 'Token' && row.Token === id(11), 'BOM stripped from the first header');
+        assert(row.Q2 === '0012' && row.Time === '12', 'cells read as text (leading zeros kept)');
+    } finally {
+        fs.unlinkSync(filePath);
+    }
+
+    const template = offlineTemplate(3);
+    assert(template === '\uFEFFToken,Participant ID,Name,Set,Time,Q1,Q2,Q3\n', 'template header with Q1..Q3');
+}
+
+async function run() {
+    await testSetA();
+    await testSetB();
+    await testErrors();
+    await testSampledRound();
+    testSheetFiles();
+
+    console.log(`\n  Passed: ${passed}/${passed + failed}  |  Failed: ${failed}/${passed + failed}\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(err => {
+    console.error('FATAL ERROR:', err);
+    process.exit(1);
+});
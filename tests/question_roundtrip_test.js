@@ -0,0 +1,105 @@
+/**
+ * EXPORT → IMPORT ROUND TRIP: QUIZ CONQUEST
+ *
+ * Exports sample questions in every format (Excel, Word, PDF, JSON),
+ * parses each file with the upload importer and checks the answers
+ * come back unchanged — including a numeric answer of 0, which a
+ * spreadsheet keeps as a number cell.
+ *
+ * No server or database calls; needs only the .env the server uses
+ * (the Supabase client is created on require).
+ *
+ *   node tests/question_roundtrip_test.js
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXPORT_FORMATS, buildExport } = require('../server/services/exporter');
+const { checkImport } = require('../server/services/importer');
+const { parseFile } = require('../server/services/parsers');
+
+// Questions-table rows, as the exporter reads them
+const QUESTIONS = [
+    {
+        question_text: 'Voltage across an ideal short circuit (V)?',
+        question_type: 'numeric',
+        correct_numeric: 0,
+        numeric_tolerance: 0,
+        weight: 1
+    },
+    {
+        question_text: '10 ohm x 0.33 A = ? V',
+        question_type: 'numeric',
+        correct_numeric: 3.3,
+        numeric_tolerance: 0.05,
+        weight: 1
+    },
+    {
+        question_text: 'Which gate outputs 1 only when all inputs are 1?',
+        question_type: 'single',
+        option_a: 'OR',
+        option_b: 'AND',
+        option_c: 'XOR',
+        option_d: 'NOR',
+        correct_option: 'B',
+        weight: 1
+    }
+];
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${label}`);
+    } else {
+        failed++;
+        console.error(`   ❌ FAIL: ${label}`);
+    }
+}
+
+async function roundTrip(format) {
+    const { buffer, extension } = await buildExport(QUESTIONS, format, 'Round trip');
+    const filePath = path.join(os.tmpdir(), `qc_roundtrip_${process.pid}.${extension}`);
+    fs.writeFileSync(filePath, buffer);
+    try {
+        return checkImport(await parseFile(filePath, path.basename(filePath)));
+    } finally {
+        fs.unlinkSync(filePath);
+    }
+}
+
+async function run() {
+    for (const format of EXPORT_FORMATS) {
+        console.log(`\n━━━ ${format.toUpperCase()} ━━━`);
+        const rows = await roundTrip(format);
+
+        assert(rows.length === QUESTIONS.length, `${QUESTIONS.length} questions read back`);
+        QUESTIONS.forEach((q, i) => {
+            const columns = rows[i]?.columns;
+            const label = `Q${i + 1} (${q.question_type})`;
+            if (!columns) {
+                assert(false, `${label} imports — ${(rows[i]?.errors || ['missing']).join('; ')}`);
+                return;
+            }
+            assert(columns.question_type === q.question_type, `${label} type kept`);
+            if (q.question_type === 'numeric') {
+                assert(columns.correct_numeric === q.correct_numeric, `${label} answer ${q.correct_numeric} kept`);
+                assert(Number(columns.numeric_tolerance) === q.numeric_tolerance, `${label} tolerance kept`);
+            } else {
+                assert(columns.correct_option === q.correct_option, `${label} answer ${q.correct_option} kept`);
+            }
+        });
+    }
+
+    console.log(`\n  Passed: ${passed}/${passed + failed}  |  Failed: ${failed}/${passed + failed}\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(err => {
+    console.error('FATAL ERROR:', err);
+    process.exit(1);
+});
@@ -0,0 +1,184 @@
+/**
+ * SUBMIT RULES, PAUSES, EXTENSIONS & DISQUALIFICATION: QUIZ CONQUEST
+ *
+ * The SQL that decides whether a submit counts:
+ *   • submit_bulk_answers() — deadline + grace, no late submit while
+ *     paused, personal extensions, later rounds only for shortlisted
+ *     tokens and wildcards, time taken from the attempt start minus
+ *     paused time, one submission per token
+ *   • save_answer_draft() / submit_pending_drafts() — drafts saved
+ *     until the deadline, then submitted for anyone who never did
+ *   • rank_round() / shortlist_round() — disqualified tokens unranked
+ *     and never shortlisted; reinstating re-ranks them
+ *
+ * Runs when DATABASE_URL points at the event's Postgres (Supabase:
+ * Settings → Database → connection string); everything is written in
+ * one transaction and rolled back. NOW() is fixed for a transaction,
+ * so every time below is relative to it.
+ *
+ *   DATABASE_URL=postgres://… node tests/round_rules_test.js
+ */
+
+require('dotenv').config();
+
+const T = n => `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${label}`);
+    } else {
+        failed++;
+        console.error(`   ❌ FAIL: ${label}`);
+    }
+}
+
+async function testRules(db) {
+    const one = async (sql, params) => (await db.query(sql, params)).rows[0];
+    const live = (status, endsAgoSeconds) => db.query(`
+        UPDATE event_state
+        SET round_status = $1, round_ends_at = NOW() - make_interval(secs => $2)
+        WHERE id = 1`, [status, endsAgoSeconds]);
+    const submit = async (token, round, grace = 30) => (await one(
+        `SELECT submit_bulk_answers($1, $2, '[]'::jsonb, 100, $3) AS r`, [token, round, grace])).r;
+
+    const { round: previous } = await one('SELECT COALESCE(MAX(round_number), 0) + 1 AS round FROM rounds');
+    const current = previous + 1;
+
+    await db.query(`
+        INSERT INTO rounds (round_number, name, status, total_questions, started_at, ended_at)
+        VALUES ($1, 'Rules test 1', 'completed', 3, NOW() - INTERVAL '2 hours', NOW() - INTERVAL '1 hour'),
+               ($2, 'Rules test 2', 'active', 3, NOW() - INTERVAL '15 minutes', NULL)`, [previous, current]);
+
+    // Previous round: T1..T8 in score order, T2 disqualified
+    for (let n = 1; n <= 8; n++) {
+        await db.query(`
+            INSERT INTO results (attempt_token, round_number, score, time_taken_seconds)
+            VALUES ($1, $2, $3, 600)`, [T(n), previous, 100 - n]);
+    }
+    await db.query(`
+        INSERT INTO disqualifications (attempt_token, round_number, reason)
+        VALUES ($1, $2, 'Tab switching')`, [T(2), previous]);
+
+    console.log('\n━━━ DISQUALIFICATION & SHORTLIST ━━━');
+    await db.query('SELECT rank_round($1)', [previous]);
+    const ranks = async () => Object.fromEntries((await db.query(`
+        SELECT attempt_token, rank, qualified_for_next FROM results WHERE round_number = $1`, [previous]))
+        .rows.map(r => [r.attempt_token, r]));
+    let byToken = await ranks();
+    assert(byToken[T(2)].rank === null, 'disqualified token has no rank');
+    assert(byToken[T(1)].rank === 1 && byToken[T(3)].rank === 2 && byToken[T(8)].rank === 7, 'the rest ranked 1..7 with no gap');
+
+    await db.query('SELECT shortlist_round($1, 6)', [previous]);
+    byToken = await ranks();
+    assert(!byToken[T(2)].qualified_for_next, 'disqualified token never shortlisted');
+    assert(byToken[T(7)].qualified_for_next && !byToken[T(8)].qualified_for_next, 'top 6 ranks shortlisted');
+
+    await db.query(`INSERT INTO round_wildcards (round_number, attempt_token) VALUES ($1, $2)`, [current, T(9)]);
+    await db.query(`
+        INSERT INTO event_state (id, current_round, round_status, round_ends_at)
+        VALUES (1, $1, 'running', NOW())
+        ON CONFLICT (id) DO UPDATE SET current_round = EXCLUDED.current_round`, [current]);
+
+    console.log('\n━━━ DRAFTS ━━━');
+    const draft = (token, question) => one(`
+        SELECT save_answer_draft($1, $2, $3::jsonb, $4, 30) AS saved`,
+    [token, current, JSON.stringify([{ question_id: T(100), selected_option: 'A' }]), question]);
+
+    await live('running', -60);
+    assert((await draft(T(7), 2)).saved === true, 'draft saved before the deadline');
+    assert((await draft(T(8), 1)).saved === true, 'draft saved for a token that is not shortlisted');
+    assert((await draft(T(1), 3)).saved === true, 'draft saved for a token that will submit');
+    await live('paused', 300);
+    assert((await draft(T(7), 3)).saved === true, 'draft saved while paused, even past round_ends_at');
+    await live('running', 60);
+    assert((await draft(T(7), 1)).saved === false, 'draft refused after deadline + grace');
+    const { current_question: at } = await one(`
+        SELECT current_question FROM answer_drafts WHERE attempt_token = $1 AND round_number = $2`, [T(7), current]);
+    assert(at === 3, 'refused draft leaves the last saved one');
+
+    console.log('\n━━━ DEADLINE & GRACE ━━━');
+    // 10 minutes since T1 started, 100 s of it paused
+    await db.query(`
+        INSERT INTO attempts (attempt_token, round_number, started_at)
+        VALUES ($1, $2, NOW() - INTERVAL '600 seconds')`, [T(1), current]);
+    await db.query(`
+        INSERT INTO round_pauses (round_number, paused_at, resumed_at)
+        VALUES ($1, NOW() - INTERVAL '500 seconds', NOW() - INTERVAL '400 seconds')`, [current]);
+
+    await live('running', 20);
+    assert((await submit(T(1), current)).submission_status === 'accepted', '20 s after the deadline, 30 s grace → accepted');
+    assert((await submit(T(3), current, 10)).submission_status === 'late', '20 s after the deadline, 10 s grace → late');
+    assert((await submit(T(1), current)).already_submitted === true, 'second submit → already submitted');
+
+    const t1 = await one(`
+        SELECT time_taken_seconds, client_time_taken_seconds, submission_status
+        FROM submissions WHERE attempt_token = $1 AND round_number = $2`, [T(1), current]);
+    assert(t1.time_taken_seconds === 500 && t1.client_time_taken_seconds === 100,
+        'time taken from the attempt start minus the pause (500 s); client time kept aside');
+    assert(t1.submission_status === 'accepted', 'the first submission is kept');
+
+    console.log('\n━━━ PAUSE & EXTENSIONS ━━━');
+    await live('running', 300);
+    assert((await submit(T(4), current)).submission_status === 'late', '5 min after the deadline → late');
+
+    await db.query(`
+        INSERT INTO time_extensions (attempt_token, round_number, extra_seconds, reason)
+        VALUES ($1, $2, 600, 'Power cut')`, [T(5), current]);
+    assert((await submit(T(5), current)).submission_status === 'accepted', '+10 min personal extension → accepted');
+
+    await live('paused', 300);
+    assert((await submit(T(6), current)).submission_status === 'accepted', 'paused round: round_ends_at frozen, nothing late');
+
+    console.log('\n━━━ ELIGIBILITY & ROUND STATE ━━━');
+    await live('running', -60);
+    assert((await submit(T(8), current)).submission_status === 'not_qualified', 'not shortlisted from the previous round → not_qualified');
+    assert((await submit(T(2), current)).submission_status === 'not_qualified', 'disqualified in the previous round → not_qualified');
+    assert((await submit(T(9), current)).submission_status === 'accepted', 'wildcard → accepted');
+    assert((await submit(T(10), previous)).submission_status === 'out_of_round', 'round that is not current → out_of_round');
+
+    console.log('\n━━━ PENDING DRAFTS ━━━');
+    const { submitted } = await one('SELECT submit_pending_drafts($1) AS submitted', [current]);
+    const drafted = (await db.query(`
+        SELECT attempt_token, submission_status, submission_source FROM submissions
+        WHERE round_number = $1 AND submission_source = 'draft'`, [current])).rows;
+    const from = token => drafted.find(d => d.attempt_token === token);
+    assert(submitted === 1 && from(T(7))?.submission_status === 'accepted', 'unsubmitted draft submitted (accepted)');
+    assert(!from(T(1)), 'token that submitted keeps its own submission');
+    assert(!from(T(8)), 'token already flagged not_qualified not submitted again');
+
+    console.log('\n━━━ REINSTATE ━━━');
+    await db.query('DELETE FROM disqualifications WHERE attempt_token = $1 AND round_number = $2', [T(2), previous]);
+    await db.query('SELECT rank_round($1)', [previous]);
+    byToken = await ranks();
+    assert(byToken[T(2)].rank === 2 && byToken[T(3)].rank === 3, 'reinstated token ranked again; the rest move down');
+    assert(Object.values(byToken).every(r => !r.qualified_for_next), 're-rank clears the shortlist until it is run again');
+}
+
+async function run() {
+    if (process.env.DATABASE_URL) {
+        const { Client } = require('pg');
+        const db = new Client({ connectionString: process.env.DATABASE_URL });
+        await db.connect();
+        try {
+            await db.query('BEGIN');
+            await testRules(db);
+        } finally {
+            await db.query('ROLLBACK');
+            await db.end();
+        }
+    } else {
+        console.log('\n   (DATABASE_URL not set — SQL checks skipped)');
+    }
+
+    console.log(`\n  Passed: ${passed}/${passed + failed}  |  Failed: ${failed}/${passed + failed}\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(err => {
+    console.error('FATAL ERROR:', err);
+    process.exit(1);
+});
@@ -0,0 +1,153 @@
+/**
+ * QUESTION POOL SAMPLING: QUIZ CONQUEST
+ *
+ * Checks services/sampling.js: each token draws a stable sample of
+ * the round's count from a larger pool, stratified samples give every
+ * topic / difficulty its share (largest remainder), and the sample is
+ * stored on the attempts row — created if start_attempt has not run —
+ * so the questions served are the ones marked.
+ *
+ * The attempts table is an in-memory stand-in; no server or database
+ * calls. Needs only the .env the server uses (the Supabase client is
+ * created on require).
+ *
+ *   node tests/sampling_test.js
+ */
+
+require('dotenv').config();
+const { supabase } = require('../server/config/database');
+const { sampleQuestionIds, servedQuestionIds } = require('../server/services/sampling');
+
+// 60-question pool: 30 Digital, 20 Analog, 10 Circuits; difficulty
+// easy / medium / hard in turn, every fifth question untagged
+const POOL = Array.from({ length: 60 }, (_, i) => ({
+    questionId: `q-${i + 1}`,
+    topic: i < 30 ? 'Digital' : i < 50 ? 'Analog' : 'Circuits',
+    difficulty: i % 5 === 4 ? null : ['easy', 'medium', 'hard'][i % 3]
+}));
+
+const TOKENS = Array.from({ length: 20 }, (_, i) => `00000000-0000-4000-8000-${String(i).padStart(12, '0')}`);
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${label}`);
+    } else {
+        failed++;
+        console.error(`   ❌ FAIL: ${label}`);
+    }
+}
+
+function countBy(ids, field) {
+    const byId = new Map(POOL.map(q => [q.questionId, q]));
+    const counts = {};
+    ids.forEach(id => {
+        const key = byId.get(id)[field] || '';
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+}
+
+// attempts rows, with just the query shapes servedQuestionIds uses
+const attempts = [];
+
+function attemptsTable() {
+    const filters = [];
+    let write = null;
+    const matches = () => attempts.filter(row => filters.every(f => f(row)));
+    const query = {
+        select() { return query; },
+        eq(column, value) { filters.push(row => row[column] === value); return query; },
+        is(column, value) { filters.push(row => row[column] === value); return query; },
+        update(values) { write = values; return query; },
+        upsert(row) {
+            const exists = attempts.some(a => a.attempt_token === row.attempt_token && a.round_number === row.round_number);
+            if (!exists) attempts.push({ question_ids: null, ...row, started_at: new Date().toISOString() });
+            return Promise.resolve({ error: null });
+        },
+        maybeSingle() {
+            return Promise.resolve({ data: matches()[0] || null, error: null });
+        },
+        then(resolve, reject) {
+            const rows = matches();
+            if (write) rows.forEach(row => Object.assign(row, write));
+            return Promise.resolve({ data: rows, error: null }).then(resolve, reject);
+        }
+    };
+    return query;
+}
+
+supabase.from = table => {
+    if (table !== 'attempts') throw new Error(`Unexpected table ${table}`);
+    return attemptsTable();
+};
+
+async function run() {
+    console.log('\n━━━ WHOLE POOL ━━━');
+    assert(sampleQuestionIds(POOL, TOKENS[0], 1, { count: 60, stratifyBy: null }) === null, 'count = pool → null (whole pool)');
+    assert(sampleQuestionIds(POOL.slice(0, 10), TOKENS[0], 1, { count: 15, stratifyBy: null }) === null, 'count > pool → null');
+
+    console.log('\n━━━ PLAIN SAMPLE ━━━');
+    const plain = { count: 20, stratifyBy: null };
+    const sample = sampleQuestionIds(POOL, TOKENS[0], 1, plain);
+    assert(sample.length === 20 && new Set(sample).size === 20, '20 distinct questions');
+    assert(sample.every(id => POOL.some(q => q.questionId === id)), 'all from the pool');
+    assert(sample.join() === sampleQuestionIds(POOL, TOKENS[0], 1, plain).join(), 'same token, same sample');
+    assert(new Set(TOKENS.map(t => sampleQuestionIds(POOL, t, 1, plain).sort().join())).size > 1, 'tokens get different samples');
+    assert(sampleQuestionIds(POOL, TOKENS[0], 2, plain).sort().join() !== [...sample].sort().join(), 'sample depends on the round');
+    assert(sampleQuestionIds([...POOL].reverse(), TOKENS[0], 1, plain).sort().join() === [...sample].sort().join(),
+        'pool order does not change the sample');
+
+    console.log('\n━━━ STRATIFIED ━━━');
+    let topicShares = true;
+    let difficultyShares = true;
+    for (const token of TOKENS) {
+        const byTopic = countBy(sampleQuestionIds(POOL, token, 1, { count: 20, stratifyBy: 'topic' }), 'topic');
+        if (byTopic.Digital !== 10 || byTopic.Analog !== 7 || byTopic.Circuits !== 3) topicShares = false;
+
+        // 12 untagged (4 exact), 16 each easy / medium / hard (5.33 each):
+        // the one left over goes to easy, first of the tie by name
+        const byLevel = countBy(sampleQuestionIds(POOL, token, 1, { count: 20, stratifyBy: 'difficulty' }), 'difficulty');
+        if (byLevel[''] !== 4 || byLevel.easy !== 6 || byLevel.hard !== 5 || byLevel.medium !== 5) difficultyShares = false;
+    }
+    assert(topicShares, 'topic shares 10 / 7 / 3 for every token (30 / 20 / 10 of 60)');
+    assert(difficultyShares, 'untagged questions form their own group; remainder to the first tie by name');
+
+    const small = sampleQuestionIds(POOL.slice(45), TOKENS[0], 1, { count: 12, stratifyBy: 'topic' });
+    assert(small.length === 12, 'small stratified pool still serves the round count');
+
+    console.log('\n━━━ STORED SAMPLE ━━━');
+    const settings = { count: 20, stratifyBy: 'topic' };
+    const expected = sampleQuestionIds(POOL, TOKENS[5], 1, settings);
+
+    const served = await servedQuestionIds(POOL, TOKENS[5], 1, settings);
+    const row = attempts.find(a => a.attempt_token === TOKENS[5] && a.round_number === 1);
+    assert(served.join() === expected.join(), 'first fetch serves the drawn sample');
+    assert(row && row.question_ids && row.question_ids.join() === expected.join(),
+        'no attempts row yet: one is created with the sample');
+    assert(row && row.started_at, 'created row has a start time');
+
+    row.question_ids = expected.slice(0, 19).concat('q-60');
+    const again = await servedQuestionIds(POOL, TOKENS[5], 1, settings);
+    assert(again.join() === row.question_ids.join(), 'stored sample wins over a fresh draw');
+
+    attempts.push({ attempt_token: TOKENS[6], round_number: 1, started_at: '2026-01-01T00:00:00Z', question_ids: null });
+    await servedQuestionIds(POOL, TOKENS[6], 1, settings);
+    const started = attempts.filter(a => a.attempt_token === TOKENS[6]);
+    assert(started.length === 1 && started[0].started_at === '2026-01-01T00:00:00Z' && started[0].question_ids?.length === 20,
+        'existing attempts row keeps its start time and gets the sample');
+
+    assert(await servedQuestionIds(POOL.slice(0, 10), TOKENS[7], 1, settings) === null &&
+        !attempts.some(a => a.attempt_token === TOKENS[7]), 'whole pool served: nothing stored');
+
+    console.log(`\n  Passed: ${passed}/${passed + failed}  |  Failed: ${failed}/${passed + failed}\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(err => {
+    console.error('FATAL ERROR:', err);
+    process.exit(1);
+});
@@ -0,0 +1,141 @@
+/**
+ * QUESTION / OPTION SHUFFLE: QUIZ CONQUEST
+ *
+ * Checks services/shuffle.js: each token gets its own stable order,
+ * an answer picked under a displayed label is stored as the option
+ * the participant actually saw (toCanonical), and comes back under
+ * the same label on resume (toDisplay). True/false and numeric
+ * questions are never shuffled.
+ *
+ * No server or database calls; needs only the .env the server uses
+ * (the Supabase client is created on require).
+ *
+ *   node tests/shuffle_test.js
+ */
+
+require('dotenv').config();
+const { optionLayouts, shuffleForToken, toCanonical, toDisplay } = require('../server/services/shuffle');
+
+// Questions-table rows
+const ROWS = [
+    { id: 'q-1', question_type: 'single', option_a: 'OR', option_b: 'AND', option_c: 'XOR', option_d: 'NOR' },
+    { id: 'q-2', question_type: 'multiple', option_a: 'R', option_b: 'L', option_c: 'C', option_d: 'Diode', option_e: 'BJT', option_f: 'FET' },
+    { id: 'q-3', question_type: 'true_false' },
+    { id: 'q-4', question_type: 'numeric' },
+    { id: 'q-5', question_type: 'single', option_a: 'Low', option_b: 'High' }
+];
+
+// The same questions as formatted for participants
+const FORMATTED = ROWS.map((row, index) => ({
+    questionId: row.id,
+    questionNumber: index + 1,
+    type: row.question_type,
+    options: row.question_type === 'true_false'
+        ? { True: 'True', False: 'False' }
+        : Object.fromEntries('ABCDEF'.split('')
+            .filter(label => row[`option_${label.toLowerCase()}`])
+            .map(label => [label, row[`option_${label.toLowerCase()}`]])),
+    optionImages: row.id === 'q-1' ? { C: '/api/assets/xor' } : {}
+}));
+
+const ROWS_BY_ID = Object.fromEntries(ROWS.map(row => [row.id, row]));
+const TOKENS = Array.from({ length: 20 }, (_, i) => `00000000-0000-4000-8000-${String(i).padStart(12, '0')}`);
+const BOTH = { questions: true, options: true };
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${label}`);
+    } else {
+        failed++;
+        console.error(`   ❌ FAIL: ${label}`);
+    }
+}
+
+const order = list => list.map(q => q.questionId).join(',');
+
+function run() {
+    const layouts = optionLayouts(ROWS);
+
+    console.log('\n━━━ LAYOUTS ━━━');
+    assert(JSON.stringify(layouts['q-1']) === '["A","B","C","D"]', 'single question: its four labels');
+    assert(layouts['q-2'].length === 6, 'multiple question: six labels');
+    assert(!layouts['q-3'] && !layouts['q-4'], 'true/false and numeric have no layout');
+
+    console.log('\n━━━ QUESTION ORDER ━━━');
+    const first = shuffleForToken(FORMATTED, TOKENS[0], 1, BOTH);
+    assert(order(first) === order(shuffleForToken(FORMATTED, TOKENS[0], 1, BOTH)), 'same token, same order');
+    assert(new Set(TOKENS.map(t => order(shuffleForToken(FORMATTED, t, 1, BOTH)))).size > 1, 'tokens get different orders');
+    assert(order(shuffleForToken(FORMATTED, TOKENS[0], 2, BOTH)) !== order(first) ||
+        order(shuffleForToken(FORMATTED, TOKENS[1], 2, BOTH)) !== order(shuffleForToken(FORMATTED, TOKENS[1], 1, BOTH)),
+        'order depends on the round');
+    assert(first.map(q => q.questionNumber).join(',') === '1,2,3,4,5', 'shuffled questions renumbered 1..N');
+    assert(order(FORMATTED) === 'q-1,q-2,q-3,q-4,q-5' && FORMATTED[0].options.A === 'OR', 'cached list not mutated');
+    assert(order(shuffleForToken(FORMATTED, TOKENS[0], 1, { questions: false, options: false })) === order(FORMATTED),
+        'shuffle off: list unchanged');
+
+    console.log('\n━━━ OPTIONS ━━━');
+    let textsKept = true;
+    let imagesFollow = true;
+    let roundTrips = true;
+    let canonicalMatchesText = true;
+    let fixedTypesKept = true;
+
+    for (const token of TOKENS) {
+        for (const q of shuffleForToken(FORMATTED, token, 1, BOTH)) {
+            const original = FORMATTED.find(f => f.questionId === q.questionId);
+            const row = ROWS_BY_ID[q.questionId];
+
+            if (!layouts[q.questionId]) {
+                if (JSON.stringify(q.options) !== JSON.stringify(original.options)) fixedTypesKept = false;
+                continue;
+            }
+
+            if (Object.values(q.options).sort().join() !== Object.values(original.options).sort().join()) textsKept = false;
+
+            for (const label of Object.keys(q.options)) {
+                // An answer picked under the displayed label is stored as
+                // the canonical option with the same text
+                const [stored] = toCanonical([{ question_id: q.questionId, selected_option: label }], token, layouts);
+                if (row[`option_${stored.selected_option.toLowerCase()}`] !== q.options[label]) canonicalMatchesText = false;
+
+                const [shown] = toDisplay([stored], token, layouts);
+                if (shown.selected_option !== label) roundTrips = false;
+
+                if (q.options[label] === 'XOR' && q.optionImages[label] !== '/api/assets/xor') imagesFollow = false;
+            }
+        }
+    }
+
+    assert(textsKept, 'every token sees the same option texts');
+    assert(canonicalMatchesText, 'toCanonical stores the option the participant saw');
+    assert(roundTrips, 'toDisplay(toCanonical(label)) gives the label back');
+    assert(imagesFollow, 'option images move with their options');
+    assert(fixedTypesKept, 'true/false and numeric options never move');
+
+    console.log('\n━━━ ANSWER FORMATS ━━━');
+    const token = TOKENS[3];
+    const [many] = toCanonical([{ question_id: 'q-2', selected_option: 'FA' }], token, layouts);
+    assert(/^[A-F]{2}$/.test(many.selected_option) && many.selected_option === [...many.selected_option].sort().join(''),
+        'multiple answer mapped letter by letter, sorted');
+    assert(toDisplay([many], token, layouts)[0].selected_option === 'AF', 'multiple answer maps back');
+    assert(toCanonical([{ question_id: 'q-4', selected_option: '3.3' }], token, layouts)[0].selected_option === '3.3',
+        'numeric answer passes through');
+    assert(toCanonical([{ question_id: 'q-3', selected_option: 'True' }], token, layouts)[0].selected_option === 'True',
+        'true/false answer passes through');
+    assert(toCanonical([{ question_id: 'q-5', selected_option: 'E' }], token, layouts)[0].selected_option === 'E',
+        'label the question does not have passes through');
+
+    console.log(`\n  Passed: ${passed}/${passed + failed}  |  Failed: ${failed}/${passed + failed}\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+try {
+    run();
+} catch (err) {
+    console.error('FATAL ERROR:', err);
+    process.exit(1);
+}
@@ -90,7 +90,7 @@ async function startRound() {
 }
 
 async function getQuestions() {
-    const res = await request('GET', '/api/exam/questions');
+    const res = await request('GET', `/api/exam/questions?attempt_token=${uuidv4()}`);
     if (res.data.success) return res.data.data.questions;
     throw new Error('Failed to load questions');
 }
@@ -148,7 +148,7 @@ async function runTest() {
     // Fetch questions once to simulate client-side caching/fetching
     let questions;
     try {
-        const qRes = await request('GET', '/api/exam/questions');
+        const qRes = await request('GET', `/api/exam/questions?attempt_token=${uuidv4()}`);
         if (qRes.data.success) {
             questions = qRes.data.data.questions || []; // Adjust based on actual API response structure
             // In simulate_exam.js it was res.data.data.questions and q.questionId